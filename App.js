@@ -16,18 +16,27 @@ import SalesScreen from './screens/SalesScreen';
 import UserScreen from './screens/UserScreen';
 import RolesPermissionsScreen from './screens/RolesPermissionsScreen';
 import ReportsScreen from './screens/ReportsScreen';
+import CustomerHistoryScreen from './screens/CustomerHistoryScreen';
 import ReportResultScreen from './screens/ReportResultScreen';
 import RateSummaryReportScreen from './screens/RateSummaryReportScreen';
 import RateSummaryResultScreen from './screens/RateSummaryResultScreen';
 import SalesEditScreen from './screens/SalesEditScreen';
 import CustomDrawer from './components/CustomDrawer';
 import PrinterSettingsScreen from './screens/PrinterSettingsScreen';
+import ShareSettingsScreen from './screens/ShareSettingsScreen';
 import { authService } from './services';
 import WinningScreen from './screens/WinningScreen';
+import DrawResultScreen from './screens/DrawResultScreen';
+import ResultImportScreen from './screens/ResultImportScreen';
 import WinningSummaryScreen from './screens/WinningSummaryScreen';
+import WinningEntriesScreen from './screens/WinningEntriesScreen';
+import PayoutsScreen from './screens/PayoutsScreen';
+import RiskScreen from './screens/RiskScreen';
+import VerifyTicketScreen from './screens/VerifyTicketScreen';
 import WinningSummaryResultScreen from './screens/WinningSummaryResultScreen';
 import DigitSummaryScreen from './screens/DigitSummaryScreen';
 import DigitSummaryResultScreen from './screens/DigitSummaryResultScreen';
+import BreakdownReportScreen from './screens/BreakdownReportScreen';
 
 
 const Stack = createStackNavigator();
@@ -40,9 +49,16 @@ const SCREEN_CONFIG = [
   { name: 'Products', component: ProductScreen, icon: 'package-variant-closed', permKey: 'products' },
   { name: 'Sales', component: SalesScreen, icon: 'chart-line', permKey: 'sales' },
   { name: 'Winning', component: WinningScreen, icon: 'trophy-outline', permKey: 'winning' },
+  { name: 'Draw Result', component: DrawResultScreen, icon: 'trophy-variant-outline', permKey: 'winning' },
+  { name: 'Import Results', component: ResultImportScreen, icon: 'file-import-outline', permKey: 'winning' },
   { name: 'Winning Summary', component: WinningSummaryScreen, icon: 'chart-box-outline', permKey: 'winning' },
+  { name: 'Winning Entries', component: WinningEntriesScreen, icon: 'history', permKey: 'winning' },
+  { name: 'Payouts', component: PayoutsScreen, icon: 'cash-multiple', permKey: 'winning' },
+  { name: 'Payout Risk', component: RiskScreen, icon: 'chart-bell-curve', permKey: 'winning' },
+  { name: 'Verify Ticket', component: VerifyTicketScreen, icon: 'qrcode-scan', permKey: 'winning' },
   { name: 'Digit Summary', component: DigitSummaryScreen, icon: 'numeric', permKey: 'reports' },
   { name: 'Reports', component: ReportsScreen, icon: 'file-chart-outline', permKey: 'reports' },
+  { name: 'Customers', component: CustomerHistoryScreen, icon: 'account-search-outline', permKey: 'reports' },
   { name: 'Rate Summary', component: RateSummaryReportScreen, icon: 'calculator-variant-outline', permKey: 'reports' },
   { name: 'Users', component: UserScreen, icon: 'account-group-outline', permKey: 'users', adminOnly: true },
   { name: 'Roles & Permissions', component: RolesPermissionsScreen, icon: 'shield-account-outline', permKey: 'roles & permissions', adminOnly: true },
@@ -160,8 +176,10 @@ const App = () => {
           <Stack.Screen name="RateSummaryResult" component={RateSummaryResultScreen} />
           <Stack.Screen name="SaleEdit" component={SalesEditScreen} />
           <Stack.Screen name="PrinterSettings" component={PrinterSettingsScreen} />
+          <Stack.Screen name="ShareSettings" component={ShareSettingsScreen} />
           <Stack.Screen name="WinningSummaryResult" component={WinningSummaryResultScreen} />
           <Stack.Screen name="DigitSummaryResult" component={DigitSummaryResultScreen} />
+          <Stack.Screen name="BreakdownReport" component={BreakdownReportScreen} />
         </Stack.Navigator>
       </NavigationContainer>
     </SafeAreaProvider>
@@ -0,0 +1,179 @@
+/**
+ * @format
+ */
+
+import {describe, expect, it} from '@jest/globals';
+import {
+  BET_TYPE,
+  INDEX_TYPES,
+  getBetType,
+  getInputLength,
+  getIndexDigitType,
+  expandNumber,
+  deriveQty,
+  getPrizeLevels,
+  getTopPrizeLevel,
+  getIndexPositions,
+  getBetLabel,
+  getDigitGroup,
+  getRepeatedDigits,
+  BOX_VARIANT,
+} from '../utils/betTypes';
+import {applyLotteryNumber, applyBoxVariant} from '../utils/cartRows';
+
+const straight = {box: 0, index_type: null, digit_type: 4};
+const box = {box: 1, index_type: null, digit_type: 3};
+
+describe('getBetType', () => {
+  it('resolves index, box and straight products', () => {
+    expect(getBetType({index_type: 'AB', digit_type: 2}).key).toBe(BET_TYPE.INDEX);
+    expect(getBetType(box).key).toBe(BET_TYPE.BOX);
+    expect(getBetType(straight).key).toBe(BET_TYPE.STRAIGHT);
+  });
+
+  it('treats an index product flagged as box as an index bet', () => {
+    expect(getBetType({box: 1, index_type: 'A', digit_type: 1}).key).toBe(BET_TYPE.INDEX);
+  });
+
+  it('ignores index types that are not made of A/B/C', () => {
+    expect(getBetType({index_type: 'XY', digit_type: 2}).key).toBe(BET_TYPE.STRAIGHT);
+  });
+});
+
+describe('getInputLength', () => {
+  it('uses one digit per index position', () => {
+    INDEX_TYPES.forEach(type => {
+      expect(getInputLength({index_type: type})).toBe(type.length);
+    });
+    expect(getInputLength({index_type: 'abc'})).toBe(3);
+  });
+
+  it('uses digit_type for box and straight products', () => {
+    expect(getInputLength(box)).toBe(3);
+    expect(getInputLength(straight)).toBe(4);
+    expect(getInputLength({})).toBe(0);
+  });
+
+  it('gives product setup the digit type of an index type', () => {
+    expect(getIndexDigitType('C')).toBe(1);
+    expect(getIndexDigitType('AC')).toBe(2);
+    expect(getIndexDigitType(null)).toBeNull();
+  });
+});
+
+describe('expandNumber', () => {
+  it('expands a box number into its unique permutations', () => {
+    expect(expandNumber(box, '123').sort()).toEqual(['123', '132', '213', '231', '312', '321']);
+    expect(expandNumber(box, '112').sort()).toEqual(['112', '121', '211']);
+  });
+
+  it('keeps the last digit in place for a half box', () => {
+    expect(expandNumber(box, '123', 'half').sort()).toEqual(['123', '213']);
+    expect(expandNumber({...box, digit_type: 4}, '1234', 'half')).toHaveLength(6);
+  });
+
+  it('covers nothing until a box number has enough digits', () => {
+    expect(expandNumber(box, '12')).toEqual([]);
+    expect(expandNumber(box, '')).toEqual([]);
+  });
+
+  it('covers the typed number for straight and index bets', () => {
+    expect(expandNumber(straight, '1234')).toEqual(['1234']);
+    expect(expandNumber({index_type: 'B'}, '7')).toEqual(['7']);
+  });
+});
+
+describe('box variants', () => {
+  const row = applyLotteryNumber({...box, digit_type: 4}, '1123');
+
+  it('knows when repeated digits shrink the box', () => {
+    expect(getRepeatedDigits('1123')).toEqual(['1']);
+    expect(getRepeatedDigits('1234')).toEqual([]);
+    expect(row.permutations).toHaveLength(12);
+    expect(applyLotteryNumber({...box, digit_type: 4}, '1111').qty).toBe('1');
+  });
+
+  it('prices a half box on its own permutations', () => {
+    const half = applyBoxVariant(row, BOX_VARIANT.HALF);
+    expect(half.box_variant).toBe(BOX_VARIANT.HALF);
+    expect(half.permutations.every(n => n.endsWith('3'))).toBe(true);
+    expect(half.qty).toBe('3');
+  });
+
+  it('keeps only the picked permutations of a custom box', () => {
+    const custom = applyBoxVariant(row, BOX_VARIANT.CUSTOM, ['3211', '1123', '9999']);
+    expect(custom.permutations).toEqual(['1123', '3211']);
+    expect(custom.qty).toBe('2');
+    expect(custom.desc).toBe('1123, 3211');
+    expect(getBetLabel(custom)).toBe('PICK BOX');
+  });
+
+  it('goes back to the full box when a custom row gets a new number', () => {
+    const custom = applyBoxVariant(row, BOX_VARIANT.CUSTOM, ['1123']);
+    const next = applyLotteryNumber(custom, '1234');
+    expect(next.box_variant).toBe(BOX_VARIANT.FULL);
+    expect(next.qty).toBe('24');
+  });
+});
+
+describe('deriveQty', () => {
+  it('counts box numbers and leaves other qty to the seller', () => {
+    expect(deriveQty(box, ['123', '132'])).toBe('2');
+    expect(deriveQty(box, [])).toBe('');
+    expect(deriveQty(straight, ['1234'])).toBeNull();
+  });
+
+  it('drives cart rows', () => {
+    const row = applyLotteryNumber({...box, qty: '5'}, '1 2 3 4');
+    expect(row.lotteryNo).toBe('123');
+    expect(row.qty).toBe('6');
+    expect(row.permutations).toHaveLength(6);
+
+    const plain = applyLotteryNumber({...straight, qty: '5'}, '98765');
+    expect(plain.lotteryNo).toBe('9876');
+    expect(plain.desc).toBe('9876');
+    expect(plain.qty).toBe('5');
+  });
+});
+
+describe('prize levels', () => {
+  it('pays index products on a single level keyed by digit type', () => {
+    expect(getPrizeLevels({index_type: 'AB', digit_type: 2})).toEqual([2]);
+    expect(getTopPrizeLevel({index_type: 'A', digit_type: 1})).toBe(1);
+  });
+
+  it('pays straight and box products on every level up to digit type', () => {
+    expect(getPrizeLevels(straight)).toEqual([1, 2, 3, 4]);
+    expect(getPrizeLevels(box)).toEqual([1, 2, 3]);
+    expect(getTopPrizeLevel(straight)).toBe(4);
+    expect(getTopPrizeLevel({})).toBeNull();
+  });
+});
+
+describe('getIndexPositions', () => {
+  it('counts A/B/C from the end of the winning number', () => {
+    expect(getIndexPositions('A', 5)).toEqual([2]);
+    expect(getIndexPositions('C', 5)).toEqual([4]);
+    expect(getIndexPositions('AC', 5)).toEqual([2, 4]);
+    expect(getIndexPositions('CA', 3)).toEqual([0, 2]);
+  });
+
+  it('drops positions before the start of a short number', () => {
+    expect(getIndexPositions('AB', 2)).toEqual([0]);
+    expect(getIndexPositions(null, 5)).toEqual([]);
+  });
+});
+
+describe('labels and summary groups', () => {
+  it('tags index and box bets', () => {
+    expect(getBetLabel({index_type: 'bc'})).toBe('[BC]');
+    expect(getBetLabel(box)).toBe('BOX');
+    expect(getBetLabel(straight)).toBe('');
+  });
+
+  it('groups by input length, falling back to the sold number', () => {
+    expect(getDigitGroup({index_type: 'AB', desc: '12'})).toBe(2);
+    expect(getDigitGroup({desc: '123, 132, 213'})).toBe(3);
+    expect(getDigitGroup({desc: ''})).toBe(0);
+  });
+});
@@ -0,0 +1,86 @@
+/**
+ * @format
+ */
+
+import {describe, expect, it} from '@jest/globals';
+import {
+  BREAKDOWN_DIMENSION,
+  BREAKDOWN_SORT,
+  getBreakdownDimension,
+  normalizeBreakdownRows,
+  sortBreakdownRows,
+  sumBreakdownRows,
+  toBreakdownChartData,
+} from '../utils/breakdown';
+
+const row = (name, qty, amount, count = 1) => ({id: name, name, code: null, qty, amount, count});
+
+describe('normalizeBreakdownRows', () => {
+  it('reads the dimension fields and the endpoint totals', () => {
+    const rows = [
+      {category_id: 3, category_name: 'Kerala', total_quantity: '12', total_amount: '240.50', total_records: 4},
+    ];
+    expect(normalizeBreakdownRows(rows, BREAKDOWN_DIMENSION.CATEGORY)).toEqual([
+      {id: 3, name: 'Kerala', code: null, qty: 12, amount: 240.5, count: 4},
+    ]);
+  });
+
+  it('falls back to the other field names each endpoint uses', () => {
+    const products = [{id: 7, product_code: 'KL3', quantity: 5, amount: 50, sales_count: '2'}];
+    expect(normalizeBreakdownRows(products, BREAKDOWN_DIMENSION.PRODUCT)).toEqual([
+      {id: 7, name: 'KL3', code: 'KL3', qty: 5, amount: 50, count: 2},
+    ]);
+
+    const users = [{user_id: 2, user_name: '', username: 'agent1', qty: 1, total: 10, count: 1}];
+    expect(normalizeBreakdownRows(users, BREAKDOWN_DIMENSION.USER)[0]).toMatchObject({id: 2, name: 'agent1'});
+  });
+
+  it('fills missing names and numbers', () => {
+    expect(normalizeBreakdownRows([{total_amount: 'x'}], BREAKDOWN_DIMENSION.USER)).toEqual([
+      {id: null, name: 'Unknown', code: null, qty: 0, amount: 0, count: 0},
+    ]);
+    expect(normalizeBreakdownRows(null, BREAKDOWN_DIMENSION.USER)).toEqual([]);
+  });
+
+  it('reads unknown dimensions as category', () => {
+    expect(getBreakdownDimension('nope').key).toBe(BREAKDOWN_DIMENSION.CATEGORY);
+  });
+});
+
+describe('sortBreakdownRows', () => {
+  const rows = [row('Beta', 5, 100), row('alpha', 9, 40), row('Gamma', 1, 300)];
+  const names = sorted => sorted.map(r => r.name);
+
+  it('sorts numbers high to low and names A to Z', () => {
+    expect(names(sortBreakdownRows(rows, BREAKDOWN_SORT.AMOUNT, false))).toEqual(['Gamma', 'Beta', 'alpha']);
+    expect(names(sortBreakdownRows(rows, BREAKDOWN_SORT.QTY, false))).toEqual(['alpha', 'Beta', 'Gamma']);
+    expect(names(sortBreakdownRows(rows, BREAKDOWN_SORT.NAME, true))).toEqual(['alpha', 'Beta', 'Gamma']);
+  });
+
+  it('reverses on request and leaves the input alone', () => {
+    expect(names(sortBreakdownRows(rows, BREAKDOWN_SORT.AMOUNT, true))).toEqual(['alpha', 'Beta', 'Gamma']);
+    expect(names(sortBreakdownRows(rows, BREAKDOWN_SORT.NAME, false))).toEqual(['Gamma', 'Beta', 'alpha']);
+    expect(names(rows)).toEqual(['Beta', 'alpha', 'Gamma']);
+  });
+});
+
+describe('sumBreakdownRows', () => {
+  it('adds qty, amount and count', () => {
+    expect(sumBreakdownRows([row('A', 2, 20, 1), row('B', 3, 30.5, 2)])).toEqual({qty: 5, amount: 50.5, count: 3});
+    expect(sumBreakdownRows([])).toEqual({qty: 0, amount: 0, count: 0});
+  });
+});
+
+describe('toBreakdownChartData', () => {
+  it('charts the top rows by amount with short labels', () => {
+    const rows = [row('Short', 1, 10.4), row('Superlotto', 1, 99.6), row('Mid', 1, 50)];
+    expect(toBreakdownChartData(rows, 2)).toEqual({
+      labels: ['Superlo.', 'Mid'],
+      datasets: [{data: [100, 50]}],
+    });
+  });
+
+  it('draws one empty bar without rows', () => {
+    expect(toBreakdownChartData([])).toEqual({labels: [], datasets: [{data: [0]}]});
+  });
+});
@@ -0,0 +1,99 @@
+/**
+ * @format
+ */
+
+import {describe, expect, it} from '@jest/globals';
+import {matchProductForNumber, parseBulkEntry} from '../utils/bulkEntryParser';
+
+const product = (id, name, fields) => ({id, product_name: name, product_code: `P${id}`, ...fields});
+
+const threeDigit = product(1, 'Kerala 3D', {box: 0, index_type: null, digit_type: 3});
+const threeBox = product(2, 'Box 3D', {box: 1, index_type: null, digit_type: 3});
+const fourDigit = product(3, 'KL.110', {box: 0, index_type: null, digit_type: 4});
+const indexA = product(4, 'A Board', {box: 0, index_type: 'A', digit_type: 1});
+const indexAB = product(5, 'AB Board', {box: 0, index_type: 'AB', digit_type: 2});
+const products = [threeDigit, threeBox, fourDigit, indexA, indexAB];
+
+const picked = rows => rows.map(({lotteryNo, qty, product: p, error}) => [lotteryNo, qty, p?.id ?? null, error]);
+
+describe('matchProductForNumber', () => {
+  it('maps a plain number to the straight product of its length', () => {
+    expect(matchProductForNumber(products, {digits: '123'})).toEqual({product: threeDigit, error: null});
+  });
+
+  it('needs the box word for a box product', () => {
+    expect(matchProductForNumber(products, {digits: '123', box: true}).product).toBe(threeBox);
+    expect(matchProductForNumber(products, {digits: '12345', box: true}).error).toBe('No 5-digit box product');
+  });
+
+  it('needs the index prefix unless one index product has that length', () => {
+    expect(matchProductForNumber(products, {digits: '12', indexType: 'AB'}).product).toBe(indexAB);
+    expect(matchProductForNumber(products, {digits: '12'}).product).toBe(indexAB);
+    expect(matchProductForNumber(products, {digits: '123', indexType: 'AB'}).error).toBe('AB needs 2 digit(s)');
+    expect(matchProductForNumber(products, {digits: '1', indexType: 'C'}).error).toBe('No C product');
+  });
+
+  it('refuses to guess between products of the same length', () => {
+    const twoStraight = [threeDigit, product(9, 'Dear 3D', {box: 0, index_type: null, digit_type: 3})];
+    expect(matchProductForNumber(twoStraight, {digits: '123'}).error).toBe('More than one 3-digit product');
+
+    const twoIndex = [product(7, 'A', {index_type: 'A', digit_type: 1}), product(8, 'B', {index_type: 'B', digit_type: 1})];
+    expect(matchProductForNumber(twoIndex, {digits: '5'}).error).toBe('Add A/B before the number');
+  });
+});
+
+describe('parseBulkEntry', () => {
+  it('reads free-form orders split by commas, semicolons and lines', () => {
+    const rows = parseBulkEntry('123-5, 1234x2; 456 box\nA 7\nAB-12*3', products);
+
+    expect(picked(rows)).toEqual([
+      ['123', '5', 1, null],
+      ['1234', '2', 3, null],
+      ['456', '', 2, null],
+      ['7', '1', 4, null],
+      ['12', '3', 5, null],
+    ]);
+    expect(rows.map(r => r.source)).toEqual(['123-5', '1234x2', '456 box', 'A 7', 'AB-12*3']);
+    expect(new Set(rows.map(r => r.key)).size).toBe(rows.length);
+  });
+
+  it('keeps unreadable and unmapped entries with their error', () => {
+    expect(picked(parseBulkEntry('12a!, 98765', products))).toEqual([
+      ['12', '1', null, 'Could not read this entry'],
+      ['98765', '1', null, 'No 5-digit product'],
+    ]);
+  });
+
+  it('reads the text shared from the sales screen', () => {
+    const text = [
+      '── 1:00 PM ──',
+      'KL.110 - 1265 = 1',
+      'Box 3D - 123,132',
+      '         213,231 = 4',
+      'Kerala 3D - 555',
+      '            777 = 2',
+      'Lotto - 999 = 1',
+    ].join('\n');
+
+    expect(picked(parseBulkEntry(text, products))).toEqual([
+      ['1265', '1', 3, null],
+      // A box row is rebuilt from its first number
+      ['123', '', 2, null],
+      ['555', '2', 1, null],
+      ['777', '2', 1, null],
+      ['999', '1', null, 'Unknown product "Lotto"'],
+    ]);
+  });
+
+  it('closes an open shared block at a blank line with qty 1', () => {
+    expect(picked(parseBulkEntry('Kerala 3D - 555\n\n123', products))).toEqual([
+      ['555', '1', 1, null],
+      ['123', '1', 1, null],
+    ]);
+  });
+
+  it('returns nothing for empty text', () => {
+    expect(parseBulkEntry('', products)).toEqual([]);
+    expect(parseBulkEntry(undefined, products)).toEqual([]);
+  });
+});
@@ -0,0 +1,100 @@
+/**
+ * @format
+ */
+
+import {describe, expect, it, jest} from '@jest/globals';
+import {INVOICE_COLUMNS, buildSheet, buildWorkbook, groupInvoices, summarySheet} from '../utils/excelExport';
+
+jest.mock('react-native-fs', () => ({}));
+jest.mock('react-native-share', () => ({}));
+
+const columns = [
+  {header: 'Name', value: row => row.name},
+  {header: 'Qty', value: row => row.qty, type: 'number'},
+  {header: 'Sold', value: row => row.sold, type: 'date'},
+];
+
+// Cell of the first data row in column A, B, C
+const firstRow = sheet => ['A2', 'B2', 'C2'].map(ref => sheet[ref] && {t: sheet[ref].t, v: sheet[ref].v});
+
+describe('buildSheet', () => {
+  it('writes a header row, numbers as numbers and dates as formatted dates', () => {
+    const sheet = buildSheet({columns, rows: [{name: 7, qty: '12.5', sold: new Date(2026, 9, 18, 10, 5)}]});
+
+    expect([sheet.A1.v, sheet.B1.v, sheet.C1.v]).toEqual(['Name', 'Qty', 'Sold']);
+    expect(firstRow(sheet).slice(0, 2)).toEqual([
+      {t: 'n', v: 7},
+      {t: 'n', v: 12.5},
+    ]);
+    expect(sheet.C2).toMatchObject({t: 'n', z: 'dd-mmm-yyyy hh:mm', w: '18-Oct-2026 10:05'});
+    expect(sheet['!cols']).toEqual([{wch: 10}, {wch: 10}, {wch: 10}]);
+  });
+
+  it('leaves missing values empty instead of writing 0', () => {
+    const sheet = buildSheet({columns, rows: [{name: '', qty: null, sold: undefined}, {name: 'x', qty: 0}]});
+
+    expect(firstRow(sheet)).toEqual([undefined, undefined, undefined]);
+    expect(sheet.B3).toMatchObject({t: 'n', v: 0});
+  });
+
+  it('keeps values that do not read as their type as text', () => {
+    const sheet = buildSheet({columns, rows: [{name: 'x', qty: 'n/a', sold: 'yesterday'}]});
+    expect(firstRow(sheet).slice(1)).toEqual([
+      {t: 's', v: 'n/a'},
+      {t: 's', v: 'yesterday'},
+    ]);
+  });
+});
+
+describe('buildWorkbook', () => {
+  it('adds the sheets in order with names Excel accepts', () => {
+    const workbook = buildWorkbook([
+      summarySheet([{label: 'Total', value: 10}]),
+      {name: 'Sales [1:00 PM] a/b?*\\ and a very long tail', columns, rows: []},
+    ]);
+
+    expect(workbook.SheetNames).toEqual(['Summary', 'Sales  1 00 PM  a b    and a ve']);
+    expect(workbook.SheetNames[1]).toHaveLength(31);
+    expect(workbook.Sheets.Summary.B2).toMatchObject({t: 'n', v: 10});
+  });
+});
+
+describe('groupInvoices', () => {
+  it('adds lines, qty and amount per invoice and keeps loose lines apart', () => {
+    const sales = [
+      {invoice_number: '10', created_at: 'a', category_name: 'Kerala', created_by: 'u1', qty: '2', total: '24'},
+      {invoice_number: null, created_at: 'b', qty: 1, total: 12},
+      {invoice_number: '10', qty: 'x', total: '12.5'},
+      {invoice_number: '11', qty: 3, total: 30, voided_at: 'c'},
+    ];
+
+    expect(groupInvoices(sales)).toEqual([
+      {
+        invoice_number: '10',
+        created_at: 'a',
+        category_name: 'Kerala',
+        created_by: 'u1',
+        lines: 2,
+        qty: 2,
+        total: 36.5,
+        voided: false,
+      },
+      expect.objectContaining({invoice_number: '11', lines: 1, voided: true}),
+      expect.objectContaining({invoice_number: '', created_at: 'b', lines: 1, qty: 1, total: 12}),
+    ]);
+  });
+
+  it('marks an invoice void only when every line is void', () => {
+    const [invoice] = groupInvoices([
+      {invoice_number: '12', voided_at: 'a'},
+      {invoice_number: '12', voided_at: null},
+    ]);
+    expect(invoice.voided).toBe(false);
+    expect(groupInvoices(undefined)).toEqual([]);
+  });
+
+  it('feeds the invoice sheet columns', () => {
+    const [invoice] = groupInvoices([{invoice_number: '10', qty: 2, total: 24, voided_at: 'a'}]);
+    expect(INVOICE_COLUMNS.map(col => col.value(invoice))).toEqual(['10', undefined, undefined, undefined, 1, 2, 24, 'VOID']);
+  });
+});
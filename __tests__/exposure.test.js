@@ -0,0 +1,144 @@
+/**
+ * @format
+ */
+
+import {describe, expect, it} from '@jest/globals';
+import {
+  LIMIT_ACTION,
+  parseWinningAmounts,
+  getTopPrize,
+  hasExposureLimits,
+  getCartNumberTotals,
+  findExposureViolations,
+  describeViolation,
+} from '../utils/exposure';
+
+const limited = {
+  product_id: 1,
+  product_name: 'KL.110',
+  box: 0,
+  index_type: null,
+  digit_type: 3,
+  winning_amounts: {1: 10, 2: 100, 3: 5000},
+  max_qty_per_number: 20,
+  max_liability_per_number: 0,
+  limit_action: LIMIT_ACTION.BLOCK,
+};
+
+const cartRow = (id, lotteryNo, qty, extra = {}) => ({id, lotteryNo, qty, ...limited, ...extra});
+
+describe('parseWinningAmounts', () => {
+  it('reads objects and once or twice JSON-encoded strings', () => {
+    expect(parseWinningAmounts({3: 5000})).toEqual({3: 5000});
+    expect(parseWinningAmounts('{"3":5000}')).toEqual({3: 5000});
+    expect(parseWinningAmounts(JSON.stringify('{"3":5000}'))).toEqual({3: 5000});
+  });
+
+  it('is null when unset or unreadable', () => {
+    expect(parseWinningAmounts(null)).toBeNull();
+    expect(parseWinningAmounts('{oops')).toBeNull();
+    expect(parseWinningAmounts('5000')).toBeNull();
+  });
+});
+
+describe('getTopPrize', () => {
+  it('pays the full-match level of the bet type', () => {
+    expect(getTopPrize(limited)).toBe(5000);
+    expect(getTopPrize({index_type: 'AB', digit_type: 2, winning_amounts: '{"2":"700"}'})).toBe(700);
+  });
+
+  it('falls back to the largest amount and to 0', () => {
+    expect(getTopPrize({...limited, winning_amounts: {1: 10, 2: 100}})).toBe(100);
+    expect(getTopPrize({...limited, winning_amounts: null})).toBe(0);
+  });
+});
+
+describe('hasExposureLimits', () => {
+  it('needs a positive qty or liability cap', () => {
+    expect(hasExposureLimits(limited)).toBe(true);
+    expect(hasExposureLimits({max_liability_per_number: '25000'})).toBe(true);
+    expect(hasExposureLimits({max_qty_per_number: 0, max_liability_per_number: null})).toBe(false);
+    expect(hasExposureLimits(undefined)).toBe(false);
+  });
+});
+
+describe('getCartNumberTotals', () => {
+  it('adds qty per product and number across rows', () => {
+    const totals = getCartNumberTotals([
+      cartRow('r1', '123', '5'),
+      cartRow('r2', '123', 3),
+      cartRow('r3', '123', 1, {product_id: 2}),
+      cartRow('r4', '', 4),
+      {id: 'r5', product_id: null, lotteryNo: '123', qty: 9},
+    ]);
+
+    expect(totals).toEqual([
+      {product_id: 1, number: '123', qty: 8, rowIds: ['r1', 'r2']},
+      {product_id: 2, number: '123', qty: 1, rowIds: ['r3']},
+    ]);
+  });
+
+  it('counts one ticket per box permutation', () => {
+    const row = cartRow('b1', '112', 3, {box: 1, permutations: ['112', '121', '211']});
+    expect(getCartNumberTotals([row]).map(t => [t.number, t.qty])).toEqual([
+      ['112', 1],
+      ['121', 1],
+      ['211', 1],
+    ]);
+  });
+});
+
+describe('findExposureViolations', () => {
+  it('adds what is already sold before comparing to the qty cap', () => {
+    const rows = [cartRow('r1', '123', 6), cartRow('r2', '456', 6)];
+    const sold = [
+      {product_id: 1, number: 123, qty: '15'},
+      {product_id: 1, number: '456', qty: 14},
+    ];
+
+    expect(findExposureViolations(rows, sold)).toEqual([
+      {
+        product_id: 1,
+        product_name: 'KL.110',
+        number: '123',
+        soldQty: 15,
+        cartQty: 6,
+        totalQty: 21,
+        maxQty: 20,
+        liability: 105000,
+        maxLiability: 0,
+        action: LIMIT_ACTION.BLOCK,
+        rowIds: ['r1'],
+      },
+    ]);
+  });
+
+  it('checks the payout cap at the top prize and warns unless set to block', () => {
+    const row = cartRow('r1', '123', 3, {max_qty_per_number: 0, max_liability_per_number: 10000, limit_action: null});
+    const [violation] = findExposureViolations([row]);
+
+    expect(violation).toMatchObject({liability: 15000, maxLiability: 10000, action: LIMIT_ACTION.WARN});
+  });
+
+  it('ignores products without limits', () => {
+    const row = cartRow('r1', '123', 500, {max_qty_per_number: null});
+    expect(findExposureViolations([row], [{product_id: 1, number: '123', qty: 1000}])).toEqual([]);
+  });
+});
+
+describe('describeViolation', () => {
+  it('names every cap that is exceeded', () => {
+    expect(
+      describeViolation({
+        product_name: 'KL.110',
+        number: '123',
+        soldQty: 15,
+        cartQty: 6,
+        totalQty: 21,
+        maxQty: 20,
+        liability: 105000,
+        maxLiability: 100000,
+      }),
+    ).toBe('KL.110 123: 15 sold + 6 = 21 (max 20), payout ₹105000 (max ₹100000)');
+  });
+});
@@ -0,0 +1,70 @@
+/**
+ * @format
+ */
+
+import {describe, expect, it} from '@jest/globals';
+import {MAX_SERIES_SIZE, expandRange, expandPattern} from '../utils/numberSeries';
+
+describe('expandRange', () => {
+  it('lists every number from start to end, zero-padded', () => {
+    expect(expandRange('007', '011', 1, 3)).toEqual({
+      numbers: ['007', '008', '009', '010', '011'],
+      error: null,
+    });
+  });
+
+  it('steps through the range and accepts it backwards', () => {
+    expect(expandRange('1250', '1230', '10', 4).numbers).toEqual(['1230', '1240', '1250']);
+  });
+
+  it('pads to the longer input without a fixed length', () => {
+    expect(expandRange('8', '10').numbers).toEqual(['08', '09', '10']);
+  });
+
+  it('treats an empty or zero step as 1', () => {
+    expect(expandRange(1, 3, '', 1).numbers).toEqual(['1', '2', '3']);
+    expect(expandRange(1, 3, 0, 1).numbers).toEqual(['1', '2', '3']);
+  });
+
+  it('rejects missing ends, too many digits and negative steps', () => {
+    expect(expandRange('', '10', 1, 2).error).toBe('Enter both start and end numbers');
+    expect(expandRange('1a', '10', 1, 2).error).toBe('Enter both start and end numbers');
+    expect(expandRange('100', '200', 1, 2).error).toBe('Numbers can have at most 2 digits');
+    expect(expandRange('1', '9', -2, 1).error).toBe('Step must be at least 1');
+  });
+
+  it('refuses series above the size cap', () => {
+    expect(expandRange('0', String(MAX_SERIES_SIZE - 1), 1, 4).numbers).toHaveLength(MAX_SERIES_SIZE);
+    expect(expandRange('0', String(MAX_SERIES_SIZE), 1, 4)).toEqual({
+      numbers: [],
+      error: `Series has ${MAX_SERIES_SIZE + 1} numbers (max ${MAX_SERIES_SIZE})`,
+    });
+  });
+});
+
+describe('expandPattern', () => {
+  it('fills each wildcard with every digit', () => {
+    expect(expandPattern('*7').numbers).toEqual(['07', '17', '27', '37', '47', '57', '67', '77', '87', '97']);
+  });
+
+  it('accepts X as a wildcard and keeps the fixed digits in place', () => {
+    const {numbers} = expandPattern('1x3x', 4);
+    expect(numbers).toHaveLength(100);
+    expect(numbers[0]).toBe('1030');
+    expect(numbers[99]).toBe('1939');
+  });
+
+  it('returns a plain number as is', () => {
+    expect(expandPattern('123', 3)).toEqual({numbers: ['123'], error: null});
+  });
+
+  it('rejects empty patterns, other characters and the wrong length', () => {
+    expect(expandPattern('').error).toBe('Enter a pattern');
+    expect(expandPattern('1?3').error).toBe('Use digits and * only');
+    expect(expandPattern('1*', 3).error).toBe('Pattern must be 3 characters');
+  });
+
+  it('refuses patterns above the size cap', () => {
+    expect(expandPattern('****').error).toBe(`Pattern has 10000 numbers (max ${MAX_SERIES_SIZE})`);
+  });
+});
@@ -0,0 +1,175 @@
+/**
+ * @format
+ */
+
+import {beforeEach, describe, expect, it, jest} from '@jest/globals';
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import {salesService} from '../services/salesService';
+import {QUEUE_STATUS, isRetryableError, offlineSalesQueue} from '../services/offlineSalesQueue';
+
+jest.mock('@react-native-async-storage/async-storage', () => {
+  const store = {};
+  return {
+    __esModule: true,
+    default: {
+      getItem: jest.fn(async key => (key in store ? store[key] : null)),
+      setItem: jest.fn(async (key, value) => {
+        store[key] = value;
+      }),
+      clear: jest.fn(async () => Object.keys(store).forEach(key => delete store[key])),
+    },
+  };
+});
+
+jest.mock('../services/salesService', () => ({
+  salesService: {createBatchSales: jest.fn()},
+}));
+
+let mockNow = 0;
+jest.mock('../services/serverClock', () => ({
+  serverClock: {now: () => new Date(mockNow), nowMs: () => mockNow},
+}));
+
+// Sales for the 1:00 PM draw close at 12:58 PM
+const category = {id: 3, category_name: 'Kerala', time_slots: ['1:00 PM']};
+const at = (hours, minutes) => new Date(2026, 9, 18, hours, minutes).getTime();
+
+const queue = (number, extra = {}) =>
+  offlineSalesQueue.enqueue({
+    items: [{product_id: 1, qty: 1, desc: number}],
+    cartItems: [],
+    category,
+    requestKey: `S-${number}`,
+    ...extra,
+  });
+
+const httpError = (status, message) => Object.assign(new Error(`HTTP ${status}`), {response: {status, data: {message}}});
+const networkError = () => new Error('Network Error');
+
+const sentNumbers = () => salesService.createBatchSales.mock.calls.map(([items]) => items[0].desc);
+const statuses = async () => (await offlineSalesQueue.getAll()).map(e => [e.items[0].desc, e.status, e.attempts]);
+
+beforeEach(async () => {
+  mockNow = at(10, 0);
+  await AsyncStorage.clear();
+  salesService.createBatchSales.mockReset();
+});
+
+describe('isRetryableError', () => {
+  it('retries network errors, 5xx, 408 and 429 only', () => {
+    expect(isRetryableError(networkError())).toBe(true);
+    [500, 502, 503, 408, 429].forEach(status => expect(isRetryableError(httpError(status))).toBe(true));
+    [400, 401, 403, 404, 409, 422].forEach(status => expect(isRetryableError(httpError(status))).toBe(false));
+  });
+});
+
+describe('offlineSalesQueue.flush', () => {
+  it('replays pending batches in order with their request key and customer', async () => {
+    await queue('111', {customer: {name: 'Ravi', phone: ''}});
+    await queue('222');
+    salesService.createBatchSales
+      .mockResolvedValueOnce({data: {invoice_number: 'INV-1'}})
+      .mockResolvedValueOnce({data: {invoice_number: 'INV-2', replayed: true}});
+
+    const result = await offlineSalesQueue.flush();
+
+    expect(salesService.createBatchSales.mock.calls[0]).toEqual([
+      [{product_id: 1, qty: 1, desc: '111'}],
+      'S-111',
+      {name: 'Ravi', phone: ''},
+    ]);
+    expect(result.synced.map(s => [s.invoiceNumber, s.recovered])).toEqual([
+      ['INV-1', false],
+      ['INV-2', true],
+    ]);
+    expect(result).toMatchObject({expired: 0, failed: 0, offline: false});
+    expect(await offlineSalesQueue.getAll()).toEqual([]);
+  });
+
+  it.each([
+    ['a network error', networkError(), null],
+    ['a 503', httpError(503, 'Maintenance'), 'Maintenance'],
+    ['a 408', httpError(408), 'HTTP 408'],
+    ['a 429', httpError(429, 'Slow down'), 'Slow down'],
+  ])('stops at %s and keeps the rest pending in order', async (_, error, lastError) => {
+    await queue('111');
+    await queue('222');
+    salesService.createBatchSales.mockRejectedValueOnce(error);
+
+    const result = await offlineSalesQueue.flush();
+
+    expect(sentNumbers()).toEqual(['111']);
+    expect(result).toMatchObject({synced: [], failed: 0, offline: true});
+    const [first, second] = await offlineSalesQueue.getAll();
+    expect(first).toMatchObject({status: QUEUE_STATUS.PENDING, attempts: 1, last_error: lastError});
+    expect(second).toMatchObject({status: QUEUE_STATUS.PENDING, attempts: 0});
+  });
+
+  it('marks a 4xx rejection failed, keeps it out of replays and goes on', async () => {
+    await queue('111');
+    await queue('222');
+    salesService.createBatchSales
+      .mockRejectedValueOnce(httpError(422, 'Product inactive'))
+      .mockResolvedValueOnce({data: {invoice_number: 'INV-2'}});
+
+    const result = await offlineSalesQueue.flush();
+
+    expect(result).toMatchObject({failed: 1, offline: false});
+    expect(result.synced).toHaveLength(1);
+    expect(await offlineSalesQueue.getAll()).toMatchObject([
+      {status: QUEUE_STATUS.FAILED, attempts: 1, last_error: 'Product inactive'},
+    ]);
+
+    salesService.createBatchSales.mockClear();
+    await offlineSalesQueue.flush();
+    expect(salesService.createBatchSales).not.toHaveBeenCalled();
+  });
+
+  it('expires batches whose draw closed instead of sending them', async () => {
+    await queue('111');
+    mockNow = at(12, 58);
+    await queue('222', {category: {...category, time_slots: ['8:00 PM']}});
+    salesService.createBatchSales.mockResolvedValueOnce({data: {invoice_number: 'INV-2'}});
+
+    const result = await offlineSalesQueue.flush();
+
+    expect(sentNumbers()).toEqual(['222']);
+    expect(result.expired).toBe(1);
+    expect(await statuses()).toEqual([['111', QUEUE_STATUS.EXPIRED, 0]]);
+  });
+
+  it('keeps batches queued during a flush and drops ones removed meanwhile', async () => {
+    const first = await queue('111');
+    await queue('222');
+    salesService.createBatchSales.mockImplementation(async items => {
+      if (items[0].desc === '111') {
+        await queue('333');
+        await offlineSalesQueue.remove(first.provisional_id);
+        throw networkError();
+      }
+      return {data: {invoice_number: 'INV'}};
+    });
+
+    await offlineSalesQueue.flush();
+
+    expect(await statuses()).toEqual([
+      ['222', QUEUE_STATUS.PENDING, 0],
+      ['333', QUEUE_STATUS.PENDING, 0],
+    ]);
+  });
+
+  it('runs one replay at a time', async () => {
+    await queue('111');
+    let release;
+    const sent = new Promise(resolve => {
+      release = resolve;
+    });
+    salesService.createBatchSales.mockImplementation(() => sent.then(() => ({data: {invoice_number: 'INV-1'}})));
+
+    const running = offlineSalesQueue.flush();
+    expect(await offlineSalesQueue.flush()).toEqual({synced: [], expired: 0, failed: 0, offline: false});
+    release();
+    expect((await running).synced).toHaveLength(1);
+    expect(salesService.createBatchSales).toHaveBeenCalledTimes(1);
+  });
+});
@@ -0,0 +1,88 @@
+/**
+ * @format
+ */
+
+import {describe, expect, it} from '@jest/globals';
+import {
+  PAYOUT_STATUS,
+  getOutstanding,
+  getPayoutStatus,
+  checkPayAmount,
+  summarizePayouts,
+} from '../utils/payouts';
+
+const row = (won, paid, extra = {}) => ({
+  total_winning_amount: won,
+  paid_amount: paid,
+  sold_by: 'agent',
+  ...extra,
+});
+
+describe('getPayoutStatus', () => {
+  it('follows the paid amount against what was won', () => {
+    expect(getPayoutStatus(row(500, 0))).toBe(PAYOUT_STATUS.UNPAID);
+    expect(getPayoutStatus(row(500, 200))).toBe(PAYOUT_STATUS.PARTIAL);
+    expect(getPayoutStatus(row(500, 500))).toBe(PAYOUT_STATUS.PAID);
+  });
+
+  it('reads string amounts and the winning_paid_amount fallback', () => {
+    expect(getPayoutStatus({total_winning_amount: '500.00', winning_paid_amount: '499.995'})).toBe(
+      PAYOUT_STATUS.PAID,
+    );
+    expect(getPayoutStatus({total_winning_amount: '500', winning_paid_amount: null})).toBe(
+      PAYOUT_STATUS.UNPAID,
+    );
+  });
+
+  it('treats an overpaid row as paid with nothing outstanding', () => {
+    expect(getPayoutStatus(row(500, 600))).toBe(PAYOUT_STATUS.PAID);
+    expect(getOutstanding(row(500, 600))).toBe(0);
+  });
+});
+
+describe('checkPayAmount', () => {
+  it('accepts part and full payments of the balance', () => {
+    expect(checkPayAmount(row(500, 200), 100)).toBeNull();
+    expect(checkPayAmount(row(500, 200), '300')).toBeNull();
+  });
+
+  it('rejects amounts above the balance', () => {
+    expect(checkPayAmount(row(500, 200), 300.5)).toBe('Only ₹300 is left to pay');
+  });
+
+  it('rejects empty, zero and negative amounts', () => {
+    ['', 'abc', 0, -50].forEach(amount => {
+      expect(checkPayAmount(row(500, 0), amount)).toBe('Enter the amount being paid');
+    });
+  });
+
+  it('rejects any payment on a row paid in full', () => {
+    expect(checkPayAmount(row(500, 500), 10)).toBe('This winner has already been paid in full');
+  });
+});
+
+describe('summarizePayouts', () => {
+  it('totals rows overall, by status and by agent', () => {
+    const summary = summarizePayouts([
+      row(500, 0, {sold_by: 'ravi'}),
+      row(300, 100, {sold_by: 'ravi'}),
+      row(200, 200, {sold_by: 'anu'}),
+      row(50, 0, {sold_by: null, created_by: 'anu'}),
+    ]);
+
+    expect(summary).toMatchObject({count: 4, won: 1050, paid: 300, outstanding: 750});
+    expect(summary.byStatus).toEqual({
+      [PAYOUT_STATUS.UNPAID]: 2,
+      [PAYOUT_STATUS.PARTIAL]: 1,
+      [PAYOUT_STATUS.PAID]: 1,
+    });
+    expect(summary.byAgent).toEqual([
+      {agent: 'ravi', count: 2, won: 800, paid: 100, outstanding: 700},
+      {agent: 'anu', count: 2, won: 250, paid: 200, outstanding: 50},
+    ]);
+  });
+
+  it('is all zeros without rows', () => {
+    expect(summarizePayouts(undefined)).toMatchObject({count: 0, won: 0, paid: 0, outstanding: 0, byAgent: []});
+  });
+});
@@ -0,0 +1,130 @@
+/**
+ * @format
+ */
+
+import {describe, expect, it, jest} from '@jest/globals';
+import {
+  RECEIPT_QR_PREFIX,
+  getCanonicalItems,
+  computeItemDigest,
+  getSignedMessage,
+  buildReceiptQr,
+  buildSaleReceiptQr,
+  parseReceiptQr,
+  compareReceiptToRecord,
+} from '../utils/receiptQr';
+
+jest.mock('../services/serverClock', () => ({
+  serverClock: {now: () => new Date(2026, 9, 18, 10, 0)},
+}));
+
+const items = [
+  {product_id: 2, desc: '456', qty: 3},
+  {product_id: 1, desc: '123, 132', qty: '2'},
+];
+
+const windowStart = new Date('2026-10-17T07:30:00Z');
+const windowEnd = new Date('2026-10-18T07:30:00Z');
+
+describe('getCanonicalItems', () => {
+  it('sorts product:desc:qty lines without whitespace', () => {
+    expect(getCanonicalItems(items)).toEqual(['1:123,132:2', '2:456:3']);
+    expect(getCanonicalItems([{product_id: 1, desc: null, qty: 'x'}])).toEqual(['1::0']);
+  });
+});
+
+describe('computeItemDigest', () => {
+  // Expected digests are 64-bit FNV-1a over UTF-16 char codes, worked out independently
+  it('is the 64-bit FNV-1a of the canonical lines', () => {
+    expect(computeItemDigest([])).toBe('cbf29ce484222325');
+    expect(computeItemDigest(items)).toBe('a33b42b0e2dac34a');
+  });
+
+  it('matches the reference on long and non-ASCII text', () => {
+    const long = [{product_id: 'ठ', desc: '9'.repeat(500), qty: 7}];
+    expect(getCanonicalItems(long)).toEqual([`ठ:${'9'.repeat(500)}:7`]);
+    expect(computeItemDigest(long)).toBe('19e05d7568933164');
+  });
+
+  it('does not depend on item order and changes with any item', () => {
+    expect(computeItemDigest([...items].reverse())).toBe(computeItemDigest(items));
+    expect(computeItemDigest([{...items[0], qty: 4}, items[1]])).not.toBe(computeItemDigest(items));
+  });
+});
+
+describe('buildReceiptQr / parseReceiptQr', () => {
+  it('round-trips a signed receipt', () => {
+    const digest = computeItemDigest(items);
+    const text = buildReceiptQr({invoiceNo: 'INV-42', windowStart, windowEnd, digest, signature: 'c2lnbg=='});
+
+    expect(text.startsWith(`${RECEIPT_QR_PREFIX}|INV-42|`)).toBe(true);
+    expect(parseReceiptQr(text)).toEqual({
+      invoiceNo: 'INV-42',
+      windowStart,
+      windowEnd,
+      digest,
+      signature: 'c2lnbg==',
+      signedMessage: getSignedMessage({invoiceNo: 'INV-42', windowStart, windowEnd, digest}),
+    });
+  });
+
+  it('drops the separator from invoice numbers and signatures', () => {
+    const text = buildReceiptQr({invoiceNo: 'A|1', digest: computeItemDigest([]), signature: 'x|y'});
+    expect(parseReceiptQr(text)).toMatchObject({invoiceNo: 'A1', windowStart: null, windowEnd: null, signature: 'xy'});
+  });
+
+  it('rejects other codes and malformed payloads', () => {
+    const digest = computeItemDigest(items);
+    expect(parseReceiptQr('https://example.com')).toBeNull();
+    expect(parseReceiptQr(`DK2|INV|a|b|${digest}|`)).toBeNull();
+    expect(parseReceiptQr(`DK1||a|b|${digest}|`)).toBeNull();
+    expect(parseReceiptQr('DK1|INV|a|b|nothex|')).toBeNull();
+    expect(parseReceiptQr(null)).toBeNull();
+  });
+});
+
+describe('buildSaleReceiptQr', () => {
+  it('prefers the window, digest and signature from the server', () => {
+    const receipt = {window_start: windowStart, window_end: windowEnd, digest: 'abcdef0123456789', signature: 'sig'};
+    const decoded = parseReceiptQr(buildSaleReceiptQr({invoiceNo: '7', items, receipt}));
+
+    expect(decoded).toMatchObject({windowStart, windowEnd, digest: 'abcdef0123456789', signature: 'sig'});
+  });
+
+  it('falls back to the local draw window and digest, unsigned', () => {
+    const category = {time_slots: ['3:00 PM']};
+    const decoded = parseReceiptQr(buildSaleReceiptQr({invoiceNo: 'PENDING', items, category}));
+
+    expect(decoded).toMatchObject({
+      windowStart: new Date(2026, 9, 17, 15, 0),
+      windowEnd: new Date(2026, 9, 18, 15, 0),
+      digest: computeItemDigest(items),
+      signature: '',
+    });
+  });
+});
+
+describe('compareReceiptToRecord', () => {
+  const decoded = parseReceiptQr(
+    buildReceiptQr({invoiceNo: 'INV-42', windowStart, windowEnd, digest: computeItemDigest(items), signature: 's'}),
+  );
+  const record = {invoice_number: 'INV-42', window_start: windowStart.toISOString(), window_end: windowEnd, items};
+
+  it('passes a receipt that matches the server record', () => {
+    expect(compareReceiptToRecord(decoded, record)).toEqual([]);
+  });
+
+  it('lists every difference', () => {
+    const changed = {
+      invoice_number: 'INV-43',
+      window_start: windowStart,
+      window_end: new Date(windowEnd.getTime() + 60000),
+      items: [...items, {product_id: 3, desc: '9', qty: 1}],
+    };
+    expect(compareReceiptToRecord(decoded, changed)).toEqual([
+      'Invoice number differs (server: INV-43)',
+      'Draw window differs from the sale',
+      'Items differ from the sale',
+    ]);
+  });
+});
@@ -0,0 +1,49 @@
+/**
+ * @format
+ */
+
+import {afterEach, describe, expect, it, jest} from '@jest/globals';
+import {Alert} from 'react-native';
+import {confirmReportComplete} from '../utils/reportPages';
+
+// Answer the alert with the button labelled `text`, or dismiss it
+const answerWith = text =>
+  jest.spyOn(Alert, 'alert').mockImplementation((title, message, buttons, options) => {
+    const button = buttons.find(b => b.text === text);
+    if (button) {
+      button.onPress();
+    } else {
+      options.onDismiss();
+    }
+  });
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('confirmReportComplete', () => {
+  it('goes ahead without asking when every row is loaded', async () => {
+    const alert = answerWith('Cancel');
+    await expect(confirmReportComplete(230, 230)).resolves.toBe(true);
+    await expect(confirmReportComplete(0, 0)).resolves.toBe(true);
+    expect(alert).not.toHaveBeenCalled();
+  });
+
+  it('asks when rows are missing', async () => {
+    const alert = answerWith('Continue');
+    await expect(confirmReportComplete(200, 230)).resolves.toBe(true);
+    expect(alert.mock.calls[0][0]).toBe('Report Incomplete');
+    expect(alert.mock.calls[0][1]).toBe(
+      'Only 200 of 230 sales could be loaded. Totals will not match the server summary.',
+    );
+  });
+
+  it('stops on cancel or dismiss', async () => {
+    answerWith('Cancel');
+    await expect(confirmReportComplete(200, 230)).resolves.toBe(false);
+
+    jest.restoreAllMocks();
+    answerWith(null);
+    await expect(confirmReportComplete(200, 230)).resolves.toBe(false);
+  });
+});
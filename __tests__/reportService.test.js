@@ -0,0 +1,109 @@
+/**
+ * @format
+ */
+
+import {beforeEach, describe, expect, it, jest} from '@jest/globals';
+import apiClient from '../services/index';
+import {SALES_REPORT_PAGE_SIZE, reportService} from '../services/reportService';
+
+jest.mock('../services/index', () => ({
+  __esModule: true,
+  default: {get: jest.fn()},
+}));
+
+const rows = (from, count) => Array.from({length: count}, (_, i) => ({id: from + i}));
+
+// Serve the given pages (1-based) with summary.total_records = total
+const servePages = (pages, total) => {
+  apiClient.get.mockImplementation(async (url, {params}) => ({
+    data: {
+      report: pages[params.page - 1] || [],
+      summary: total === undefined ? {} : {total_records: total},
+    },
+  }));
+};
+
+const requestedPages = () => apiClient.get.mock.calls.map(([, {params}]) => params.page);
+
+beforeEach(() => {
+  apiClient.get.mockReset();
+});
+
+describe('getSalesReportPage', () => {
+  it('asks for one page with the filters and the page size', async () => {
+    servePages([rows(1, 3)], 3);
+    const {data} = await reportService.getSalesReportPage({start_date: '2026-10-01'}, 1);
+
+    expect(apiClient.get).toHaveBeenCalledWith('/sales/report', {
+      params: {start_date: '2026-10-01', page: 1, limit: SALES_REPORT_PAGE_SIZE},
+    });
+    expect(data).toMatchObject({page: 1, has_more: false});
+    expect(data.report).toHaveLength(3);
+  });
+
+  it('has more after a full page until total_records is reached', async () => {
+    servePages([rows(1, SALES_REPORT_PAGE_SIZE), rows(101, SALES_REPORT_PAGE_SIZE)], 200);
+    expect((await reportService.getSalesReportPage({}, 1)).data.has_more).toBe(true);
+    expect((await reportService.getSalesReportPage({}, 2)).data.has_more).toBe(false);
+  });
+
+  it('keeps going on full pages when the server sends no total', async () => {
+    servePages([rows(1, SALES_REPORT_PAGE_SIZE)]);
+    expect((await reportService.getSalesReportPage({}, 1)).data.has_more).toBe(true);
+  });
+});
+
+describe('getAllSalesReport', () => {
+  it('loads every page and reports progress', async () => {
+    servePages([rows(1, 100), rows(101, 100), rows(201, 30)], 230);
+    const onProgress = jest.fn();
+    const {data} = await reportService.getAllSalesReport({}, {onProgress});
+
+    expect(requestedPages()).toEqual([1, 2, 3]);
+    expect(data.report).toHaveLength(230);
+    expect(data).toMatchObject({page: 3, has_more: false, expected: 230});
+    expect(onProgress.mock.calls).toEqual([
+      [100, 230],
+      [200, 230],
+      [230, 230],
+    ]);
+  });
+
+  it('drops rows already loaded on an earlier page', async () => {
+    // Sales made while paging shift rows onto the next page
+    servePages([rows(1, 100), rows(91, 100), rows(191, 15)], 205);
+    const {data} = await reportService.getAllSalesReport({});
+
+    expect(data.report).toHaveLength(205);
+    expect(new Set(data.report.map(r => r.id)).size).toBe(205);
+  });
+
+  it('stops at an empty page or a page that adds nothing', async () => {
+    servePages([rows(1, 100), []]);
+    expect((await reportService.getAllSalesReport({})).data).toMatchObject({page: 2, has_more: false, expected: 100});
+
+    apiClient.get.mockReset();
+    servePages([rows(1, 100), rows(1, 100), rows(101, 100)]);
+    const {data} = await reportService.getAllSalesReport({});
+    expect(requestedPages()).toEqual([1, 2]);
+    expect(data.report).toHaveLength(100);
+  });
+
+  it('continues after the pages already loaded', async () => {
+    servePages([rows(1, 100), rows(101, 100), rows(201, 10)], 210);
+    const initial = {report: rows(1, 100), summary: {total_records: 210}, page: 1, has_more: true};
+    const {data} = await reportService.getAllSalesReport({}, {initial});
+
+    expect(requestedPages()).toEqual([2, 3]);
+    expect(data.report).toHaveLength(210);
+  });
+
+  it('stops at maxPages and leaves the rest short of expected', async () => {
+    servePages([rows(1, 100), rows(101, 100), rows(201, 100)], 300);
+    const {data} = await reportService.getAllSalesReport({}, {maxPages: 2});
+
+    expect(requestedPages()).toEqual([1, 2]);
+    expect(data).toMatchObject({has_more: true, expected: 300});
+    expect(data.report).toHaveLength(200);
+  });
+});
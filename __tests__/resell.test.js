@@ -0,0 +1,69 @@
+/**
+ * @format
+ */
+
+import {describe, expect, it} from '@jest/globals';
+import {BOX_VARIANT} from '../utils/betTypes';
+import {buildResellRows} from '../utils/resell';
+
+const category = {id: 3, category_name: 'Kerala', time_slots: ['3:00 PM']};
+const products = [
+  {id: 11, product_code: 'KL', product_name: 'Kerala 4D', price: 12, digit_type: 4},
+  {id: 12, product_code: 'BX', product_name: 'Kerala Box', price: 10, digit_type: 3, box: 1},
+];
+
+const rowFields = ({product_id, lotteryNo, qty, desc, box_variant}) => ({product_id, lotteryNo, qty, desc, box_variant});
+
+describe('buildResellRows', () => {
+  it('takes the number and qty of a straight item on the current product', () => {
+    const {rows, flagged} = buildResellRows([{product_code: 'KL', desc: '1265', qty: 5}], category, products);
+
+    expect(rows.map(rowFields)).toEqual([{product_id: 11, lotteryNo: '1265', qty: '5', desc: '1265', box_variant: null}]);
+    expect(rows[0]).toMatchObject({category_id: 3, price: 12});
+    expect(flagged).toEqual([]);
+  });
+
+  it('rebuilds a box item from its first permutation', () => {
+    const {rows} = buildResellRows(
+      [{product_code: 'BX', desc: '123, 132, 213, 231, 312, 321', qty: 6, box_variant: BOX_VARIANT.FULL}],
+      category,
+      products,
+    );
+
+    expect(rows.map(rowFields)).toEqual([
+      {product_id: 12, lotteryNo: '123', qty: '6', desc: '123, 132, 213, 231, 312, 321', box_variant: BOX_VARIANT.FULL},
+    ]);
+  });
+
+  it('restores a custom box pick', () => {
+    const {rows} = buildResellRows(
+      [{product_code: 'BX', desc: '213, 321', qty: 2, box_variant: BOX_VARIANT.CUSTOM}],
+      category,
+      products,
+    );
+
+    expect(rows.map(rowFields)).toEqual([
+      {product_id: 12, lotteryNo: '213', qty: '2', desc: '213, 321', box_variant: BOX_VARIANT.CUSTOM},
+    ]);
+    expect(rows[0].permutations).toEqual(['213', '321']);
+  });
+
+  it('skips items whose product is gone', () => {
+    const gone = {product_name: 'Old Lottery', desc: '55', qty: 1};
+    const {rows, flagged} = buildResellRows([gone, {product_code: 'KL', desc: '7777', qty: 1}], category, products);
+
+    expect(rows.map(row => row.lotteryNo)).toEqual(['7777']);
+    expect(flagged).toEqual([{item: gone, skipped: true, reason: 'Old Lottery (55): product no longer available in Kerala'}]);
+  });
+
+  it('flags items moved over from a closed category but still adds them', () => {
+    const items = [
+      {product_code: 'KL', desc: '1111', qty: 1, category_name: 'Dear'},
+      {product_code: 'KL', desc: '2222', qty: 1, category_name: 'Super'},
+    ];
+    const {rows, flagged} = buildResellRows(items, category, products, new Set(['Dear']));
+
+    expect(rows).toHaveLength(2);
+    expect(flagged).toEqual([{item: items[0], skipped: false, reason: 'KL (1111): Dear is closed, added to Kerala'}]);
+  });
+});
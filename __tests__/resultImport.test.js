@@ -0,0 +1,195 @@
+/**
+ * @format
+ */
+
+import {describe, expect, it, jest} from '@jest/globals';
+import {
+  parsePosition,
+  parseResultDate,
+  parseResultSheet,
+  validateResultRows,
+  groupResultBatches,
+} from '../utils/resultImport';
+import {DRAW_POSITION} from '../utils/drawPositions';
+
+jest.mock('../services/serverClock', () => ({
+  serverClock: {now: () => new Date(2026, 9, 18, 12, 0)},
+}));
+
+const categories = [
+  {id: 1, category_name: 'Kerala', time_slots: ['3:00 PM']},
+  {id: 2, category_name: 'Dear', time_slots: ['1:00 PM', '8:00 PM']},
+];
+
+const row = (line, category, position, lotteryNumber, extra = {}) => ({
+  line,
+  category,
+  date: '2026-10-18',
+  time_slot: '3:00 PM',
+  position,
+  lottery_number: lotteryNumber,
+  ...extra,
+});
+
+const ymd = date => [date.getFullYear(), date.getMonth() + 1, date.getDate()];
+
+describe('parsePosition', () => {
+  it('reads numbers, ordinals and prize labels', () => {
+    expect(parsePosition('')).toBe(DRAW_POSITION.FIRST);
+    expect(parsePosition('1')).toBe(DRAW_POSITION.FIRST);
+    expect(parsePosition('2nd Prize')).toBe(DRAW_POSITION.SECOND);
+    expect(parsePosition(' Third ')).toBe(DRAW_POSITION.THIRD);
+    expect(parsePosition('Cons')).toBe(DRAW_POSITION.CONSOLATION);
+    expect(parsePosition(3)).toBe(DRAW_POSITION.THIRD);
+  });
+
+  it('rejects anything else', () => {
+    expect(parsePosition('4th')).toBeNull();
+    expect(parsePosition('winner')).toBeNull();
+  });
+});
+
+describe('parseResultDate', () => {
+  it('reads year-first and day-first text', () => {
+    expect(ymd(parseResultDate('2026-10-18'))).toEqual([2026, 10, 18]);
+    expect(ymd(parseResultDate('18/10/2026'))).toEqual([2026, 10, 18]);
+    expect(ymd(parseResultDate('8.1.2026'))).toEqual([2026, 1, 8]);
+  });
+
+  it('reads XLSX Date cells at local midnight', () => {
+    const date = parseResultDate(new Date(2026, 9, 18, 15, 30));
+    expect(ymd(date)).toEqual([2026, 10, 18]);
+    expect(date.getHours()).toBe(0);
+  });
+
+  it('rounds a Date a few seconds short of midnight to that day', () => {
+    expect(ymd(parseResultDate(new Date(2026, 9, 17, 23, 59, 50)))).toEqual([2026, 10, 18]);
+  });
+
+  it('reads Excel date serials as numbers or text', () => {
+    expect(ymd(parseResultDate(46313))).toEqual([2026, 10, 18]);
+    expect(ymd(parseResultDate('46313'))).toEqual([2026, 10, 18]);
+    expect(ymd(parseResultDate(46313.75))).toEqual([2026, 10, 18]);
+  });
+
+  it('rejects dates that do not exist and US-style short dates', () => {
+    expect(parseResultDate('2026-02-30')).toBeNull();
+    expect(parseResultDate('10/18/26')).toBeNull();
+    expect(parseResultDate(new Date('nope'))).toBeNull();
+    expect(parseResultDate('')).toBeNull();
+  });
+});
+
+describe('parseResultSheet', () => {
+  it('finds the header row and keeps Date cells as YYYY-MM-DD', () => {
+    const {rows, error} = parseResultSheet([
+      ['Results for Sunday'],
+      ['Category', 'Draw Date', 'Time Slot', 'Prize', 'Winning Number'],
+      ['Kerala', new Date(2026, 9, 18), '3:00 PM', '1st', '12 345'],
+      ['', '', '', '', ''],
+      ['Dear', 46313, '1:00 PM', '', '007'],
+    ]);
+
+    expect(error).toBeNull();
+    expect(rows).toEqual([
+      {line: 3, category: 'Kerala', date: '2026-10-18', time_slot: '3:00 PM', position: '1st', lottery_number: '12345'},
+      {line: 5, category: 'Dear', date: '2026-10-18', time_slot: '1:00 PM', position: '', lottery_number: '007'},
+    ]);
+  });
+
+  it('explains a sheet without the required columns', () => {
+    expect(parseResultSheet([['Category', 'Number']]).error).toMatch(/No header row/);
+  });
+});
+
+describe('validateResultRows', () => {
+  it('accepts a known category, slot and position', () => {
+    const [checked] = validateResultRows([row(2, 'kerala', '1', '12345')], categories);
+
+    expect(checked.errors).toEqual([]);
+    expect(checked).toMatchObject({category_id: 1, category_name: 'Kerala', position: DRAW_POSITION.FIRST});
+    expect(checked.window.end).toEqual(new Date(2026, 9, 18, 15, 0));
+    expect(checked.batchKey).toBe(`1|${new Date(2026, 9, 18, 15, 0).toISOString()}`);
+  });
+
+  it('rejects a slot the category does not draw at', () => {
+    const [checked] = validateResultRows([row(2, 'Kerala', '1', '12345', {time_slot: '1:00 PM'})], categories);
+
+    expect(checked.errors).toEqual(['Kerala has no 1:00 PM draw']);
+    expect(checked.batchKey).toBeNull();
+  });
+
+  it('lists every problem of a row', () => {
+    const [checked] = validateResultRows(
+      [row(2, 'Lotto', '9th', '12a', {date: '18/13/2026', time_slot: 'noon'})],
+      categories,
+    );
+
+    expect(checked.errors).toEqual([
+      'No active category "Lotto"',
+      'Date "18/13/2026" is not valid (use YYYY-MM-DD)',
+      'Time slot "noon" is not valid',
+      'Position "9th" is not valid (1st, 2nd, 3rd or Consolation)',
+      'Number "12a" must be digits only',
+    ]);
+  });
+
+  it('rejects a second number for a single position and a repeated number', () => {
+    const checked = validateResultRows(
+      [
+        row(2, 'Kerala', '1', '11111'),
+        row(3, 'Kerala', '1', '22222'),
+        row(4, 'Kerala', 'Consolation', '33333'),
+        row(5, 'Kerala', 'Consolation', '33333'),
+        row(6, 'Kerala', 'Consolation', '44444'),
+      ],
+      categories,
+    );
+
+    expect(checked.map(r => r.errors)).toEqual([
+      [],
+      ['Draw already has a 1st Prize number (row 2)'],
+      [],
+      ['33333 is already in this draw (row 4)'],
+      [],
+    ]);
+    expect(checked[1].batchKey).toBeNull();
+    expect(checked[3].batchKey).toBeNull();
+  });
+
+  it('checks positions per draw, not across draws', () => {
+    const checked = validateResultRows(
+      [row(2, 'Kerala', '1', '11111'), row(3, 'Kerala', '1', '11111', {date: '2026-10-17'})],
+      categories,
+    );
+
+    expect(checked.every(r => r.errors.length === 0)).toBe(true);
+  });
+});
+
+describe('groupResultBatches', () => {
+  it('groups valid rows per draw with the 1st prize first', () => {
+    const checked = validateResultRows(
+      [
+        row(2, 'Kerala', 'Consolation', '33333'),
+        row(3, 'Kerala', '2nd', '22222'),
+        row(4, 'Kerala', '1st', '11111'),
+        row(5, 'Dear', '1st', '555', {time_slot: '8:00 PM'}),
+        row(6, 'Nope', '1st', '999'),
+      ],
+      categories,
+    );
+    const batches = groupResultBatches(checked);
+
+    expect(batches).toHaveLength(2);
+    expect(batches[0].rows.map(r => r.lottery_number)).toEqual(['11111', '22222', '33333']);
+    expect(batches[0]).toMatchObject({category_id: 1, time_slot: '3:00 PM', error: null});
+    expect(batches[1]).toMatchObject({category_id: 2, time_slot: '8:00 PM', error: null});
+  });
+
+  it('flags a draw without a 1st prize', () => {
+    const [batch] = groupResultBatches(validateResultRows([row(2, 'Kerala', '2nd', '22222')], categories));
+
+    expect(batch.error).toBe('No 1st prize number for this draw');
+  });
+});
@@ -0,0 +1,111 @@
+/**
+ * @format
+ */
+
+import {afterEach, beforeEach, describe, expect, it, jest} from '@jest/globals';
+
+jest.mock('@react-native-async-storage/async-storage', () => {
+  const store = {};
+  return {
+    __esModule: true,
+    default: {
+      getItem: jest.fn(async key => (key in store ? store[key] : null)),
+      setItem: jest.fn(async (key, value) => {
+        store[key] = value;
+      }),
+    },
+  };
+});
+
+// Device clock: 18 Oct 2026 10:00:00 UTC
+const DEVICE_NOW = Date.UTC(2026, 9, 18, 10, 0, 0);
+
+let serverClock;
+let AsyncStorage;
+
+beforeEach(() => {
+  // The offset is module state: start every test from a fresh module
+  jest.resetModules();
+  jest.spyOn(Date, 'now').mockReturnValue(DEVICE_NOW);
+  serverClock = require('../services/serverClock').serverClock;
+  AsyncStorage = require('@react-native-async-storage/async-storage').default;
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('serverClock.updateFromResponse', () => {
+  it('takes the offset from the Date header', () => {
+    serverClock.updateFromResponse({date: 'Sun, 18 Oct 2026 10:00:05 GMT'}, {}, DEVICE_NOW);
+
+    expect(serverClock.getOffset()).toBe(5000);
+    expect(serverClock.nowMs()).toBe(DEVICE_NOW + 5000);
+    expect(serverClock.now()).toEqual(new Date(DEVICE_NOW + 5000));
+    expect(serverClock.getLastSyncedAt()).toBe(DEVICE_NOW);
+  });
+
+  it('is negative when the phone runs ahead of the server', () => {
+    serverClock.updateFromResponse({Date: 'Sun, 18 Oct 2026 09:58:00 GMT'}, {}, DEVICE_NOW);
+
+    expect(serverClock.getOffset()).toBe(-120000);
+    expect(serverClock.now()).toEqual(new Date(Date.UTC(2026, 9, 18, 9, 58, 0)));
+    expect(serverClock.isSkewed()).toBe(true);
+  });
+
+  it('prefers server_time from the body and measures from the middle of the round trip', () => {
+    serverClock.updateFromResponse(
+      {date: 'Sun, 18 Oct 2026 12:00:00 GMT'},
+      {data: {server_time: '2026-10-18T10:00:30.000Z'}},
+      DEVICE_NOW - 4000,
+    );
+
+    // Sent 4 s ago: the server stamped it 2 s ago on the device clock
+    expect(serverClock.getOffset()).toBe(32000);
+    expect(serverClock.isSkewed()).toBe(false);
+  });
+
+  it('falls back to the header when server_time is garbled', () => {
+    serverClock.updateFromResponse({date: 'Sun, 18 Oct 2026 10:00:10 GMT'}, {server_time: 'soon'}, DEVICE_NOW);
+    expect(serverClock.getOffset()).toBe(10000);
+  });
+
+  it('keeps the offset when the header is missing or garbled', () => {
+    const listener = jest.fn();
+    serverClock.subscribe(listener);
+
+    serverClock.updateFromResponse({}, {}, DEVICE_NOW);
+    serverClock.updateFromResponse({date: 'not a date'}, null, DEVICE_NOW);
+    serverClock.updateFromResponse(undefined, undefined, DEVICE_NOW);
+
+    expect(serverClock.getOffset()).toBe(0);
+    expect(serverClock.getLastSyncedAt()).toBeNull();
+    expect(serverClock.now()).toEqual(new Date(DEVICE_NOW));
+    expect(listener).not.toHaveBeenCalled();
+    expect(AsyncStorage.setItem).not.toHaveBeenCalled();
+  });
+
+  it('ignores changes under the header resolution and stores real ones', () => {
+    const listener = jest.fn();
+    serverClock.subscribe(listener);
+
+    serverClock.updateFromResponse({date: 'Sun, 18 Oct 2026 10:00:05 GMT'}, {}, DEVICE_NOW);
+    serverClock.updateFromResponse({}, {server_time: '2026-10-18T10:00:05.600Z'}, DEVICE_NOW);
+    expect(serverClock.getOffset()).toBe(5000);
+
+    serverClock.updateFromResponse({date: 'Sun, 18 Oct 2026 10:00:07 GMT'}, {}, DEVICE_NOW);
+    expect(serverClock.getOffset()).toBe(7000);
+    expect(listener.mock.calls).toEqual([[5000], [7000]]);
+    expect(JSON.parse(AsyncStorage.setItem.mock.calls[1][1])).toEqual({offset_ms: 7000, synced_at: DEVICE_NOW});
+  });
+});
+
+describe('serverClock.init', () => {
+  it('restores the stored offset', async () => {
+    await AsyncStorage.setItem('@lottery_clock_offset', JSON.stringify({offset_ms: -3000, synced_at: 123}));
+    await serverClock.init();
+
+    expect(serverClock.getOffset()).toBe(-3000);
+    expect(serverClock.getLastSyncedAt()).toBe(123);
+  });
+});
@@ -0,0 +1,78 @@
+/**
+ * @format
+ */
+
+import {describe, expect, it} from '@jest/globals';
+import {
+  DEFAULT_SHARE_TEMPLATE_ID,
+  SAMPLE_SHARE_SALE,
+  SHARE_TEMPLATE,
+  formatShareReport,
+  formatShareText,
+} from '../utils/shareTemplates';
+
+const items = SAMPLE_SHARE_SALE.items;
+
+describe('default template', () => {
+  // Expected text is the output of salesService.shareSalesData before templates
+  it('matches the original share layout', () => {
+    expect(DEFAULT_SHARE_TEMPLATE_ID).toBe(SHARE_TEMPLATE.SHOWTIME);
+    expect(formatShareText(DEFAULT_SHARE_TEMPLATE_ID, {items})).toBe(
+      [
+        '── 3:00 PM ──',
+        'KL  - 1265 =  1',
+        'KL  - 4521 =  5',
+        '',
+        '── 8:00 PM ──',
+        'Pol - 2569',
+        '      2596',
+        '      2659',
+        '      2695 = 24',
+      ].join('\n'),
+    );
+  });
+
+  it('sizes columns across show times and keeps rows without one', () => {
+    const mixed = [
+      {product_code: 'KL.110', desc: '12', qty: '3', time_slots: ['1:00 PM']},
+      {product_name: 'Dear Lottery', desc: '', qty: 10, index_type: 'AB', digit_type: 2},
+      {product_name: 'A', desc: ' 7 , 8 ', qty: 0, time_slots: ['1:00 PM']},
+    ];
+    expect(formatShareText(SHARE_TEMPLATE.SHOWTIME, {items: mixed})).toBe(
+      [
+        '── 1:00 PM ──',
+        'KL.110       - 12  =  3',
+        'A            - 7',
+        '               8   =  0',
+        '',
+        'Dear Lottery - N/A = 10',
+      ].join('\n'),
+    );
+  });
+
+  it('is used for unknown template ids', () => {
+    expect(formatShareText('gone', {items})).toBe(formatShareText(SHARE_TEMPLATE.SHOWTIME, {items}));
+  });
+});
+
+describe('other templates', () => {
+  it('lists numbers per product with the bet tag', () => {
+    expect(formatShareText(SHARE_TEMPLATE.COMPACT, {items})).toBe(
+      'KL: 1265x1, 4521x5\nPol BOX: 2569,2596,2659,2695x24',
+    );
+  });
+
+  it('adds rates, amounts and a total', () => {
+    const text = formatShareText(SHARE_TEMPLATE.AMOUNTS, {items});
+    expect(text.split('\n')[0]).toBe('KL - 1265  1 x ₹12 = ₹12');
+    expect(text.endsWith('Total: 30 tickets = ₹312')).toBe(true);
+  });
+
+  it('heads each invoice of a report share', () => {
+    const text = formatShareReport(SHARE_TEMPLATE.COMPACT, [
+      {invoiceNo: '7', items: [items[0]]},
+      {invoiceNo: null, items: [items[1]]},
+    ]);
+    expect(text).toBe('*Invoice 7*\nKL: 1265x1\n\n*Invoice N/A*\nKL: 4521x5');
+  });
+});
@@ -0,0 +1,35 @@
+/**
+ * @format
+ */
+
+import {describe, expect, it, jest} from '@jest/globals';
+import {DEFAULT_CUTOFF_WARNING_MINUTES, getCutoffWarningMinutes} from '../utils/timeSlots';
+
+jest.mock('../services/serverClock', () => ({
+  serverClock: {now: () => new Date(2026, 9, 18, 10, 0)},
+}));
+
+describe('getCutoffWarningMinutes', () => {
+  it('uses the default when the category sets none', () => {
+    expect(getCutoffWarningMinutes({cutoff_warning_minutes: null})).toBe(DEFAULT_CUTOFF_WARNING_MINUTES);
+    expect(getCutoffWarningMinutes({cutoff_warning_minutes: ''})).toBe(DEFAULT_CUTOFF_WARNING_MINUTES);
+    expect(getCutoffWarningMinutes(undefined)).toBe(DEFAULT_CUTOFF_WARNING_MINUTES);
+  });
+
+  it('reads arrays, JSON text and typed lists, largest first', () => {
+    expect(getCutoffWarningMinutes({cutoff_warning_minutes: [2, 15]})).toEqual([15, 2]);
+    expect(getCutoffWarningMinutes({cutoff_warning_minutes: '[30,"5"]'})).toEqual([30, 5]);
+    expect(getCutoffWarningMinutes({cutoff_warning_minutes: '5, 20 5,,1'})).toEqual([20, 5, 1]);
+  });
+
+  it('turns warnings off with 0 or an empty list', () => {
+    expect(getCutoffWarningMinutes({cutoff_warning_minutes: '0'})).toEqual([]);
+    expect(getCutoffWarningMinutes({cutoff_warning_minutes: '[]'})).toEqual([]);
+  });
+
+  it('falls back to the default on unreadable values', () => {
+    expect(getCutoffWarningMinutes({cutoff_warning_minutes: '[5,'})).toBe(DEFAULT_CUTOFF_WARNING_MINUTES);
+    expect(getCutoffWarningMinutes({cutoff_warning_minutes: '10, ten'})).toBe(DEFAULT_CUTOFF_WARNING_MINUTES);
+    expect(getCutoffWarningMinutes({cutoff_warning_minutes: [-1]})).toBe(DEFAULT_CUTOFF_WARNING_MINUTES);
+  });
+});
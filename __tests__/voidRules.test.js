@@ -0,0 +1,100 @@
+/**
+ * @format
+ */
+
+import {describe, expect, it, jest} from '@jest/globals';
+import {
+  DEFAULT_VOID_WINDOW_MINUTES,
+  isVoidedRow,
+  getVoidWindowMinutes,
+  getVoidDeadline,
+  checkVoidAllowed,
+} from '../utils/voidRules';
+
+jest.mock('../services/serverClock', () => ({
+  serverClock: {now: () => new Date('2026-10-18T09:00:00Z')},
+}));
+
+const soldAt = '2026-10-18T09:00:00Z';
+const at = minutes => new Date(new Date(soldAt).getTime() + minutes * 60000);
+
+const invoice = (extra = {}, itemExtra = {}) => ({
+  invoice_number: '42',
+  window_end: '2026-10-18T12:00:00Z',
+  items: [
+    {id: 1, created_at: soldAt, total: 20, ...itemExtra},
+    {id: 2, created_at: '2026-10-18T09:00:30Z', total: 10, ...itemExtra},
+  ],
+  ...extra,
+});
+
+describe('getVoidWindowMinutes', () => {
+  it('uses the category window, 0 included, else the default', () => {
+    expect(getVoidWindowMinutes({void_window_minutes: '15'})).toBe(15);
+    expect(getVoidWindowMinutes({void_window_minutes: 0})).toBe(0);
+    expect(getVoidWindowMinutes({void_window_minutes: null})).toBe(DEFAULT_VOID_WINDOW_MINUTES);
+    expect(getVoidWindowMinutes({void_window_minutes: -5})).toBe(DEFAULT_VOID_WINDOW_MINUTES);
+    expect(getVoidWindowMinutes(undefined)).toBe(DEFAULT_VOID_WINDOW_MINUTES);
+  });
+});
+
+describe('getVoidDeadline', () => {
+  it('runs the window from the first sale of the invoice', () => {
+    expect(getVoidDeadline(invoice(), {void_window_minutes: 15})).toEqual(at(15));
+  });
+
+  it('ends at the draw cutoff when that comes first', () => {
+    const nearDraw = invoice({window_end: '2026-10-18T09:05:00Z'});
+    expect(getVoidDeadline(nearDraw, {void_window_minutes: 15})).toEqual(at(3));
+  });
+
+  it('is null without a sale time', () => {
+    expect(getVoidDeadline(invoice({}, {created_at: 'not a date'}))).toBeNull();
+    expect(getVoidDeadline({items: []})).toBeNull();
+  });
+});
+
+describe('checkVoidAllowed', () => {
+  const category = {void_window_minutes: 10};
+
+  it('allows a void inside the window, on server time by default', () => {
+    expect(checkVoidAllowed(invoice(), category)).toEqual({allowed: true, reason: null, deadline: at(10)});
+    expect(checkVoidAllowed(invoice(), category, at(9)).allowed).toBe(true);
+  });
+
+  it('closes when the void window has passed', () => {
+    expect(checkVoidAllowed(invoice(), category, at(10))).toEqual({
+      allowed: false,
+      reason: 'Void window (10 min) has passed',
+      deadline: at(10),
+    });
+  });
+
+  it('closes at the draw cutoff', () => {
+    const nearDraw = invoice({window_end: '2026-10-18T09:05:00Z'});
+    expect(checkVoidAllowed(nearDraw, category, at(4)).reason).toBe('Draw cutoff has passed');
+  });
+
+  it('refuses void, paid, empty and unvoidable invoices', () => {
+    expect(checkVoidAllowed(invoice({}, {voided_at: soldAt}), category).reason).toBe('Invoice is already void');
+    expect(checkVoidAllowed(invoice({}, {winning_paid_amount: '50'}), category).reason).toBe(
+      'Winnings have been paid on this invoice',
+    );
+    expect(checkVoidAllowed(invoice({}, {deleted_at: soldAt}), category).reason).toBe('Invoice has no sales');
+    expect(checkVoidAllowed(invoice(), {void_window_minutes: 0}).reason).toBe('Voiding is turned off for this category');
+  });
+
+  it('ignores deleted rows when finding the sale time', () => {
+    const inv = invoice();
+    inv.items[0].deleted_at = soldAt;
+    expect(checkVoidAllowed(inv, category, at(9)).deadline).toEqual(new Date(at(10).getTime() + 30000));
+  });
+});
+
+describe('isVoidedRow', () => {
+  it('reads voided_at', () => {
+    expect(isVoidedRow({voided_at: soldAt})).toBe(true);
+    expect(isVoidedRow({voided_at: null})).toBe(false);
+    expect(isVoidedRow(undefined)).toBe(false);
+  });
+});
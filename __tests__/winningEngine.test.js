@@ -0,0 +1,267 @@
+/**
+ * @format
+ */
+
+import {describe, expect, it} from '@jest/globals';
+import {
+  INDEX_ROUND,
+  getSoldNumbers,
+  matchNumber,
+  computeWinnings,
+  compareWinnings,
+  getMatchKey,
+} from '../utils/winningEngine';
+import {DRAW_POSITION, summarizeDrawResult} from '../utils/drawPositions';
+import {simulateRisk} from '../utils/riskSimulation';
+
+const straight = {
+  box: 0,
+  index_type: null,
+  digit_type: 3,
+  winning_amounts: {1: 10, 2: 100, 3: 5000},
+};
+const box = {...straight, box: 1};
+const indexAB = {box: 0, index_type: 'AB', digit_type: 2, winning_amounts: {2: 700}};
+
+const sale = (id, product, desc, qty, extra = {}) => ({
+  id,
+  invoice_number: `INV${id}`,
+  product_id: 1,
+  product_name: 'P',
+  desc,
+  qty,
+  created_by: 'agent',
+  ...product,
+  ...extra,
+});
+
+describe('getSoldNumbers', () => {
+  it('keeps the typed qty for a single number', () => {
+    expect(getSoldNumbers({desc: '123', qty: 4})).toEqual([{number: '123', qty: 4}]);
+  });
+
+  it('spreads a box row over its permutations', () => {
+    expect(getSoldNumbers({desc: '123,132,213', qty: 3})).toEqual([
+      {number: '123', qty: 1},
+      {number: '132', qty: 1},
+      {number: '213', qty: 1},
+    ]);
+  });
+
+  it('covers nothing without a number', () => {
+    expect(getSoldNumbers({desc: '', qty: 2})).toEqual([]);
+  });
+});
+
+describe('matchNumber', () => {
+  it('pays the longest matching suffix of a straight number', () => {
+    expect(matchNumber(straight, '123', '45123')).toEqual({round: 3, level: 3, amount: 5000});
+    expect(matchNumber(straight, '923', '45123')).toEqual({round: 2, level: 2, amount: 100});
+    expect(matchNumber(straight, '993', '45123')).toEqual({round: 1, level: 1, amount: 10});
+    expect(matchNumber(straight, '999', '45123')).toBeNull();
+  });
+
+  it('skips levels the product has no prize for', () => {
+    const noLastDigit = {...straight, winning_amounts: JSON.stringify({2: 100, 3: 5000})};
+    expect(matchNumber(noLastDigit, '993', '45123')).toBeNull();
+    expect(matchNumber(noLastDigit, '923', '45123')).toEqual({round: 2, level: 2, amount: 100});
+  });
+
+  it('matches index bets on their positions from the end', () => {
+    // AB on 45123 → 3rd and 2nd last digits = "12"
+    expect(matchNumber(indexAB, '12', '45123')).toEqual({round: INDEX_ROUND, level: 2, amount: 700});
+    expect(matchNumber(indexAB, '23', '45123')).toBeNull();
+  });
+
+  it('does not match an index bet on a winning number that is too short', () => {
+    expect(matchNumber({index_type: 'A', winning_amounts: {1: 50}}, '1', '12')).toBeNull();
+  });
+});
+
+describe('computeWinnings', () => {
+  it('groups matches into rounds, longest first and index last', () => {
+    const result = computeWinnings({
+      winningNumber: '45123',
+      sales: [
+        sale(1, straight, '123', 2),
+        sale(2, straight, '923', 1),
+        sale(3, indexAB, '12', 3),
+        sale(4, straight, '456', 5),
+      ],
+    });
+
+    expect(result.rounds.map(r => r.digit_count)).toEqual([3, 2, INDEX_ROUND]);
+    expect(result.rounds[0]).toMatchObject({suffix: '123', count: 1, total_winning_amount: 10000});
+    expect(result.rounds[2]).toMatchObject({suffix: '', count: 1, total_winning_amount: 2100});
+    expect(result.total_winners).toBe(3);
+    expect(result.grand_total_winning_amount).toBe(10000 + 100 + 2100);
+    expect(result.is_winner).toBe(true);
+  });
+
+  it('pays each winning permutation of a box row once', () => {
+    const result = computeWinnings({
+      winningNumber: '45123',
+      sales: [sale(1, box, '123,132,213,231,312,321', 6)],
+    });
+
+    const exact = result.rounds.find(r => r.digit_count === 3);
+    expect(exact.matches).toHaveLength(1);
+    expect(exact.matches[0]).toMatchObject({lottery_number: '123', qty: 1, total_winning_amount: 5000});
+  });
+
+  it('ignores deleted and voided rows', () => {
+    const result = computeWinnings({
+      winningNumber: '45123',
+      sales: [
+        sale(1, straight, '123', 1, {deleted_at: '2026-01-01'}),
+        sale(2, straight, '123', 1, {voided_at: '2026-01-01'}),
+      ],
+    });
+
+    expect(result.is_winner).toBe(false);
+    expect(result.rounds).toEqual([]);
+  });
+
+  it('takes the prize setup from the product when the row has none', () => {
+    const row = {id: 9, product_id: 7, desc: '123', qty: 1, digit_type: 3};
+    const result = computeWinnings({
+      winningNumber: '123',
+      sales: [row],
+      products: [{id: 7, ...straight}],
+    });
+
+    expect(result.grand_total_winning_amount).toBe(5000);
+  });
+});
+
+describe('computeWinnings for other draw positions', () => {
+  const withPositions = {
+    ...straight,
+    position_winning_amounts: JSON.stringify({second: {3: 1000}, consolation: {3: 100}}),
+  };
+
+  it('pays from the position prize table', () => {
+    const result = computeWinnings({
+      winningNumber: '45123',
+      sales: [sale(1, withPositions, '123', 2), sale(2, withPositions, '923', 1)],
+      position: DRAW_POSITION.SECOND,
+    });
+
+    expect(result.total_winners).toBe(1);
+    expect(result.grand_total_winning_amount).toBe(2000);
+  });
+
+  it('pays nothing on a position without a prize table', () => {
+    const result = computeWinnings({
+      winningNumber: '45123',
+      sales: [sale(1, withPositions, '123', 1)],
+      position: DRAW_POSITION.THIRD,
+    });
+
+    expect(result.is_winner).toBe(false);
+  });
+
+  it('takes the position tables from the product when the row has none', () => {
+    const row = {id: 9, product_id: 7, desc: '123', qty: 1, ...straight};
+    const result = computeWinnings({
+      winningNumber: '123',
+      sales: [row],
+      products: [{id: 7, ...withPositions}],
+      position: DRAW_POSITION.CONSOLATION,
+    });
+
+    expect(result.grand_total_winning_amount).toBe(100);
+  });
+});
+
+describe('summarizeDrawResult', () => {
+  it('orders positions and adds up their totals', () => {
+    const summary = summarizeDrawResult([
+      {position: DRAW_POSITION.CONSOLATION, lottery_number: '11111', result: {total_winners: 1, grand_total_winning_amount: 100}},
+      {position: DRAW_POSITION.FIRST, lottery_number: '45123', result: {total_winners: 2, grand_total_winning_amount: '5000'}},
+      {position: DRAW_POSITION.SECOND, lottery_number: '99999', result: null},
+    ]);
+
+    expect(summary.positions.map(p => p.position)).toEqual([
+      DRAW_POSITION.FIRST,
+      DRAW_POSITION.SECOND,
+      DRAW_POSITION.CONSOLATION,
+    ]);
+    expect(summary.total_winners).toBe(3);
+    expect(summary.grand_total_winning_amount).toBe(5100);
+  });
+});
+
+describe('compareWinnings', () => {
+  const sales = [sale(1, straight, '123', 2), sale(2, straight, '923', 1)];
+  const expected = computeWinnings({winningNumber: '45123', sales});
+
+  it('passes when the server agrees', () => {
+    const result = compareWinnings(expected, JSON.parse(JSON.stringify(expected)));
+    expect(result.ok).toBe(true);
+    expect(result.problems).toEqual([]);
+  });
+
+  it('flags a wrong payout on a match', () => {
+    const actual = JSON.parse(JSON.stringify(expected));
+    actual.rounds[0].matches[0].total_winning_amount = 9000;
+    actual.rounds[0].total_winning_amount = 9000;
+    actual.grand_total_winning_amount = 9100;
+
+    const result = compareWinnings(expected, actual);
+    expect(result.ok).toBe(false);
+    expect(result.rounds.has(3)).toBe(true);
+    expect(result.matchKeys.has(getMatchKey(expected.rounds[0].matches[0]))).toBe(true);
+    expect(result.problems).toHaveLength(2);
+  });
+
+  it('flags matches missing from or added by the server', () => {
+    const actual = JSON.parse(JSON.stringify(expected));
+    actual.rounds[1].matches = [{id: 99, lottery_number: '023', invoice_number: 'X', total_winning_amount: 100}];
+
+    const result = compareWinnings(expected, actual);
+    expect(result.ok).toBe(false);
+    expect(result.rounds.has(2)).toBe(true);
+    expect(result.matchKeys.has('99|023')).toBe(true);
+    expect(result.matchKeys.has('2|923')).toBe(true);
+  });
+});
+
+describe('simulateRisk', () => {
+  const sales = [
+    sale(1, straight, '123', 2, {total: 20}),
+    sale(2, straight, '923', 1, {total: 10}),
+    sale(3, box, '456,465,546,564,645,654', 6, {total: 60}),
+    sale(4, indexAB, '12', 3, {total: 30}),
+    sale(5, straight, '777', 5, {total: 50, voided_at: '2024-01-01'}),
+  ];
+
+  it('pays each candidate what computeWinnings would', () => {
+    const risk = simulateRisk({sales, topN: 1000});
+
+    expect(risk.digits).toBe(3);
+    expect(risk.totalSales).toBe(120);
+    ['123', '923', '023', '465', '120', '003'].forEach(number => {
+      const expected = computeWinnings({winningNumber: number, sales});
+      const candidate = risk.candidates.find(c => c.number === number);
+      expect(candidate?.payout || 0).toBe(expected.grand_total_winning_amount);
+    });
+  });
+
+  it('ranks the riskiest results first with their net position', () => {
+    const risk = simulateRisk({sales, topN: 2});
+
+    expect(risk.candidates).toHaveLength(2);
+    expect(risk.candidates[0]).toEqual({number: '123', payout: 12200, tickets: 6, net: -12080});
+    expect(risk.candidates[1].payout).toBeLessThanOrEqual(risk.candidates[0].payout);
+  });
+
+  it('falls back to the product prize setup and qty × price', () => {
+    const product = {id: 1, price: 10, ...straight};
+    const row = {id: 9, product_id: 1, desc: '555', qty: 2};
+    const risk = simulateRisk({sales: [row], products: [product], topN: 1});
+
+    expect(risk.totalSales).toBe(20);
+    expect(risk.candidates[0]).toEqual({number: '555', payout: 10000, tickets: 2, net: -9980});
+  });
+});
@@ -0,0 +1,294 @@
+import React, { useState, useEffect } from 'react';
+import {
+    View,
+    Text,
+    StyleSheet,
+    TouchableOpacity,
+    Modal,
+    ScrollView
+} from 'react-native';
+import MaterialCommunityIcons from 'react-native-vector-icons/MaterialCommunityIcons';
+import {
+    BOX_VARIANT,
+    BOX_EXPANSIONS,
+    expandNumber,
+    getRepeatedDigits,
+    generatePermutations
+} from '../utils/betTypes';
+
+/**
+ * Permutation picker for a box row: full box, half box or a custom pick
+ * of the permutations. Hands the choice to onApply(variant, picked).
+ */
+const BoxVariantModal = ({ visible, row, onClose, onApply }) => {
+    const [variant, setVariant] = useState(BOX_VARIANT.FULL);
+    const [picked, setPicked] = useState([]);
+
+    const rowVariant = row?.box_variant;
+    const rowPermutations = row?.permutations;
+
+    useEffect(() => {
+        if (visible) {
+            setVariant(rowVariant || BOX_VARIANT.FULL);
+            setPicked(rowPermutations || []);
+        }
+    }, [visible, rowVariant, rowPermutations]);
+
+    if (!row) return null;
+
+    const digits = row.lotteryNo || '';
+    const candidates = expandNumber(row, digits, variant);
+    const numbers = BOX_EXPANSIONS[variant].picked
+        ? candidates.filter(n => picked.includes(n))
+        : candidates;
+
+    const fullCount = expandNumber(row, digits, BOX_VARIANT.FULL).length;
+    const repeated = getRepeatedDigits(digits);
+    const allCount = generatePermutations(digits.split('')).length;
+    const amount = numbers.length * (row.price || 0);
+
+    const togglePick = (number) => {
+        setPicked(prev => (prev.includes(number) ? prev.filter(n => n !== number) : [...prev, number]));
+    };
+
+    const selectVariant = (key) => {
+        // A custom pick starts from what the row covers now
+        if (key === BOX_VARIANT.CUSTOM && variant !== BOX_VARIANT.CUSTOM) {
+            setPicked(expandNumber(row, digits, variant));
+        }
+        setVariant(key);
+    };
+
+    return (
+        <Modal visible={visible} animationType="slide" transparent={true} onRequestClose={onClose}>
+            <View style={styles.overlay}>
+                <View style={styles.content}>
+                    <View style={styles.header}>
+                        <View>
+                            <Text style={styles.title}>Box Permutations</Text>
+                            <Text style={styles.subtitle}>{row.product_name} • {digits}</Text>
+                        </View>
+                        <TouchableOpacity style={{ padding: 4 }} onPress={onClose}>
+                            <MaterialCommunityIcons name="close" size={24} color="#666" />
+                        </TouchableOpacity>
+                    </View>
+
+                    <View style={styles.tabs}>
+                        {Object.values(BOX_EXPANSIONS).map(expansion => (
+                            <TouchableOpacity
+                                key={expansion.key}
+                                style={[styles.tab, variant === expansion.key && styles.tabActive]}
+                                onPress={() => selectVariant(expansion.key)}
+                            >
+                                <Text style={[styles.tabText, variant === expansion.key && styles.tabTextActive]}>
+                                    {expansion.label}
+                                </Text>
+                            </TouchableOpacity>
+                        ))}
+                    </View>
+
+                    {repeated.length > 0 && (
+                        <View style={styles.notice}>
+                            <MaterialCommunityIcons name="information-outline" size={16} color="#92400e" />
+                            <Text style={styles.noticeText}>
+                                Repeated digit{repeated.length > 1 ? 's' : ''} {repeated.join(', ')} — {fullCount} distinct permutations, not {allCount}.
+                            </Text>
+                        </View>
+                    )}
+
+                    {variant === BOX_VARIANT.CUSTOM && (
+                        <View style={styles.pickActions}>
+                            <Text style={styles.label}>Tap to pick permutations</Text>
+                            <TouchableOpacity onPress={() => setPicked(picked.length === candidates.length ? [] : candidates)}>
+                                <Text style={styles.pickAllText}>
+                                    {picked.length === candidates.length ? 'Clear' : 'Select All'}
+                                </Text>
+                            </TouchableOpacity>
+                        </View>
+                    )}
+
+                    <ScrollView style={styles.preview} contentContainerStyle={styles.chips}>
+                        {candidates.map(n => {
+                            const selected = numbers.includes(n);
+                            const chip = (
+                                <View key={n} style={[styles.chip, selected && styles.chipSelected]}>
+                                    <Text style={[styles.chipText, selected && styles.chipTextSelected]}>{n}</Text>
+                                </View>
+                            );
+                            return variant === BOX_VARIANT.CUSTOM ? (
+                                <TouchableOpacity key={n} onPress={() => togglePick(n)}>{chip}</TouchableOpacity>
+                            ) : chip;
+                        })}
+                    </ScrollView>
+
+                    <View style={styles.summary}>
+                        <Text style={styles.summaryText}>
+                            {numbers.length} of {fullCount} permutation(s)
+                        </Text>
+                        <Text style={styles.summaryTotal}>₹{Math.round(amount)}</Text>
+                    </View>
+
+                    <TouchableOpacity
+                        style={[styles.primaryButton, numbers.length === 0 && { opacity: 0.5 }]}
+                        disabled={numbers.length === 0}
+                        onPress={() => onApply(variant, numbers)}
+                    >
+                        <MaterialCommunityIcons name="cube-outline" size={20} color="#fff" />
+                        <Text style={styles.primaryButtonText}>Apply {BOX_EXPANSIONS[variant].label}</Text>
+                    </TouchableOpacity>
+                </View>
+            </View>
+        </Modal>
+    );
+};
+
+const styles = StyleSheet.create({
+    overlay: {
+        flex: 1,
+        backgroundColor: 'rgba(0,0,0,0.5)',
+        justifyContent: 'flex-end',
+    },
+    content: {
+        backgroundColor: '#fff',
+        borderTopLeftRadius: 24,
+        borderTopRightRadius: 24,
+        padding: 20,
+        maxHeight: '90%',
+    },
+    header: {
+        flexDirection: 'row',
+        justifyContent: 'space-between',
+        alignItems: 'flex-start',
+        marginBottom: 12,
+    },
+    title: {
+        fontSize: 20,
+        fontWeight: 'bold',
+        color: '#1a1a1a',
+    },
+    subtitle: {
+        fontSize: 14,
+        color: '#3a48c2',
+        marginTop: 4,
+        fontWeight: '600',
+    },
+    tabs: {
+        flexDirection: 'row',
+        backgroundColor: '#F0F1FF',
+        borderRadius: 10,
+        padding: 4,
+        marginBottom: 14,
+    },
+    tab: {
+        flex: 1,
+        paddingVertical: 8,
+        borderRadius: 8,
+        alignItems: 'center',
+    },
+    tabActive: {
+        backgroundColor: '#3a48c2',
+    },
+    tabText: {
+        fontSize: 14,
+        fontWeight: '600',
+        color: '#3a48c2',
+    },
+    tabTextActive: {
+        color: '#fff',
+    },
+    notice: {
+        flexDirection: 'row',
+        alignItems: 'center',
+        gap: 6,
+        backgroundColor: '#FEF3C7',
+        borderRadius: 8,
+        padding: 8,
+        marginBottom: 10,
+    },
+    noticeText: {
+        flex: 1,
+        fontSize: 12,
+        color: '#92400e',
+        fontWeight: '600',
+    },
+    label: {
+        fontSize: 13,
+        fontWeight: '600',
+        color: '#444',
+    },
+    pickActions: {
+        flexDirection: 'row',
+        justifyContent: 'space-between',
+        alignItems: 'center',
+        marginBottom: 6,
+    },
+    pickAllText: {
+        fontSize: 13,
+        fontWeight: '700',
+        color: '#3a48c2',
+    },
+    preview: {
+        maxHeight: 220,
+        padding: 8,
+        backgroundColor: '#F0F1FF',
+        borderRadius: 8,
+        borderWidth: 1,
+        borderColor: '#D0D4FF',
+    },
+    chips: {
+        flexDirection: 'row',
+        flexWrap: 'wrap',
+        gap: 6,
+    },
+    chip: {
+        backgroundColor: '#fff',
+        paddingHorizontal: 8,
+        paddingVertical: 4,
+        borderRadius: 4,
+        borderWidth: 1,
+        borderColor: '#D0D4FF',
+    },
+    chipSelected: {
+        borderColor: '#3a48c2',
+        backgroundColor: '#3a48c2',
+    },
+    chipText: {
+        fontSize: 14,
+        fontWeight: 'bold',
+        color: '#999',
+    },
+    chipTextSelected: {
+        color: '#fff',
+    },
+    summary: {
+        flexDirection: 'row',
+        justifyContent: 'space-between',
+        alignItems: 'center',
+        paddingVertical: 12,
+    },
+    summaryText: {
+        fontSize: 14,
+        color: '#666',
+    },
+    summaryTotal: {
+        fontSize: 18,
+        fontWeight: 'bold',
+        color: '#3a48c2',
+    },
+    primaryButton: {
+        flexDirection: 'row',
+        alignItems: 'center',
+        justifyContent: 'center',
+        gap: 8,
+        backgroundColor: '#3a48c2',
+        borderRadius: 12,
+        paddingVertical: 14,
+    },
+    primaryButtonText: {
+        color: '#fff',
+        fontSize: 16,
+        fontWeight: 'bold',
+    },
+});
+
+export default BoxVariantModal;
@@ -0,0 +1,432 @@
+import React, { useState } from 'react';
+import {
+    View,
+    Text,
+    StyleSheet,
+    ScrollView,
+    TouchableOpacity,
+    TextInput,
+    Modal,
+    Alert,
+    ActivityIndicator,
+    KeyboardAvoidingView,
+    Platform
+} from 'react-native';
+import MaterialCommunityIcons from 'react-native-vector-icons/MaterialCommunityIcons';
+import { parseBulkEntry } from '../utils/bulkEntryParser';
+import { getInputLength, isBoxBet, expandNumber, BOX_MIN_DIGITS } from '../utils/betTypes';
+
+// Why a preview row cannot be added yet (null when it is fine)
+const getRowIssue = (row) => {
+    if (!row.product) return row.error || 'Pick a product';
+    const len = getInputLength(row.product);
+    if (len > 0 && row.lotteryNo.length !== len) return `Needs exactly ${len} digits`;
+    if (isBoxBet(row.product) && row.lotteryNo.length < BOX_MIN_DIGITS) return `Box needs at least ${BOX_MIN_DIGITS} digits`;
+    if (!isBoxBet(row.product) && !(parseInt(row.qty, 10) >= 1)) return 'Qty must be at least 1';
+    return null;
+};
+
+const getRowQty = (row) => {
+    if (row.product && isBoxBet(row.product)) {
+        return expandNumber(row.product, row.lotteryNo).length;
+    }
+    return parseInt(row.qty, 10) || 0;
+};
+
+/**
+ * Paste-and-parse entry for SalesScreen.
+ * Parses order text into rows, lets the seller fix them, then hands the
+ * mapped rows ({ product, lotteryNo, qty }) to onAddRows.
+ */
+const BulkEntryModal = ({ visible, onClose, products, isLoadingProducts, categoryName, onAddRows }) => {
+    const [text, setText] = useState('');
+    const [rows, setRows] = useState(null);
+    const [pickerRowKey, setPickerRowKey] = useState(null);
+
+    const reset = () => {
+        setText('');
+        setRows(null);
+        setPickerRowKey(null);
+    };
+
+    const handleClose = () => {
+        reset();
+        onClose();
+    };
+
+    const handleParse = () => {
+        if (!text.trim()) {
+            Alert.alert('Bulk Entry', 'Paste or type the order first');
+            return;
+        }
+        const parsed = parseBulkEntry(text, products);
+        if (parsed.length === 0) {
+            Alert.alert('Bulk Entry', 'No lottery numbers found in the text');
+            return;
+        }
+        setRows(parsed);
+    };
+
+    const updateRow = (key, changes) => {
+        setRows(prev => prev.map(r => (r.key === key ? { ...r, ...changes } : r)));
+    };
+
+    const handlePickProduct = (key, product) => {
+        const row = rows.find(r => r.key === key);
+        const len = getInputLength(product);
+        const digits = len > 0 ? row.lotteryNo.slice(0, len) : row.lotteryNo;
+        updateRow(key, { product, lotteryNo: digits, qty: row.qty || '1', error: null });
+        setPickerRowKey(null);
+    };
+
+    const handleAdd = () => {
+        const ready = rows.filter(r => !getRowIssue(r));
+        const skipped = rows.length - ready.length;
+
+        const add = () => {
+            onAddRows(ready.map(r => ({ product: r.product, lotteryNo: r.lotteryNo, qty: r.qty })));
+            reset();
+        };
+
+        if (ready.length === 0) {
+            Alert.alert('Bulk Entry', 'Fix the highlighted rows before adding them to the cart');
+            return;
+        }
+        if (skipped > 0) {
+            Alert.alert(
+                'Some Rows Skipped',
+                `${skipped} highlighted row(s) will not be added. Add the other ${ready.length}?`,
+                [
+                    { text: 'Cancel', style: 'cancel' },
+                    { text: 'Add', onPress: add }
+                ]
+            );
+            return;
+        }
+        add();
+    };
+
+    const readyRows = rows ? rows.filter(r => !getRowIssue(r)) : [];
+    const previewTotal = readyRows.reduce((sum, r) => sum + ((r.product.price || 0) * getRowQty(r)), 0);
+
+    return (
+        <Modal visible={visible} animationType="slide" transparent={true} onRequestClose={handleClose}>
+            <KeyboardAvoidingView
+                behavior={Platform.OS === 'ios' ? 'padding' : 'height'}
+                style={styles.overlay}
+            >
+                <View style={styles.content}>
+                    <View style={styles.header}>
+                        <View>
+                            <Text style={styles.title}>Bulk Entry</Text>
+                            {categoryName ? <Text style={styles.subtitle}>{categoryName}</Text> : null}
+                        </View>
+                        <TouchableOpacity style={{ padding: 4 }} onPress={handleClose}>
+                            <MaterialCommunityIcons name="close" size={24} color="#666" />
+                        </TouchableOpacity>
+                    </View>
+
+                    {isLoadingProducts ? (
+                        <View style={styles.loading}>
+                            <ActivityIndicator size="large" color="#3a48c2" />
+                        </View>
+                    ) : rows === null ? (
+                        <>
+                            <Text style={styles.hint}>
+                                Paste the order, e.g. "1234-5, 5678x2, 123 box, A 5" or a shared sale.
+                            </Text>
+                            <TextInput
+                                style={styles.textArea}
+                                placeholder="Paste order text here"
+                                placeholderTextColor="#999"
+                                value={text}
+                                onChangeText={setText}
+                                multiline
+                                textAlignVertical="top"
+                            />
+                            <TouchableOpacity style={styles.primaryButton} onPress={handleParse}>
+                                <MaterialCommunityIcons name="text-search" size={20} color="#fff" />
+                                <Text style={styles.primaryButtonText}>Parse</Text>
+                            </TouchableOpacity>
+                        </>
+                    ) : (
+                        <>
+                            <ScrollView style={{ flexGrow: 0 }} keyboardShouldPersistTaps="handled">
+                                {rows.map(row => {
+                                    const issue = getRowIssue(row);
+                                    const box = row.product && isBoxBet(row.product);
+                                    return (
+                                        <View key={row.key} style={[styles.row, issue && styles.rowError]}>
+                                            <View style={styles.rowTop}>
+                                                <TouchableOpacity
+                                                    style={styles.productChip}
+                                                    onPress={() => setPickerRowKey(pickerRowKey === row.key ? null : row.key)}
+                                                >
+                                                    <Text style={row.product ? styles.productChipText : styles.productChipPlaceholder} numberOfLines={1}>
+                                                        {row.product
+                                                            ? `${row.product.product_name}${row.product.index_type ? ` [${row.product.index_type}]` : ''}`
+                                                            : 'Select product'}
+                                                    </Text>
+                                                    <MaterialCommunityIcons name="chevron-down" size={16} color="#3a48c2" />
+                                                </TouchableOpacity>
+                                                <TextInput
+                                                    style={styles.numberInput}
+                                                    value={row.lotteryNo}
+                                                    onChangeText={(t) => updateRow(row.key, { lotteryNo: t.replace(/[^0-9]/g, '') })}
+                                                    keyboardType="numeric"
+                                                    placeholder="No."
+                                                />
+                                                <TextInput
+                                                    style={[styles.qtyInput, box && { backgroundColor: '#E8E8E8' }]}
+                                                    value={box ? String(getRowQty(row) || '') : String(row.qty || '')}
+                                                    onChangeText={(t) => updateRow(row.key, { qty: t.replace(/[^0-9]/g, '') })}
+                                                    keyboardType="numeric"
+                                                    placeholder="Qty"
+                                                    editable={!box}
+                                                />
+                                                <TouchableOpacity
+                                                    style={{ padding: 4 }}
+                                                    onPress={() => setRows(prev => prev.filter(r => r.key !== row.key))}
+                                                >
+                                                    <MaterialCommunityIcons name="close-circle" size={22} color="#dc2626" />
+                                                </TouchableOpacity>
+                                            </View>
+                                            <Text style={styles.rowSource} numberOfLines={1}>"{row.source}"</Text>
+                                            {issue && (
+                                                <Text style={styles.rowIssue}>
+                                                    <MaterialCommunityIcons name="alert-circle-outline" size={12} /> {issue}
+                                                </Text>
+                                            )}
+                                            {pickerRowKey === row.key && (
+                                                <View style={styles.picker}>
+                                                    {products.map(p => (
+                                                        <TouchableOpacity key={p.id} style={styles.pickerItem} onPress={() => handlePickProduct(row.key, p)}>
+                                                            <Text style={styles.pickerItemText}>
+                                                                {p.product_name}
+                                                                {p.index_type ? ` [${p.index_type}]` : ''}
+                                                                {isBoxBet(p) ? ' (Box)' : ''}
+                                                            </Text>
+                                                            <Text style={styles.pickerItemMeta}>{getInputLength(p) || '-'} digit</Text>
+                                                        </TouchableOpacity>
+                                                    ))}
+                                                </View>
+                                            )}
+                                        </View>
+                                    );
+                                })}
+                            </ScrollView>
+
+                            <View style={styles.summary}>
+                                <Text style={styles.summaryText}>
+                                    {readyRows.length}/{rows.length} ready
+                                </Text>
+                                <Text style={styles.summaryTotal}>₹{Math.round(previewTotal)}</Text>
+                            </View>
+
+                            <View style={styles.actions}>
+                                <TouchableOpacity style={styles.secondaryButton} onPress={() => setRows(null)}>
+                                    <Text style={styles.secondaryButtonText}>Edit Text</Text>
+                                </TouchableOpacity>
+                                <TouchableOpacity style={[styles.primaryButton, { flex: 1, marginTop: 0 }]} onPress={handleAdd}>
+                                    <MaterialCommunityIcons name="cart-plus" size={20} color="#fff" />
+                                    <Text style={styles.primaryButtonText}>Add to Cart</Text>
+                                </TouchableOpacity>
+                            </View>
+                        </>
+                    )}
+                </View>
+            </KeyboardAvoidingView>
+        </Modal>
+    );
+};
+
+const styles = StyleSheet.create({
+    overlay: {
+        flex: 1,
+        backgroundColor: 'rgba(0,0,0,0.5)',
+        justifyContent: 'flex-end',
+    },
+    content: {
+        backgroundColor: '#fff',
+        borderTopLeftRadius: 24,
+        borderTopRightRadius: 24,
+        padding: 20,
+        maxHeight: '90%',
+    },
+    header: {
+        flexDirection: 'row',
+        justifyContent: 'space-between',
+        alignItems: 'flex-start',
+        marginBottom: 12,
+    },
+    title: {
+        fontSize: 20,
+        fontWeight: 'bold',
+        color: '#1a1a1a',
+    },
+    subtitle: {
+        fontSize: 14,
+        color: '#3a48c2',
+        marginTop: 4,
+        fontWeight: '600',
+    },
+    loading: {
+        paddingVertical: 40,
+        alignItems: 'center',
+    },
+    hint: {
+        fontSize: 13,
+        color: '#666',
+        marginBottom: 10,
+    },
+    textArea: {
+        borderWidth: 1,
+        borderColor: '#E0E0E0',
+        borderRadius: 12,
+        padding: 12,
+        minHeight: 160,
+        fontSize: 15,
+        color: '#1a1a1a',
+        backgroundColor: '#F8F9FD',
+    },
+    primaryButton: {
+        flexDirection: 'row',
+        alignItems: 'center',
+        justifyContent: 'center',
+        gap: 8,
+        backgroundColor: '#3a48c2',
+        borderRadius: 12,
+        paddingVertical: 14,
+        marginTop: 16,
+    },
+    primaryButtonText: {
+        color: '#fff',
+        fontSize: 16,
+        fontWeight: 'bold',
+    },
+    secondaryButton: {
+        borderWidth: 1,
+        borderColor: '#3a48c2',
+        borderRadius: 12,
+        paddingVertical: 14,
+        paddingHorizontal: 16,
+        justifyContent: 'center',
+    },
+    secondaryButtonText: {
+        color: '#3a48c2',
+        fontSize: 15,
+        fontWeight: '600',
+    },
+    row: {
+        borderWidth: 1,
+        borderColor: '#E0E0E0',
+        borderRadius: 10,
+        padding: 8,
+        marginBottom: 8,
+        backgroundColor: '#fff',
+    },
+    rowError: {
+        borderColor: '#ef4444',
+        backgroundColor: '#fef2f2',
+    },
+    rowTop: {
+        flexDirection: 'row',
+        alignItems: 'center',
+        gap: 6,
+    },
+    productChip: {
+        flex: 1,
+        flexDirection: 'row',
+        alignItems: 'center',
+        justifyContent: 'space-between',
+        backgroundColor: '#F0F1FF',
+        borderRadius: 8,
+        paddingHorizontal: 8,
+        paddingVertical: 8,
+    },
+    productChipText: {
+        flex: 1,
+        fontSize: 13,
+        fontWeight: '600',
+        color: '#1a1a1a',
+    },
+    productChipPlaceholder: {
+        flex: 1,
+        fontSize: 13,
+        color: '#999',
+    },
+    numberInput: {
+        width: 70,
+        borderWidth: 1,
+        borderColor: '#E0E0E0',
+        borderRadius: 8,
+        paddingHorizontal: 6,
+        paddingVertical: 6,
+        fontSize: 14,
+        fontWeight: 'bold',
+        color: '#1a1a1a',
+        backgroundColor: '#fff',
+    },
+    qtyInput: {
+        width: 50,
+        borderWidth: 1,
+        borderColor: '#E0E0E0',
+        borderRadius: 8,
+        paddingHorizontal: 6,
+        paddingVertical: 6,
+        fontSize: 14,
+        color: '#1a1a1a',
+        backgroundColor: '#fff',
+    },
+    rowSource: {
+        fontSize: 11,
+        color: '#888',
+        marginTop: 4,
+    },
+    rowIssue: {
+        color: '#ef4444',
+        fontSize: 11,
+        marginTop: 2,
+        fontWeight: '600',
+    },
+    picker: {
+        marginTop: 6,
+        borderTopWidth: 1,
+        borderTopColor: '#eee',
+    },
+    pickerItem: {
+        flexDirection: 'row',
+        justifyContent: 'space-between',
+        paddingVertical: 8,
+        paddingHorizontal: 4,
+    },
+    pickerItemText: {
+        fontSize: 13,
+        color: '#1a1a1a',
+    },
+    pickerItemMeta: {
+        fontSize: 12,
+        color: '#888',
+    },
+    summary: {
+        flexDirection: 'row',
+        justifyContent: 'space-between',
+        alignItems: 'center',
+        paddingVertical: 10,
+    },
+    summaryText: {
+        fontSize: 14,
+        color: '#666',
+    },
+    summaryTotal: {
+        fontSize: 18,
+        fontWeight: 'bold',
+        color: '#3a48c2',
+    },
+    actions: {
+        flexDirection: 'row',
+        gap: 10,
+    },
+});
+
+export default BulkEntryModal;
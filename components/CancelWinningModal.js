@@ -0,0 +1,260 @@
+import React, { useState, useEffect } from 'react';
+import {
+    View,
+    Text,
+    StyleSheet,
+    ScrollView,
+    TouchableOpacity,
+    TextInput,
+    Modal,
+    Alert,
+    ActivityIndicator,
+    KeyboardAvoidingView,
+    Platform
+} from 'react-native';
+import MaterialCommunityIcons from 'react-native-vector-icons/MaterialCommunityIcons';
+import { winningService } from '../services/winningService';
+
+const CANCEL_REASONS = ['Wrong number', 'Wrong category', 'Wrong draw', 'Result corrected'];
+
+/**
+ * Cancel a submitted winning entry with a reason (admin only).
+ * Hands the cancelled entry to onCancelled ({ entry, reason, cancelledAt,
+ * cancelledBy }) so the caller can refresh and offer a re-check.
+ */
+const CancelWinningModal = ({ visible, entry, onClose, onCancelled }) => {
+    const [reason, setReason] = useState('');
+    const [isCancelling, setIsCancelling] = useState(false);
+
+    useEffect(() => {
+        if (visible) setReason('');
+    }, [visible]);
+
+    const submitCancel = async () => {
+        setIsCancelling(true);
+        try {
+            const response = await winningService.cancelWinningEntry(entry.id, { reason: reason.trim() });
+            const data = response.data || {};
+            onCancelled({
+                entry,
+                reason: data.cancel_reason || reason.trim(),
+                cancelledAt: data.cancelled_at || new Date().toISOString(),
+                cancelledBy: data.cancelled_by || null,
+            });
+        } catch (error) {
+            console.error('Cancel winning entry error:', error);
+            Alert.alert('Cancel Failed', error.response?.data?.message || 'Failed to cancel winning entry');
+        } finally {
+            setIsCancelling(false);
+        }
+    };
+
+    const handleCancel = () => {
+        if (!reason.trim()) {
+            Alert.alert('Reason Required', 'Enter why this winning entry is being cancelled');
+            return;
+        }
+        Alert.alert(
+            'Cancel Winning Entry',
+            `Cancel the ${entry.category_name || ''} entry for ${entry.lottery_number}? Its payouts are withdrawn until the draw is submitted again.`,
+            [
+                { text: 'Keep', style: 'cancel' },
+                { text: 'Cancel Entry', style: 'destructive', onPress: submitCancel }
+            ]
+        );
+    };
+
+    if (!entry) return null;
+
+    return (
+        <Modal visible={visible} animationType="slide" transparent={true} onRequestClose={onClose}>
+            <KeyboardAvoidingView
+                behavior={Platform.OS === 'ios' ? 'padding' : 'height'}
+                style={styles.overlay}
+            >
+                <View style={styles.content}>
+                    <View style={styles.header}>
+                        <View>
+                            <Text style={styles.title}>Cancel Winning Entry</Text>
+                            <Text style={styles.subtitle}>
+                                {entry.category_name || 'Category'} · {entry.time_slot || '-'}
+                            </Text>
+                        </View>
+                        <TouchableOpacity style={{ padding: 4 }} onPress={onClose} disabled={isCancelling}>
+                            <MaterialCommunityIcons name="close" size={24} color="#666" />
+                        </TouchableOpacity>
+                    </View>
+
+                    <ScrollView style={{ flexGrow: 0 }} keyboardShouldPersistTaps="handled">
+                        <View style={styles.summary}>
+                            <View>
+                                <Text style={styles.summaryLabel}>Winning No: {entry.lottery_number}</Text>
+                                <Text style={styles.summaryText}>
+                                    {entry.total_winners || 0} winner(s) · by {entry.submitted_by || '-'}
+                                </Text>
+                            </View>
+                            <Text style={styles.summaryTotal}>
+                                ₹{Math.round(parseFloat(entry.grand_total_winning_amount) || 0).toLocaleString('en-IN')}
+                            </Text>
+                        </View>
+
+                        <Text style={styles.label}>Reason *</Text>
+                        <View style={styles.chips}>
+                            {CANCEL_REASONS.map(option => (
+                                <TouchableOpacity
+                                    key={option}
+                                    style={[styles.chip, reason === option && styles.chipActive]}
+                                    onPress={() => setReason(option)}
+                                >
+                                    <Text style={[styles.chipText, reason === option && styles.chipTextActive]}>
+                                        {option}
+                                    </Text>
+                                </TouchableOpacity>
+                            ))}
+                        </View>
+                        <TextInput
+                            style={styles.textArea}
+                            placeholder="Why is this entry being cancelled?"
+                            placeholderTextColor="#999"
+                            value={reason}
+                            onChangeText={setReason}
+                            maxLength={120}
+                            multiline
+                            textAlignVertical="top"
+                        />
+
+                        <TouchableOpacity
+                            style={[styles.cancelButton, (isCancelling || !reason.trim()) && styles.cancelButtonDisabled]}
+                            onPress={handleCancel}
+                            disabled={isCancelling}
+                        >
+                            {isCancelling ? (
+                                <ActivityIndicator color="#fff" />
+                            ) : (
+                                <>
+                                    <MaterialCommunityIcons name="trophy-broken" size={20} color="#fff" />
+                                    <Text style={styles.cancelButtonText}>Cancel Entry</Text>
+                                </>
+                            )}
+                        </TouchableOpacity>
+                    </ScrollView>
+                </View>
+            </KeyboardAvoidingView>
+        </Modal>
+    );
+};
+
+const styles = StyleSheet.create({
+    overlay: {
+        flex: 1,
+        backgroundColor: 'rgba(0,0,0,0.5)',
+        justifyContent: 'flex-end',
+    },
+    content: {
+        backgroundColor: '#fff',
+        borderTopLeftRadius: 24,
+        borderTopRightRadius: 24,
+        padding: 20,
+        maxHeight: '90%',
+    },
+    header: {
+        flexDirection: 'row',
+        justifyContent: 'space-between',
+        alignItems: 'flex-start',
+        marginBottom: 12,
+    },
+    title: {
+        fontSize: 20,
+        fontWeight: 'bold',
+        color: '#1a1a1a',
+    },
+    subtitle: {
+        fontSize: 14,
+        color: '#3a48c2',
+        marginTop: 4,
+        fontWeight: '600',
+    },
+    summary: {
+        flexDirection: 'row',
+        justifyContent: 'space-between',
+        alignItems: 'center',
+        backgroundColor: '#F8F9FD',
+        borderRadius: 12,
+        padding: 12,
+    },
+    summaryLabel: {
+        fontSize: 15,
+        fontWeight: '600',
+        color: '#1a1a1a',
+    },
+    summaryText: {
+        fontSize: 13,
+        color: '#666',
+        marginTop: 2,
+    },
+    summaryTotal: {
+        fontSize: 18,
+        fontWeight: 'bold',
+        color: '#059669',
+    },
+    label: {
+        fontSize: 14,
+        fontWeight: '600',
+        color: '#333',
+        marginTop: 16,
+        marginBottom: 8,
+    },
+    chips: {
+        flexDirection: 'row',
+        flexWrap: 'wrap',
+        gap: 8,
+        marginBottom: 10,
+    },
+    chip: {
+        backgroundColor: '#F0F1FF',
+        borderRadius: 16,
+        paddingHorizontal: 12,
+        paddingVertical: 6,
+    },
+    chipActive: {
+        backgroundColor: '#3a48c2',
+    },
+    chipText: {
+        fontSize: 13,
+        color: '#3a48c2',
+        fontWeight: '500',
+    },
+    chipTextActive: {
+        color: '#fff',
+    },
+    textArea: {
+        borderWidth: 1,
+        borderColor: '#E0E0E0',
+        borderRadius: 12,
+        padding: 12,
+        minHeight: 80,
+        fontSize: 15,
+        color: '#1a1a1a',
+        backgroundColor: '#F8F9FD',
+    },
+    cancelButton: {
+        flexDirection: 'row',
+        alignItems: 'center',
+        justifyContent: 'center',
+        gap: 8,
+        backgroundColor: '#dc2626',
+        borderRadius: 12,
+        paddingVertical: 14,
+        marginTop: 16,
+    },
+    cancelButtonDisabled: {
+        opacity: 0.6,
+    },
+    cancelButtonText: {
+        color: '#fff',
+        fontSize: 16,
+        fontWeight: 'bold',
+    },
+});
+
+export default CancelWinningModal;
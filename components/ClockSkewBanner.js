@@ -0,0 +1,56 @@
+import React, { useState, useEffect } from 'react';
+import { StyleSheet, Text, View } from 'react-native';
+import MaterialCommunityIcons from 'react-native-vector-icons/MaterialCommunityIcons';
+import { serverClock, CLOCK_SKEW_WARNING_MS } from '../services/serverClock';
+
+const formatSkew = (ms) => {
+    const totalSeconds = Math.round(Math.abs(ms) / 1000);
+    const hours = Math.floor(totalSeconds / 3600);
+    const minutes = Math.floor((totalSeconds % 3600) / 60);
+    if (hours > 0) return `${hours}h ${minutes}m`;
+    if (minutes > 0) return `${minutes} min`;
+    return `${totalSeconds} sec`;
+};
+
+// Warning shown while the phone clock differs from the server clock
+const ClockSkewBanner = ({ style }) => {
+    const [offset, setOffset] = useState(serverClock.getOffset());
+
+    useEffect(() => serverClock.subscribe(setOffset), []);
+
+    if (Math.abs(offset) <= CLOCK_SKEW_WARNING_MS) return null;
+
+    return (
+        <View style={[styles.banner, style]}>
+            <MaterialCommunityIcons name="clock-alert-outline" size={18} color="#92400e" />
+            <Text style={styles.text}>
+                Phone clock is {formatSkew(offset)} {offset > 0 ? 'behind' : 'ahead of'} the server.
+                Draw times use server time.
+            </Text>
+        </View>
+    );
+};
+
+const styles = StyleSheet.create({
+    banner: {
+        flexDirection: 'row',
+        alignItems: 'center',
+        gap: 8,
+        backgroundColor: '#FEF3C7',
+        borderColor: '#F59E0B',
+        borderWidth: 1,
+        borderRadius: 10,
+        paddingHorizontal: 12,
+        paddingVertical: 8,
+        marginHorizontal: 20,
+        marginBottom: 8,
+    },
+    text: {
+        flex: 1,
+        fontSize: 12,
+        color: '#92400e',
+        fontWeight: '600',
+    },
+});
+
+export default ClockSkewBanner;
@@ -0,0 +1,113 @@
+import React, { useState, useEffect, useRef } from 'react';
+import { StyleSheet, Text, View } from 'react-native';
+import MaterialCommunityIcons from 'react-native-vector-icons/MaterialCommunityIcons';
+import { serverClock } from '../services/serverClock';
+import { DEFAULT_CUTOFF_WARNING_MINUTES } from '../utils/timeSlots';
+
+const formatRemaining = (ms) => {
+    const totalSeconds = Math.max(0, Math.ceil(ms / 1000));
+    const hours = Math.floor(totalSeconds / 3600);
+    const minutes = Math.floor((totalSeconds % 3600) / 60);
+    const seconds = totalSeconds % 60;
+    if (hours > 0) return `${hours}h ${minutes}m`;
+    return `${minutes}:${String(seconds).padStart(2, '0')}`;
+};
+
+const getColors = (ms, thresholds) => {
+    if (ms <= 0) return { fg: '#666', bg: '#E8E8E8' };
+    if (thresholds.length === 0) return { fg: '#3a48c2', bg: '#F0F1FF' };
+    const minutes = ms / 60000;
+    if (minutes <= Math.min(...thresholds)) return { fg: '#dc2626', bg: '#FEE2E2' };
+    if (minutes <= Math.max(...thresholds)) return { fg: '#c2410c', bg: '#FFEDD5' };
+    return { fg: '#15803d', bg: '#DCFCE7' };
+};
+
+/**
+ * Live countdown to `target` on the server clock.
+ *
+ * onThreshold(minutes) fires once per warning threshold crossed (only the
+ * tightest one when the badge mounts already inside several), onExpire once
+ * when the target passes. Pass a stable `thresholds` array (see
+ * getCutoffWarningMinutes); a new one restarts the timer.
+ */
+const CountdownBadge = ({
+    target,
+    thresholds = DEFAULT_CUTOFF_WARNING_MINUTES,
+    onThreshold,
+    onExpire,
+    label,
+    expiredLabel = 'Closed',
+    style
+}) => {
+    const targetMs = target ? target.getTime() : null;
+    const [remaining, setRemaining] = useState(targetMs === null ? null : targetMs - serverClock.nowMs());
+
+    // Latest callbacks without restarting the timer on every parent render
+    const onThresholdRef = useRef(onThreshold);
+    const onExpireRef = useRef(onExpire);
+    onThresholdRef.current = onThreshold;
+    onExpireRef.current = onExpire;
+
+    useEffect(() => {
+        if (targetMs === null) return undefined;
+
+        const fired = new Set();
+        let expired = false;
+
+        const tick = () => {
+            const ms = targetMs - serverClock.nowMs();
+            setRemaining(ms);
+
+            if (ms <= 0) {
+                if (!expired) {
+                    expired = true;
+                    if (onExpireRef.current) onExpireRef.current();
+                }
+                return;
+            }
+
+            const crossed = thresholds.filter(min => ms <= min * 60000 && !fired.has(min));
+            if (crossed.length > 0) {
+                crossed.forEach(min => fired.add(min));
+                if (onThresholdRef.current) onThresholdRef.current(Math.min(...crossed));
+            }
+        };
+
+        tick();
+        const interval = setInterval(tick, 1000);
+        return () => clearInterval(interval);
+    }, [targetMs, thresholds]);
+
+    if (remaining === null) return null;
+
+    const colors = getColors(remaining, thresholds);
+    const isExpired = remaining <= 0;
+
+    return (
+        <View style={[styles.badge, { backgroundColor: colors.bg }, style]}>
+            <MaterialCommunityIcons name={isExpired ? 'lock-clock' : 'timer-outline'} size={11} color={colors.fg} />
+            <Text style={[styles.text, { color: colors.fg }]} numberOfLines={1}>
+                {isExpired ? expiredLabel : `${label ? `${label} ` : ''}${formatRemaining(remaining)}`}
+            </Text>
+        </View>
+    );
+};
+
+const styles = StyleSheet.create({
+    badge: {
+        flexDirection: 'row',
+        alignItems: 'center',
+        alignSelf: 'center',
+        gap: 3,
+        paddingHorizontal: 6,
+        paddingVertical: 2,
+        borderRadius: 8,
+    },
+    text: {
+        fontSize: 10,
+        fontWeight: '700',
+        fontVariant: ['tabular-nums'],
+    },
+});
+
+export default CountdownBadge;
@@ -115,6 +115,19 @@ const CustomDrawer = (props) => {
                     </View>
                 </TouchableOpacity>
 
+                {/* Share Format Button */}
+                <TouchableOpacity
+                    style={styles.printerButton}
+                    onPress={() => props.navigation.navigate('ShareSettings')}
+                    activeOpacity={0.7}
+                >
+                    <View style={styles.printerButtonInner}>
+                        <MaterialCommunityIcons name="share-variant-outline" size={20} color="#3a48c2" />
+                        <Text style={styles.printerButtonText}>Share Format</Text>
+                        <MaterialCommunityIcons name="chevron-right" size={20} color="#999" />
+                    </View>
+                </TouchableOpacity>
+
                 <TouchableOpacity
                     style={styles.logoutButton}
                     onPress={handleLogout}
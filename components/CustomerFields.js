@@ -0,0 +1,188 @@
+import React, { useState, useEffect, useRef } from 'react';
+import {
+    View,
+    Text,
+    StyleSheet,
+    TextInput,
+    TouchableOpacity,
+    ActivityIndicator
+} from 'react-native';
+import MaterialCommunityIcons from 'react-native-vector-icons/MaterialCommunityIcons';
+import { customerService } from '../services/customerService';
+
+// Wait for typing to pause before searching past invoices
+const SEARCH_DELAY_MS = 350;
+
+/**
+ * Optional customer name / phone with autocomplete from recent customers
+ * and past invoices. Controlled: value = { name, phone }, onChange(next).
+ * onOpenHistory(customer) shows the history link once a customer is set.
+ */
+const CustomerFields = ({ value, onChange, onOpenHistory, editable = true, remote = true }) => {
+    const customer = value || { name: '', phone: '' };
+    const [query, setQuery] = useState('');
+    const [suggestions, setSuggestions] = useState([]);
+    const [isSearching, setIsSearching] = useState(false);
+    const searchIdRef = useRef(0);
+
+    useEffect(() => {
+        if (query.trim().length < 2) {
+            searchIdRef.current += 1;
+            setSuggestions([]);
+            setIsSearching(false);
+            return undefined;
+        }
+        const searchId = ++searchIdRef.current;
+        const timer = setTimeout(async () => {
+            setIsSearching(true);
+            const results = await customerService.search(query, { remote });
+            // Drop results of a query the seller has already typed past
+            if (searchId !== searchIdRef.current) return;
+            setSuggestions(results);
+            setIsSearching(false);
+        }, SEARCH_DELAY_MS);
+        return () => clearTimeout(timer);
+    }, [query, remote]);
+
+    const updateField = (field, text) => {
+        onChange({ ...customer, [field]: text });
+        setQuery(text);
+    };
+
+    const pickSuggestion = (suggestion) => {
+        onChange({ name: suggestion.name || '', phone: suggestion.phone || '' });
+        searchIdRef.current += 1;
+        setQuery('');
+        setSuggestions([]);
+        setIsSearching(false);
+    };
+
+    const selected = customerService.normalize(customer);
+
+    return (
+        <View style={styles.container}>
+            <View style={styles.header}>
+                <MaterialCommunityIcons name="account-outline" size={16} color="#3a48c2" />
+                <Text style={styles.headerText}>Customer (optional)</Text>
+                {isSearching && <ActivityIndicator size="small" color="#3a48c2" style={{ marginLeft: 6 }} />}
+                {!!selected && !!onOpenHistory && (
+                    <TouchableOpacity style={styles.historyLink} onPress={() => onOpenHistory(selected)}>
+                        <MaterialCommunityIcons name="history" size={14} color="#3a48c2" />
+                        <Text style={styles.historyLinkText}>History</Text>
+                    </TouchableOpacity>
+                )}
+            </View>
+
+            <View style={styles.row}>
+                <TextInput
+                    style={[styles.input, { flex: 3 }]}
+                    placeholder="Name"
+                    value={customer.name}
+                    onChangeText={(text) => updateField('name', text)}
+                    editable={editable}
+                    autoCapitalize="words"
+                />
+                <TextInput
+                    style={[styles.input, { flex: 2 }]}
+                    placeholder="Phone"
+                    value={customer.phone}
+                    onChangeText={(text) => updateField('phone', text.replace(/[^0-9+]/g, ''))}
+                    editable={editable}
+                    keyboardType="phone-pad"
+                    maxLength={15}
+                />
+            </View>
+
+            {suggestions.length > 0 && (
+                <View style={styles.suggestions}>
+                    {suggestions.map(s => (
+                        <TouchableOpacity
+                            key={`${s.phone}-${s.name}`}
+                            style={styles.suggestion}
+                            onPress={() => pickSuggestion(s)}
+                        >
+                            <MaterialCommunityIcons name="account-circle-outline" size={18} color="#888" />
+                            <Text style={styles.suggestionName} numberOfLines={1}>{s.name || 'No name'}</Text>
+                            {!!s.phone && <Text style={styles.suggestionPhone}>{s.phone}</Text>}
+                        </TouchableOpacity>
+                    ))}
+                </View>
+            )}
+        </View>
+    );
+};
+
+const styles = StyleSheet.create({
+    container: {
+        marginTop: 16,
+    },
+    header: {
+        flexDirection: 'row',
+        alignItems: 'center',
+        gap: 4,
+        marginBottom: 8,
+    },
+    headerText: {
+        fontSize: 13,
+        fontWeight: '600',
+        color: '#444',
+    },
+    historyLink: {
+        flexDirection: 'row',
+        alignItems: 'center',
+        gap: 3,
+        marginLeft: 'auto',
+        paddingHorizontal: 8,
+        paddingVertical: 3,
+        borderRadius: 8,
+        backgroundColor: '#F0F1FF',
+    },
+    historyLinkText: {
+        fontSize: 12,
+        fontWeight: '700',
+        color: '#3a48c2',
+    },
+    row: {
+        flexDirection: 'row',
+        gap: 8,
+    },
+    input: {
+        backgroundColor: '#F5F7FA',
+        borderRadius: 8,
+        paddingHorizontal: 10,
+        paddingVertical: 10,
+        fontSize: 15,
+        color: '#1a1a1a',
+        borderWidth: 1,
+        borderColor: '#E0E0E0',
+    },
+    suggestions: {
+        marginTop: 6,
+        borderRadius: 8,
+        borderWidth: 1,
+        borderColor: '#D0D4FF',
+        backgroundColor: '#fff',
+        overflow: 'hidden',
+    },
+    suggestion: {
+        flexDirection: 'row',
+        alignItems: 'center',
+        gap: 8,
+        paddingHorizontal: 10,
+        paddingVertical: 10,
+        borderBottomWidth: 1,
+        borderBottomColor: '#f0f0f0',
+    },
+    suggestionName: {
+        flex: 1,
+        fontSize: 14,
+        fontWeight: '600',
+        color: '#1a1a1a',
+    },
+    suggestionPhone: {
+        fontSize: 13,
+        color: '#666',
+    },
+});
+
+export default CustomerFields;
@@ -0,0 +1,309 @@
+import React, { useState, useEffect } from 'react';
+import {
+    View,
+    Text,
+    StyleSheet,
+    ScrollView,
+    TouchableOpacity,
+    TextInput,
+    Modal,
+    Alert,
+    ActivityIndicator,
+    KeyboardAvoidingView,
+    Platform,
+    ToastAndroid
+} from 'react-native';
+import MaterialCommunityIcons from 'react-native-vector-icons/MaterialCommunityIcons';
+import { winningService } from '../services/winningService';
+import { authService } from '../services';
+import PrinterService from '../printer/PrinterService';
+import { formatPayoutVoucher } from '../printer/cpclReceiptFormatter';
+import { getBetLabel } from '../utils/betTypes';
+import { checkPayAmount, getOutstanding, getPaidAmount, getWonAmount } from '../utils/payouts';
+
+const formatAmount = (value) => `₹${Math.round(parseFloat(value) || 0).toLocaleString('en-IN')}`;
+
+/**
+ * Pay a winner, in full or in part, and print the payout voucher.
+ * `payout` is one winning sale line ({ sale_id, invoice_number, category_name,
+ * winning_number, product_name, lottery_number, qty, total_winning_amount,
+ * paid_amount }). The updated row goes to onPaid once the payment is saved —
+ * a voucher that fails to print does not undo it.
+ */
+const PayWinnerModal = ({ visible, payout, navigation, onClose, onPaid }) => {
+    const [amount, setAmount] = useState('');
+    const [isPaying, setIsPaying] = useState(false);
+
+    useEffect(() => {
+        if (visible && payout) setAmount(String(Math.round(getOutstanding(payout) * 100) / 100));
+    }, [visible, payout]);
+
+    const printVoucher = async (row, paidNow) => {
+        try {
+            const { user: userData } = await authService.getAuthData();
+            const receiptBytes = formatPayoutVoucher({
+                username: row.paid_by || userData?.name || userData?.username || 'User',
+                invoiceNo: row.invoice_number,
+                paidAt: row.paid_at || new Date(),
+                categoryName: row.category_name,
+                winningNumber: row.winning_number,
+                items: [row],
+                paidNow,
+                paidTotal: getPaidAmount(row),
+                wonAmount: getWonAmount(row),
+            }, '80');
+            await PrinterService.printWithPersistentConnection(receiptBytes);
+
+            if (Platform.OS === 'android') {
+                ToastAndroid.show('Winner paid. Voucher printed.', ToastAndroid.SHORT);
+            }
+        } catch (error) {
+            console.error('[Print Payout] Error:', error);
+            const msg = error.message || 'Failed to print payout voucher';
+
+            if (msg.includes('No printer configured')) {
+                Alert.alert(
+                    'Winner Paid',
+                    'No printer configured, so the payout voucher was not printed. Would you like to set up a printer?',
+                    [
+                        { text: 'Later', style: 'cancel' },
+                        { text: 'Setup', onPress: () => navigation?.navigate('PrinterSettings') }
+                    ]
+                );
+            } else if (Platform.OS === 'android') {
+                ToastAndroid.show(`Print: ${msg}`, ToastAndroid.LONG);
+            }
+        }
+    };
+
+    const submitPay = async (value) => {
+        setIsPaying(true);
+        try {
+            const response = await winningService.payWinner({ sale_id: payout.sale_id, amount: value });
+            const data = response.data || {};
+            const row = {
+                ...payout,
+                ...data,
+                paid_amount: data.paid_amount ?? getPaidAmount(payout) + value,
+            };
+            onPaid(row);
+            printVoucher(row, value);
+        } catch (error) {
+            console.error('Pay winner error:', error);
+            Alert.alert('Payment Failed', error.response?.data?.message || 'Failed to record the payout');
+        } finally {
+            setIsPaying(false);
+        }
+    };
+
+    const handlePay = () => {
+        const problem = checkPayAmount(payout, amount);
+        if (problem) {
+            Alert.alert('Pay Winner', problem);
+            return;
+        }
+        const value = parseFloat(amount);
+        const remaining = getOutstanding(payout) - value;
+        Alert.alert(
+            'Pay Winner',
+            `Pay ${formatAmount(value)} on invoice ${payout.invoice_number}?` +
+                (remaining >= 0.01 ? ` ${formatAmount(remaining)} will still be due.` : ''),
+            [
+                { text: 'Back', style: 'cancel' },
+                { text: 'Pay', onPress: () => submitPay(value) }
+            ]
+        );
+    };
+
+    if (!payout) return null;
+
+    const outstanding = getOutstanding(payout);
+    const betLabel = getBetLabel(payout);
+
+    return (
+        <Modal visible={visible} animationType="slide" transparent={true} onRequestClose={onClose}>
+            <KeyboardAvoidingView
+                behavior={Platform.OS === 'ios' ? 'padding' : 'height'}
+                style={styles.overlay}
+            >
+                <View style={styles.content}>
+                    <View style={styles.header}>
+                        <View>
+                            <Text style={styles.title}>Pay Winner</Text>
+                            <Text style={styles.subtitle}>
+                                Invoice #{payout.invoice_number} · {payout.category_name || 'Category'}
+                            </Text>
+                        </View>
+                        <TouchableOpacity style={{ padding: 4 }} onPress={onClose} disabled={isPaying}>
+                            <MaterialCommunityIcons name="close" size={24} color="#666" />
+                        </TouchableOpacity>
+                    </View>
+
+                    <ScrollView style={{ flexGrow: 0 }} keyboardShouldPersistTaps="handled">
+                        <View style={styles.summary}>
+                            <View style={{ flex: 1 }}>
+                                <Text style={styles.summaryLabel}>
+                                    {payout.lottery_number} · {payout.product_name}{betLabel ? ` ${betLabel}` : ''}
+                                </Text>
+                                <Text style={styles.summaryText}>
+                                    x{payout.qty || 0}{payout.winning_number ? ` · Winning No ${payout.winning_number}` : ''}
+                                </Text>
+                            </View>
+                            <Text style={styles.summaryTotal}>{formatAmount(getWonAmount(payout))}</Text>
+                        </View>
+
+                        <View style={styles.amountRow}>
+                            <Text style={styles.amountLabel}>Paid so far</Text>
+                            <Text style={styles.amountValue}>{formatAmount(getPaidAmount(payout))}</Text>
+                        </View>
+                        <View style={styles.amountRow}>
+                            <Text style={styles.amountLabel}>Outstanding</Text>
+                            <Text style={[styles.amountValue, { color: '#c2410c' }]}>{formatAmount(outstanding)}</Text>
+                        </View>
+
+                        <Text style={styles.label}>Amount to pay *</Text>
+                        <TextInput
+                            style={styles.input}
+                            placeholder="Amount"
+                            placeholderTextColor="#999"
+                            value={amount}
+                            onChangeText={setAmount}
+                            keyboardType="decimal-pad"
+                            maxLength={10}
+                        />
+                        <Text style={styles.hint}>Pay less than the outstanding amount to record a part payment.</Text>
+
+                        <TouchableOpacity
+                            style={[styles.payButton, isPaying && styles.payButtonDisabled]}
+                            onPress={handlePay}
+                            disabled={isPaying}
+                        >
+                            {isPaying ? (
+                                <ActivityIndicator color="#fff" />
+                            ) : (
+                                <>
+                                    <MaterialCommunityIcons name="cash-fast" size={20} color="#fff" />
+                                    <Text style={styles.payButtonText}>Pay & Print Voucher</Text>
+                                </>
+                            )}
+                        </TouchableOpacity>
+                    </ScrollView>
+                </View>
+            </KeyboardAvoidingView>
+        </Modal>
+    );
+};
+
+const styles = StyleSheet.create({
+    overlay: {
+        flex: 1,
+        backgroundColor: 'rgba(0,0,0,0.5)',
+        justifyContent: 'flex-end',
+    },
+    content: {
+        backgroundColor: '#fff',
+        borderTopLeftRadius: 24,
+        borderTopRightRadius: 24,
+        padding: 20,
+        maxHeight: '90%',
+    },
+    header: {
+        flexDirection: 'row',
+        justifyContent: 'space-between',
+        alignItems: 'flex-start',
+        marginBottom: 12,
+    },
+    title: {
+        fontSize: 20,
+        fontWeight: 'bold',
+        color: '#1a1a1a',
+    },
+    subtitle: {
+        fontSize: 14,
+        color: '#3a48c2',
+        marginTop: 4,
+        fontWeight: '600',
+    },
+    summary: {
+        flexDirection: 'row',
+        justifyContent: 'space-between',
+        alignItems: 'center',
+        backgroundColor: '#F8F9FD',
+        borderRadius: 12,
+        padding: 12,
+        marginBottom: 8,
+    },
+    summaryLabel: {
+        fontSize: 15,
+        fontWeight: '600',
+        color: '#1a1a1a',
+    },
+    summaryText: {
+        fontSize: 13,
+        color: '#666',
+        marginTop: 2,
+    },
+    summaryTotal: {
+        fontSize: 18,
+        fontWeight: 'bold',
+        color: '#059669',
+    },
+    amountRow: {
+        flexDirection: 'row',
+        justifyContent: 'space-between',
+        paddingVertical: 6,
+        paddingHorizontal: 4,
+    },
+    amountLabel: {
+        fontSize: 14,
+        color: '#666',
+    },
+    amountValue: {
+        fontSize: 15,
+        fontWeight: '600',
+        color: '#1a1a1a',
+    },
+    label: {
+        fontSize: 14,
+        fontWeight: '600',
+        color: '#333',
+        marginTop: 12,
+        marginBottom: 8,
+    },
+    input: {
+        borderWidth: 1,
+        borderColor: '#E0E0E0',
+        borderRadius: 12,
+        paddingHorizontal: 12,
+        paddingVertical: 10,
+        fontSize: 18,
+        fontWeight: '600',
+        color: '#1a1a1a',
+        backgroundColor: '#F8F9FD',
+    },
+    hint: {
+        fontSize: 12,
+        color: '#888',
+        marginTop: 6,
+    },
+    payButton: {
+        flexDirection: 'row',
+        alignItems: 'center',
+        justifyContent: 'center',
+        gap: 8,
+        backgroundColor: '#059669',
+        borderRadius: 12,
+        paddingVertical: 14,
+        marginTop: 16,
+    },
+    payButtonDisabled: {
+        opacity: 0.6,
+    },
+    payButtonText: {
+        color: '#fff',
+        fontSize: 16,
+        fontWeight: 'bold',
+    },
+});
+
+export default PayWinnerModal;
@@ -0,0 +1,128 @@
+import React from 'react';
+import { View, Text, StyleSheet, TouchableOpacity } from 'react-native';
+import MaterialCommunityIcons from 'react-native-vector-icons/MaterialCommunityIcons';
+import { getBetLabel } from '../utils/betTypes';
+import {
+    PAYOUT_STATUS,
+    PAYOUT_STATUS_LABEL,
+    getPayoutStatus,
+    getOutstanding,
+    getPaidAmount,
+    getWonAmount
+} from '../utils/payouts';
+
+const STATUS_STYLE = {
+    [PAYOUT_STATUS.UNPAID]: { fg: '#c2410c', bg: '#FFEDD5' },
+    [PAYOUT_STATUS.PARTIAL]: { fg: '#b45309', bg: '#FEF3C7' },
+    [PAYOUT_STATUS.PAID]: { fg: '#15803d', bg: '#DCFCE7' },
+};
+
+const formatCurrency = (amount) => '₹' + Math.round(parseFloat(amount) || 0).toLocaleString('en-IN');
+
+const formatDateTime = (dateStr) => {
+    if (!dateStr) return '-';
+    return new Date(dateStr).toLocaleString('en-IN', {
+        day: '2-digit', month: 'short', hour: '2-digit', minute: '2-digit', hour12: true
+    });
+};
+
+/**
+ * One winning sale line with its payout status and a Pay button while a
+ * balance is left. showCategory adds the category / winning number for
+ * lists that mix draws.
+ */
+const PayoutRow = ({ payout, onPay, showCategory = false }) => {
+    const status = getPayoutStatus(payout);
+    const statusStyle = STATUS_STYLE[status];
+    const outstanding = getOutstanding(payout);
+    const betLabel = getBetLabel(payout);
+
+    return (
+        <View style={styles.row}>
+            <View style={{ flex: 1 }}>
+                <Text style={styles.title} numberOfLines={1}>
+                    {payout.lottery_number} · {payout.product_name}{betLabel ? ` ${betLabel}` : ''} x{payout.qty || 0}
+                </Text>
+                <Text style={styles.meta} numberOfLines={1}>
+                    #{payout.invoice_number}
+                    {showCategory && payout.category_name ? ` · ${payout.category_name}` : ''}
+                    {showCategory && payout.winning_number ? ` · Won on ${payout.winning_number}` : ''}
+                    {payout.sold_by ? ` · ${payout.sold_by}` : ''}
+                </Text>
+                {getPaidAmount(payout) > 0 && (
+                    <Text style={styles.meta} numberOfLines={1}>
+                        Paid {formatCurrency(getPaidAmount(payout))} by {payout.paid_by || '-'} · {formatDateTime(payout.paid_at)}
+                    </Text>
+                )}
+            </View>
+            <View style={{ alignItems: 'flex-end' }}>
+                <Text style={styles.amount}>{formatCurrency(getWonAmount(payout))}</Text>
+                <View style={[styles.badge, { backgroundColor: statusStyle.bg }]}>
+                    <Text style={[styles.badgeText, { color: statusStyle.fg }]}>
+                        {PAYOUT_STATUS_LABEL[status].toUpperCase()}
+                    </Text>
+                </View>
+                {onPay && outstanding > 0 && (
+                    <TouchableOpacity style={styles.payButton} onPress={() => onPay(payout)}>
+                        <MaterialCommunityIcons name="cash-fast" size={14} color="#fff" />
+                        <Text style={styles.payButtonText}>Pay {formatCurrency(outstanding)}</Text>
+                    </TouchableOpacity>
+                )}
+            </View>
+        </View>
+    );
+};
+
+const styles = StyleSheet.create({
+    row: {
+        flexDirection: 'row',
+        alignItems: 'flex-start',
+        paddingVertical: 8,
+        paddingHorizontal: 6,
+        borderBottomWidth: 1,
+        borderBottomColor: '#F3F4F6',
+        gap: 8,
+    },
+    title: {
+        fontSize: 14,
+        fontWeight: '600',
+        color: '#1a1a1a',
+    },
+    meta: {
+        fontSize: 12,
+        color: '#6B7280',
+        marginTop: 2,
+    },
+    amount: {
+        fontSize: 14,
+        fontWeight: '700',
+        color: '#111827',
+    },
+    badge: {
+        borderRadius: 6,
+        paddingHorizontal: 6,
+        paddingVertical: 2,
+        marginTop: 4,
+    },
+    badgeText: {
+        fontSize: 10,
+        fontWeight: 'bold',
+    },
+    payButton: {
+        flexDirection: 'row',
+        alignItems: 'center',
+        gap: 4,
+        backgroundColor: '#059669',
+        borderRadius: 8,
+        paddingHorizontal: 10,
+        paddingVertical: 5,
+        marginTop: 6,
+    },
+    payButtonText: {
+        color: '#fff',
+        fontSize: 12,
+        fontWeight: 'bold',
+    },
+});
+
+export default PayoutRow;
@@ -0,0 +1,334 @@
+import React, { useState, useEffect } from 'react';
+import {
+    View,
+    Text,
+    StyleSheet,
+    TouchableOpacity,
+    TextInput,
+    Modal,
+    KeyboardAvoidingView,
+    Platform
+} from 'react-native';
+import MaterialCommunityIcons from 'react-native-vector-icons/MaterialCommunityIcons';
+import { expandRange, expandPattern } from '../utils/numberSeries';
+import { getInputLength, isBoxBet, BOX_MIN_DIGITS } from '../utils/betTypes';
+import { applyLotteryNumber } from '../utils/cartRows';
+
+const PREVIEW_LIMIT = 30;
+
+/**
+ * Series builder for one cart row: expands a range or a digit pattern into
+ * numbers for the row's product and hands them to onAddNumbers(numbers, qty).
+ */
+const SeriesBuilderModal = ({ visible, row, onClose, onAddNumbers }) => {
+    const [mode, setMode] = useState('range');
+    const [from, setFrom] = useState('');
+    const [to, setTo] = useState('');
+    const [step, setStep] = useState('1');
+    const [pattern, setPattern] = useState('');
+    const [qty, setQty] = useState('1');
+
+    useEffect(() => {
+        if (visible) {
+            setFrom(row?.lotteryNo || '');
+            setTo('');
+            setStep('1');
+            setPattern('');
+            setQty('1');
+        }
+    }, [visible, row?.lotteryNo]);
+
+    if (!row) return null;
+
+    const length = getInputLength(row);
+    const box = isBoxBet(row);
+    const hasInput = mode === 'range' ? (from !== '' || to !== '') : pattern !== '';
+    const { numbers, error } = mode === 'range'
+        ? expandRange(from, to, step, length)
+        : expandPattern(pattern, length);
+
+    // Box rows: every number expands to its permutations (row's box variant)
+    const qtyFor = (number) => (box ? (parseInt(applyLotteryNumber(row, number).qty, 10) || 0) : (parseInt(qty, 10) || 0));
+    const boxTooShort = box && length > 0 && length < BOX_MIN_DIGITS;
+    const totalQty = numbers.reduce((sum, n) => sum + qtyFor(n), 0);
+    const totalAmount = totalQty * (row.price || 0);
+    const canAdd = numbers.length > 0 && !boxTooShort && (box || parseInt(qty, 10) >= 1);
+
+    return (
+        <Modal visible={visible} animationType="slide" transparent={true} onRequestClose={onClose}>
+            <KeyboardAvoidingView
+                behavior={Platform.OS === 'ios' ? 'padding' : 'height'}
+                style={styles.overlay}
+            >
+                <View style={styles.content}>
+                    <View style={styles.header}>
+                        <View>
+                            <Text style={styles.title}>Number Series</Text>
+                            <Text style={styles.subtitle}>
+                                {row.product_name}{row.index_type ? ` [${row.index_type}]` : ''}{length > 0 ? ` • ${length} digits` : ''}
+                            </Text>
+                        </View>
+                        <TouchableOpacity style={{ padding: 4 }} onPress={onClose}>
+                            <MaterialCommunityIcons name="close" size={24} color="#666" />
+                        </TouchableOpacity>
+                    </View>
+
+                    <View style={styles.tabs}>
+                        {[['range', 'Range'], ['pattern', 'Pattern']].map(([key, label]) => (
+                            <TouchableOpacity
+                                key={key}
+                                style={[styles.tab, mode === key && styles.tabActive]}
+                                onPress={() => setMode(key)}
+                            >
+                                <Text style={[styles.tabText, mode === key && styles.tabTextActive]}>{label}</Text>
+                            </TouchableOpacity>
+                        ))}
+                    </View>
+
+                    {mode === 'range' ? (
+                        <View style={styles.inputRow}>
+                            <View style={styles.inputGroup}>
+                                <Text style={styles.label}>From</Text>
+                                <TextInput
+                                    style={styles.input}
+                                    value={from}
+                                    onChangeText={(t) => setFrom(t.replace(/[^0-9]/g, ''))}
+                                    keyboardType="numeric"
+                                    maxLength={length > 0 ? length : undefined}
+                                    placeholder={length > 0 ? '0'.repeat(length) : '0'}
+                                />
+                            </View>
+                            <View style={styles.inputGroup}>
+                                <Text style={styles.label}>To</Text>
+                                <TextInput
+                                    style={styles.input}
+                                    value={to}
+                                    onChangeText={(t) => setTo(t.replace(/[^0-9]/g, ''))}
+                                    keyboardType="numeric"
+                                    maxLength={length > 0 ? length : undefined}
+                                    placeholder={length > 0 ? '9'.repeat(length) : '9'}
+                                />
+                            </View>
+                            <View style={[styles.inputGroup, { flex: 0.6 }]}>
+                                <Text style={styles.label}>Step</Text>
+                                <TextInput
+                                    style={styles.input}
+                                    value={step}
+                                    onChangeText={(t) => setStep(t.replace(/[^0-9]/g, ''))}
+                                    keyboardType="numeric"
+                                />
+                            </View>
+                        </View>
+                    ) : (
+                        <View style={styles.inputGroup}>
+                            <Text style={styles.label}>Pattern (* = any digit)</Text>
+                            <TextInput
+                                style={styles.input}
+                                value={pattern}
+                                onChangeText={(t) => setPattern(t.replace(/[^0-9*xX]/g, ''))}
+                                maxLength={length > 0 ? length : undefined}
+                                autoCapitalize="characters"
+                                placeholder={length > 0 ? `${'*'.repeat(length - 1)}7` : '*7'}
+                            />
+                        </View>
+                    )}
+
+                    {!box && (
+                        <View style={[styles.inputGroup, { marginTop: 10 }]}>
+                            <Text style={styles.label}>Qty per number</Text>
+                            <TextInput
+                                style={styles.input}
+                                value={qty}
+                                onChangeText={(t) => setQty(t.replace(/[^0-9]/g, ''))}
+                                keyboardType="numeric"
+                            />
+                        </View>
+                    )}
+
+                    {hasInput && error && <Text style={styles.error}>{error}</Text>}
+                    {boxTooShort && <Text style={styles.error}>Box needs at least {BOX_MIN_DIGITS} digits</Text>}
+
+                    {numbers.length > 0 && (
+                        <View style={styles.preview}>
+                            <View style={styles.chips}>
+                                {numbers.slice(0, PREVIEW_LIMIT).map(n => (
+                                    <View key={n} style={styles.chip}>
+                                        <Text style={styles.chipText}>{n}</Text>
+                                    </View>
+                                ))}
+                                {numbers.length > PREVIEW_LIMIT && (
+                                    <Text style={styles.more}>+{numbers.length - PREVIEW_LIMIT} more</Text>
+                                )}
+                            </View>
+                        </View>
+                    )}
+
+                    <View style={styles.summary}>
+                        <Text style={styles.summaryText}>
+                            {numbers.length} number(s) • Qty {totalQty}
+                        </Text>
+                        <Text style={styles.summaryTotal}>₹{Math.round(totalAmount)}</Text>
+                    </View>
+
+                    <TouchableOpacity
+                        style={[styles.primaryButton, !canAdd && { opacity: 0.5 }]}
+                        disabled={!canAdd}
+                        onPress={() => onAddNumbers(numbers, qty)}
+                    >
+                        <MaterialCommunityIcons name="playlist-plus" size={20} color="#fff" />
+                        <Text style={styles.primaryButtonText}>Add {numbers.length} Row(s)</Text>
+                    </TouchableOpacity>
+                </View>
+            </KeyboardAvoidingView>
+        </Modal>
+    );
+};
+
+const styles = StyleSheet.create({
+    overlay: {
+        flex: 1,
+        backgroundColor: 'rgba(0,0,0,0.5)',
+        justifyContent: 'flex-end',
+    },
+    content: {
+        backgroundColor: '#fff',
+        borderTopLeftRadius: 24,
+        borderTopRightRadius: 24,
+        padding: 20,
+        maxHeight: '90%',
+    },
+    header: {
+        flexDirection: 'row',
+        justifyContent: 'space-between',
+        alignItems: 'flex-start',
+        marginBottom: 12,
+    },
+    title: {
+        fontSize: 20,
+        fontWeight: 'bold',
+        color: '#1a1a1a',
+    },
+    subtitle: {
+        fontSize: 14,
+        color: '#3a48c2',
+        marginTop: 4,
+        fontWeight: '600',
+    },
+    tabs: {
+        flexDirection: 'row',
+        backgroundColor: '#F0F1FF',
+        borderRadius: 10,
+        padding: 4,
+        marginBottom: 14,
+    },
+    tab: {
+        flex: 1,
+        paddingVertical: 8,
+        borderRadius: 8,
+        alignItems: 'center',
+    },
+    tabActive: {
+        backgroundColor: '#3a48c2',
+    },
+    tabText: {
+        fontSize: 14,
+        fontWeight: '600',
+        color: '#3a48c2',
+    },
+    tabTextActive: {
+        color: '#fff',
+    },
+    inputRow: {
+        flexDirection: 'row',
+        gap: 10,
+    },
+    inputGroup: {
+        flex: 1,
+    },
+    label: {
+        fontSize: 13,
+        fontWeight: '600',
+        color: '#444',
+        marginBottom: 6,
+    },
+    input: {
+        borderWidth: 1,
+        borderColor: '#E0E0E0',
+        borderRadius: 10,
+        paddingHorizontal: 12,
+        paddingVertical: 10,
+        fontSize: 16,
+        fontWeight: 'bold',
+        color: '#1a1a1a',
+        backgroundColor: '#F8F9FD',
+    },
+    error: {
+        color: '#ef4444',
+        fontSize: 12,
+        marginTop: 8,
+        fontWeight: '600',
+    },
+    preview: {
+        marginTop: 12,
+        padding: 8,
+        backgroundColor: '#F0F1FF',
+        borderRadius: 8,
+        borderWidth: 1,
+        borderColor: '#D0D4FF',
+    },
+    chips: {
+        flexDirection: 'row',
+        flexWrap: 'wrap',
+        gap: 4,
+    },
+    chip: {
+        backgroundColor: '#fff',
+        paddingHorizontal: 6,
+        paddingVertical: 2,
+        borderRadius: 4,
+        borderWidth: 1,
+        borderColor: '#3a48c2',
+    },
+    chipText: {
+        fontSize: 13,
+        fontWeight: 'bold',
+        color: '#3a48c2',
+    },
+    more: {
+        fontSize: 12,
+        color: '#666',
+        alignSelf: 'center',
+        marginLeft: 4,
+    },
+    summary: {
+        flexDirection: 'row',
+        justifyContent: 'space-between',
+        alignItems: 'center',
+        paddingVertical: 12,
+    },
+    summaryText: {
+        fontSize: 14,
+        color: '#666',
+    },
+    summaryTotal: {
+        fontSize: 18,
+        fontWeight: 'bold',
+        color: '#3a48c2',
+    },
+    primaryButton: {
+        flexDirection: 'row',
+        alignItems: 'center',
+        justifyContent: 'center',
+        gap: 8,
+        backgroundColor: '#3a48c2',
+        borderRadius: 12,
+        paddingVertical: 14,
+    },
+    primaryButtonText: {
+        color: '#fff',
+        fontSize: 16,
+        fontWeight: 'bold',
+    },
+});
+
+export default SeriesBuilderModal;
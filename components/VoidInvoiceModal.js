@@ -0,0 +1,366 @@
+import React, { useState, useEffect } from 'react';
+import {
+    View,
+    Text,
+    StyleSheet,
+    ScrollView,
+    TouchableOpacity,
+    TextInput,
+    Modal,
+    Alert,
+    ActivityIndicator,
+    KeyboardAvoidingView,
+    Platform
+} from 'react-native';
+import MaterialCommunityIcons from 'react-native-vector-icons/MaterialCommunityIcons';
+import { salesService } from '../services/salesService';
+import { categoryService } from '../services/categoryService';
+import { checkVoidAllowed, isVoidedRow, VOID_REASONS } from '../utils/voidRules';
+
+const formatClock = (date) => (date
+    ? new Date(date).toLocaleTimeString('en-IN', { hour: '2-digit', minute: '2-digit', hour12: true })
+    : '--');
+
+/**
+ * Void an invoice with a reason.
+ * Loads the invoice and its category, shows whether it can still be voided
+ * (utils/voidRules) and hands the voided invoice to onVoided
+ * ({ invoice, reason, voidedAt, voidedBy }) so the caller can print the slip.
+ */
+const VoidInvoiceModal = ({ visible, invoiceNumber, onClose, onVoided }) => {
+    const [invoice, setInvoice] = useState(null);
+    const [category, setCategory] = useState(null);
+    const [isLoading, setIsLoading] = useState(false);
+    const [isVoiding, setIsVoiding] = useState(false);
+    const [reason, setReason] = useState('');
+
+    useEffect(() => {
+        if (!visible || !invoiceNumber) return;
+        let cancelled = false;
+
+        const load = async () => {
+            setIsLoading(true);
+            setInvoice(null);
+            setCategory(null);
+            setReason('');
+            try {
+                const response = await salesService.getSalesByInvoice(invoiceNumber);
+                const data = response.data || null;
+                let cat = null;
+                if (data?.category_id) {
+                    try {
+                        const catResponse = await categoryService.getCategoryById(data.category_id);
+                        cat = catResponse.data || null;
+                    } catch (error) {
+                        // Falls back to the default void window
+                    }
+                }
+                if (!cancelled) {
+                    setInvoice(data);
+                    setCategory(cat);
+                }
+            } catch (error) {
+                console.error('Load invoice error:', error);
+                if (!cancelled) {
+                    Alert.alert('Error', error.response?.data?.message || 'Failed to load invoice');
+                    onClose();
+                }
+            } finally {
+                if (!cancelled) setIsLoading(false);
+            }
+        };
+        load();
+
+        return () => { cancelled = true; };
+    }, [visible, invoiceNumber, onClose]);
+
+    const items = (invoice?.items || []).filter(item => !item.deleted_at);
+    const check = invoice ? checkVoidAllowed(invoice, category) : null;
+    const total = items.reduce((sum, item) => sum + parseFloat(item.total || 0), 0);
+
+    const submitVoid = async () => {
+        setIsVoiding(true);
+        try {
+            const response = await salesService.voidInvoice(invoiceNumber, { reason: reason.trim() });
+            const data = response.data || {};
+            onVoided({
+                invoice: { ...invoice, items },
+                reason: data.void_reason || reason.trim(),
+                voidedAt: data.voided_at || new Date().toISOString(),
+                voidedBy: data.voided_by || null,
+            });
+        } catch (error) {
+            console.error('Void invoice error:', error);
+            Alert.alert('Void Failed', error.response?.data?.message || 'Failed to void invoice');
+        } finally {
+            setIsVoiding(false);
+        }
+    };
+
+    const handleVoid = () => {
+        if (!reason.trim()) {
+            Alert.alert('Reason Required', 'Enter why this invoice is being voided');
+            return;
+        }
+        // The window may have closed while the sheet was open
+        const latest = checkVoidAllowed(invoice, category);
+        if (!latest.allowed) {
+            Alert.alert('Cannot Void', latest.reason);
+            return;
+        }
+        Alert.alert(
+            'Void Invoice',
+            `Void invoice ${invoiceNumber} (₹${Math.round(total)})? The sale stays in reports marked VOID.`,
+            [
+                { text: 'Cancel', style: 'cancel' },
+                { text: 'Void', style: 'destructive', onPress: submitVoid }
+            ]
+        );
+    };
+
+    return (
+        <Modal visible={visible} animationType="slide" transparent={true} onRequestClose={onClose}>
+            <KeyboardAvoidingView
+                behavior={Platform.OS === 'ios' ? 'padding' : 'height'}
+                style={styles.overlay}
+            >
+                <View style={styles.content}>
+                    <View style={styles.header}>
+                        <View>
+                            <Text style={styles.title}>Void Invoice</Text>
+                            <Text style={styles.subtitle}>Invoice: {invoiceNumber}</Text>
+                        </View>
+                        <TouchableOpacity style={{ padding: 4 }} onPress={onClose} disabled={isVoiding}>
+                            <MaterialCommunityIcons name="close" size={24} color="#666" />
+                        </TouchableOpacity>
+                    </View>
+
+                    {isLoading || !invoice ? (
+                        <View style={styles.loading}>
+                            <ActivityIndicator size="large" color="#3a48c2" />
+                        </View>
+                    ) : (
+                        <ScrollView style={{ flexGrow: 0 }} keyboardShouldPersistTaps="handled">
+                            <View style={styles.summary}>
+                                <View>
+                                    <Text style={styles.summaryLabel}>{invoice.category_name || 'Sale'}</Text>
+                                    <Text style={styles.summaryText}>
+                                        {items.length} item(s) · sold {formatClock(items[0]?.created_at)}
+                                    </Text>
+                                </View>
+                                <Text style={styles.summaryTotal}>₹{Math.round(total)}</Text>
+                            </View>
+
+                            {check.allowed ? (
+                                <View style={[styles.notice, styles.noticeOk]}>
+                                    <MaterialCommunityIcons name="timer-sand" size={18} color="#b45309" />
+                                    <Text style={[styles.noticeText, { color: '#b45309' }]}>
+                                        Can be voided until {formatClock(check.deadline)}
+                                    </Text>
+                                </View>
+                            ) : (
+                                <View style={[styles.notice, styles.noticeBlocked]}>
+                                    <MaterialCommunityIcons name="cancel" size={18} color="#dc2626" />
+                                    <Text style={[styles.noticeText, { color: '#dc2626' }]}>{check.reason}</Text>
+                                </View>
+                            )}
+
+                            {check.allowed && (
+                                <>
+                                    <Text style={styles.label}>Reason *</Text>
+                                    <View style={styles.chips}>
+                                        {VOID_REASONS.map(option => (
+                                            <TouchableOpacity
+                                                key={option}
+                                                style={[styles.chip, reason === option && styles.chipActive]}
+                                                onPress={() => setReason(option)}
+                                            >
+                                                <Text style={[styles.chipText, reason === option && styles.chipTextActive]}>
+                                                    {option}
+                                                </Text>
+                                            </TouchableOpacity>
+                                        ))}
+                                    </View>
+                                    <TextInput
+                                        style={styles.textArea}
+                                        placeholder="Why is this invoice being voided?"
+                                        placeholderTextColor="#999"
+                                        value={reason}
+                                        onChangeText={setReason}
+                                        maxLength={120}
+                                        multiline
+                                        textAlignVertical="top"
+                                    />
+
+                                    <TouchableOpacity
+                                        style={[styles.voidButton, (isVoiding || !reason.trim()) && styles.voidButtonDisabled]}
+                                        onPress={handleVoid}
+                                        disabled={isVoiding}
+                                    >
+                                        {isVoiding ? (
+                                            <ActivityIndicator color="#fff" />
+                                        ) : (
+                                            <>
+                                                <MaterialCommunityIcons name="file-cancel-outline" size={20} color="#fff" />
+                                                <Text style={styles.voidButtonText}>Void & Print Slip</Text>
+                                            </>
+                                        )}
+                                    </TouchableOpacity>
+                                </>
+                            )}
+
+                            {items.some(isVoidedRow) && (
+                                <Text style={styles.hint}>
+                                    Voided: {items.find(isVoidedRow).void_reason || 'no reason recorded'}
+                                </Text>
+                            )}
+                        </ScrollView>
+                    )}
+                </View>
+            </KeyboardAvoidingView>
+        </Modal>
+    );
+};
+
+const styles = StyleSheet.create({
+    overlay: {
+        flex: 1,
+        backgroundColor: 'rgba(0,0,0,0.5)',
+        justifyContent: 'flex-end',
+    },
+    content: {
+        backgroundColor: '#fff',
+        borderTopLeftRadius: 24,
+        borderTopRightRadius: 24,
+        padding: 20,
+        maxHeight: '90%',
+    },
+    header: {
+        flexDirection: 'row',
+        justifyContent: 'space-between',
+        alignItems: 'flex-start',
+        marginBottom: 12,
+    },
+    title: {
+        fontSize: 20,
+        fontWeight: 'bold',
+        color: '#1a1a1a',
+    },
+    subtitle: {
+        fontSize: 14,
+        color: '#3a48c2',
+        marginTop: 4,
+        fontWeight: '600',
+    },
+    loading: {
+        paddingVertical: 40,
+        alignItems: 'center',
+    },
+    summary: {
+        flexDirection: 'row',
+        justifyContent: 'space-between',
+        alignItems: 'center',
+        backgroundColor: '#F8F9FD',
+        borderRadius: 12,
+        padding: 12,
+    },
+    summaryLabel: {
+        fontSize: 15,
+        fontWeight: '600',
+        color: '#1a1a1a',
+    },
+    summaryText: {
+        fontSize: 13,
+        color: '#666',
+        marginTop: 2,
+    },
+    summaryTotal: {
+        fontSize: 18,
+        fontWeight: 'bold',
+        color: '#3a48c2',
+    },
+    notice: {
+        flexDirection: 'row',
+        alignItems: 'center',
+        gap: 8,
+        borderRadius: 10,
+        padding: 10,
+        marginTop: 12,
+    },
+    noticeOk: {
+        backgroundColor: '#FFF7ED',
+    },
+    noticeBlocked: {
+        backgroundColor: '#fef2f2',
+    },
+    noticeText: {
+        flex: 1,
+        fontSize: 13,
+        fontWeight: '600',
+    },
+    label: {
+        fontSize: 14,
+        fontWeight: '600',
+        color: '#333',
+        marginTop: 16,
+        marginBottom: 8,
+    },
+    chips: {
+        flexDirection: 'row',
+        flexWrap: 'wrap',
+        gap: 8,
+        marginBottom: 10,
+    },
+    chip: {
+        backgroundColor: '#F0F1FF',
+        borderRadius: 16,
+        paddingHorizontal: 12,
+        paddingVertical: 6,
+    },
+    chipActive: {
+        backgroundColor: '#3a48c2',
+    },
+    chipText: {
+        fontSize: 13,
+        color: '#3a48c2',
+        fontWeight: '500',
+    },
+    chipTextActive: {
+        color: '#fff',
+    },
+    textArea: {
+        borderWidth: 1,
+        borderColor: '#E0E0E0',
+        borderRadius: 12,
+        padding: 12,
+        minHeight: 80,
+        fontSize: 15,
+        color: '#1a1a1a',
+        backgroundColor: '#F8F9FD',
+    },
+    voidButton: {
+        flexDirection: 'row',
+        alignItems: 'center',
+        justifyContent: 'center',
+        gap: 8,
+        backgroundColor: '#dc2626',
+        borderRadius: 12,
+        paddingVertical: 14,
+        marginTop: 16,
+    },
+    voidButtonDisabled: {
+        opacity: 0.6,
+    },
+    voidButtonText: {
+        color: '#fff',
+        fontSize: 16,
+        fontWeight: 'bold',
+    },
+    hint: {
+        fontSize: 13,
+        color: '#666',
+        marginTop: 10,
+    },
+});
+
+export default VoidInvoiceModal;
@@ -23,14 +23,20 @@
  *   SETMAG {w} {h}
  *   TEXT {font} {rotation} {x} {y} {data}
  *   LINE {x1} {y1} {x2} {y2} {thickness}
+ *   BARCODE QR {x} {y} M 2 U {unit} / MA,{data} / ENDQR
  *   FORM
  *   PRINT
  */
 
+import { getBetLabel } from '../utils/betTypes';
+
 // ─── Utilities ────────────────────────────────────────────────────────────────
 
 const str = (val) => (val === null || val === undefined) ? '' : String(val);
 
+// Product name with its bet-type tag, e.g. "KL [AB]" / "Pol BOX"
+const productWithBetLabel = (name, item) => [str(name), getBetLabel(item)].filter(Boolean).join(' ');
+
 const formatDate = (date) => {
     if (!date) return '';
     try {
@@ -132,6 +138,19 @@ const CFG = {
     COL_QTY: 345,
     COL_RATE: 400,
     COL_AMOUNT: 486,
+
+    // ── Receipt QR ───────────────────────────────────────────────────────────
+    QR_UNIT: 5,        // dots per QR module
+};
+
+// Byte capacity of QR versions 1–15 at error correction level M
+const QR_CAPACITY_M = [14, 26, 42, 62, 84, 106, 122, 152, 180, 213, 251, 287, 331, 362, 412];
+
+/** Modules per side of the smallest QR (level M) that holds `length` bytes */
+const qrModules = (length) => {
+    const index = QR_CAPACITY_M.findIndex(cap => cap >= length);
+    const version = index === -1 ? QR_CAPACITY_M.length : index + 1;
+    return 17 + version * 4;
 };
 
 // ─── Builder Class ────────────────────────────────────────────────────────────
@@ -235,6 +254,16 @@ class CPCLBuilder {
         this.cmd('SETBOLD 0');
     }
 
+    // ── QR code ───────────────────────────────────────────────────────────────
+
+    /** Centered QR code (error correction M), then advance Y past it */
+    qr(data, unit = CFG.QR_UNIT) {
+        const size = qrModules(String(data).length) * unit;
+        const x = Math.max(CFG.MARGIN_L, Math.round((CFG.PRINT_WIDTH - size) / 2));
+        this.entries.push({ type: 'qr', x, y: this.y, unit, size, data: String(data) });
+        this.y += size;
+    }
+
     // ── Split line (left + right on same Y) ───────────────────────────────────
 
     /**
@@ -277,6 +306,10 @@ class CPCLBuilder {
                 const adjY1 = entry.y1 - yOffset;
                 const adjY2 = entry.y2 - yOffset;
                 out += `LINE ${entry.x1} ${adjY1} ${entry.x2} ${adjY2} ${entry.thickness}\r\n`;
+            } else if (entry.type === 'qr') {
+                out += `BARCODE QR ${entry.x} ${entry.y - yOffset} M 2 U ${entry.unit}\r\n`;
+                out += `MA,${entry.data}\r\n`;
+                out += 'ENDQR\r\n';
             } else {
                 // raw command (SETBOLD, CENTER, LEFT, SETMAG, etc.)
                 out += entry.content + '\r\n';
@@ -330,6 +363,8 @@ class CPCLBuilder {
                     pageMaxY = Math.max(pageMaxY, (entry.y - yOffset) + CFG.LINE_H);
                 } else if (entry.type === 'line') {
                     pageMaxY = Math.max(pageMaxY, (entry.y1 - yOffset) + entry.thickness + 5);
+                } else if (entry.type === 'qr') {
+                    pageMaxY = Math.max(pageMaxY, (entry.y - yOffset) + entry.size);
                 }
             }
             if (pageMaxY === 0) pageMaxY = MAX_H;
@@ -432,6 +467,16 @@ function addTotalsRow(b, totalQty, totalAmount) {
 
 // ─── Shared: Footer ───────────────────────────────────────────────────────────
 
+// ─── Shared: Receipt QR ───────────────────────────────────────────────────────
+
+function addReceiptQr(b, payload) {
+    if (!payload) return;
+    b.gap(16);
+    b.qr(payload);
+    b.gap(8);
+    b.center('Scan to verify');
+}
+
 function addFooter(b) {
     b.gap(16);
     b.centerBold('** THANK YOU. VISIT AGAIN **', CFG.LINE_H_BOLD);
@@ -460,6 +505,9 @@ function errorBytes(label) {
  * @param {string=} receiptData.timeSlot
  * @param {string=} receiptData.categoryName
  * @param {Array}  receiptData.items  — [{ productName, desc, qty, price }]
+ * @param {string=} receiptData.statusLabel — e.g. 'PENDING' for a sale saved offline
+ * @param {Object=} receiptData.customer — { name, phone } entered at checkout
+ * @param {string=} receiptData.qrPayload — receipt QR contents (utils/receiptQr)
  * @returns {Uint8Array}
  */
 export const formatLotteryReceipt = (receiptData, _width = '80') => {
@@ -472,6 +520,11 @@ export const formatLotteryReceipt = (receiptData, _width = '80') => {
         b.centerBold('======== D K ========', CFG.LINE_H_BOLD);
         b.gap(10);
 
+        if (receiptData.statusLabel) {
+            b.centerBold(`** ${str(receiptData.statusLabel)} **`, CFG.LINE_H_BOLD);
+            b.gap(6);
+        }
+
         // ── User info ────────────────────────────────────────────────────────
         b.bold(CFG.MARGIN_L, `User: ${str(receiptData.username)}`);
 
@@ -486,6 +539,10 @@ export const formatLotteryReceipt = (receiptData, _width = '80') => {
         if (receiptData.categoryName) {
             b.bold(CFG.MARGIN_L, `Category: ${str(receiptData.categoryName)}`);
         }
+        const customerTxt = [receiptData.customer?.name, receiptData.customer?.phone].filter(Boolean).join(' - ');
+        if (customerTxt) {
+            b.bold(CFG.MARGIN_L, `Customer: ${str(customerTxt)}`);
+        }
         b.gap(10);
 
         // ── Table ────────────────────────────────────────────────────────────
@@ -493,6 +550,9 @@ export const formatLotteryReceipt = (receiptData, _width = '80') => {
         const { totalQty, totalAmount } = addItemRows(b, items);
         addTotalsRow(b, totalQty, totalAmount);
 
+        // ── Verification QR ──────────────────────────────────────────────────
+        addReceiptQr(b, receiptData.qrPayload);
+
         // ── Footer ───────────────────────────────────────────────────────────
         addFooter(b);
 
@@ -511,6 +571,9 @@ export const formatLotteryReceipt = (receiptData, _width = '80') => {
  * @param {string} data.username
  * @param {string} data.invoiceNo
  * @param {Array}  data.cartItems
+ * @param {string=} data.statusLabel
+ * @param {Object=} data.customer — { name, phone }
+ * @param {string=} data.qrPayload — receipt QR contents (utils/receiptQr)
  * @returns {Uint8Array}
  */
 export const formatSalesReceipt = (data, width = '80') => {
@@ -537,7 +600,7 @@ export const formatSalesReceipt = (data, width = '80') => {
     const timeSlotDisplay = Array.from(timeSlotSet).join(', ') || data.timeSlot || null;
 
     const items = (data.cartItems || []).map(item => ({
-        productName: item.product_name,
+        productName: productWithBetLabel(item.product_name, item),
         desc: item.desc || '-',
         qty: item.qty,
         price: item.price,
@@ -551,10 +614,79 @@ export const formatSalesReceipt = (data, width = '80') => {
         date: now,
         timeSlot: timeSlotDisplay,
         categoryName: categoryDisplay,
+        statusLabel: data.statusLabel,
+        customer: data.customer,
+        qrPayload: data.qrPayload,
         items,
     }, width);
 };
 
+/**
+ * Format the VOID slip printed when an invoice is voided (CPCL).
+ * Lists the voided rows so the slip can be kept with the cancelled receipt.
+ *
+ * @param {Object} data
+ * @param {string} data.username     — who voided the invoice
+ * @param {string} data.invoiceNo
+ * @param {string} data.reason
+ * @param {Date|string} data.voidedAt
+ * @param {Date|string=} data.soldAt
+ * @param {string=} data.categoryName
+ * @param {Array}  data.items — report rows ({ product_name, desc, qty, unit_price })
+ * @returns {Uint8Array}
+ */
+export const formatVoidSlip = (data, _width = '80') => {
+    try {
+        const b = new CPCLBuilder();
+
+        // ── Header ──────────────────────────────────────────────────────────
+        b.gap(12);
+        b.centerBold('======== D K ========', CFG.LINE_H_BOLD);
+        b.gap(10);
+        b.centerBold('** VOID **', CFG.LINE_H_BOLD);
+        b.gap(10);
+
+        // ── Invoice ──────────────────────────────────────────────────────────
+        b.splitLine(
+            `Bill No: ${str(data.invoiceNo)}`,
+            `${formatTime(data.voidedAt)} - ${formatDate(data.voidedAt)}`,
+            true,
+            CFG.LINE_H
+        );
+        if (data.soldAt) {
+            b.text(CFG.MARGIN_L, `Sold: ${formatTime(data.soldAt)} - ${formatDate(data.soldAt)}`);
+        }
+        if (data.categoryName) {
+            b.bold(CFG.MARGIN_L, `Category: ${str(data.categoryName)}`);
+        }
+        b.bold(CFG.MARGIN_L, `Voided By: ${str(data.username)}`);
+        wrapText(`Reason: ${str(data.reason)}`, 34).forEach(line => b.text(CFG.MARGIN_L, line));
+        b.gap(10);
+
+        // ── Table ────────────────────────────────────────────────────────────
+        addTableHeader(b);
+        const { totalQty, totalAmount } = addItemRows(b, (data.items || []).map(item => ({
+            productName: productWithBetLabel(item.product_name || item.product_code, item),
+            desc: item.desc || '-',
+            qty: Number(item.qty) || 0,
+            price: Number(item.unit_price) || 0,
+            box: item.box,
+        })));
+        addTotalsRow(b, totalQty, totalAmount);
+
+        // ── Footer ───────────────────────────────────────────────────────────
+        b.gap(16);
+        b.centerBold('** TICKET CANCELLED - NOT VALID **', CFG.LINE_H_BOLD);
+        b.gap(50);
+
+        return b.buildBytes();
+
+    } catch (e) {
+        console.error('[cpclReceiptFormatter] formatVoidSlip error:', e);
+        return errorBytes('PRINT ERROR');
+    }
+};
+
 /**
  * Format sales report receipt (CPCL) for TVS BLP 370.
  *
@@ -606,10 +738,11 @@ export const formatSalesReportReceipt = (reportData, _width = '80') => {
 
         invoiceNos.forEach(invNo => {
             const grpItems = invoiceMap[invNo];
-            b.bold(CFG.MARGIN_L, `  Invoice: ${invNo}`, CFG.LINE_H);
+            const isVoid = grpItems.every(item => item.voided_at);
+            b.bold(CFG.MARGIN_L, `  Invoice: ${invNo}${isVoid ? '  ** VOID **' : ''}`, CFG.LINE_H);
 
             const mapped = grpItems.map(item => ({
-                productName: item.product_name || item.product_code || '',
+                productName: productWithBetLabel(item.product_name || item.product_code, item),
                 desc: item.desc || '-',
                 qty: Number(item.qty) || 0,
                 price: Number(item.unit_price) || 0,
@@ -617,14 +750,17 @@ export const formatSalesReportReceipt = (reportData, _width = '80') => {
             }));
 
             const { totalQty, totalAmount } = addItemRows(b, mapped);
-            grandQty += totalQty;
-            grandAmount += totalAmount;
+            // Voided invoices are listed but not counted
+            if (!isVoid) {
+                grandQty += totalQty;
+                grandAmount += totalAmount;
+            }
         });
 
         if (noInvoice.length > 0) {
             b.bold(CFG.MARGIN_L, '  Other Sales', CFG.LINE_H);
             const mapped = noInvoice.map(item => ({
-                productName: item.product_name || item.product_code || '',
+                productName: productWithBetLabel(item.product_name || item.product_code, item),
                 desc: item.desc || '-',
                 qty: Number(item.qty) || 0,
                 price: Number(item.unit_price) || 0,
@@ -818,6 +954,336 @@ export const formatWinningSummaryReceipt = (data, _width = '80') => {
     }
 };
 
+/**
+ * Format the payout voucher printed when a winner is paid (CPCL).
+ * The winner signs it as proof of receipt for day-end cash reconciliation.
+ *
+ * @param {Object} data
+ * @param {string} data.username       — who paid the winner
+ * @param {string} data.invoiceNo      — bill the winning ticket is on
+ * @param {Date|string} data.paidAt
+ * @param {string=} data.categoryName
+ * @param {string=} data.winningNumber — result the ticket won on
+ * @param {Array}  data.items — winning lines ({ product_name, lottery_number, qty, total_winning_amount })
+ * @param {number} data.paidNow        — amount handed over with this voucher
+ * @param {number} data.paidTotal      — paid so far, this voucher included
+ * @param {number} data.wonAmount      — total won on the bill
+ * @returns {Uint8Array}
+ */
+export const formatPayoutVoucher = (data, _width = '80') => {
+    try {
+        const b = new CPCLBuilder();
+        const balance = Math.max(0, (Number(data.wonAmount) || 0) - (Number(data.paidTotal) || 0));
+
+        // ── Header ──────────────────────────────────────────────────────────
+        b.gap(12);
+        b.centerBold('======== D K ========', CFG.LINE_H_BOLD);
+        b.gap(10);
+        b.centerBold('PAYOUT VOUCHER', CFG.LINE_H_BOLD);
+        b.gap(10);
+
+        // ── Bill ─────────────────────────────────────────────────────────────
+        b.splitLine(
+            `Bill No: ${str(data.invoiceNo)}`,
+            `${formatTime(data.paidAt)} - ${formatDate(data.paidAt)}`,
+            true,
+            CFG.LINE_H
+        );
+        if (data.categoryName) {
+            b.bold(CFG.MARGIN_L, `Category: ${str(data.categoryName)}`);
+        }
+        if (data.winningNumber) {
+            b.bold(CFG.MARGIN_L, `Winning No: ${str(data.winningNumber)}`);
+        }
+        b.gap(10);
+
+        // ── Winning lines ────────────────────────────────────────────────────
+        b.line(1);
+        (data.items || []).forEach(item => {
+            const name = productWithBetLabel(item.product_name, item);
+            b.splitLine(
+                `${str(item.lottery_number)} ${name} x${Number(item.qty) || 0}`,
+                String(Math.round(Number(item.total_winning_amount) || 0)),
+                false,
+                CFG.LINE_H
+            );
+        });
+        b.line(1);
+
+        // ── Amounts ──────────────────────────────────────────────────────────
+        b.splitLine('Won', String(Math.round(Number(data.wonAmount) || 0)), false, CFG.LINE_H);
+        b.splitLine('Paid Now', String(Math.round(Number(data.paidNow) || 0)), true, CFG.LINE_H_BOLD);
+        b.splitLine('Paid Total', String(Math.round(Number(data.paidTotal) || 0)), false, CFG.LINE_H);
+        b.line(1);
+        b.splitLine('Balance', String(Math.round(balance)), true, CFG.LINE_H_BOLD);
+        b.line(2);
+        b.bold(CFG.MARGIN_L, `Paid By: ${str(data.username)}`);
+
+        // ── Footer ───────────────────────────────────────────────────────────
+        b.gap(50);
+        b.text(CFG.MARGIN_L, 'Received by: ____________________');
+        b.gap(16);
+        b.centerBold(balance > 0 ? '** PART PAYMENT **' : '** PAID IN FULL **', CFG.LINE_H_BOLD);
+        b.gap(50);
+
+        return b.buildBytes();
+
+    } catch (e) {
+        console.error('[cpclReceiptFormatter] formatPayoutVoucher error:', e);
+        return errorBytes('PRINT ERROR');
+    }
+};
+
+/**
+ * Format the winning check result slip (CPCL), printed from WinningScreen
+ * after a number is checked against the draw's sales.
+ *
+ * @param {Object} data
+ * @param {string} data.username
+ * @param {string=} data.categoryName
+ * @param {string=} data.timeSlot
+ * @param {Date|string=} data.drawDate     — window end of the checked draw
+ * @param {string} data.winningNumber
+ * @param {Array}  data.rounds — [{ label, suffix, count, total_winning_amount,
+ *   matches: [{ lottery_number, product_name, qty, winning_amount, total_winning_amount, sold_by }] }]
+ * @param {number} data.totalWinners
+ * @param {number} data.grandTotal
+ * @returns {Uint8Array}
+ */
+export const formatWinningResultReceipt = (data, _width = '80') => {
+    try {
+        const b = new CPCLBuilder();
+        const rounds = (data.rounds || []).filter(round => round.count > 0);
+
+        // ── Header ──────────────────────────────────────────────────────────
+        b.gap(12);
+        b.centerBold('======== D K ========', CFG.LINE_H_BOLD);
+        b.gap(10);
+        b.centerBold('Winning Result', CFG.LINE_H_BOLD);
+        b.gap(10);
+
+        // ── Draw ─────────────────────────────────────────────────────────────
+        b.splitLine(
+            str(data.categoryName),
+            str(data.timeSlot),
+            true,
+            CFG.LINE_H
+        );
+        if (data.drawDate) {
+            b.text(CFG.MARGIN_L, `Draw: ${formatDate(data.drawDate)}`);
+        }
+        b.bold(CFG.MARGIN_L, `Winning No: ${str(data.winningNumber)}`);
+        b.text(CFG.MARGIN_L, `Checked By: ${str(data.username)}`);
+        b.gap(10);
+
+        // ── Rounds ───────────────────────────────────────────────────────────
+        if (rounds.length === 0) {
+            b.line(1);
+            b.center('No matching sales');
+        }
+        rounds.forEach(round => {
+            b.line(2);
+            b.centerBold(
+                round.suffix ? `${str(round.label)} (${str(round.suffix)})` : str(round.label),
+                CFG.LINE_H_BOLD
+            );
+            b.line(1);
+
+            (round.matches || []).forEach(match => {
+                const name = productWithBetLabel(match.product_name, match);
+                const qty = Number(match.qty) || 0;
+                b.splitLine(
+                    `${str(match.lottery_number)} ${name}`,
+                    String(Math.round(Number(match.total_winning_amount) || 0)),
+                    true,
+                    CFG.LINE_H
+                );
+                b.splitLine(
+                    `  ${str(match.sold_by || '-')}`,
+                    `${qty} x ${Math.round(Number(match.winning_amount) || 0)}`,
+                    false,
+                    CFG.LINE_H
+                );
+            });
+
+            b.line(1);
+            b.splitLine(
+                `Count: ${round.count}`,
+                String(Math.round(Number(round.total_winning_amount) || 0)),
+                true,
+                CFG.LINE_H
+            );
+        });
+
+        // ── Totals ───────────────────────────────────────────────────────────
+        b.line(2);
+        b.splitLine('Total Winners', String(Number(data.totalWinners) || 0), false, CFG.LINE_H);
+        b.splitLine('Grand Total', String(Math.round(Number(data.grandTotal) || 0)), true, CFG.LINE_H_BOLD);
+        b.line(2);
+
+        // ── Footer ───────────────────────────────────────────────────────────
+        addFooter(b);
+
+        return b.buildBytes();
+
+    } catch (e) {
+        console.error('[cpclReceiptFormatter] formatWinningResultReceipt error:', e);
+        return errorBytes('PRINT ERROR');
+    }
+};
+
+/**
+ * Format a sales breakdown report (CPCL) — one row per category, product
+ * or user with its quantity and amount.
+ *
+ * @param {Object} data
+ * @param {string} data.title           — e.g. 'Category Breakdown', 'Kerala - Products'
+ * @param {string} data.fromDate
+ * @param {string} data.toDate
+ * @param {string=} data.username       — user filter, when one is set
+ * @param {Array}  data.rows   — [{ name, qty, amount }]
+ * @param {Object} data.totals — { qty, amount }
+ * @returns {Uint8Array}
+ */
+export const formatBreakdownReportReceipt = (data, _width = '80') => {
+    try {
+        const rows = Array.isArray(data?.rows) ? data.rows : [];
+        const b = new CPCLBuilder();
+
+        // Same 3-column layout as the rate summary
+        const X_NAME = 10;
+        const X_QTY = 345;
+        const X_AMOUNT = 486;
+        const NAME_WIDTH = 22;
+
+        // ── Header ──────────────────────────────────────────────────────────
+        b.gap(12);
+        b.centerBold('======== D K ========', CFG.LINE_H_BOLD);
+        b.gap(10);
+        b.centerBold(str(data.title || 'Sales Breakdown'), CFG.LINE_H_BOLD);
+        b.gap(10);
+
+        if (data.username) {
+            b.bold(CFG.MARGIN_L, `User: ${str(data.username)}`);
+            b.gap(8);
+        }
+
+        // ── Date range ───────────────────────────────────────────────────────
+        const fromTxt = `From: ${data.fromDate ? formatDate(data.fromDate) : '--'}`;
+        const toTxt = `To: ${data.toDate ? formatDate(data.toDate) : '--'}`;
+        b.splitLine(fromTxt, toTxt, true, CFG.LINE_H);
+        b.gap(10);
+
+        // ── Table Header ─────────────────────────────────────────────────────
+        b.line(2);
+        b.cmd('SETBOLD 1');
+        b.textInline(X_NAME, 'Name');
+        b.textInline(X_QTY, 'Qty');
+        b.textInline(X_AMOUNT, 'Amount');
+        b.y += CFG.LINE_H_BOLD;
+        b.cmd('SETBOLD 0');
+        b.line(2);
+
+        // ── Rows ─────────────────────────────────────────────────────────────
+        rows.forEach(row => {
+            const nameLines = wrapText(row.name, NAME_WIDTH);
+            b.textInline(X_NAME, nameLines[0]);
+            b.textInline(X_QTY, String(Math.round(Number(row.qty) || 0)));
+            b.textInline(X_AMOUNT, String(Math.round(Number(row.amount) || 0)));
+            b.y += CFG.LINE_H;
+            nameLines.slice(1).forEach(line => b.text(X_NAME, line));
+        });
+
+        // ── Totals ───────────────────────────────────────────────────────────
+        b.line(2);
+        b.cmd('SETBOLD 1');
+        b.textInline(X_NAME, 'TOTAL');
+        b.textInline(X_QTY, String(Math.round(Number(data.totals?.qty) || 0)));
+        b.textInline(X_AMOUNT, String(Math.round(Number(data.totals?.amount) || 0)));
+        b.y += CFG.LINE_H_BOLD;
+        b.cmd('SETBOLD 0');
+        b.line(2);
+
+        // ── Footer ───────────────────────────────────────────────────────────
+        addFooter(b);
+
+        return b.buildBytes();
+
+    } catch (e) {
+        console.error('[cpclReceiptFormatter] formatBreakdownReportReceipt error:', e);
+        return errorBytes('REPORT ERROR');
+    }
+};
+
+/**
+ * Format the invoice list at the end of a breakdown drill-down (CPCL),
+ * e.g. every invoice that sold one product of one category.
+ *
+ * @param {Object} data
+ * @param {string} data.title
+ * @param {string} data.fromDate
+ * @param {string} data.toDate
+ * @param {Array}  data.invoices — [{ invoice_number, created_at, created_by, qty, total, voided }]
+ * @returns {Uint8Array}
+ */
+export const formatBreakdownInvoicesReceipt = (data, _width = '80') => {
+    try {
+        const invoices = Array.isArray(data?.invoices) ? data.invoices : [];
+        const b = new CPCLBuilder();
+
+        // ── Header ──────────────────────────────────────────────────────────
+        b.gap(12);
+        b.centerBold('======== D K ========', CFG.LINE_H_BOLD);
+        b.gap(10);
+        b.centerBold(str(data.title || 'Invoices'), CFG.LINE_H_BOLD);
+        b.gap(10);
+
+        const fromTxt = `From: ${data.fromDate ? formatDate(data.fromDate) : '--'}`;
+        const toTxt = `To: ${data.toDate ? formatDate(data.toDate) : '--'}`;
+        b.splitLine(fromTxt, toTxt, true, CFG.LINE_H);
+        b.gap(10);
+        b.line(2);
+
+        // ── Invoices ─────────────────────────────────────────────────────────
+        let totalQty = 0;
+        let totalAmount = 0;
+        invoices.forEach(inv => {
+            b.splitLine(
+                `#${str(inv.invoice_number || '-')}${inv.voided ? ' VOID' : ''}`,
+                String(Math.round(Number(inv.total) || 0)),
+                true,
+                CFG.LINE_H
+            );
+            b.splitLine(
+                `  ${str(inv.created_by || '-')} ${formatTime(inv.created_at)}`,
+                `Qty ${Number(inv.qty) || 0}`,
+                false,
+                CFG.LINE_H
+            );
+            // Voided invoices are listed but not counted
+            if (!inv.voided) {
+                totalQty += Number(inv.qty) || 0;
+                totalAmount += Number(inv.total) || 0;
+            }
+        });
+
+        // ── Totals ───────────────────────────────────────────────────────────
+        b.line(2);
+        b.splitLine(`Invoices: ${invoices.length}`, `Qty: ${totalQty}`, false, CFG.LINE_H);
+        b.splitLine('Total', String(Math.round(totalAmount)), true, CFG.LINE_H_BOLD);
+        b.line(2);
+
+        // ── Footer ───────────────────────────────────────────────────────────
+        addFooter(b);
+
+        return b.buildBytes();
+
+    } catch (e) {
+        console.error('[cpclReceiptFormatter] formatBreakdownInvoicesReceipt error:', e);
+        return errorBytes('REPORT ERROR');
+    }
+};
+
 /** Convert bytes to hex string (debugging) */
 export const bytesToHex = (bytes, limit = 200) =>
     Array.from(bytes.slice(0, limit))
@@ -827,8 +1293,13 @@ export const bytesToHex = (bytes, limit = 200) =>
 export default {
     formatLotteryReceipt,
     formatSalesReceipt,
+    formatVoidSlip,
     formatSalesReportReceipt,
     formatRateSummaryReportReceipt,
     formatWinningSummaryReceipt,
+    formatPayoutVoucher,
+    formatWinningResultReceipt,
+    formatBreakdownReportReceipt,
+    formatBreakdownInvoicesReceipt,
     bytesToHex,
 };
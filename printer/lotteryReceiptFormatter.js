@@ -32,6 +32,8 @@
  * - Font size small but readable
  */
 
+import { getBetLabel } from '../utils/betTypes';
+
 // ESC/POS Command Constants
 const ESC = 0x1b;
 const GS = 0x1d;
@@ -50,8 +52,17 @@ const CMD = {
     LF: [0x0a],
     FEED_5: [ESC, 0x64, 0x05],
     CUT: [GS, 0x56, 0x01],
+    // QR code (GS ( k): model 2, module size, error correction M, store, print
+    QR_MODEL: [GS, 0x28, 0x6b, 0x04, 0x00, 0x31, 0x41, 0x32, 0x00],
+    QR_SIZE: (n) => [GS, 0x28, 0x6b, 0x03, 0x00, 0x31, 0x43, n],
+    QR_ERROR_M: [GS, 0x28, 0x6b, 0x03, 0x00, 0x31, 0x45, 0x31],
+    QR_STORE: (len) => [GS, 0x28, 0x6b, (len + 3) & 0xff, (len + 3) >> 8, 0x31, 0x50, 0x30],
+    QR_PRINT: [GS, 0x28, 0x6b, 0x03, 0x00, 0x31, 0x51, 0x30],
 };
 
+// QR module size in dots (1–16)
+const QR_MODULE_SIZE = 6;
+
 // Safe string conversion
 const str = (val) => (val === null || val === undefined) ? '' : String(val);
 
@@ -185,6 +196,7 @@ const getDescLines = (descText, maxPairs = 2) => {
  * @param {string} receiptData.items[].desc - Description number
  * @param {number} receiptData.items[].qty - Quantity
  * @param {number} receiptData.items[].price - Price per unit
+ * @param {string} [receiptData.qrPayload] - Receipt QR contents (utils/receiptQr)
  * @param {string} width - Paper width '80' or '58'
  * @returns {Uint8Array} ESC/POS bytes
  */
@@ -344,6 +356,22 @@ export const formatLotteryReceipt = (receiptData, width = '80') => {
         }
         cmd(CMD.BOLD_OFF);
 
+        // ==================== VERIFICATION QR ====================
+        if (receiptData.qrPayload) {
+            const qrData = toBytes(receiptData.qrPayload);
+            ln('-'.repeat(W));
+            cmd(CMD.ALIGN_CENTER);
+            cmd(CMD.QR_MODEL);
+            cmd(CMD.QR_SIZE(width === '58' ? QR_MODULE_SIZE - 2 : QR_MODULE_SIZE));
+            cmd(CMD.QR_ERROR_M);
+            cmd(CMD.QR_STORE(qrData.length));
+            parts.push(qrData);
+            cmd(CMD.QR_PRINT);
+            cmd(CMD.LF);
+            ln('Scan to verify');
+            cmd(CMD.ALIGN_LEFT);
+        }
+
         // ==================== FOOTER ====================
         ln('-'.repeat(W));
         cmd(CMD.ALIGN_CENTER);
@@ -382,6 +410,7 @@ export const formatLotteryReceipt = (receiptData, width = '80') => {
  * @param {string} data.username - Username
  * @param {string} data.invoiceNo - Invoice number
  * @param {Array} data.cartItems - Array of cart items from SalesScreen
+ * @param {string} [data.qrPayload] - Receipt QR contents (utils/receiptQr)
  * @param {string} width - Paper width '80' or '58'
  * @returns {Uint8Array} ESC/POS bytes
  */
@@ -430,7 +459,7 @@ export const formatSalesReceipt = (data, width = '80') => {
 
     // Flatten items for receipt
     const items = (data.cartItems || []).map(item => ({
-        productName: item.product_name,
+        productName: [item.product_name, getBetLabel(item)].filter(Boolean).join(' '),
         desc: item.desc || '-',
         qty: item.qty,
         price: item.price,
@@ -443,6 +472,7 @@ export const formatSalesReceipt = (data, width = '80') => {
         date: now,
         timeSlot: timeSlotDisplay || data.timeSlot || null,
         categoryName: categoryDisplay,
+        qrPayload: data.qrPayload,
         items: items,
     }, width);
 };
@@ -0,0 +1,974 @@
+import React, { useState, useEffect, useCallback, useMemo } from 'react';
+import {
+    View,
+    Text,
+    StyleSheet,
+    FlatList,
+    TouchableOpacity,
+    Platform,
+    ActivityIndicator,
+    RefreshControl,
+    ToastAndroid,
+    Alert,
+    Dimensions,
+    ScrollView,
+} from 'react-native';
+import MaterialCommunityIcons from 'react-native-vector-icons/MaterialCommunityIcons';
+import LinearGradient from 'react-native-linear-gradient';
+import { BarChart } from 'react-native-chart-kit';
+import { reportService } from '../services/reportService';
+import { authService } from '../services';
+import PrinterService from '../printer/PrinterService';
+import { formatBreakdownReportReceipt, formatBreakdownInvoicesReceipt } from '../printer/cpclReceiptFormatter';
+import {
+    BREAKDOWN_DIMENSION,
+    BREAKDOWN_DIMENSIONS,
+    BREAKDOWN_SORT,
+    getBreakdownDimension,
+    normalizeBreakdownRows,
+    sortBreakdownRows,
+    sumBreakdownRows,
+    toBreakdownChartData
+} from '../utils/breakdown';
+import { groupInvoices } from '../utils/excelExport';
+import { confirmReportComplete } from '../utils/reportPages';
+import RNHTMLtoPDF from 'react-native-html-to-pdf';
+import Share from 'react-native-share';
+
+const { width: screenWidth } = Dimensions.get('window');
+
+const chartConfig = {
+    backgroundGradientFrom: '#ffffff',
+    backgroundGradientTo: '#ffffff',
+    color: (opacity = 1) => `rgba(58, 72, 194, ${opacity})`,
+    labelColor: (opacity = 1) => `rgba(100, 100, 100, ${opacity})`,
+    barPercentage: 0.6,
+    decimalPlaces: 0,
+    propsForBackgroundLines: {
+        strokeDasharray: '5, 5',
+        strokeWidth: 1,
+        stroke: 'rgba(0,0,0,0.1)'
+    },
+};
+
+// by-* endpoint per tab
+const FETCHERS = {
+    [BREAKDOWN_DIMENSION.CATEGORY]: reportService.getSalesByCategory,
+    [BREAKDOWN_DIMENSION.PRODUCT]: reportService.getSalesByProduct,
+    [BREAKDOWN_DIMENSION.USER]: reportService.getSalesByUser,
+};
+
+const formatCurrency = (amount) => '₹' + Math.round(parseFloat(amount) || 0).toLocaleString('en-IN');
+
+const pluralLabel = (label) => (label.endsWith('y') ? `${label.slice(0, -1)}ies` : `${label}s`);
+
+const formatDateTime = (dateStr) => {
+    if (!dateStr) return '-';
+    return new Date(dateStr).toLocaleString('en-IN', {
+        day: '2-digit', month: 'short', hour: '2-digit', minute: '2-digit', hour12: true
+    });
+};
+
+const BreakdownReportScreen = ({ navigation, route }) => {
+    const { filters, userName } = route.params || {};
+    const [isAdmin, setIsAdmin] = useState(false);
+    const [dimension, setDimension] = useState(BREAKDOWN_DIMENSION.CATEGORY);
+    // Drill-down path: { category } → products of it; { product } or { user } → invoices
+    const [drill, setDrill] = useState({});
+    const [rows, setRows] = useState([]);
+    const [invoices, setInvoices] = useState([]);
+    const [invoiceCheck, setInvoiceCheck] = useState({ loaded: 0, expected: 0 });
+    const [sort, setSort] = useState({ key: BREAKDOWN_SORT.AMOUNT, ascending: false });
+    const [isLoading, setIsLoading] = useState(true);
+    const [refreshing, setRefreshing] = useState(false);
+    const [isPrinting, setIsPrinting] = useState(false);
+    const [isSharing, setIsSharing] = useState(false);
+
+    const isInvoiceView = !!(drill.product || drill.user);
+
+    const formatDisplayDate = (dateStr) => {
+        if (!dateStr) return '';
+        return new Date(dateStr).toLocaleDateString('en-IN', {
+            day: '2-digit',
+            month: 'short',
+            year: 'numeric'
+        });
+    };
+
+    const isSameDay = filters?.start_date && filters?.end_date && filters.start_date === filters.end_date;
+    const dateRangeText = filters?.start_date && filters?.end_date
+        ? isSameDay ? formatDisplayDate(filters.start_date) : `${formatDisplayDate(filters.start_date)} — ${formatDisplayDate(filters.end_date)}`
+        : formatDisplayDate(new Date().toISOString());
+
+    // Sales by user is admin only
+    useEffect(() => {
+        authService.isAdmin().then(setIsAdmin).catch(() => setIsAdmin(false));
+    }, []);
+
+    const tabs = BREAKDOWN_DIMENSIONS.filter(d => d.key !== BREAKDOWN_DIMENSION.USER || isAdmin);
+
+    // Filters of the current drill level
+    const getViewParams = useCallback(() => {
+        const params = { ...filters };
+        if (drill.category?.id != null) params.category_id = drill.category.id;
+        if (drill.product?.id != null) params.product_id = drill.product.id;
+        if (drill.user?.id != null) params.user_id = drill.user.id;
+        return params;
+    }, [filters, drill]);
+
+    const fetchView = useCallback(async (showLoader = true) => {
+        if (showLoader) setIsLoading(true);
+        try {
+            if (drill.product || drill.user) {
+                const response = await reportService.getAllSalesReport(getViewParams());
+                const data = response?.data || {};
+                const list = groupInvoices(data.report || [])
+                    .sort((a, b) => new Date(b.created_at) - new Date(a.created_at));
+                setInvoices(list);
+                setInvoiceCheck({ loaded: (data.report || []).length, expected: data.expected || 0 });
+            } else {
+                const viewDimension = drill.category ? BREAKDOWN_DIMENSION.PRODUCT : dimension;
+                const response = await FETCHERS[viewDimension](getViewParams());
+                const report = Array.isArray(response?.data) ? response.data : response?.data?.report;
+                setRows(normalizeBreakdownRows(report || [], viewDimension));
+            }
+        } catch (error) {
+            console.error('Fetch breakdown error:', error);
+            Alert.alert('Error', error.response?.data?.message || 'Failed to load breakdown data');
+        } finally {
+            setIsLoading(false);
+            setRefreshing(false);
+        }
+    }, [dimension, drill, getViewParams]);
+
+    useEffect(() => {
+        fetchView();
+    }, [fetchView]);
+
+    const handleRefresh = () => {
+        setRefreshing(true);
+        fetchView(false);
+    };
+
+    const handleTabChange = (key) => {
+        if (key === dimension && !drill.category && !isInvoiceView) return;
+        setRows([]);
+        setInvoices([]);
+        setDrill({});
+        setDimension(key);
+    };
+
+    // Dimension of the rows on screen (products while drilled into a category)
+    const rowDimension = drill.category ? BREAKDOWN_DIMENSION.PRODUCT : dimension;
+
+    const handleRowPress = (row) => {
+        if (rowDimension === BREAKDOWN_DIMENSION.CATEGORY) {
+            setDrill({ category: row });
+        } else if (rowDimension === BREAKDOWN_DIMENSION.PRODUCT) {
+            setDrill({ category: drill.category, product: row });
+        } else {
+            setDrill({ user: row });
+        }
+    };
+
+    // Back one drill level, or leave the screen at the top
+    const handleBack = () => {
+        if (drill.product && drill.category) {
+            setDrill({ category: drill.category });
+        } else if (drill.category || drill.product || drill.user) {
+            setDrill({});
+        } else {
+            navigation.goBack();
+        }
+    };
+
+    const handleSort = (key) => {
+        setSort(prev => ({
+            key,
+            // Names start A→Z, numbers start high→low
+            ascending: prev.key === key ? !prev.ascending : key === BREAKDOWN_SORT.NAME,
+        }));
+    };
+
+    const sortedRows = useMemo(() => sortBreakdownRows(rows, sort.key, sort.ascending), [rows, sort]);
+    const totals = useMemo(() => sumBreakdownRows(rows), [rows]);
+    const chartData = useMemo(() => toBreakdownChartData(rows), [rows]);
+    const invoiceTotals = useMemo(() => invoices.filter(inv => !inv.voided).reduce(
+        (sum, inv) => ({ qty: sum.qty + inv.qty, amount: sum.amount + inv.total }),
+        { qty: 0, amount: 0 }
+    ), [invoices]);
+
+    const viewTitle = (() => {
+        if (drill.product) return `${drill.product.name} - Invoices`;
+        if (drill.user) return `${drill.user.name} - Invoices`;
+        if (drill.category) return `${drill.category.name} - Products`;
+        return `${getBreakdownDimension(dimension).label} Breakdown`;
+    })();
+
+    const hasData = isInvoiceView ? invoices.length > 0 : rows.length > 0;
+
+    // Print the table or invoice list on screen
+    const processPrint = async () => {
+        setIsPrinting(true);
+        try {
+            const receiptBytes = isInvoiceView
+                ? formatBreakdownInvoicesReceipt({
+                    title: viewTitle,
+                    fromDate: filters?.start_date || null,
+                    toDate: filters?.end_date || null,
+                    invoices,
+                }, '80')
+                : formatBreakdownReportReceipt({
+                    title: viewTitle,
+                    fromDate: filters?.start_date || null,
+                    toDate: filters?.end_date || null,
+                    username: userName || null,
+                    rows: sortedRows,
+                    totals,
+                }, '80');
+
+            await PrinterService.printWithPersistentConnection(receiptBytes);
+
+            if (Platform.OS === 'android') {
+                ToastAndroid.show('Report printed successfully!', ToastAndroid.SHORT);
+            }
+        } catch (error) {
+            console.error('[Print Breakdown] Error:', error);
+            const msg = error.message || 'Failed to print report';
+
+            if (msg.includes('No printer configured')) {
+                Alert.alert(
+                    'No Printer',
+                    'No printer configured. Would you like to set up a printer?',
+                    [
+                        { text: 'Later', style: 'cancel' },
+                        { text: 'Setup', onPress: () => navigation.navigate('PrinterSettings') }
+                    ]
+                );
+            } else if (Platform.OS === 'android') {
+                ToastAndroid.show(`Print: ${msg}`, ToastAndroid.LONG);
+            }
+        } finally {
+            setIsPrinting(false);
+        }
+    };
+
+    const handlePrint = async () => {
+        if (!hasData) {
+            Alert.alert('No Data', 'No data to print.');
+            return;
+        }
+        if (isInvoiceView && !(await confirmReportComplete(invoiceCheck.loaded, invoiceCheck.expected))) return;
+
+        Alert.alert(
+            'Print Report',
+            `Are you sure you want to print "${viewTitle}"?`,
+            [
+                { text: 'Cancel', style: 'cancel' },
+                { text: 'Print', onPress: processPrint }
+            ]
+        );
+    };
+
+    // Generate A4 PDF of the view on screen and share via WhatsApp
+    const handleWhatsAppShare = async () => {
+        if (!hasData) {
+            Alert.alert('No Data', 'No data to share.');
+            return;
+        }
+        if (isInvoiceView && !(await confirmReportComplete(invoiceCheck.loaded, invoiceCheck.expected))) return;
+
+        setIsSharing(true);
+        try {
+            const cell = 'padding: 10px 14px; border-bottom: 1px solid #eee; font-size: 13px;';
+            const head = 'padding: 10px 14px; font-size: 12px; font-weight: 700; color: #3a48c2; text-transform: uppercase;';
+            let headerCells;
+            let bodyRows;
+            let summaryQty;
+            let summaryAmount;
+
+            if (isInvoiceView) {
+                headerCells = `
+                    <th style="${head} text-align: left;">#</th>
+                    <th style="${head} text-align: left;">Invoice</th>
+                    <th style="${head} text-align: left;">Sold By</th>
+                    <th style="${head} text-align: left;">Date</th>
+                    <th style="${head} text-align: center;">Qty</th>
+                    <th style="${head} text-align: right;">Amount</th>`;
+                bodyRows = invoices.map((inv, index) => `
+                    <tr style="background-color: ${index % 2 === 0 ? '#ffffff' : '#f8f9fd'};">
+                        <td style="${cell} color: #555;">${index + 1}</td>
+                        <td style="${cell} color: #1a1a1a; font-weight: 600;">${inv.invoice_number || '-'}${inv.voided ? ' (VOID)' : ''}</td>
+                        <td style="${cell} color: #555;">${inv.created_by || '-'}</td>
+                        <td style="${cell} color: #555;">${formatDateTime(inv.created_at)}</td>
+                        <td style="${cell} color: #333; text-align: center; font-weight: 600;">${inv.qty}</td>
+                        <td style="${cell} color: #15803d; text-align: right; font-weight: 700;">${Math.round(inv.total).toLocaleString('en-IN')}</td>
+                    </tr>`).join('');
+                summaryQty = invoiceTotals.qty;
+                summaryAmount = invoiceTotals.amount;
+            } else {
+                headerCells = `
+                    <th style="${head} text-align: left;">#</th>
+                    <th style="${head} text-align: left;">${getBreakdownDimension(rowDimension).label}</th>
+                    <th style="${head} text-align: center;">Qty</th>
+                    <th style="${head} text-align: right;">Amount</th>
+                    <th style="${head} text-align: right;">Share</th>`;
+                bodyRows = sortedRows.map((row, index) => `
+                    <tr style="background-color: ${index % 2 === 0 ? '#ffffff' : '#f8f9fd'};">
+                        <td style="${cell} color: #555;">${index + 1}</td>
+                        <td style="${cell} color: #1a1a1a; font-weight: 600;">${row.name}</td>
+                        <td style="${cell} color: #333; text-align: center; font-weight: 600;">${Math.round(row.qty)}</td>
+                        <td style="${cell} color: #15803d; text-align: right; font-weight: 700;">${Math.round(row.amount).toLocaleString('en-IN')}</td>
+                        <td style="${cell} color: #555; text-align: right;">${totals.amount > 0 ? ((row.amount / totals.amount) * 100).toFixed(1) : '0.0'}%</td>
+                    </tr>`).join('');
+                summaryQty = totals.qty;
+                summaryAmount = totals.amount;
+            }
+
+            const userNameDisplay = userName ? ` | User: ${userName}` : '';
+
+            const htmlContent = `
+                <html>
+                <head>
+                    <meta charset="utf-8">
+                    <style>
+                        @page { size: A4; margin: 15mm; }
+                        body { font-family: 'Helvetica Neue', Helvetica, Arial, sans-serif; color: #222; margin: 0; padding: 0; }
+                    </style>
+                </head>
+                <body>
+                    <div style="background: linear-gradient(135deg, #3a48c2, #192f6a); color: #fff; padding: 20px 24px; border-radius: 12px; margin-bottom: 20px;">
+                        <h1 style="margin: 0 0 6px 0; font-size: 22px; font-weight: 700;">${viewTitle}</h1>
+                        <p style="margin: 0; font-size: 14px; opacity: 0.85;">${dateRangeText}${userNameDisplay}</p>
+                    </div>
+
+                    <div style="display: flex; justify-content: space-between; background: #fff; border: 1px solid #f0f0f5; box-shadow: 0 2px 8px rgba(0,0,0,0.05); border-radius: 10px; padding: 16px 20px; margin-bottom: 24px; font-size: 15px;">
+                        <span>Total Qty: <strong style="color: #3a48c2;">${Math.round(summaryQty)}</strong></span>
+                        <span>Total Amount: <strong style="color: #c2410c;">${Math.round(summaryAmount).toLocaleString('en-IN')}</strong></span>
+                    </div>
+
+                    <table style="width: 100%; border-collapse: collapse; box-shadow: 0 1px 4px rgba(0,0,0,0.06); border-radius: 8px; overflow: hidden; border: 1px solid #eee;">
+                        <thead><tr style="background: #f0f2ff;">${headerCells}</tr></thead>
+                        <tbody>${bodyRows}</tbody>
+                    </table>
+                </body>
+                </html>
+            `;
+
+            const pdf = await RNHTMLtoPDF.convert({
+                html: htmlContent,
+                fileName: `Sales_Breakdown_${Date.now()}`,
+                directory: 'Documents',
+                base64: false,
+                height: 842,
+                width: 595,
+            });
+
+            if (pdf.filePath) {
+                await Share.open({
+                    url: `file://${pdf.filePath}`,
+                    type: 'application/pdf',
+                    social: Share.Social.WHATSAPP,
+                    title: viewTitle,
+                    message: `${viewTitle} (${dateRangeText})`,
+                });
+            }
+        } catch (error) {
+            if (error?.message !== 'User did not share' && !error?.message?.includes('dismiss')) {
+                console.error('[WhatsApp Share] Error:', error);
+                if (Platform.OS === 'android') {
+                    ToastAndroid.show('Failed to share report', ToastAndroid.SHORT);
+                }
+            }
+        } finally {
+            setIsSharing(false);
+        }
+    };
+
+    const renderSortHeader = (key, label, style) => {
+        const active = sort.key === key;
+        return (
+            <TouchableOpacity style={[styles.sortHeaderCell, style]} onPress={() => handleSort(key)}>
+                <Text style={[styles.tableHeaderText, active && styles.tableHeaderTextActive]}>{label}</Text>
+                {active && (
+                    <MaterialCommunityIcons
+                        name={sort.ascending ? 'arrow-up' : 'arrow-down'}
+                        size={12}
+                        color="#3a48c2"
+                    />
+                )}
+            </TouchableOpacity>
+        );
+    };
+
+    const renderListHeader = () => (
+        <View>
+            {/* Breadcrumb */}
+            {(drill.category || isInvoiceView) && (
+                <ScrollView horizontal showsHorizontalScrollIndicator={false} contentContainerStyle={styles.breadcrumb}>
+                    <TouchableOpacity onPress={() => setDrill({})}>
+                        <Text style={styles.breadcrumbLink}>All {pluralLabel(getBreakdownDimension(dimension).label)}</Text>
+                    </TouchableOpacity>
+                    {drill.category && (
+                        <>
+                            <MaterialCommunityIcons name="chevron-right" size={16} color="#9CA3AF" />
+                            <TouchableOpacity onPress={() => setDrill({ category: drill.category })} disabled={!drill.product}>
+                                <Text style={drill.product ? styles.breadcrumbLink : styles.breadcrumbCurrent}>{drill.category.name}</Text>
+                            </TouchableOpacity>
+                        </>
+                    )}
+                    {(drill.product || drill.user) && (
+                        <>
+                            <MaterialCommunityIcons name="chevron-right" size={16} color="#9CA3AF" />
+                            <Text style={styles.breadcrumbCurrent}>{(drill.product || drill.user).name}</Text>
+                        </>
+                    )}
+                </ScrollView>
+            )}
+
+            {/* Totals */}
+            <View style={styles.summaryGrid}>
+                <View style={styles.summaryCard}>
+                    <Text style={styles.summaryValue}>
+                        {isInvoiceView ? invoices.length : rows.length}
+                    </Text>
+                    <Text style={styles.summaryLabel}>
+                        {isInvoiceView ? 'Invoices' : pluralLabel(getBreakdownDimension(rowDimension).label)}
+                    </Text>
+                </View>
+                <View style={styles.summaryCard}>
+                    <Text style={styles.summaryValue}>{Math.round(isInvoiceView ? invoiceTotals.qty : totals.qty)}</Text>
+                    <Text style={styles.summaryLabel}>Total Qty</Text>
+                </View>
+                <View style={styles.summaryCard}>
+                    <Text style={[styles.summaryValue, { color: '#c2410c' }]}>
+                        {formatCurrency(isInvoiceView ? invoiceTotals.amount : totals.amount)}
+                    </Text>
+                    <Text style={styles.summaryLabel}>Total Amount</Text>
+                </View>
+            </View>
+
+            {isInvoiceView && invoiceCheck.loaded < invoiceCheck.expected && (
+                <View style={styles.warningBanner}>
+                    <MaterialCommunityIcons name="alert-outline" size={18} color="#b45309" />
+                    <Text style={styles.warningText}>
+                        Only {invoiceCheck.loaded} of {invoiceCheck.expected} sales could be loaded
+                    </Text>
+                </View>
+            )}
+
+            {/* Bar chart of the top rows */}
+            {!isInvoiceView && rows.length > 0 && (
+                <View style={styles.chartCard}>
+                    <Text style={styles.chartTitle}>Top by Amount</Text>
+                    <BarChart
+                        data={chartData}
+                        width={screenWidth - 64}
+                        height={200}
+                        chartConfig={chartConfig}
+                        fromZero
+                        showValuesOnTopOfBars
+                        withInnerLines
+                        yAxisLabel=""
+                        yAxisSuffix=""
+                        style={styles.chart}
+                    />
+                </View>
+            )}
+
+            {/* Table header */}
+            {hasData && (
+                isInvoiceView ? (
+                    <View style={styles.tableHeader}>
+                        <Text style={[styles.tableHeaderText, { flex: 1 }]}>Invoice</Text>
+                        <Text style={[styles.tableHeaderText, styles.colQty]}>Qty</Text>
+                        <Text style={[styles.tableHeaderText, styles.colAmount]}>Amount</Text>
+                    </View>
+                ) : (
+                    <View style={styles.tableHeader}>
+                        {renderSortHeader(BREAKDOWN_SORT.NAME, getBreakdownDimension(rowDimension).label, { flex: 1 })}
+                        {renderSortHeader(BREAKDOWN_SORT.QTY, 'Qty', styles.colQty)}
+                        {renderSortHeader(BREAKDOWN_SORT.AMOUNT, 'Amount', styles.colAmount)}
+                    </View>
+                )
+            )}
+        </View>
+    );
+
+    const renderRow = ({ item }) => {
+        const share = totals.amount > 0 ? (item.amount / totals.amount) * 100 : 0;
+        return (
+            <TouchableOpacity style={styles.tableRow} onPress={() => handleRowPress(item)} activeOpacity={0.7}>
+                <View style={{ flex: 1 }}>
+                    <Text style={styles.rowName} numberOfLines={1}>{item.name}</Text>
+                    <View style={styles.shareTrack}>
+                        <View style={[styles.shareFill, { width: `${Math.min(100, share)}%` }]} />
+                    </View>
+                    <Text style={styles.rowMeta}>
+                        {share.toFixed(1)}%{item.count > 0 ? ` · ${item.count} sales` : ''}
+                    </Text>
+                </View>
+                <Text style={[styles.rowText, styles.colQty]}>{Math.round(item.qty)}</Text>
+                <Text style={[styles.rowText, styles.colAmount, styles.amountText]}>{formatCurrency(item.amount)}</Text>
+                <MaterialCommunityIcons name="chevron-right" size={18} color="#C4C8E8" />
+            </TouchableOpacity>
+        );
+    };
+
+    const renderInvoice = ({ item }) => (
+        <View style={styles.tableRow}>
+            <View style={{ flex: 1 }}>
+                <View style={{ flexDirection: 'row', alignItems: 'center', gap: 6 }}>
+                    <Text style={[styles.rowName, item.voided && styles.voidText]}>#{item.invoice_number || '-'}</Text>
+                    {item.voided && <Text style={styles.voidBadge}>VOID</Text>}
+                </View>
+                <Text style={styles.rowMeta} numberOfLines={1}>
+                    {item.created_by || '-'} · {formatDateTime(item.created_at)}
+                    {item.category_name ? ` · ${item.category_name}` : ''}
+                </Text>
+            </View>
+            <Text style={[styles.rowText, styles.colQty]}>{item.qty}</Text>
+            <Text style={[styles.rowText, styles.colAmount, styles.amountText, item.voided && styles.voidText]}>
+                {formatCurrency(item.total)}
+            </Text>
+        </View>
+    );
+
+    return (
+        <View style={styles.container}>
+            {/* Header */}
+            <LinearGradient
+                colors={['#3a48c2', '#2a38a0', '#192f6a']}
+                style={styles.headerBackground}
+                start={{ x: 0, y: 0 }}
+                end={{ x: 1, y: 1 }}
+            >
+                <View style={styles.decorativeCircle1} />
+                <View style={styles.decorativeCircle2} />
+
+                <View style={styles.headerContent}>
+                    <TouchableOpacity onPress={handleBack} style={styles.backButton}>
+                        <MaterialCommunityIcons name="arrow-left" size={24} color="#fff" />
+                    </TouchableOpacity>
+                    <Text style={styles.headerTitle} numberOfLines={1}>Sales Breakdown</Text>
+                    <TouchableOpacity
+                        onPress={handlePrint}
+                        style={styles.printButton}
+                        disabled={isPrinting || isLoading || !hasData}
+                    >
+                        {isPrinting ? (
+                            <ActivityIndicator size="small" color="#fff" />
+                        ) : (
+                            <MaterialCommunityIcons name="printer" size={22} color="#fff" />
+                        )}
+                    </TouchableOpacity>
+                </View>
+
+                {/* Date Range Badge */}
+                <View style={styles.dateRangeBadge}>
+                    <MaterialCommunityIcons name="calendar-range" size={16} color="rgba(255,255,255,0.8)" />
+                    <Text style={styles.dateRangeText}>
+                        {dateRangeText}{userName ? ` · ${userName}` : ''}
+                    </Text>
+                </View>
+            </LinearGradient>
+
+            {/* Dimension Tabs */}
+            <View style={styles.tabRow}>
+                {tabs.map(tab => {
+                    const active = tab.key === dimension;
+                    return (
+                        <TouchableOpacity
+                            key={tab.key}
+                            style={[styles.tab, active && styles.tabActive]}
+                            onPress={() => handleTabChange(tab.key)}
+                        >
+                            <MaterialCommunityIcons name={tab.icon} size={16} color={active ? '#fff' : '#3a48c2'} />
+                            <Text style={[styles.tabText, active && styles.tabTextActive]}>{tab.label}</Text>
+                        </TouchableOpacity>
+                    );
+                })}
+            </View>
+
+            {isLoading ? (
+                <View style={styles.centerContainer}>
+                    <ActivityIndicator size="large" color="#3a48c2" />
+                    <Text style={styles.loadingText}>Loading {viewTitle.toLowerCase()}...</Text>
+                </View>
+            ) : (
+                <FlatList
+                    data={isInvoiceView ? invoices : sortedRows}
+                    renderItem={isInvoiceView ? renderInvoice : renderRow}
+                    keyExtractor={(item, index) => (isInvoiceView
+                        ? `inv-${item.invoice_number || index}`
+                        : `${rowDimension}-${item.id ?? item.name}-${index}`)}
+                    ListHeaderComponent={renderListHeader}
+                    contentContainerStyle={styles.listContent}
+                    refreshControl={
+                        <RefreshControl
+                            refreshing={refreshing}
+                            onRefresh={handleRefresh}
+                            colors={['#3a48c2']}
+                        />
+                    }
+                    ListEmptyComponent={
+                        <View style={styles.emptyContainer}>
+                            <MaterialCommunityIcons name="chart-bar" size={60} color="#ddd" />
+                            <Text style={styles.emptyTitle}>No sales found</Text>
+                            <Text style={styles.emptyText}>Try a different date range or user</Text>
+                        </View>
+                    }
+                />
+            )}
+
+            {/* WhatsApp Floating Action Button */}
+            <TouchableOpacity
+                style={styles.whatsappFab}
+                onPress={handleWhatsAppShare}
+                activeOpacity={0.8}
+                disabled={isSharing || isLoading || !hasData}
+            >
+                {isSharing ? (
+                    <ActivityIndicator size="small" color="#fff" />
+                ) : (
+                    <MaterialCommunityIcons name="whatsapp" size={28} color="#fff" />
+                )}
+            </TouchableOpacity>
+        </View>
+    );
+};
+
+const styles = StyleSheet.create({
+    container: {
+        flex: 1,
+        backgroundColor: '#F8F9FD',
+    },
+    headerBackground: {
+        paddingTop: Platform.OS === 'android' ? 20 : 20,
+        paddingBottom: 20,
+        paddingHorizontal: 20,
+        borderBottomLeftRadius: 30,
+        borderBottomRightRadius: 30,
+        marginBottom: 12,
+        position: 'relative',
+        overflow: 'hidden',
+        zIndex: 1,
+    },
+    decorativeCircle1: {
+        position: 'absolute',
+        width: 200,
+        height: 200,
+        borderRadius: 100,
+        backgroundColor: 'rgba(255, 255, 255, 0.05)',
+        top: -50,
+        right: -50,
+    },
+    decorativeCircle2: {
+        position: 'absolute',
+        width: 150,
+        height: 150,
+        borderRadius: 75,
+        backgroundColor: 'rgba(255, 255, 255, 0.05)',
+        top: 40,
+        left: -40,
+    },
+    headerContent: {
+        flexDirection: 'row',
+        justifyContent: 'space-between',
+        alignItems: 'center',
+        marginTop: 10,
+    },
+    backButton: {
+        backgroundColor: 'rgba(255, 255, 255, 0.08)',
+        padding: 10,
+        borderRadius: 52,
+        borderWidth: 1,
+        borderColor: 'rgba(255, 255, 255, 0.1)',
+        width: 44,
+        height: 44,
+        justifyContent: 'center',
+        alignItems: 'center',
+    },
+    headerTitle: {
+        fontSize: 20,
+        fontWeight: 'bold',
+        color: '#fff',
+        flex: 1,
+        textAlign: 'center',
+        letterSpacing: 0.5,
+    },
+    printButton: {
+        backgroundColor: 'rgba(255, 255, 255, 0.08)',
+        padding: 10,
+        borderRadius: 52,
+        borderWidth: 1,
+        borderColor: 'rgba(255, 255, 255, 0.1)',
+        width: 44,
+        height: 44,
+        justifyContent: 'center',
+        alignItems: 'center',
+    },
+    dateRangeBadge: {
+        flexDirection: 'row',
+        alignItems: 'center',
+        alignSelf: 'center',
+        marginTop: 10,
+        gap: 6,
+        backgroundColor: 'rgba(255,255,255,0.12)',
+        paddingHorizontal: 14,
+        paddingVertical: 6,
+        borderRadius: 20,
+    },
+    dateRangeText: {
+        fontSize: 13,
+        color: 'rgba(255,255,255,0.9)',
+        fontWeight: '600',
+    },
+    tabRow: {
+        flexDirection: 'row',
+        gap: 8,
+        marginHorizontal: 16,
+        marginBottom: 10,
+    },
+    tab: {
+        flex: 1,
+        flexDirection: 'row',
+        alignItems: 'center',
+        justifyContent: 'center',
+        gap: 6,
+        backgroundColor: '#F0F1FF',
+        borderRadius: 12,
+        paddingVertical: 10,
+    },
+    tabActive: {
+        backgroundColor: '#3a48c2',
+    },
+    tabText: {
+        fontSize: 13,
+        fontWeight: '700',
+        color: '#3a48c2',
+    },
+    tabTextActive: {
+        color: '#fff',
+    },
+    listContent: {
+        paddingHorizontal: 16,
+        paddingBottom: 100,
+    },
+    breadcrumb: {
+        flexDirection: 'row',
+        alignItems: 'center',
+        gap: 4,
+        paddingVertical: 6,
+        marginBottom: 6,
+    },
+    breadcrumbLink: {
+        fontSize: 13,
+        fontWeight: '600',
+        color: '#3a48c2',
+    },
+    breadcrumbCurrent: {
+        fontSize: 13,
+        fontWeight: '700',
+        color: '#1a1a1a',
+    },
+    summaryGrid: {
+        flexDirection: 'row',
+        gap: 8,
+        marginBottom: 10,
+    },
+    summaryCard: {
+        flex: 1,
+        backgroundColor: '#fff',
+        borderRadius: 16,
+        paddingVertical: 12,
+        paddingHorizontal: 10,
+        alignItems: 'center',
+        elevation: 2,
+        shadowColor: '#000',
+        shadowOffset: { width: 0, height: 1 },
+        shadowOpacity: 0.05,
+        shadowRadius: 4,
+    },
+    summaryValue: {
+        fontSize: 16,
+        fontWeight: 'bold',
+        color: '#1a1a1a',
+    },
+    summaryLabel: {
+        fontSize: 11,
+        color: '#888',
+        marginTop: 2,
+        textTransform: 'uppercase',
+    },
+    warningBanner: {
+        flexDirection: 'row',
+        alignItems: 'center',
+        gap: 8,
+        backgroundColor: '#FEF3C7',
+        borderRadius: 12,
+        paddingHorizontal: 12,
+        paddingVertical: 8,
+        marginBottom: 10,
+    },
+    warningText: {
+        flex: 1,
+        fontSize: 12,
+        fontWeight: '600',
+        color: '#b45309',
+    },
+    chartCard: {
+        backgroundColor: '#fff',
+        borderRadius: 16,
+        padding: 12,
+        marginBottom: 10,
+        elevation: 2,
+        shadowColor: '#000',
+        shadowOffset: { width: 0, height: 1 },
+        shadowOpacity: 0.05,
+        shadowRadius: 4,
+    },
+    chartTitle: {
+        fontSize: 14,
+        fontWeight: '700',
+        color: '#1a1a1a',
+        marginBottom: 8,
+    },
+    chart: {
+        borderRadius: 12,
+    },
+    tableHeader: {
+        flexDirection: 'row',
+        alignItems: 'center',
+        backgroundColor: '#F0F1FF',
+        borderTopLeftRadius: 12,
+        borderTopRightRadius: 12,
+        paddingHorizontal: 12,
+        paddingVertical: 10,
+    },
+    sortHeaderCell: {
+        flexDirection: 'row',
+        alignItems: 'center',
+        gap: 2,
+    },
+    tableHeaderText: {
+        fontSize: 12,
+        fontWeight: '700',
+        color: '#6B7280',
+        textTransform: 'uppercase',
+    },
+    tableHeaderTextActive: {
+        color: '#3a48c2',
+    },
+    colQty: {
+        width: 56,
+        textAlign: 'center',
+        justifyContent: 'center',
+    },
+    colAmount: {
+        width: 96,
+        textAlign: 'right',
+        justifyContent: 'flex-end',
+    },
+    tableRow: {
+        flexDirection: 'row',
+        alignItems: 'center',
+        backgroundColor: '#fff',
+        paddingHorizontal: 12,
+        paddingVertical: 10,
+        borderBottomWidth: 1,
+        borderBottomColor: '#F3F4F6',
+        gap: 4,
+    },
+    rowName: {
+        fontSize: 14,
+        fontWeight: '600',
+        color: '#1a1a1a',
+    },
+    rowMeta: {
+        fontSize: 11,
+        color: '#6B7280',
+        marginTop: 2,
+    },
+    rowText: {
+        fontSize: 14,
+        color: '#333',
+        fontWeight: '600',
+    },
+    amountText: {
+        color: '#15803d',
+        fontWeight: '700',
+    },
+    shareTrack: {
+        height: 4,
+        backgroundColor: '#F0F1FF',
+        borderRadius: 2,
+        marginTop: 4,
+        marginRight: 8,
+        overflow: 'hidden',
+    },
+    shareFill: {
+        height: 4,
+        backgroundColor: '#3a48c2',
+        borderRadius: 2,
+    },
+    voidText: {
+        color: '#9CA3AF',
+        textDecorationLine: 'line-through',
+    },
+    voidBadge: {
+        fontSize: 10,
+        fontWeight: 'bold',
+        color: '#dc2626',
+        backgroundColor: '#FEE2E2',
+        borderRadius: 6,
+        paddingHorizontal: 6,
+        paddingVertical: 1,
+        overflow: 'hidden',
+    },
+    centerContainer: {
+        alignItems: 'center',
+        paddingVertical: 60,
+    },
+    loadingText: {
+        marginTop: 12,
+        fontSize: 14,
+        color: '#888',
+    },
+    emptyContainer: {
+        alignItems: 'center',
+        paddingVertical: 60,
+        paddingHorizontal: 40,
+    },
+    emptyTitle: {
+        fontSize: 18,
+        fontWeight: '700',
+        color: '#6B7280',
+        marginTop: 12,
+    },
+    emptyText: {
+        fontSize: 14,
+        color: '#9CA3AF',
+        textAlign: 'center',
+        marginTop: 6,
+    },
+    whatsappFab: {
+        position: 'absolute',
+        bottom: 24,
+        right: 20,
+        width: 56,
+        height: 56,
+        borderRadius: 28,
+        backgroundColor: '#25D366',
+        justifyContent: 'center',
+        alignItems: 'center',
+        elevation: 6,
+        shadowColor: '#25D366',
+        shadowOffset: { width: 0, height: 3 },
+        shadowOpacity: 0.4,
+        shadowRadius: 6,
+        zIndex: 999,
+    },
+});
+
+export default BreakdownReportScreen;
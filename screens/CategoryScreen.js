@@ -18,6 +18,8 @@ import { launchImageLibrary } from 'react-native-image-picker';
 import DateTimePicker from '@react-native-community/datetimepicker';
 import { categoryService } from '../services/categoryService';
 import { getImageUrl, authService } from '../services';
+import { DEFAULT_VOID_WINDOW_MINUTES } from '../utils/voidRules';
+import { DEFAULT_CUTOFF_WARNING_MINUTES, getCutoffWarningMinutes } from '../utils/timeSlots';
 
 // Memoized Category List Item for better performance
 const CategoryListItem = memo(({ category, onEdit, onDelete, canEdit, canDelete }) => {
@@ -102,6 +104,8 @@ const CategoryScreen = ({ navigation }) => {
     const [categoryName, setCategoryName] = useState('');
     const [categoryImage, setCategoryImage] = useState(null);
     const [timeSlots, setTimeSlots] = useState([]);
+    const [voidWindowMinutes, setVoidWindowMinutes] = useState('');
+    const [cutoffWarningMinutes, setCutoffWarningMinutes] = useState('');
     const [newTimeSlot, setNewTimeSlot] = useState('');
     const [showTimePicker, setShowTimePicker] = useState(false);
     const [selectedTime, setSelectedTime] = useState(new Date());
@@ -198,6 +202,12 @@ const CategoryScreen = ({ navigation }) => {
     const handleEdit = useCallback((category) => {
         setCategoryName(category.category_name);
         setTimeSlots(category.time_slots || []);
+        setVoidWindowMinutes(category.void_window_minutes !== null && category.void_window_minutes !== undefined
+            ? String(category.void_window_minutes)
+            : '');
+        setCutoffWarningMinutes(category.cutoff_warning_minutes !== null && category.cutoff_warning_minutes !== undefined && category.cutoff_warning_minutes !== ''
+            ? (getCutoffWarningMinutes(category).join(', ') || '0')
+            : '');
 
         // Set existing image if available
         if (category.category_image) {
@@ -221,6 +231,10 @@ const CategoryScreen = ({ navigation }) => {
             const formData = new FormData();
             formData.append('category_name', categoryName.trim());
             formData.append('time_slots', JSON.stringify(timeSlots));
+            formData.append('void_window_minutes', voidWindowMinutes !== '' ? parseInt(voidWindowMinutes, 10) : '');
+            formData.append('cutoff_warning_minutes', cutoffWarningMinutes.trim() !== ''
+                ? JSON.stringify(getCutoffWarningMinutes({ cutoff_warning_minutes: cutoffWarningMinutes }))
+                : '');
             formData.append('status', 1);
 
             // Only append image if it's a NEW image (not remote)
@@ -250,6 +264,8 @@ const CategoryScreen = ({ navigation }) => {
             setCategoryName('');
             setCategoryImage(null);
             setTimeSlots([]);
+            setVoidWindowMinutes('');
+            setCutoffWarningMinutes('');
             setEditingCategory(null);
             setShowAddModal(false);
 
@@ -320,11 +336,15 @@ const CategoryScreen = ({ navigation }) => {
                                     setEditingCategory(null);
                                     setCategoryName('');
                                     setTimeSlots([]);
+                                    setVoidWindowMinutes('');
+                                    setCutoffWarningMinutes('');
                                     setCategoryImage(null);
                                 } else {
                                     setEditingCategory(null);
                                     setCategoryName('');
                                     setTimeSlots([]);
+                                    setVoidWindowMinutes('');
+                                    setCutoffWarningMinutes('');
                                     setCategoryImage(null);
                                     setShowAddModal(true);
                                 }
@@ -423,6 +443,32 @@ const CategoryScreen = ({ navigation }) => {
                             )}
                         </View>
 
+                        {/* Void Window — minutes after a sale it can still be voided */}
+                        <View style={styles.inputGroup}>
+                            <Text style={styles.label}>Void Window (minutes)</Text>
+                            <TextInput
+                                style={styles.input}
+                                placeholder={`Default (${DEFAULT_VOID_WINDOW_MINUTES} min)`}
+                                value={voidWindowMinutes}
+                                onChangeText={(text) => setVoidWindowMinutes(text.replace(/[^0-9]/g, ''))}
+                                placeholderTextColor="#999"
+                                keyboardType="numeric"
+                            />
+                        </View>
+
+                        {/* Cutoff Warnings — minutes before sales close, 0 for none */}
+                        <View style={styles.inputGroup}>
+                            <Text style={styles.label}>Cutoff Warnings (minutes before close)</Text>
+                            <TextInput
+                                style={styles.input}
+                                placeholder={`Default (${DEFAULT_CUTOFF_WARNING_MINUTES.join(', ')})`}
+                                value={cutoffWarningMinutes}
+                                onChangeText={(text) => setCutoffWarningMinutes(text.replace(/[^0-9, ]/g, ''))}
+                                placeholderTextColor="#999"
+                                keyboardType="numbers-and-punctuation"
+                            />
+                        </View>
+
                         {/* Time Picker Modal */}
                         {showTimePicker && (
                             <DateTimePicker
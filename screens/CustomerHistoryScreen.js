@@ -0,0 +1,547 @@
+import React, { useState, useEffect, useCallback, useRef } from 'react';
+import {
+    View,
+    Text,
+    StyleSheet,
+    ScrollView,
+    TouchableOpacity,
+    Platform,
+    ActivityIndicator,
+    Alert
+} from 'react-native';
+import MaterialCommunityIcons from 'react-native-vector-icons/MaterialCommunityIcons';
+import LinearGradient from 'react-native-linear-gradient';
+import DateTimePicker from '@react-native-community/datetimepicker';
+import { customerService } from '../services/customerService';
+import CustomerFields from '../components/CustomerFields';
+
+// Default history range
+const DEFAULT_RANGE_DAYS = 30;
+
+const daysAgo = (days) => {
+    const d = new Date();
+    d.setDate(d.getDate() - days);
+    return d;
+};
+
+const CustomerHistoryScreen = ({ navigation, route }) => {
+    const [customer, setCustomer] = useState({ name: '', phone: '' });
+    const [startDate, setStartDate] = useState(daysAgo(DEFAULT_RANGE_DAYS));
+    const [endDate, setEndDate] = useState(new Date());
+    const [showStartDatePicker, setShowStartDatePicker] = useState(false);
+    const [showEndDatePicker, setShowEndDatePicker] = useState(false);
+
+    const [history, setHistory] = useState(null);
+    const [loading, setLoading] = useState(false);
+    const [expandedInvoice, setExpandedInvoice] = useState(null);
+    // Route customer already loaded
+    const handledCustomerRef = useRef(null);
+
+    const formatDate = (date) => {
+        return date.toLocaleDateString('en-IN', {
+            day: '2-digit',
+            month: 'short',
+            year: 'numeric'
+        });
+    };
+
+    const formatDateForAPI = (date) => {
+        const year = date.getFullYear();
+        const month = String(date.getMonth() + 1).padStart(2, '0');
+        const day = String(date.getDate()).padStart(2, '0');
+        return `${year}-${month}-${day}`;
+    };
+
+    const formatDateTime = (value) => {
+        if (!value) return '-';
+        const d = new Date(value);
+        return `${d.toLocaleDateString('en-IN', { day: '2-digit', month: 'short' })} ${d.toLocaleTimeString('en-IN', { hour: '2-digit', minute: '2-digit' })}`;
+    };
+
+    const loadHistory = useCallback(async (target) => {
+        const selected = customerService.normalize(target);
+        if (!selected) {
+            Alert.alert('Customer', 'Enter a customer name or phone number');
+            return;
+        }
+
+        setLoading(true);
+        setExpandedInvoice(null);
+        try {
+            const result = await customerService.getHistory(selected, {
+                start_date: formatDateForAPI(startDate),
+                end_date: formatDateForAPI(endDate)
+            });
+            setHistory(result);
+        } catch (error) {
+            console.error('Customer history error:', error);
+            const msg = error.response?.data?.message || 'Failed to load customer history';
+            Alert.alert('Error', msg);
+        } finally {
+            setLoading(false);
+        }
+    }, [startDate, endDate]);
+
+    // Opened from the sales cart with a customer already picked.
+    // Only when a new customer is passed in, not when the range changes.
+    useEffect(() => {
+        const fromRoute = route?.params?.customer;
+        if (!fromRoute || handledCustomerRef.current === fromRoute) return;
+        handledCustomerRef.current = fromRoute;
+        setCustomer(fromRoute);
+        loadHistory(fromRoute);
+    }, [route?.params?.customer, loadHistory]);
+
+    const handleCustomerChange = (next) => {
+        setCustomer(next);
+        setHistory(null);
+    };
+
+    const totals = history?.totals;
+
+    return (
+        <View style={styles.container}>
+            {/* Header */}
+            <LinearGradient
+                colors={['#3a48c2', '#2a38a0', '#192f6a']}
+                style={styles.headerBackground}
+                start={{ x: 0, y: 0 }}
+                end={{ x: 1, y: 1 }}
+            >
+                {/* Decorative Elements */}
+                <View style={styles.decorativeCircle1} />
+                <View style={styles.decorativeCircle2} />
+
+                <View style={styles.headerContent}>
+                    <TouchableOpacity onPress={() => navigation.openDrawer()} style={styles.menuButton}>
+                        <MaterialCommunityIcons name="menu" size={24} color="#fff" />
+                    </TouchableOpacity>
+                    <Text style={styles.headerTitle}>Customers</Text>
+                    <View style={styles.addButtonPlaceholder} />
+                </View>
+            </LinearGradient>
+
+            <ScrollView style={styles.scrollView} keyboardShouldPersistTaps="handled">
+                {/* Filter Section */}
+                <View style={styles.filterContainer}>
+                    <Text style={styles.sectionTitle}>Customer History</Text>
+
+                    <CustomerFields value={customer} onChange={handleCustomerChange} />
+
+                    <View style={[styles.dateRow, { marginTop: 15 }]}>
+                        <View style={styles.dateInputGroup}>
+                            <Text style={styles.label}>Start Date</Text>
+                            <TouchableOpacity
+                                style={styles.pickerButton}
+                                onPress={() => setShowStartDatePicker(true)}
+                            >
+                                <MaterialCommunityIcons name="calendar" size={20} color="#3a48c2" />
+                                <Text style={styles.pickerButtonText}>{formatDate(startDate)}</Text>
+                            </TouchableOpacity>
+                        </View>
+                        <View style={styles.dateInputGroup}>
+                            <Text style={styles.label}>End Date</Text>
+                            <TouchableOpacity
+                                style={styles.pickerButton}
+                                onPress={() => setShowEndDatePicker(true)}
+                            >
+                                <MaterialCommunityIcons name="calendar" size={20} color="#3a48c2" />
+                                <Text style={styles.pickerButtonText}>{formatDate(endDate)}</Text>
+                            </TouchableOpacity>
+                        </View>
+                    </View>
+
+                    {showStartDatePicker && (
+                        <DateTimePicker
+                            value={startDate}
+                            mode="date"
+                            display="default"
+                            onChange={(event, selectedDate) => {
+                                setShowStartDatePicker(false);
+                                if (selectedDate) {
+                                    setStartDate(selectedDate);
+                                }
+                            }}
+                        />
+                    )}
+
+                    {showEndDatePicker && (
+                        <DateTimePicker
+                            value={endDate}
+                            mode="date"
+                            display="default"
+                            onChange={(event, selectedDate) => {
+                                setShowEndDatePicker(false);
+                                if (selectedDate) {
+                                    setEndDate(selectedDate);
+                                }
+                            }}
+                        />
+                    )}
+
+                    <TouchableOpacity
+                        style={[styles.generateBtn, loading && { opacity: 0.6 }]}
+                        onPress={() => loadHistory(customer)}
+                        disabled={loading}
+                    >
+                        {loading ? (
+                            <ActivityIndicator color="#fff" size="small" />
+                        ) : (
+                            <>
+                                <MaterialCommunityIcons name="account-search" size={20} color="#fff" />
+                                <Text style={styles.generateBtnText}>Show History</Text>
+                            </>
+                        )}
+                    </TouchableOpacity>
+                </View>
+
+                {totals && (
+                    <>
+                        {/* Summary */}
+                        <View style={styles.summaryGrid}>
+                            <View style={styles.summaryCard}>
+                                <Text style={styles.summaryLabel}>Invoices</Text>
+                                <Text style={styles.summaryValue}>{totals.invoices}</Text>
+                            </View>
+                            <View style={styles.summaryCard}>
+                                <Text style={styles.summaryLabel}>Spent</Text>
+                                <Text style={styles.summaryValue}>₹{Math.round(totals.spent)}</Text>
+                            </View>
+                            <View style={styles.summaryCard}>
+                                <Text style={styles.summaryLabel}>Winnings</Text>
+                                <Text style={[styles.summaryValue, { color: '#15803d' }]}>₹{Math.round(totals.winnings)}</Text>
+                            </View>
+                            <View style={styles.summaryCard}>
+                                <Text style={styles.summaryLabel}>Outstanding</Text>
+                                <Text style={[styles.summaryValue, totals.outstanding > 0 && { color: '#dc2626' }]}>
+                                    ₹{Math.round(totals.outstanding)}
+                                </Text>
+                            </View>
+                        </View>
+
+                        {history.loaded < history.expected && (
+                            <View style={styles.warningBanner}>
+                                <MaterialCommunityIcons name="alert-outline" size={18} color="#b45309" />
+                                <Text style={styles.warningText}>
+                                    Only {history.loaded} of {history.expected} sales could be loaded
+                                </Text>
+                            </View>
+                        )}
+
+                        {/* Invoices */}
+                        <View style={styles.listContainer}>
+                            <Text style={styles.sectionTitle}>Invoices</Text>
+                            {history.invoices.length === 0 ? (
+                                <View style={styles.emptyState}>
+                                    <MaterialCommunityIcons name="receipt" size={48} color="#ddd" />
+                                    <Text style={styles.emptyText}>No invoices in this period</Text>
+                                </View>
+                            ) : (
+                                history.invoices.map(invoice => {
+                                    const key = invoice.invoice_number || invoice.items[0]?.id;
+                                    const expanded = expandedInvoice === key;
+                                    const outstanding = Math.max(0, invoice.winnings - invoice.paid);
+                                    return (
+                                        <TouchableOpacity
+                                            key={key}
+                                            style={styles.invoiceCard}
+                                            onPress={() => setExpandedInvoice(expanded ? null : key)}
+                                            activeOpacity={0.8}
+                                        >
+                                            <View style={styles.invoiceHeader}>
+                                                <View style={{ flex: 1 }}>
+                                                    <Text style={styles.invoiceNumber}>
+                                                        {invoice.invoice_number ? `Invoice #${invoice.invoice_number}` : 'No invoice'}
+                                                    </Text>
+                                                    <Text style={styles.invoiceMeta}>
+                                                        {formatDateTime(invoice.created_at)} • {invoice.category_name || '-'}
+                                                    </Text>
+                                                </View>
+                                                <View style={{ alignItems: 'flex-end' }}>
+                                                    <Text style={styles.invoiceTotal}>₹{Math.round(invoice.total)}</Text>
+                                                    {invoice.winnings > 0 && (
+                                                        <Text style={[styles.invoiceWin, outstanding > 0 && { color: '#dc2626' }]}>
+                                                            Won ₹{Math.round(invoice.winnings)}{outstanding > 0 ? ' • unpaid' : ''}
+                                                        </Text>
+                                                    )}
+                                                </View>
+                                                <MaterialCommunityIcons
+                                                    name={expanded ? 'chevron-up' : 'chevron-down'}
+                                                    size={22}
+                                                    color="#888"
+                                                    style={{ marginLeft: 6 }}
+                                                />
+                                            </View>
+
+                                            {expanded && invoice.items.map((item, idx) => (
+                                                <View key={item.id || idx} style={styles.itemRow}>
+                                                    <Text style={styles.itemName} numberOfLines={1}>{item.product_name}</Text>
+                                                    <Text style={styles.itemDesc} numberOfLines={2}>{item.desc || '-'}</Text>
+                                                    <Text style={styles.itemQty}>x{item.qty}</Text>
+                                                    <Text style={styles.itemTotal}>₹{Math.round(parseFloat(item.total || 0))}</Text>
+                                                </View>
+                                            ))}
+                                        </TouchableOpacity>
+                                    );
+                                })
+                            )}
+                        </View>
+                    </>
+                )}
+            </ScrollView>
+        </View>
+    );
+};
+
+const styles = StyleSheet.create({
+    container: {
+        flex: 1,
+        backgroundColor: '#F8F9FD',
+    },
+    headerBackground: {
+        paddingTop: Platform.OS === 'android' ? 20 : 20,
+        paddingBottom: 26,
+        paddingHorizontal: 20,
+        borderBottomLeftRadius: 30,
+        borderBottomRightRadius: 30,
+        marginBottom: 12,
+        position: 'relative',
+        overflow: 'hidden',
+        zIndex: 1,
+    },
+    decorativeCircle1: {
+        position: 'absolute',
+        width: 200,
+        height: 200,
+        borderRadius: 100,
+        backgroundColor: 'rgba(255, 255, 255, 0.05)',
+        top: -50,
+        right: -50,
+    },
+    decorativeCircle2: {
+        position: 'absolute',
+        width: 150,
+        height: 150,
+        borderRadius: 75,
+        backgroundColor: 'rgba(255, 255, 255, 0.05)',
+        top: 40,
+        left: -40,
+    },
+    headerContent: {
+        flexDirection: 'row',
+        justifyContent: 'space-between',
+        alignItems: 'center',
+        marginTop: 10,
+    },
+    menuButton: {
+        backgroundColor: 'rgba(255, 255, 255, 0.08)',
+        padding: 10,
+        borderRadius: 52,
+        borderWidth: 1,
+        borderColor: 'rgba(255, 255, 255, 0.1)',
+    },
+    headerTitle: {
+        fontSize: 20,
+        fontWeight: 'bold',
+        color: '#fff',
+        letterSpacing: 0.5,
+    },
+    addButtonPlaceholder: {
+        width: 44,
+        height: 44,
+    },
+    scrollView: {
+        flex: 1,
+    },
+    filterContainer: {
+        backgroundColor: '#fff',
+        margin: 20,
+        marginBottom: 12,
+        padding: 20,
+        borderRadius: 20,
+        elevation: 4,
+        shadowColor: '#000',
+        shadowOffset: { width: 0, height: 2 },
+        shadowOpacity: 0.1,
+        shadowRadius: 8,
+    },
+    sectionTitle: {
+        fontSize: 18,
+        fontWeight: 'bold',
+        color: '#1a1a1a',
+        marginBottom: 4,
+    },
+    dateRow: {
+        flexDirection: 'row',
+        gap: 10,
+        marginBottom: 15,
+    },
+    dateInputGroup: {
+        flex: 1,
+    },
+    label: {
+        fontSize: 13,
+        fontWeight: '600',
+        color: '#333',
+        marginBottom: 6,
+    },
+    pickerButton: {
+        flexDirection: 'row',
+        alignItems: 'center',
+        backgroundColor: '#F5F7FA',
+        borderRadius: 10,
+        padding: 12,
+        borderWidth: 1,
+        borderColor: '#E0E0E0',
+        gap: 8,
+    },
+    pickerButtonText: {
+        fontSize: 14,
+        color: '#1a1a1a',
+        flex: 1,
+    },
+    generateBtn: {
+        flexDirection: 'row',
+        alignItems: 'center',
+        justifyContent: 'center',
+        paddingVertical: 14,
+        borderRadius: 12,
+        gap: 8,
+        backgroundColor: '#3a48c2',
+    },
+    generateBtnText: {
+        fontSize: 15,
+        fontWeight: 'bold',
+        color: '#fff',
+    },
+    summaryGrid: {
+        flexDirection: 'row',
+        flexWrap: 'wrap',
+        gap: 10,
+        marginHorizontal: 20,
+        marginBottom: 12,
+    },
+    summaryCard: {
+        flexBasis: '47%',
+        flexGrow: 1,
+        backgroundColor: '#fff',
+        borderRadius: 16,
+        padding: 14,
+        elevation: 2,
+        shadowColor: '#000',
+        shadowOffset: { width: 0, height: 1 },
+        shadowOpacity: 0.08,
+        shadowRadius: 4,
+    },
+    summaryLabel: {
+        fontSize: 12,
+        fontWeight: '600',
+        color: '#888',
+    },
+    summaryValue: {
+        fontSize: 20,
+        fontWeight: 'bold',
+        color: '#3a48c2',
+        marginTop: 4,
+    },
+    warningBanner: {
+        flexDirection: 'row',
+        alignItems: 'center',
+        gap: 8,
+        backgroundColor: '#FEF3C7',
+        borderRadius: 12,
+        paddingHorizontal: 12,
+        paddingVertical: 8,
+        marginHorizontal: 20,
+        marginBottom: 12,
+    },
+    warningText: {
+        flex: 1,
+        fontSize: 12,
+        fontWeight: '600',
+        color: '#b45309',
+    },
+    listContainer: {
+        backgroundColor: '#fff',
+        marginHorizontal: 20,
+        marginBottom: 30,
+        padding: 16,
+        borderRadius: 20,
+        elevation: 4,
+        shadowColor: '#000',
+        shadowOffset: { width: 0, height: 2 },
+        shadowOpacity: 0.1,
+        shadowRadius: 8,
+    },
+    emptyState: {
+        alignItems: 'center',
+        paddingVertical: 30,
+    },
+    emptyText: {
+        fontSize: 14,
+        color: '#999',
+        marginTop: 8,
+    },
+    invoiceCard: {
+        borderBottomWidth: 1,
+        borderBottomColor: '#f0f0f0',
+        paddingVertical: 12,
+    },
+    invoiceHeader: {
+        flexDirection: 'row',
+        alignItems: 'center',
+    },
+    invoiceNumber: {
+        fontSize: 15,
+        fontWeight: 'bold',
+        color: '#1a1a1a',
+    },
+    invoiceMeta: {
+        fontSize: 12,
+        color: '#888',
+        marginTop: 2,
+    },
+    invoiceTotal: {
+        fontSize: 16,
+        fontWeight: 'bold',
+        color: '#3a48c2',
+    },
+    invoiceWin: {
+        fontSize: 12,
+        fontWeight: '700',
+        color: '#15803d',
+        marginTop: 2,
+    },
+    itemRow: {
+        flexDirection: 'row',
+        alignItems: 'center',
+        gap: 8,
+        marginTop: 8,
+        paddingHorizontal: 8,
+        paddingVertical: 6,
+        backgroundColor: '#F5F7FA',
+        borderRadius: 8,
+    },
+    itemName: {
+        width: 80,
+        fontSize: 13,
+        fontWeight: '600',
+        color: '#1a1a1a',
+    },
+    itemDesc: {
+        flex: 1,
+        fontSize: 13,
+        color: '#444',
+    },
+    itemQty: {
+        fontSize: 13,
+        color: '#666',
+    },
+    itemTotal: {
+        fontSize: 13,
+        fontWeight: 'bold',
+        color: '#1a1a1a',
+    },
+});
+
+export default CustomerHistoryScreen;
@@ -22,7 +22,7 @@ import { authService } from '../services';
 const { width: screenWidth } = Dimensions.get("window");
 
 // Memoized Transaction Item
-const TransactionItem = memo(({ item, isLast }) => {
+const TransactionItem = memo(({ item, isLast, onResell }) => {
     const [expanded, setExpanded] = useState(false);
 
     if (item.isGroup) {
@@ -70,6 +70,9 @@ const TransactionItem = memo(({ item, isLast }) => {
                     <View style={styles.amountContainer}>
                         <Text style={styles.transactionAmount}>+₹{parseFloat(item.total).toFixed(2)}</Text>
                     </View>
+                    <TouchableOpacity onPress={() => onResell(item)} style={styles.resellButton}>
+                        <MaterialCommunityIcons name="repeat" size={18} color="#3a48c2" />
+                    </TouchableOpacity>
                 </TouchableOpacity>
 
                 {expanded && (
@@ -118,10 +121,68 @@ const TransactionItem = memo(({ item, isLast }) => {
             <View style={styles.amountContainer}>
                 <Text style={styles.transactionAmount}>+₹{parseFloat(item.total).toFixed(2)}</Text>
             </View>
+            <TouchableOpacity onPress={() => onResell(item)} style={styles.resellButton}>
+                <MaterialCommunityIcons name="repeat" size={18} color="#3a48c2" />
+            </TouchableOpacity>
         </View>
     );
 });
 
+// Days shown on the sales trend chart
+const TREND_DAYS = 7;
+
+const toApiDate = (date) => {
+    const month = String(date.getMonth() + 1).padStart(2, '0');
+    const day = String(date.getDate()).padStart(2, '0');
+    return `${date.getFullYear()}-${month}-${day}`;
+};
+
+// Sales totals per day (last TREND_DAYS days with data) in LineChart shape
+const buildTrendChart = (sales) => {
+    const salesByDate = {};
+    sales.forEach(item => {
+        const date = new Date(item.created_at);
+        const dateKey = date.toDateString();
+
+        if (!salesByDate[dateKey]) {
+            salesByDate[dateKey] = {
+                date: date,
+                total: 0
+            };
+        }
+        salesByDate[dateKey].total += parseFloat(item.total || 0);
+    });
+
+    // Last TREND_DAYS days with data
+    const entries = Object.entries(salesByDate)
+        .sort((a, b) => b[1].date - a[1].date)
+        .slice(0, TREND_DAYS)
+        .reverse();
+
+    // Simple day labels
+    const today = new Date();
+    today.setHours(0, 0, 0, 0);
+
+    const chartLabels = entries.map(([_, data]) => {
+        const date = new Date(data.date);
+        date.setHours(0, 0, 0, 0);
+        const diffDays = Math.floor((today - date) / (1000 * 60 * 60 * 24));
+
+        if (diffDays === 0) return 'Today';
+        if (diffDays === 1) return 'Yesterday';
+
+        const dayNames = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+        return dayNames[date.getDay()];
+    });
+
+    const chartValues = entries.map(([_, data]) => data.total);
+
+    return {
+        labels: chartLabels.length > 0 ? chartLabels : ['No Sales'],
+        datasets: [{ data: chartValues.length > 0 && chartValues.some(v => v > 0) ? chartValues : [0] }]
+    };
+};
+
 const DashboardScreen = ({ navigation, route }) => {
     const prefetchedData = route.params?.dashboardData;
     const [isLoading, setIsLoading] = useState(!prefetchedData);
@@ -139,6 +200,32 @@ const DashboardScreen = ({ navigation, route }) => {
         recentTransactions: []
     });
 
+    const [trendLoading, setTrendLoading] = useState(false);
+    // Latest trend load; an older one finishing late is dropped
+    const trendRunRef = useRef(0);
+
+    // Trend chart from every sale of the last TREND_DAYS days, loaded in the
+    // background after the first page is on screen
+    const loadSalesTrend = useCallback(async () => {
+        const run = ++trendRunRef.current;
+        const start = new Date();
+        start.setDate(start.getDate() - (TREND_DAYS - 1));
+        setTrendLoading(true);
+        try {
+            const response = await reportService.getAllSalesReport({
+                start_date: toApiDate(start),
+                end_date: toApiDate(new Date())
+            });
+            if (run !== trendRunRef.current) return;
+            const chartData = buildTrendChart(response?.data?.report || []);
+            setReportData(prev => ({ ...prev, chartData }));
+        } catch (error) {
+            console.error('Dashboard trend error:', error);
+        } finally {
+            if (run === trendRunRef.current) setTrendLoading(false);
+        }
+    }, []);
+
     const fetchDashboardData = useCallback(async (existingData = null) => {
         try {
             // Get user name separately
@@ -147,8 +234,9 @@ const DashboardScreen = ({ navigation, route }) => {
                 setUserName(user.name);
             }
 
-            // Use prefetched data if passed, otherwise fetch fresh
-            const data = existingData || (await reportService.getSalesReport({ limit: 100 }))?.data;
+            // Use the prefetched first page if passed, otherwise fetch it; the
+            // headline numbers come from its summary, the trend loads after
+            const data = existingData || (await reportService.getSalesReportPage({}, 1))?.data;
 
             if (data) {
                 const { summary, report } = data;
@@ -205,62 +293,15 @@ const DashboardScreen = ({ navigation, route }) => {
 
                 const groupedSales = groupTransactions(sales);
 
-                // Sales Trend Chart - Group by Date
-                const salesByDate = {};
-                sales.forEach(item => {
-                    const date = new Date(item.created_at);
-                    const dateKey = date.toDateString();
-
-                    if (!salesByDate[dateKey]) {
-                        salesByDate[dateKey] = {
-                            date: date,
-                            total: 0
-                        };
-                    }
-                    salesByDate[dateKey].total += parseFloat(item.total || 0);
-                });
-
-                // Get last 7 days with data
-                const entries = Object.entries(salesByDate)
-                    .sort((a, b) => b[1].date - a[1].date)
-                    .slice(0, 7)
-                    .reverse();
-
-                // Simple day labels
-                const today = new Date();
-                today.setHours(0, 0, 0, 0);
-
-                const chartLabels = entries.map(([_, data]) => {
-                    const date = new Date(data.date);
-                    date.setHours(0, 0, 0, 0);
-                    const diffDays = Math.floor((today - date) / (1000 * 60 * 60 * 24));
-
-                    if (diffDays === 0) return 'Today';
-                    if (diffDays === 1) return 'Yesterday';
-
-                    const dayNames = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
-                    return dayNames[date.getDay()];
-                });
-
-                const chartValues = entries.map(([_, data]) => data.total);
-
-                const validChartValues = chartValues.length > 0 && chartValues.some(v => v > 0)
-                    ? chartValues
-                    : [0];
-                const validChartLabels = chartLabels.length > 0
-                    ? chartLabels
-                    : ['No Sales'];
-
                 setReportData({
                     totalSales: parseFloat(summary?.total_amount || 0).toFixed(2),
                     totalTransactions: parseInt(summary?.total_records || 0),
                     averageSale: summary?.total_records ? (summary.total_amount / summary.total_records).toFixed(2) : 0,
-                    chartData: {
-                        labels: validChartLabels,
-                        datasets: [{ data: validChartValues }]
-                    },
+                    // First page only until the trend below comes in
+                    chartData: buildTrendChart(sales),
                     recentTransactions: groupedSales.slice(0, 5)
                 });
+                loadSalesTrend();
             }
         } catch (error) {
             console.error("Dashboard fetch error:", error);
@@ -273,7 +314,7 @@ const DashboardScreen = ({ navigation, route }) => {
             setIsLoading(false);
             setRefreshing(false);
         }
-    }, []);
+    }, [loadSalesTrend, navigation]);
 
     // Initial load on mount - check for prefetched data
     useEffect(() => {
@@ -303,6 +344,13 @@ const DashboardScreen = ({ navigation, route }) => {
         fetchDashboardData();
     }, [fetchDashboardData]);
 
+    // Load a recent invoice's numbers into the Sales cart for the open draw
+    const handleResell = useCallback((item) => {
+        navigation.navigate('Sales', {
+            resell: { invoiceNumber: item.invoice_number, items: item.items }
+        });
+    }, [navigation]);
+
     const chartConfig = {
         backgroundGradientFrom: "#ffffff",
         backgroundGradientTo: "#ffffff",
@@ -407,6 +455,7 @@ const DashboardScreen = ({ navigation, route }) => {
                                 <View style={styles.titleIndicator} />
                                 <Text style={styles.sectionTitle}>Sales Trends</Text>
                             </View>
+                            {trendLoading && <ActivityIndicator size="small" color="#3a48c2" />}
 
                         </View>
 
@@ -454,6 +503,7 @@ const DashboardScreen = ({ navigation, route }) => {
                                     key={index}
                                     item={item}
                                     isLast={index === reportData.recentTransactions.length - 1}
+                                    onResell={handleResell}
                                 />
                             ))}
 
@@ -701,6 +751,12 @@ const styles = StyleSheet.create({
         color: '#9E9E9E',
         fontWeight: '500',
     },
+    resellButton: {
+        marginLeft: 8,
+        padding: 6,
+        borderRadius: 8,
+        backgroundColor: 'rgba(58, 72, 194, 0.1)',
+    },
     amountContainer: {
         alignItems: 'flex-end',
         backgroundColor: '#F0FDF4',
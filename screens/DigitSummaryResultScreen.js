@@ -15,8 +15,11 @@ import {
 import MaterialCommunityIcons from 'react-native-vector-icons/MaterialCommunityIcons';
 import LinearGradient from 'react-native-linear-gradient';
 import { reportService } from '../services/reportService';
+import { confirmReportComplete } from '../utils/reportPages';
+import { getDigitGroup } from '../utils/betTypes';
 import RNHTMLtoPDF from 'react-native-html-to-pdf';
 import Share from 'react-native-share';
+import { shareWorkbook, SALE_COLUMNS, INVOICE_COLUMNS, groupInvoices, summarySheet } from '../utils/excelExport';
 
 // Helper to format comma-separated lottery numbers into a vertical list
 const formatDescForUI = (desc) => {
@@ -77,10 +80,15 @@ const DigitSummaryResultScreen = ({ navigation, route }) => {
     const [isLoading, setIsLoading] = useState(true);
     const [refreshing, setRefreshing] = useState(false);
     const [isSharing, setIsSharing] = useState(false);
+    const [isExporting, setIsExporting] = useState(false);
     const [salesData, setSalesData] = useState([]);
     const [digitGroups, setDigitGroups] = useState({});
     const [expandedGroups, setExpandedGroups] = useState({});
     const [summary, setSummary] = useState(null);
+    // summary.total_records, to warn when fewer rows were loaded
+    const [expectedCount, setExpectedCount] = useState(0);
+    // { loaded, expected } while the pages load
+    const [loadProgress, setLoadProgress] = useState(null);
 
     const formatDisplayDate = (dateStr) => {
         if (!dateStr) return '';
@@ -97,30 +105,16 @@ const DigitSummaryResultScreen = ({ navigation, route }) => {
         ? isSameDay ? formatDisplayDate(filters.start_date) : `${formatDisplayDate(filters.start_date)} — ${formatDisplayDate(filters.end_date)}`
         : formatDisplayDate(new Date().toISOString());
 
-    // Group sales by digit count of the lottery number (desc field)
+    // Group sales by digit count of the bet type (falls back to the sold number)
     const groupByDigitCount = (sales) => {
         const groups = { 4: [], 3: [], 2: [], 1: [] };
 
         sales.forEach(item => {
-            const lotteryNumber = (item.desc || '').trim();
-            if (!lotteryNumber) return;
-
-            // Box products have comma-separated values like '123, 132, 213'.
-            // Extract only the first number to determine the digit count.
-            const firstLotteryNumber = lotteryNumber.split(',')[0].trim();
-
-            // Extract only digits from the first number
-            const digitsOnly = firstLotteryNumber.replace(/\D/g, '');
-            const digitCount = digitsOnly.length;
-
-            if (digitCount >= 4) {
-                groups[4].push(item);
-            } else if (digitCount === 3) {
-                groups[3].push(item);
-            } else if (digitCount === 2) {
-                groups[2].push(item);
-            } else if (digitCount === 1) {
-                groups[1].push(item);
+            if (!(item.desc || '').trim()) return;
+
+            const digitCount = getDigitGroup(item);
+            if (digitCount >= 1) {
+                groups[Math.min(digitCount, 4)].push(item);
             }
         });
 
@@ -131,9 +125,9 @@ const DigitSummaryResultScreen = ({ navigation, route }) => {
         if (showLoader) setIsLoading(true);
 
         try {
-            const response = await reportService.getSalesReport({
-                ...filters,
-                limit: 500,
+            // Digit totals need every row, so all pages load up front
+            const response = await reportService.getAllSalesReport(filters, {
+                onProgress: (loaded, expected) => setLoadProgress({ loaded, expected })
             });
 
             if (response && response.data) {
@@ -141,6 +135,7 @@ const DigitSummaryResultScreen = ({ navigation, route }) => {
                 setSalesData(sales);
                 setDigitGroups(groupByDigitCount(sales));
                 setSummary(response.data.summary || null);
+                setExpectedCount(response.data.expected);
             }
         } catch (error) {
             console.error('Fetch digit summary error:', error);
@@ -148,6 +143,7 @@ const DigitSummaryResultScreen = ({ navigation, route }) => {
         } finally {
             setIsLoading(false);
             setRefreshing(false);
+            setLoadProgress(null);
         }
     }, [filters]);
 
@@ -171,12 +167,77 @@ const DigitSummaryResultScreen = ({ navigation, route }) => {
         return `${Math.round(parseFloat(amount) || 0).toLocaleString('en-IN')}`;
     }, []);
 
+    // Workbook with the raw sale lines, digit-wise totals, invoices and the summary
+    const handleExcelExport = async () => {
+        if (salesData.length === 0) {
+            Alert.alert('No Data', 'No data to export.');
+            return;
+        }
+        if (!(await confirmReportComplete(salesData.length, expectedCount))) return;
+
+        setIsExporting(true);
+        try {
+            const digitRows = [4, 3, 2, 1].map(digitCount => {
+                const items = digitGroups[digitCount] || [];
+                return {
+                    digitCount,
+                    entries: items.length,
+                    qty: items.reduce((sum, i) => sum + (parseInt(i.qty, 10) || 0), 0),
+                    amount: items.reduce((sum, i) => sum + (parseFloat(i.total) || 0), 0),
+                };
+            }).filter(row => row.entries > 0);
+
+            await shareWorkbook({
+                fileName: 'Digit_Summary',
+                title: 'Digit Summary Report',
+                sheets: [
+                    {
+                        name: 'Sales',
+                        columns: [
+                            { header: 'Digits', value: item => Math.min(getDigitGroup(item), 4), type: 'number', width: 8 },
+                            ...SALE_COLUMNS,
+                        ],
+                        rows: salesData,
+                    },
+                    {
+                        name: 'Digit Groups',
+                        columns: [
+                            { header: 'Digits', value: row => `${row.digitCount}-Digit`, width: 10 },
+                            { header: 'Entries', value: row => row.entries, type: 'number', width: 10 },
+                            { header: 'Qty', value: row => row.qty, type: 'number', width: 10 },
+                            { header: 'Amount', value: row => row.amount, type: 'number', width: 14 },
+                        ],
+                        rows: digitRows,
+                    },
+                    { name: 'Invoices', columns: INVOICE_COLUMNS, rows: groupInvoices(salesData) },
+                    summarySheet([
+                        { label: 'From', value: filters?.start_date || '' },
+                        { label: 'To', value: filters?.end_date || '' },
+                        { label: 'Total Entries', value: salesData.length },
+                        { label: 'Total Qty', value: salesData.reduce((sum, i) => sum + (parseInt(i.qty, 10) || 0), 0) },
+                        { label: 'Total Amount', value: salesData.reduce((sum, i) => sum + (parseFloat(i.total) || 0), 0) },
+                    ]),
+                ],
+            });
+        } catch (error) {
+            if (error?.message !== 'User did not share' && !error?.message?.includes('dismiss')) {
+                console.error('[Excel Export] Error:', error);
+                if (Platform.OS === 'android') {
+                    ToastAndroid.show('Failed to export report', ToastAndroid.SHORT);
+                }
+            }
+        } finally {
+            setIsExporting(false);
+        }
+    };
+
     // Generate A4 PDF and share via WhatsApp
     const handleWhatsAppShare = async () => {
         if (salesData.length === 0) {
             Alert.alert('No Data', 'No sales data to share.');
             return;
         }
+        if (!(await confirmReportComplete(salesData.length, expectedCount))) return;
 
         setIsSharing(true);
         try {
@@ -458,7 +519,11 @@ const DigitSummaryResultScreen = ({ navigation, route }) => {
             {isLoading ? (
                 <View style={styles.centerContainer}>
                     <ActivityIndicator size="large" color="#3a48c2" />
-                    <Text style={styles.loadingText}>Analyzing digits...</Text>
+                    <Text style={styles.loadingText}>
+                        {loadProgress
+                            ? `Loading sales... ${loadProgress.loaded} / ${loadProgress.expected}`
+                            : 'Analyzing digits...'}
+                    </Text>
                 </View>
             ) : (
                 <FlatList
@@ -480,6 +545,20 @@ const DigitSummaryResultScreen = ({ navigation, route }) => {
                 />
             )}
 
+            {/* Excel Export Floating Action Button */}
+            <TouchableOpacity
+                style={styles.excelFab}
+                onPress={handleExcelExport}
+                activeOpacity={0.8}
+                disabled={isExporting || isLoading || salesData.length === 0}
+            >
+                {isExporting ? (
+                    <ActivityIndicator size="small" color="#fff" />
+                ) : (
+                    <MaterialCommunityIcons name="microsoft-excel" size={26} color="#fff" />
+                )}
+            </TouchableOpacity>
+
             {/* WhatsApp Floating Action Button */}
             <TouchableOpacity
                 style={styles.whatsappFab}
@@ -820,6 +899,23 @@ const styles = StyleSheet.create({
         shadowRadius: 6,
         zIndex: 999,
     },
+    excelFab: {
+        position: 'absolute',
+        bottom: 92,
+        right: 20,
+        width: 56,
+        height: 56,
+        borderRadius: 28,
+        backgroundColor: '#1D6F42',
+        justifyContent: 'center',
+        alignItems: 'center',
+        elevation: 6,
+        shadowColor: '#1D6F42',
+        shadowOffset: { width: 0, height: 3 },
+        shadowOpacity: 0.4,
+        shadowRadius: 6,
+        zIndex: 999,
+    },
 });
 
 export default DigitSummaryResultScreen;
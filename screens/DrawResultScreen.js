@@ -0,0 +1,1059 @@
+import React, { useState, useEffect, useCallback, useRef } from 'react';
+import { useFocusEffect } from '@react-navigation/native';
+import {
+    View,
+    Text,
+    StyleSheet,
+    ScrollView,
+    TouchableOpacity,
+    TextInput,
+    Alert,
+    ActivityIndicator,
+    Platform,
+    ToastAndroid
+} from 'react-native';
+import MaterialCommunityIcons from 'react-native-vector-icons/MaterialCommunityIcons';
+import LinearGradient from 'react-native-linear-gradient';
+import { categoryService } from '../services/categoryService';
+import { winningService } from '../services/winningService';
+import { productService } from '../services/productService';
+import { authService } from '../services';
+import { getDrawWindow } from '../utils/timeSlots';
+import { DRAW_POSITION, DRAW_POSITIONS, getDrawPosition, summarizeDrawResult, toRoundsData } from '../utils/drawPositions';
+import { INDEX_ROUND, computeWinnings, compareWinnings, getMatchKey } from '../utils/winningEngine';
+import ClockSkewBanner from '../components/ClockSkewBanner';
+
+const EMPTY_NUMBERS = {
+    [DRAW_POSITION.FIRST]: '',
+    [DRAW_POSITION.SECOND]: '',
+    [DRAW_POSITION.THIRD]: '',
+    [DRAW_POSITION.CONSOLATION]: [''],
+};
+
+const formatAmount = (value) => `₹${(parseFloat(value) || 0).toLocaleString('en-IN')}`;
+
+const formatWindowDate = (date) => date.toLocaleString('en-IN', {
+    day: '2-digit', month: 'short', year: 'numeric',
+    hour: '2-digit', minute: '2-digit', hour12: true
+});
+
+const getRoundLabel = (round, lotteryNumber) => {
+    if (round.digit_count === INDEX_ROUND) return 'Index Match';
+    if (round.digit_count === lotteryNumber.length) return 'Exact Match';
+    return round.digit_count === 1 ? 'Last Digit' : `Last ${round.digit_count} Digits`;
+};
+
+/**
+ * Draw result entry: every prize position of one category's draw (1st, 2nd,
+ * 3rd and the consolation numbers) is checked against its own prize table
+ * and submitted together as one draw result.
+ */
+const DrawResultScreen = ({ navigation, route }) => {
+    const [categories, setCategories] = useState([]);
+    const [isLoading, setIsLoading] = useState(true);
+    const [selectedCategory, setSelectedCategory] = useState(null);
+    const [showDropdown, setShowDropdown] = useState(false);
+    const [numbers, setNumbers] = useState(EMPTY_NUMBERS);
+    // Past draw window being re-checked (from Winning Entries); null = current window
+    const [recheckWindow, setRecheckWindow] = useState(null);
+
+    // Checked positions: [{ key, position, lottery_number, result, audit }]
+    // audit: { status: 'checking' | 'ok' | 'mismatch' | 'error', expected, diff, message }
+    const [entries, setEntries] = useState(null);
+    const [expandedKey, setExpandedKey] = useState(null);
+    const [isChecking, setIsChecking] = useState(false);
+    const [isSubmittingEntry, setIsSubmittingEntry] = useState(false);
+    // Only the latest check may update the screen
+    const checkIdRef = useRef(0);
+
+    const [permissions, setPermissions] = useState({
+        view: false,
+        add: false
+    });
+
+    useEffect(() => {
+        const loadPermissions = async () => {
+            try {
+                const perms = await authService.getPermissions();
+                const winningPerms = perms['winning'] || {};
+                setPermissions({
+                    view: winningPerms.view || false,
+                    add: winningPerms.add || false
+                });
+            } catch (error) {
+                console.error('Error loading permissions:', error);
+            }
+        };
+        loadPermissions();
+    }, []);
+
+    const fetchCategories = useCallback(async () => {
+        try {
+            const response = await categoryService.getActiveCategories();
+            if (response && response.data) {
+                setCategories(response.data.categories || []);
+            }
+        } catch (error) {
+            console.error('Fetch categories error:', error);
+            Alert.alert('Error', 'Failed to load categories');
+        } finally {
+            setIsLoading(false);
+        }
+    }, []);
+
+    const clearResults = () => {
+        checkIdRef.current += 1;
+        setEntries(null);
+        setExpandedKey(null);
+    };
+
+    const handleReset = useCallback(() => {
+        setSelectedCategory(null);
+        setRecheckWindow(null);
+        setNumbers(EMPTY_NUMBERS);
+        clearResults();
+    }, []);
+
+    useFocusEffect(
+        useCallback(() => {
+            fetchCategories();
+            return () => handleReset();
+        }, [fetchCategories, handleReset])
+    );
+
+    // Re-check of a cancelled draw result: fill in its category, numbers and window
+    const recheck = route?.params?.recheck;
+    useEffect(() => {
+        if (!recheck || categories.length === 0) return;
+        const category = categories.find(c => c.id === recheck.category_id);
+        if (category) {
+            const next = { ...EMPTY_NUMBERS, [DRAW_POSITION.CONSOLATION]: [] };
+            (recheck.positions || []).forEach(({ position, lottery_number }) => {
+                if (position === DRAW_POSITION.CONSOLATION) next[position].push(lottery_number);
+                else if (position in next) next[position] = lottery_number;
+            });
+            if (next[DRAW_POSITION.CONSOLATION].length === 0) next[DRAW_POSITION.CONSOLATION] = [''];
+            setSelectedCategory(category);
+            setNumbers(next);
+            setRecheckWindow(recheck.window_start && recheck.window_end
+                ? { start: new Date(recheck.window_start), end: new Date(recheck.window_end) }
+                : null);
+            clearResults();
+        }
+        navigation.setParams({ recheck: undefined });
+    }, [recheck, categories, navigation]);
+
+    const handleCategorySelect = (category) => {
+        setSelectedCategory(category);
+        setShowDropdown(false);
+        setRecheckWindow(null);
+        clearResults();
+    };
+
+    const handleNumberChange = (position, text, index = 0) => {
+        setNumbers(prev => {
+            if (position !== DRAW_POSITION.CONSOLATION) return { ...prev, [position]: text };
+            const list = [...prev[position]];
+            list[index] = text;
+            return { ...prev, [position]: list };
+        });
+        if (entries) clearResults();
+    };
+
+    const addConsolationNumber = () => {
+        setNumbers(prev => ({ ...prev, [DRAW_POSITION.CONSOLATION]: [...prev[DRAW_POSITION.CONSOLATION], ''] }));
+    };
+
+    const removeConsolationNumber = (index) => {
+        setNumbers(prev => {
+            const list = prev[DRAW_POSITION.CONSOLATION].filter((_, i) => i !== index);
+            return { ...prev, [DRAW_POSITION.CONSOLATION]: list.length > 0 ? list : [''] };
+        });
+        if (entries) clearResults();
+    };
+
+    // Entered numbers per position, blanks dropped
+    const getDrawNumbers = () => DRAW_POSITIONS.flatMap(({ key }) => {
+        const values = key === DRAW_POSITION.CONSOLATION ? numbers[key] : [numbers[key]];
+        return values
+            .map(n => n.trim())
+            .filter(Boolean)
+            .map((lottery_number, i) => ({ key: `${key}-${i}`, position: key, lottery_number }));
+    });
+
+    const handleCheckAll = async () => {
+        if (!selectedCategory) {
+            Alert.alert('Validation Error', 'Please select a category');
+            return;
+        }
+        const drawNumbers = getDrawNumbers();
+        if (!drawNumbers.some(n => n.position === DRAW_POSITION.FIRST)) {
+            Alert.alert('Validation Error', 'Please enter the 1st prize number');
+            return;
+        }
+        const seen = new Set();
+        const duplicate = drawNumbers.find(n => {
+            if (seen.has(n.lottery_number)) return true;
+            seen.add(n.lottery_number);
+            return false;
+        });
+        if (duplicate) {
+            Alert.alert('Validation Error', `${duplicate.lottery_number} is entered more than once`);
+            return;
+        }
+
+        clearResults();
+        const checkId = checkIdRef.current;
+        setIsChecking(true);
+        try {
+            const checked = await Promise.all(drawNumbers.map(async (n) => {
+                const payload = {
+                    category_id: selectedCategory.id,
+                    lottery_number: n.lottery_number,
+                    prize_position: n.position
+                };
+                if (recheckWindow) {
+                    payload.window_start = recheckWindow.start.toISOString();
+                    payload.window_end = recheckWindow.end.toISOString();
+                }
+                const response = await winningService.checkWinning(payload);
+                return { ...n, result: response?.data || null, audit: { status: 'checking' } };
+            }));
+            if (checkId !== checkIdRef.current) return;
+            setEntries(checked);
+            runAudit(checked, checkId);
+        } catch (error) {
+            console.error('Check draw result error:', error);
+            if (checkId !== checkIdRef.current) return;
+            Alert.alert('Error', error.response?.data?.message || error.message || 'Failed to check the draw result');
+        } finally {
+            setIsChecking(false);
+        }
+    };
+
+    /**
+     * Recompute every position on the device from the window's sales with
+     * that position's prize table (utils/winningEngine) and compare.
+     */
+    const runAudit = async (checked, checkId) => {
+        const drawWindow = checked[0]?.result?.window;
+        const setAll = (getAudit) => {
+            if (checkId !== checkIdRef.current) return;
+            setEntries(checked.map(entry => ({ ...entry, audit: getAudit(entry) })));
+        };
+        if (!drawWindow) {
+            setAll(() => ({ status: 'error', message: 'Server result has no draw window' }));
+            return;
+        }
+        try {
+            const [salesRes, productsRes] = await Promise.all([
+                winningService.getWindowSales(selectedCategory.id, drawWindow.start, drawWindow.end),
+                productService.getAllProducts(),
+            ]);
+            const sales = salesRes?.data?.sales || [];
+            const products = productsRes?.data?.products || [];
+            setAll(entry => {
+                const expected = computeWinnings({
+                    winningNumber: entry.lottery_number,
+                    sales,
+                    products,
+                    position: entry.position,
+                });
+                const diff = compareWinnings(expected, entry.result);
+                return { status: diff.ok ? 'ok' : 'mismatch', expected, diff };
+            });
+        } catch (error) {
+            console.error('Draw result cross-check error:', error);
+            const message = error.response?.data?.message || error.message || 'Could not load the window sales';
+            setAll(() => ({ status: 'error', message }));
+        }
+    };
+
+    const handleSubmitDraw = () => {
+        if (!entries) {
+            Alert.alert('Error', 'Please check the draw result first.');
+            return;
+        }
+        if (entries.some(e => e.audit?.status === 'checking')) {
+            Alert.alert('Please Wait', 'The result is still being cross-checked.');
+            return;
+        }
+        const unverified = entries.filter(e => e.audit?.status !== 'ok');
+        if (unverified.length === 0) {
+            submitDrawResult();
+            return;
+        }
+
+        const names = unverified.map(e => `${getDrawPosition(e.position).label} (${e.lottery_number})`).join(', ');
+        Alert.alert(
+            'Result Not Verified',
+            `These positions differ from the on-device check or could not be cross-checked: ${names}. Submit the server result anyway?`,
+            [
+                { text: 'Cancel', style: 'cancel' },
+                { text: 'Submit Anyway', style: 'destructive', onPress: submitDrawResult }
+            ]
+        );
+    };
+
+    const submitDrawResult = async () => {
+        setIsSubmittingEntry(true);
+        try {
+            const summary = summarizeDrawResult(entries);
+            const first = entries[0].result;
+            const payload = {
+                category_id: selectedCategory.id,
+                time_slot: first.time_slot,
+                window_start: first.window.start,
+                window_end: first.window.end,
+                positions: summary.positions.map(p => ({
+                    position: p.position,
+                    lottery_number: p.lottery_number,
+                    total_winners: p.total_winners,
+                    total_winning_amount: p.total_winning_amount,
+                    rounds_data: toRoundsData(p.rounds)
+                })),
+                total_winners: summary.total_winners,
+                grand_total_winning_amount: summary.grand_total_winning_amount
+            };
+
+            const response = await winningService.submitDrawResult(payload);
+
+            if (response?.data) {
+                if (Platform.OS === 'android') {
+                    ToastAndroid.show('Draw result submitted successfully!', ToastAndroid.SHORT);
+                }
+                Alert.alert('Success', 'Draw result submitted successfully.');
+                handleReset();
+            }
+        } catch (error) {
+            console.error('Submit draw result error:', error);
+            const msg = error.response?.data?.message || error.message || 'Failed to submit draw result';
+            Alert.alert('Submission Failed', msg);
+        } finally {
+            setIsSubmittingEntry(false);
+        }
+    };
+
+    const renderAuditLine = (audit) => {
+        if (!audit) return null;
+        if (audit.status === 'checking') {
+            return (
+                <View style={[styles.auditLine, { backgroundColor: '#F0F1FF' }]}>
+                    <ActivityIndicator size="small" color="#3a48c2" />
+                    <Text style={[styles.auditText, { color: '#3a48c2' }]}>Cross-checking...</Text>
+                </View>
+            );
+        }
+        if (audit.status === 'ok') {
+            return (
+                <View style={[styles.auditLine, { backgroundColor: '#ECFDF5' }]}>
+                    <MaterialCommunityIcons name="shield-check" size={18} color="#059669" />
+                    <Text style={[styles.auditText, { color: '#059669' }]}>Cross-check matches</Text>
+                </View>
+            );
+        }
+        if (audit.status === 'error') {
+            return (
+                <View style={[styles.auditLine, { backgroundColor: '#FFF7ED' }]}>
+                    <MaterialCommunityIcons name="shield-alert-outline" size={18} color="#c2410c" />
+                    <Text style={[styles.auditText, { color: '#c2410c' }]}>Cross-check not run: {audit.message}</Text>
+                </View>
+            );
+        }
+        return (
+            <View style={[styles.auditLine, styles.auditLineMismatch]}>
+                <View style={{ flexDirection: 'row', alignItems: 'center', gap: 8 }}>
+                    <MaterialCommunityIcons name="shield-alert" size={18} color="#dc2626" />
+                    <Text style={[styles.auditText, { color: '#dc2626' }]}>
+                        Expected {audit.expected.total_winners} winner(s), {formatAmount(audit.expected.grand_total_winning_amount)}
+                    </Text>
+                </View>
+                {audit.diff.problems.map((problem, idx) => (
+                    <Text key={idx} style={styles.auditProblem}>• {problem}</Text>
+                ))}
+            </View>
+        );
+    };
+
+    const renderPositionCard = (entry) => {
+        const { result, audit } = entry;
+        const rounds = (result?.rounds || []).filter(r => r.count > 0);
+        const isExpanded = expandedKey === entry.key;
+
+        return (
+            <View key={entry.key} style={styles.positionCard}>
+                <TouchableOpacity
+                    style={styles.positionHeader}
+                    onPress={() => setExpandedKey(isExpanded ? null : entry.key)}
+                    activeOpacity={0.7}
+                    disabled={rounds.length === 0}
+                >
+                    <View style={{ flex: 1 }}>
+                        <Text style={styles.positionLabel}>{getDrawPosition(entry.position).label}</Text>
+                        <Text style={styles.positionNumber}>{entry.lottery_number}</Text>
+                    </View>
+                    <View style={{ alignItems: 'flex-end' }}>
+                        <Text style={styles.positionAmount}>{formatAmount(result?.grand_total_winning_amount)}</Text>
+                        <Text style={styles.positionWinners}>{result?.total_winners || 0} winner(s)</Text>
+                    </View>
+                    {rounds.length > 0 && (
+                        <MaterialCommunityIcons
+                            name={isExpanded ? 'chevron-up' : 'chevron-down'}
+                            size={22}
+                            color="#666"
+                            style={{ marginLeft: 8 }}
+                        />
+                    )}
+                </TouchableOpacity>
+
+                {rounds.length === 0 ? (
+                    <Text style={styles.noMatchText}>No sales match this number</Text>
+                ) : rounds.map(round => (
+                    <View
+                        key={round.digit_count}
+                        style={[styles.roundRow, audit?.diff?.rounds.has(round.digit_count) && styles.mismatchRow]}
+                    >
+                        <Text style={styles.roundLabel}>
+                            {getRoundLabel(round, entry.lottery_number)}
+                            {round.suffix ? <Text style={{ color: '#9CA3AF' }}> ({round.suffix})</Text> : null}
+                        </Text>
+                        <Text style={styles.roundCount}>{round.count}</Text>
+                        <Text style={styles.roundAmount}>{formatAmount(round.total_winning_amount)}</Text>
+                    </View>
+                ))}
+
+                {isExpanded && rounds.map(round => round.matches.map((match, idx) => (
+                    <View
+                        key={`${round.digit_count}-${match.id}-${match.lottery_number}-${idx}`}
+                        style={[styles.matchRow, audit?.diff?.matchKeys.has(getMatchKey(match)) && styles.mismatchBorder]}
+                    >
+                        <View style={{ flex: 1 }}>
+                            <Text style={styles.matchNumber}>
+                                {match.lottery_number}
+                                {match.index_type ? <Text style={styles.matchMeta}>  {match.index_type}</Text> : null}
+                                {match.box === 1 ? <Text style={styles.matchMeta}>  BOX</Text> : null}
+                            </Text>
+                            <Text style={styles.matchMeta}>
+                                Invoice {match.invoice_number} · {match.product_name || '-'} · {match.sold_by || '-'}
+                            </Text>
+                        </View>
+                        <Text style={styles.matchAmount}>
+                            {match.qty > 1 ? `${formatAmount(match.winning_amount)} × ${match.qty}\n` : ''}
+                            {formatAmount(match.total_winning_amount)}
+                        </Text>
+                    </View>
+                )))}
+
+                {renderAuditLine(audit)}
+            </View>
+        );
+    };
+
+    if (isLoading) {
+        return (
+            <View style={styles.loadingContainer}>
+                <ActivityIndicator size="large" color="#3a48c2" />
+            </View>
+        );
+    }
+
+    const drawWindow = recheckWindow || getDrawWindow(selectedCategory);
+    const summary = entries ? summarizeDrawResult(entries) : null;
+
+    return (
+        <View style={styles.container}>
+            {/* Header */}
+            <LinearGradient
+                colors={['#3a48c2', '#2a38a0', '#192f6a']}
+                style={styles.headerBackground}
+                start={{ x: 0, y: 0 }}
+                end={{ x: 1, y: 1 }}
+            >
+                <View style={styles.decorativeCircle1} />
+                <View style={styles.decorativeCircle2} />
+
+                <View style={styles.headerContent}>
+                    <TouchableOpacity onPress={() => navigation.openDrawer()} style={styles.menuButton}>
+                        <MaterialCommunityIcons name="menu" size={24} color="#fff" />
+                    </TouchableOpacity>
+                    <Text style={styles.headerTitle}>Draw Result</Text>
+                    <View style={styles.placeholder} />
+                </View>
+            </LinearGradient>
+
+            <ClockSkewBanner />
+
+            <ScrollView style={styles.scrollView} keyboardShouldPersistTaps="handled">
+                {!permissions.view ? (
+                    <View style={styles.noPermissionContainer}>
+                        <MaterialCommunityIcons name="lock-outline" size={80} color="#ddd" />
+                        <Text style={styles.noPermissionTitle}>No Permission</Text>
+                        <Text style={styles.noPermissionText}>
+                            You don't have permission to access Draw Result.{'\n'}
+                            Please contact your administrator.
+                        </Text>
+                    </View>
+                ) : (
+                    <>
+                        <View style={styles.formContainer}>
+                            {/* Category Dropdown */}
+                            <View style={styles.inputGroup}>
+                                <Text style={styles.label}>Category *</Text>
+                                <TouchableOpacity
+                                    style={styles.dropdownButton}
+                                    onPress={() => setShowDropdown(!showDropdown)}
+                                >
+                                    <Text style={selectedCategory ? styles.dropdownTextSelected : styles.dropdownText}>
+                                        {selectedCategory ? selectedCategory.category_name : 'Select a category'}
+                                    </Text>
+                                    <MaterialCommunityIcons
+                                        name={showDropdown ? 'chevron-up' : 'chevron-down'}
+                                        size={24}
+                                        color="#666"
+                                    />
+                                </TouchableOpacity>
+
+                                {showDropdown && (
+                                    <View style={styles.dropdownList}>
+                                        {categories.length === 0 ? (
+                                            <Text style={styles.dropdownEmptyText}>No categories available</Text>
+                                        ) : (
+                                            categories.map((category) => (
+                                                <TouchableOpacity
+                                                    key={category.id}
+                                                    style={[
+                                                        styles.dropdownItem,
+                                                        selectedCategory?.id === category.id && styles.dropdownItemSelected
+                                                    ]}
+                                                    onPress={() => handleCategorySelect(category)}
+                                                >
+                                                    <Text style={[
+                                                        styles.dropdownItemText,
+                                                        selectedCategory?.id === category.id && styles.dropdownItemTextSelected
+                                                    ]}>
+                                                        {category.category_name}
+                                                    </Text>
+                                                    {selectedCategory?.id === category.id && (
+                                                        <MaterialCommunityIcons name="check" size={20} color="#3a48c2" />
+                                                    )}
+                                                </TouchableOpacity>
+                                            ))
+                                        )}
+                                    </View>
+                                )}
+                            </View>
+
+                            {/* Draw Window */}
+                            {selectedCategory && (
+                                <View style={styles.windowInfo}>
+                                    <MaterialCommunityIcons name="clock-outline" size={18} color="#3a48c2" />
+                                    <Text style={styles.windowText}>
+                                        {drawWindow
+                                            ? `${formatWindowDate(drawWindow.start)}  →  ${formatWindowDate(drawWindow.end)}`
+                                            : 'No time slot'}
+                                    </Text>
+                                </View>
+                            )}
+
+                            {/* Prize Numbers */}
+                            {DRAW_POSITIONS.filter(p => !p.multiple).map(({ key, label }) => (
+                                <View key={key} style={styles.inputGroup}>
+                                    <Text style={styles.label}>{label}{key === DRAW_POSITION.FIRST ? ' *' : ''}</Text>
+                                    <TextInput
+                                        style={styles.input}
+                                        placeholder={`Enter ${label.toLowerCase()} number`}
+                                        value={numbers[key]}
+                                        onChangeText={(text) => handleNumberChange(key, text)}
+                                        placeholderTextColor="#999"
+                                        keyboardType="numeric"
+                                    />
+                                </View>
+                            ))}
+
+                            <View style={styles.inputGroup}>
+                                <Text style={styles.label}>{getDrawPosition(DRAW_POSITION.CONSOLATION).label} Numbers</Text>
+                                {numbers[DRAW_POSITION.CONSOLATION].map((value, index) => (
+                                    <View key={index} style={styles.consolationRow}>
+                                        <TextInput
+                                            style={[styles.input, { flex: 1 }]}
+                                            placeholder={`Consolation ${index + 1}`}
+                                            value={value}
+                                            onChangeText={(text) => handleNumberChange(DRAW_POSITION.CONSOLATION, text, index)}
+                                            placeholderTextColor="#999"
+                                            keyboardType="numeric"
+                                        />
+                                        <TouchableOpacity
+                                            style={styles.removeButton}
+                                            onPress={() => removeConsolationNumber(index)}
+                                        >
+                                            <MaterialCommunityIcons name="close" size={20} color="#dc2626" />
+                                        </TouchableOpacity>
+                                    </View>
+                                ))}
+                                <TouchableOpacity style={styles.addNumberButton} onPress={addConsolationNumber}>
+                                    <MaterialCommunityIcons name="plus" size={18} color="#3a48c2" />
+                                    <Text style={styles.addNumberText}>Add Number</Text>
+                                </TouchableOpacity>
+                            </View>
+
+                            <TouchableOpacity
+                                style={[styles.checkButton, isChecking && styles.checkButtonDisabled]}
+                                onPress={handleCheckAll}
+                                disabled={isChecking}
+                            >
+                                {isChecking ? (
+                                    <ActivityIndicator color="#fff" />
+                                ) : (
+                                    <>
+                                        <MaterialCommunityIcons name="magnify" size={20} color="#fff" />
+                                        <Text style={styles.checkButtonText}>Check All</Text>
+                                    </>
+                                )}
+                            </TouchableOpacity>
+                        </View>
+
+                        {/* Per-position Breakdown */}
+                        {entries && (
+                            <View style={styles.resultsContainer}>
+                                {entries.map(renderPositionCard)}
+
+                                {/* Grand Total */}
+                                <View style={styles.totalCard}>
+                                    <MaterialCommunityIcons name="cash-multiple" size={24} color="#059669" />
+                                    <View style={{ flex: 1, marginLeft: 10 }}>
+                                        <Text style={styles.totalLabel}>Grand Total</Text>
+                                        <Text style={styles.totalMeta}>
+                                            {summary.positions.length} number(s) · {summary.total_winners} winner(s)
+                                        </Text>
+                                    </View>
+                                    <Text style={styles.totalAmount}>{formatAmount(summary.grand_total_winning_amount)}</Text>
+                                </View>
+
+                                {permissions.add && (
+                                    <TouchableOpacity
+                                        style={[styles.submitButton, isSubmittingEntry && { opacity: 0.6 }]}
+                                        onPress={handleSubmitDraw}
+                                        disabled={isSubmittingEntry}
+                                    >
+                                        {isSubmittingEntry ? (
+                                            <ActivityIndicator color="#fff" />
+                                        ) : (
+                                            <>
+                                                <MaterialCommunityIcons name="check-circle-outline" size={22} color="#fff" />
+                                                <Text style={styles.submitButtonText}>Submit Draw Result</Text>
+                                            </>
+                                        )}
+                                    </TouchableOpacity>
+                                )}
+                            </View>
+                        )}
+                    </>
+                )}
+            </ScrollView>
+        </View>
+    );
+};
+
+const styles = StyleSheet.create({
+    container: {
+        flex: 1,
+        backgroundColor: '#F8F9FD',
+    },
+    loadingContainer: {
+        flex: 1,
+        justifyContent: 'center',
+        alignItems: 'center',
+        backgroundColor: '#F8F9FD',
+    },
+    headerBackground: {
+        paddingTop: Platform.OS === 'android' ? 20 : 20,
+        paddingBottom: 26,
+        paddingHorizontal: 20,
+        borderBottomLeftRadius: 30,
+        borderBottomRightRadius: 30,
+        marginBottom: 12,
+        position: 'relative',
+        overflow: 'hidden',
+        zIndex: 1,
+    },
+    decorativeCircle1: {
+        position: 'absolute',
+        width: 200,
+        height: 200,
+        borderRadius: 100,
+        backgroundColor: 'rgba(255, 255, 255, 0.05)',
+        top: -50,
+        right: -50,
+    },
+    decorativeCircle2: {
+        position: 'absolute',
+        width: 150,
+        height: 150,
+        borderRadius: 75,
+        backgroundColor: 'rgba(255, 255, 255, 0.05)',
+        bottom: -40,
+        left: -30,
+    },
+    headerContent: {
+        flexDirection: 'row',
+        alignItems: 'center',
+        justifyContent: 'space-between',
+    },
+    menuButton: {
+        width: 40,
+        height: 40,
+        borderRadius: 12,
+        backgroundColor: 'rgba(255, 255, 255, 0.15)',
+        justifyContent: 'center',
+        alignItems: 'center',
+    },
+    headerTitle: {
+        fontSize: 20,
+        fontWeight: 'bold',
+        color: '#fff',
+    },
+    placeholder: {
+        width: 40,
+    },
+    scrollView: {
+        flex: 1,
+    },
+    noPermissionContainer: {
+        flex: 1,
+        justifyContent: 'center',
+        alignItems: 'center',
+        paddingVertical: 100,
+        paddingHorizontal: 40,
+    },
+    noPermissionTitle: {
+        fontSize: 24,
+        fontWeight: 'bold',
+        color: '#666',
+        marginTop: 20,
+        marginBottom: 10,
+    },
+    noPermissionText: {
+        fontSize: 16,
+        color: '#999',
+        textAlign: 'center',
+        lineHeight: 24,
+    },
+    formContainer: {
+        backgroundColor: '#fff',
+        marginHorizontal: 20,
+        padding: 20,
+        borderRadius: 20,
+        shadowColor: '#000',
+        shadowOffset: { width: 0, height: 4 },
+        shadowOpacity: 0.08,
+        shadowRadius: 12,
+        elevation: 4,
+    },
+    inputGroup: {
+        marginBottom: 18,
+    },
+    label: {
+        fontSize: 14,
+        fontWeight: '600',
+        color: '#333',
+        marginBottom: 8,
+    },
+    input: {
+        backgroundColor: '#F5F7FA',
+        borderRadius: 12,
+        paddingHorizontal: 16,
+        paddingVertical: 12,
+        fontSize: 16,
+        color: '#1a1a1a',
+        borderWidth: 1,
+        borderColor: '#E0E0E0',
+    },
+    dropdownButton: {
+        flexDirection: 'row',
+        justifyContent: 'space-between',
+        alignItems: 'center',
+        backgroundColor: '#F5F7FA',
+        borderRadius: 12,
+        paddingHorizontal: 16,
+        paddingVertical: 14,
+        borderWidth: 1,
+        borderColor: '#E0E0E0',
+    },
+    dropdownText: {
+        fontSize: 16,
+        color: '#999',
+    },
+    dropdownTextSelected: {
+        fontSize: 16,
+        color: '#1a1a1a',
+        fontWeight: '500',
+    },
+    dropdownList: {
+        marginTop: 8,
+        backgroundColor: '#fff',
+        borderRadius: 12,
+        borderWidth: 1,
+        borderColor: '#E0E0E0',
+        overflow: 'hidden',
+    },
+    dropdownEmptyText: {
+        padding: 16,
+        color: '#999',
+        textAlign: 'center',
+    },
+    dropdownItem: {
+        flexDirection: 'row',
+        justifyContent: 'space-between',
+        alignItems: 'center',
+        paddingHorizontal: 16,
+        paddingVertical: 14,
+        borderBottomWidth: 1,
+        borderBottomColor: '#F0F0F0',
+    },
+    dropdownItemSelected: {
+        backgroundColor: '#F0F1FF',
+    },
+    dropdownItemText: {
+        fontSize: 15,
+        color: '#333',
+    },
+    dropdownItemTextSelected: {
+        color: '#3a48c2',
+        fontWeight: '600',
+    },
+    windowInfo: {
+        flexDirection: 'row',
+        alignItems: 'center',
+        gap: 8,
+        backgroundColor: '#F0F1FF',
+        borderRadius: 12,
+        padding: 12,
+        marginBottom: 18,
+    },
+    windowText: {
+        flex: 1,
+        fontSize: 13,
+        fontWeight: '600',
+        color: '#3a48c2',
+    },
+    consolationRow: {
+        flexDirection: 'row',
+        alignItems: 'center',
+        marginBottom: 8,
+    },
+    removeButton: {
+        width: 40,
+        height: 40,
+        borderRadius: 10,
+        backgroundColor: '#FEF2F2',
+        justifyContent: 'center',
+        alignItems: 'center',
+        marginLeft: 8,
+    },
+    addNumberButton: {
+        flexDirection: 'row',
+        alignItems: 'center',
+        justifyContent: 'center',
+        gap: 6,
+        paddingVertical: 10,
+        borderRadius: 12,
+        borderWidth: 1,
+        borderStyle: 'dashed',
+        borderColor: '#3a48c2',
+    },
+    addNumberText: {
+        fontSize: 14,
+        fontWeight: '600',
+        color: '#3a48c2',
+    },
+    checkButton: {
+        flexDirection: 'row',
+        alignItems: 'center',
+        justifyContent: 'center',
+        gap: 8,
+        backgroundColor: '#3a48c2',
+        borderRadius: 12,
+        paddingVertical: 14,
+    },
+    checkButtonDisabled: {
+        opacity: 0.6,
+    },
+    checkButtonText: {
+        color: '#fff',
+        fontSize: 16,
+        fontWeight: 'bold',
+    },
+    resultsContainer: {
+        padding: 20,
+    },
+    positionCard: {
+        backgroundColor: '#fff',
+        borderRadius: 16,
+        padding: 16,
+        marginBottom: 14,
+        shadowColor: '#000',
+        shadowOffset: { width: 0, height: 2 },
+        shadowOpacity: 0.05,
+        shadowRadius: 8,
+        elevation: 2,
+    },
+    positionHeader: {
+        flexDirection: 'row',
+        alignItems: 'center',
+        marginBottom: 8,
+    },
+    positionLabel: {
+        fontSize: 12,
+        fontWeight: '700',
+        color: '#3a48c2',
+        textTransform: 'uppercase',
+    },
+    positionNumber: {
+        fontSize: 22,
+        fontWeight: '800',
+        color: '#1a1a1a',
+        letterSpacing: 1,
+    },
+    positionAmount: {
+        fontSize: 17,
+        fontWeight: '800',
+        color: '#059669',
+    },
+    positionWinners: {
+        fontSize: 12,
+        color: '#666',
+        marginTop: 2,
+    },
+    noMatchText: {
+        fontSize: 13,
+        color: '#999',
+        paddingVertical: 6,
+    },
+    roundRow: {
+        flexDirection: 'row',
+        alignItems: 'center',
+        paddingVertical: 8,
+        paddingHorizontal: 6,
+        borderTopWidth: 1,
+        borderTopColor: '#F3F4F6',
+    },
+    roundLabel: {
+        flex: 1,
+        fontSize: 14,
+        fontWeight: '600',
+        color: '#374151',
+    },
+    roundCount: {
+        width: 40,
+        textAlign: 'center',
+        fontSize: 14,
+        fontWeight: '700',
+        color: '#3a48c2',
+    },
+    roundAmount: {
+        width: 90,
+        textAlign: 'right',
+        fontSize: 14,
+        fontWeight: '700',
+        color: '#111827',
+    },
+    matchRow: {
+        flexDirection: 'row',
+        alignItems: 'center',
+        backgroundColor: '#F8F9FD',
+        borderRadius: 10,
+        padding: 10,
+        marginTop: 6,
+        borderWidth: 1,
+        borderColor: 'transparent',
+    },
+    matchNumber: {
+        fontSize: 15,
+        fontWeight: '800',
+        color: '#1a1a1a',
+    },
+    matchMeta: {
+        fontSize: 11,
+        fontWeight: '500',
+        color: '#666',
+        marginTop: 2,
+    },
+    matchAmount: {
+        fontSize: 13,
+        fontWeight: '700',
+        color: '#059669',
+        textAlign: 'right',
+    },
+    mismatchRow: {
+        backgroundColor: '#FEF2F2',
+    },
+    mismatchBorder: {
+        borderColor: '#dc2626',
+    },
+    auditLine: {
+        flexDirection: 'row',
+        alignItems: 'center',
+        gap: 8,
+        borderRadius: 10,
+        padding: 10,
+        marginTop: 10,
+    },
+    auditLineMismatch: {
+        flexDirection: 'column',
+        alignItems: 'flex-start',
+        backgroundColor: '#FEF2F2',
+        borderWidth: 1,
+        borderColor: '#FECACA',
+    },
+    auditText: {
+        flex: 1,
+        fontSize: 13,
+        fontWeight: '600',
+    },
+    auditProblem: {
+        fontSize: 12,
+        color: '#7f1d1d',
+        marginTop: 4,
+    },
+    totalCard: {
+        flexDirection: 'row',
+        alignItems: 'center',
+        backgroundColor: '#ECFDF5',
+        borderRadius: 16,
+        padding: 16,
+        marginBottom: 14,
+        borderWidth: 1,
+        borderColor: '#A7F3D0',
+    },
+    totalLabel: {
+        fontSize: 16,
+        fontWeight: '800',
+        color: '#065F46',
+    },
+    totalMeta: {
+        fontSize: 12,
+        color: '#047857',
+        marginTop: 2,
+    },
+    totalAmount: {
+        fontSize: 20,
+        fontWeight: '900',
+        color: '#059669',
+    },
+    submitButton: {
+        flexDirection: 'row',
+        alignItems: 'center',
+        justifyContent: 'center',
+        gap: 8,
+        backgroundColor: '#059669',
+        borderRadius: 14,
+        paddingVertical: 16,
+    },
+    submitButtonText: {
+        color: '#fff',
+        fontSize: 16,
+        fontWeight: 'bold',
+    },
+});
+
+export default DrawResultScreen;
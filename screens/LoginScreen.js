@@ -17,7 +17,7 @@ import {
 import AsyncStorage from '@react-native-async-storage/async-storage';
 import MaterialCommunityIcons from 'react-native-vector-icons/MaterialCommunityIcons';
 import CheckBox from '@react-native-community/checkbox';
-import { authService } from '../services';
+import { authService, timeService } from '../services';
 import { permissionService } from '../services/permissionService';
 
 // Memoized input component for better performance
@@ -110,6 +110,9 @@ const LoginScreen = ({ navigation }) => {
             });
 
             if (response.success) {
+                // Refresh the server clock offset for cutoff checks
+                timeService.sync().catch(error => console.warn('Server time sync failed:', error?.message));
+
                 const { token, user } = response.data;
                 const isAdmin = user.role === 'admin' || user.role_id === 1;
 
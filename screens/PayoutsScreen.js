@@ -0,0 +1,527 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { useFocusEffect } from '@react-navigation/native';
+import {
+    View,
+    Text,
+    StyleSheet,
+    ScrollView,
+    TouchableOpacity,
+    Platform,
+    ActivityIndicator,
+    RefreshControl
+} from 'react-native';
+import MaterialCommunityIcons from 'react-native-vector-icons/MaterialCommunityIcons';
+import LinearGradient from 'react-native-linear-gradient';
+import DateTimePicker from '@react-native-community/datetimepicker';
+import { categoryService } from '../services/categoryService';
+import { winningService } from '../services/winningService';
+import { serverClock } from '../services/serverClock';
+import { PAYOUT_STATUS, PAYOUT_STATUS_LABEL, getPayoutStatus, summarizePayouts } from '../utils/payouts';
+import PayWinnerModal from '../components/PayWinnerModal';
+import PayoutRow from '../components/PayoutRow';
+
+// Status filters; "Outstanding" = unpaid and part paid
+const STATUS_FILTERS = [
+    { key: 'outstanding', label: 'Outstanding', statuses: [PAYOUT_STATUS.UNPAID, PAYOUT_STATUS.PARTIAL] },
+    ...Object.values(PAYOUT_STATUS).map(status => ({ key: status, label: PAYOUT_STATUS_LABEL[status], statuses: [status] })),
+    { key: 'all', label: 'All', statuses: null },
+];
+
+const formatCurrency = (amount) => '₹' + Math.round(parseFloat(amount) || 0).toLocaleString('en-IN');
+
+const formatDateForAPI = (date) => {
+    const year = date.getFullYear();
+    const month = String(date.getMonth() + 1).padStart(2, '0');
+    const day = String(date.getDate()).padStart(2, '0');
+    return `${year}-${month}-${day}`;
+};
+
+/**
+ * Outstanding payouts for a draw date: what was won, paid and is still
+ * due, overall and per selling agent, for day-end cash reconciliation.
+ * Winners still owed can be paid from the list.
+ */
+const PayoutsScreen = ({ navigation }) => {
+    const [date, setDate] = useState(serverClock.now());
+    const [showDatePicker, setShowDatePicker] = useState(false);
+    const [categories, setCategories] = useState([]);
+    const [selectedCategoryId, setSelectedCategoryId] = useState(null); // null = All
+    const [statusFilter, setStatusFilter] = useState(STATUS_FILTERS[0].key);
+
+    const [payouts, setPayouts] = useState([]);
+    const [isLoading, setIsLoading] = useState(true);
+    const [isRefreshing, setIsRefreshing] = useState(false);
+    const [error, setError] = useState(null);
+    const [payTarget, setPayTarget] = useState(null);
+
+    useEffect(() => {
+        categoryService.getActiveCategories()
+            .then(response => setCategories(response?.data?.categories || []))
+            .catch(err => console.error('Failed to load categories:', err));
+    }, []);
+
+    // The whole day is loaded so the totals stay complete; status filters locally
+    const fetchPayouts = useCallback(async (showLoader = true) => {
+        if (showLoader) setIsLoading(true);
+        setError(null);
+        try {
+            const response = await winningService.getPayouts({
+                date: formatDateForAPI(date),
+                categoryId: selectedCategoryId,
+            });
+            setPayouts(response?.data?.payouts || []);
+        } catch (err) {
+            console.error('Fetch payouts error:', err);
+            setError(err.response?.data?.message || err.message || 'Failed to load payouts');
+        } finally {
+            setIsLoading(false);
+            setIsRefreshing(false);
+        }
+    }, [date, selectedCategoryId]);
+
+    useFocusEffect(
+        useCallback(() => {
+            fetchPayouts();
+        }, [fetchPayouts])
+    );
+
+    const shiftDate = (days) => {
+        const next = new Date(date);
+        next.setDate(next.getDate() + days);
+        setDate(next);
+    };
+
+    const handlePaid = (row) => {
+        setPayTarget(null);
+        setPayouts(prev => prev.map(p => (p.sale_id === row.sale_id ? row : p)));
+    };
+
+    const summary = summarizePayouts(payouts);
+    const statuses = STATUS_FILTERS.find(f => f.key === statusFilter)?.statuses;
+    const visiblePayouts = statuses ? payouts.filter(p => statuses.includes(getPayoutStatus(p))) : payouts;
+
+    const renderTotals = () => (
+        <View style={styles.card}>
+            <View style={styles.totalsRow}>
+                <View style={styles.totalBox}>
+                    <Text style={styles.totalLabel}>Won</Text>
+                    <Text style={styles.totalValue}>{formatCurrency(summary.won)}</Text>
+                </View>
+                <View style={styles.totalBox}>
+                    <Text style={styles.totalLabel}>Paid</Text>
+                    <Text style={[styles.totalValue, { color: '#059669' }]}>{formatCurrency(summary.paid)}</Text>
+                </View>
+                <View style={styles.totalBox}>
+                    <Text style={styles.totalLabel}>Outstanding</Text>
+                    <Text style={[styles.totalValue, { color: '#c2410c' }]}>{formatCurrency(summary.outstanding)}</Text>
+                </View>
+            </View>
+            <Text style={styles.totalsMeta}>
+                {summary.count} winner(s) · {summary.byStatus[PAYOUT_STATUS.UNPAID]} unpaid · {summary.byStatus[PAYOUT_STATUS.PARTIAL]} part paid · {summary.byStatus[PAYOUT_STATUS.PAID]} paid
+            </Text>
+
+            {summary.byAgent.length > 0 && (
+                <>
+                    <Text style={styles.sectionTitle}>Agent-wise</Text>
+                    <View style={styles.agentHeader}>
+                        <Text style={[styles.agentHeaderText, { flex: 1 }]}>Agent</Text>
+                        <Text style={[styles.agentHeaderText, styles.agentCol]}>Won</Text>
+                        <Text style={[styles.agentHeaderText, styles.agentCol]}>Paid</Text>
+                        <Text style={[styles.agentHeaderText, styles.agentCol]}>Due</Text>
+                    </View>
+                    {summary.byAgent.map(agent => (
+                        <View key={agent.agent} style={styles.agentRow}>
+                            <Text style={styles.agentName} numberOfLines={1}>{agent.agent} ({agent.count})</Text>
+                            <Text style={[styles.agentText, styles.agentCol]}>{formatCurrency(agent.won)}</Text>
+                            <Text style={[styles.agentText, styles.agentCol]}>{formatCurrency(agent.paid)}</Text>
+                            <Text style={[styles.agentText, styles.agentCol, agent.outstanding > 0 && { color: '#c2410c' }]}>
+                                {formatCurrency(agent.outstanding)}
+                            </Text>
+                        </View>
+                    ))}
+                </>
+            )}
+        </View>
+    );
+
+    return (
+        <View style={styles.container}>
+            {/* Header */}
+            <LinearGradient
+                colors={['#3a48c2', '#2a38a0', '#192f6a']}
+                style={styles.headerBackground}
+                start={{ x: 0, y: 0 }}
+                end={{ x: 1, y: 1 }}
+            >
+                <View style={styles.decorativeCircle1} />
+                <View style={styles.decorativeCircle2} />
+
+                <View style={styles.headerContent}>
+                    <TouchableOpacity onPress={() => navigation.openDrawer()} style={styles.menuButton}>
+                        <MaterialCommunityIcons name="menu" size={24} color="#fff" />
+                    </TouchableOpacity>
+                    <Text style={styles.headerTitle}>Payouts</Text>
+                    <View style={styles.placeholder} />
+                </View>
+
+                {/* Date Selector */}
+                <View style={styles.dateRow}>
+                    <TouchableOpacity style={styles.dateArrow} onPress={() => shiftDate(-1)}>
+                        <MaterialCommunityIcons name="chevron-left" size={24} color="#fff" />
+                    </TouchableOpacity>
+                    <TouchableOpacity style={styles.dateButton} onPress={() => setShowDatePicker(true)}>
+                        <MaterialCommunityIcons name="calendar" size={18} color="#fff" />
+                        <Text style={styles.dateText}>
+                            {date.toLocaleDateString('en-IN', { day: '2-digit', month: 'short', year: 'numeric' })}
+                        </Text>
+                    </TouchableOpacity>
+                    <TouchableOpacity style={styles.dateArrow} onPress={() => shiftDate(1)}>
+                        <MaterialCommunityIcons name="chevron-right" size={24} color="#fff" />
+                    </TouchableOpacity>
+                </View>
+            </LinearGradient>
+
+            {showDatePicker && (
+                <DateTimePicker
+                    value={date}
+                    mode="date"
+                    display="default"
+                    onChange={(event, selectedDate) => {
+                        setShowDatePicker(false);
+                        if (selectedDate) setDate(selectedDate);
+                    }}
+                />
+            )}
+
+            {/* Category Filter */}
+            <View>
+                <ScrollView
+                    horizontal
+                    showsHorizontalScrollIndicator={false}
+                    contentContainerStyle={styles.chips}
+                >
+                    {[{ id: null, category_name: 'All' }, ...categories].map(category => {
+                        const isSelected = selectedCategoryId === category.id;
+                        return (
+                            <TouchableOpacity
+                                key={category.id ?? 'all'}
+                                style={[styles.chip, isSelected && styles.chipActive]}
+                                onPress={() => setSelectedCategoryId(category.id)}
+                            >
+                                <Text style={[styles.chipText, isSelected && styles.chipTextActive]}>
+                                    {category.category_name}
+                                </Text>
+                            </TouchableOpacity>
+                        );
+                    })}
+                </ScrollView>
+            </View>
+
+            <ScrollView
+                style={styles.scrollView}
+                contentContainerStyle={styles.scrollContent}
+                refreshControl={
+                    <RefreshControl
+                        refreshing={isRefreshing}
+                        onRefresh={() => { setIsRefreshing(true); fetchPayouts(false); }}
+                        colors={['#3a48c2']}
+                    />
+                }
+            >
+                {isLoading ? (
+                    <View style={styles.centerContainer}>
+                        <ActivityIndicator size="large" color="#3a48c2" />
+                    </View>
+                ) : error ? (
+                    <View style={styles.centerContainer}>
+                        <MaterialCommunityIcons name="alert-circle-outline" size={40} color="#dc2626" />
+                        <Text style={styles.errorText}>{error}</Text>
+                        <TouchableOpacity style={styles.retryButton} onPress={() => fetchPayouts()}>
+                            <Text style={styles.retryButtonText}>Retry</Text>
+                        </TouchableOpacity>
+                    </View>
+                ) : payouts.length === 0 ? (
+                    <View style={styles.centerContainer}>
+                        <MaterialCommunityIcons name="cash-remove" size={60} color="#D1D5DB" />
+                        <Text style={styles.emptyText}>No winners to pay for this date</Text>
+                    </View>
+                ) : (
+                    <>
+                        {renderTotals()}
+
+                        {/* Status Filter */}
+                        <View style={styles.statusChips}>
+                            {STATUS_FILTERS.map(filter => {
+                                const isSelected = statusFilter === filter.key;
+                                return (
+                                    <TouchableOpacity
+                                        key={filter.key}
+                                        style={[styles.chip, isSelected && styles.chipActive]}
+                                        onPress={() => setStatusFilter(filter.key)}
+                                    >
+                                        <Text style={[styles.chipText, isSelected && styles.chipTextActive]}>
+                                            {filter.label}
+                                        </Text>
+                                    </TouchableOpacity>
+                                );
+                            })}
+                        </View>
+
+                        <View style={styles.card}>
+                            {visiblePayouts.length === 0 ? (
+                                <Text style={styles.noRowsText}>Nothing here for this filter</Text>
+                            ) : visiblePayouts.map(payout => (
+                                <PayoutRow key={payout.sale_id} payout={payout} onPay={setPayTarget} showCategory />
+                            ))}
+                        </View>
+                    </>
+                )}
+            </ScrollView>
+
+            <PayWinnerModal
+                visible={!!payTarget}
+                payout={payTarget}
+                navigation={navigation}
+                onClose={() => setPayTarget(null)}
+                onPaid={handlePaid}
+            />
+        </View>
+    );
+};
+
+const styles = StyleSheet.create({
+    container: {
+        flex: 1,
+        backgroundColor: '#F8F9FD',
+    },
+    headerBackground: {
+        paddingTop: Platform.OS === 'android' ? 20 : 20,
+        paddingBottom: 20,
+        paddingHorizontal: 20,
+        borderBottomLeftRadius: 30,
+        borderBottomRightRadius: 30,
+        marginBottom: 12,
+        position: 'relative',
+        overflow: 'hidden',
+        zIndex: 1,
+    },
+    decorativeCircle1: {
+        position: 'absolute',
+        width: 200,
+        height: 200,
+        borderRadius: 100,
+        backgroundColor: 'rgba(255, 255, 255, 0.05)',
+        top: -50,
+        right: -50,
+    },
+    decorativeCircle2: {
+        position: 'absolute',
+        width: 150,
+        height: 150,
+        borderRadius: 75,
+        backgroundColor: 'rgba(255, 255, 255, 0.05)',
+        bottom: -40,
+        left: -30,
+    },
+    headerContent: {
+        flexDirection: 'row',
+        alignItems: 'center',
+        justifyContent: 'space-between',
+    },
+    menuButton: {
+        width: 40,
+        height: 40,
+        borderRadius: 12,
+        backgroundColor: 'rgba(255, 255, 255, 0.15)',
+        justifyContent: 'center',
+        alignItems: 'center',
+    },
+    headerTitle: {
+        fontSize: 20,
+        fontWeight: 'bold',
+        color: '#fff',
+    },
+    placeholder: {
+        width: 40,
+    },
+    dateRow: {
+        flexDirection: 'row',
+        alignItems: 'center',
+        justifyContent: 'center',
+        marginTop: 16,
+        gap: 10,
+    },
+    dateArrow: {
+        width: 36,
+        height: 36,
+        borderRadius: 10,
+        backgroundColor: 'rgba(255, 255, 255, 0.15)',
+        justifyContent: 'center',
+        alignItems: 'center',
+    },
+    dateButton: {
+        flexDirection: 'row',
+        alignItems: 'center',
+        gap: 8,
+        backgroundColor: 'rgba(255, 255, 255, 0.15)',
+        borderRadius: 10,
+        paddingHorizontal: 16,
+        paddingVertical: 8,
+    },
+    dateText: {
+        fontSize: 15,
+        fontWeight: '600',
+        color: '#fff',
+    },
+    chips: {
+        paddingHorizontal: 20,
+        paddingBottom: 8,
+        gap: 8,
+    },
+    statusChips: {
+        flexDirection: 'row',
+        flexWrap: 'wrap',
+        gap: 8,
+        marginBottom: 10,
+    },
+    chip: {
+        backgroundColor: '#F0F1FF',
+        borderRadius: 16,
+        paddingHorizontal: 14,
+        paddingVertical: 7,
+    },
+    chipActive: {
+        backgroundColor: '#3a48c2',
+    },
+    chipText: {
+        fontSize: 13,
+        fontWeight: '600',
+        color: '#3a48c2',
+    },
+    chipTextActive: {
+        color: '#fff',
+    },
+    scrollView: {
+        flex: 1,
+    },
+    scrollContent: {
+        paddingHorizontal: 20,
+        paddingBottom: 30,
+    },
+    centerContainer: {
+        alignItems: 'center',
+        paddingVertical: 60,
+    },
+    errorText: {
+        fontSize: 14,
+        color: '#dc2626',
+        textAlign: 'center',
+        marginTop: 10,
+    },
+    retryButton: {
+        marginTop: 14,
+        backgroundColor: '#3a48c2',
+        borderRadius: 10,
+        paddingHorizontal: 20,
+        paddingVertical: 10,
+    },
+    retryButtonText: {
+        color: '#fff',
+        fontWeight: '600',
+    },
+    emptyText: {
+        fontSize: 15,
+        color: '#999',
+        marginTop: 12,
+        textAlign: 'center',
+    },
+    card: {
+        backgroundColor: '#fff',
+        borderRadius: 16,
+        padding: 16,
+        marginBottom: 12,
+        shadowColor: '#000',
+        shadowOffset: { width: 0, height: 2 },
+        shadowOpacity: 0.05,
+        shadowRadius: 8,
+        elevation: 2,
+    },
+    totalsRow: {
+        flexDirection: 'row',
+        gap: 8,
+    },
+    totalBox: {
+        flex: 1,
+        alignItems: 'center',
+        backgroundColor: '#F8F9FD',
+        borderRadius: 12,
+        paddingVertical: 10,
+    },
+    totalLabel: {
+        fontSize: 12,
+        color: '#666',
+        fontWeight: '600',
+    },
+    totalValue: {
+        fontSize: 16,
+        fontWeight: 'bold',
+        color: '#1a1a1a',
+        marginTop: 4,
+    },
+    totalsMeta: {
+        fontSize: 12,
+        color: '#6B7280',
+        marginTop: 10,
+        textAlign: 'center',
+    },
+    sectionTitle: {
+        fontSize: 14,
+        fontWeight: '700',
+        color: '#1a1a1a',
+        marginTop: 16,
+        marginBottom: 6,
+    },
+    agentHeader: {
+        flexDirection: 'row',
+        backgroundColor: '#F0F1FF',
+        borderRadius: 8,
+        paddingHorizontal: 8,
+        paddingVertical: 6,
+    },
+    agentHeaderText: {
+        fontSize: 12,
+        fontWeight: '700',
+        color: '#3a48c2',
+    },
+    agentCol: {
+        width: 70,
+        textAlign: 'right',
+    },
+    agentRow: {
+        flexDirection: 'row',
+        alignItems: 'center',
+        paddingHorizontal: 8,
+        paddingVertical: 7,
+        borderBottomWidth: 1,
+        borderBottomColor: '#F3F4F6',
+    },
+    agentName: {
+        flex: 1,
+        fontSize: 13,
+        fontWeight: '600',
+        color: '#374151',
+    },
+    agentText: {
+        fontSize: 13,
+        fontWeight: '600',
+        color: '#111827',
+    },
+    noRowsText: {
+        fontSize: 13,
+        color: '#999',
+        textAlign: 'center',
+        paddingVertical: 10,
+    },
+});
+
+export default PayoutsScreen;
@@ -17,6 +17,9 @@ import { Dropdown } from 'react-native-element-dropdown';
 import { productService } from '../services/productService';
 import { categoryService } from '../services/categoryService';
 import { authService } from '../services';
+import { LIMIT_ACTION, hasExposureLimits } from '../utils/exposure';
+import { INDEX_TYPES, getIndexDigitType, getPrizeLevels } from '../utils/betTypes';
+import { DRAW_POSITION, DRAW_POSITIONS, EXTRA_PRIZE_POSITIONS, getDrawPosition, parsePositionWinningAmounts } from '../utils/drawPositions';
 
 // ─── Digit Type Config ────────────────────────────────────────────────────────
 // For each digit_type we know which prize levels exist (from 1 up to digit_type)
@@ -56,6 +59,19 @@ const ProductListItem = memo(({ product, onEdit, onDelete, canEdit, canDelete })
 
     const [isExpanded, setIsExpanded] = useState(false);
 
+    // Other draw positions with a prize table, as "3-Digit ₹1000, 2-Digit ₹100"
+    const positionTables = parsePositionWinningAmounts(product);
+    const positionPrizeRows = EXTRA_PRIZE_POSITIONS
+        .filter(({ key }) => positionTables[key] && Object.keys(positionTables[key]).length > 0)
+        .map(({ key, shortLabel }) => ({
+            key,
+            shortLabel,
+            text: Object.keys(positionTables[key])
+                .sort((x, y) => Number(y) - Number(x))
+                .map(level => `${level}-Digit ₹${positionTables[key][level]}`)
+                .join(', '),
+        }));
+
     // Filter out invalid/empty amounts and sort levels descending
     const validPrizeLevels = winningAmounts
         ? Object.keys(winningAmounts)
@@ -91,6 +107,12 @@ const ProductListItem = memo(({ product, onEdit, onDelete, canEdit, canDelete })
                             <Text style={styles.indexText}>{product.index_type}</Text>
                         </View>
                     )}
+                    {hasExposureLimits(product) && (
+                        <View style={[styles.badge, styles.limitBadge]}>
+                            <MaterialCommunityIcons name="shield-alert-outline" size={12} color="#b91c1c" />
+                            <Text style={styles.limitText}>Limit</Text>
+                        </View>
+                    )}
                 </View>
 
                 {/* Winning Amounts Row (Collapsible) */}
@@ -109,6 +131,14 @@ const ProductListItem = memo(({ product, onEdit, onDelete, canEdit, canDelete })
                                 </View>
                             );
                         })}
+                        {positionPrizeRows.map(row => (
+                            <View key={row.key} style={styles.prizeDetailRow}>
+                                <Text style={styles.prizeDetailLabel}>
+                                    {row.shortLabel} &nbsp;: &nbsp;
+                                </Text>
+                                <Text style={[styles.prizeDetailAmt, { flexShrink: 1, textAlign: 'right' }]}>{row.text}</Text>
+                            </View>
+                        ))}
                     </View>
                 )}
 
@@ -176,6 +206,12 @@ const ProductScreen = ({ navigation }) => {
     const [indexType, setIndexType] = useState(null);
     const [digitType, setDigitType] = useState(null); // 1 | 2 | 3 | 4 | null
     const [winningAmounts, setWinningAmounts] = useState({}); // { "1": "", "2": "", "3": "", "4": "" }
+    // Prize tables of the other draw positions: { second: { "3": "" }, third: {...}, consolation: {...} }
+    const [positionWinningAmounts, setPositionWinningAmounts] = useState({});
+    const [prizePosition, setPrizePosition] = useState(DRAW_POSITION.FIRST);
+    const [maxQtyPerNumber, setMaxQtyPerNumber] = useState('');
+    const [maxLiabilityPerNumber, setMaxLiabilityPerNumber] = useState('');
+    const [limitAction, setLimitAction] = useState(LIMIT_ACTION.WARN);
     const [editingProduct, setEditingProduct] = useState(null);
     const [isSubmitting, setIsSubmitting] = useState(false);
     const [isFocus, setIsFocus] = useState(false);
@@ -186,12 +222,7 @@ const ProductScreen = ({ navigation }) => {
     // Static index type options
     const INDEX_TYPE_OPTIONS = [
         { label: 'None', value: null },
-        { label: 'A', value: 'A' },
-        { label: 'B', value: 'B' },
-        { label: 'C', value: 'C' },
-        { label: 'AB', value: 'AB' },
-        { label: 'BC', value: 'BC' },
-        { label: 'AC', value: 'AC' },
+        ...INDEX_TYPES.map(type => ({ label: type, value: type })),
     ];
 
     // Load permissions on mount
@@ -249,31 +280,43 @@ const ProductScreen = ({ navigation }) => {
     }, [fetchData]);
 
     // ─── Derive digit type from index type ─────────────────────────
-    // Single letter (A,B,C) → digit_type = 1, one prize input
-    // Double letter (AB,BC,AC) → digit_type = 2, one prize input
-    // None → user picks digit_type 1-4, multiple prize inputs per level
-    const getAutoDigitType = (idxType) => {
-        if (!idxType) return null; // None → manual
-        if (idxType.length === 1) return 1; // A,B,C → 1 digit
-        if (idxType.length === 2) return 2; // AB,BC,AC → 2 digits
-        return null;
-    };
+    // Index types fix the digit type (one digit per position, one prize
+    // input); None → user picks digit_type 1-4, multiple prize inputs per level.
+    // See utils/betTypes.
+    const isIndexBased = getIndexDigitType(indexType) !== null;
+
+    // Prize levels of the product being edited, lowest first
+    const prizeLevels = getPrizeLevels({ index_type: indexType, box, digit_type: digitType });
 
-    const isIndexBased = indexType && indexType.length >= 1; // true when A/B/C/AB/BC/AC
+    // Keep only the given levels in every position's prize table
+    const keepPositionLevels = (levels) => {
+        setPositionWinningAmounts(prev => {
+            const next = {};
+            Object.entries(prev).forEach(([position, amounts]) => {
+                next[position] = {};
+                levels.forEach(level => {
+                    next[position][String(level)] = amounts[String(level)] || '';
+                });
+            });
+            return next;
+        });
+    };
 
     const handleIndexTypeChange = (value) => {
         setIndexType(value);
-        const autoDT = getAutoDigitType(value);
+        const autoDT = getIndexDigitType(value);
         if (autoDT !== null) {
             // Index-based: auto-set digit type, single prize input stored under key = digit_type
             setDigitType(autoDT);
             setWinningAmounts(prev => ({
                 [String(autoDT)]: prev[String(autoDT)] || ''
             }));
+            keepPositionLevels([autoDT]);
         } else {
             // None: reset digit type and let user choose
             setDigitType(null);
             setWinningAmounts({});
+            setPositionWinningAmounts({});
         }
     };
 
@@ -282,16 +325,35 @@ const ProductScreen = ({ navigation }) => {
         setDigitType(value);
         if (value === null) {
             setWinningAmounts({});
+            setPositionWinningAmounts({});
             return;
         }
         // Preserve previously entered amounts where applicable
+        const levels = getPrizeLevels({ box, digit_type: value });
         setWinningAmounts(prev => {
             const next = {};
-            for (let i = 1; i <= value; i++) {
-                next[String(i)] = prev[String(i)] || '';
-            }
+            levels.forEach(level => {
+                next[String(level)] = prev[String(level)] || '';
+            });
             return next;
         });
+        keepPositionLevels(levels);
+    };
+
+    // Prize table of the position being edited (1st = winning_amounts)
+    const shownWinningAmounts = prizePosition === DRAW_POSITION.FIRST
+        ? winningAmounts
+        : (positionWinningAmounts[prizePosition] || {});
+
+    const handlePrizeAmountChange = (level, text) => {
+        if (prizePosition === DRAW_POSITION.FIRST) {
+            setWinningAmounts(prev => ({ ...prev, [String(level)]: text }));
+            return;
+        }
+        setPositionWinningAmounts(prev => ({
+            ...prev,
+            [prizePosition]: { ...(prev[prizePosition] || {}), [String(level)]: text }
+        }));
     };
 
     const handleEdit = useCallback((product) => {
@@ -310,27 +372,36 @@ const ProductScreen = ({ navigation }) => {
         }
 
         if (dt && wAmts) {
-            const isIdxBased = idxType && idxType.length >= 1;
-            if (isIdxBased) {
-                // Index-based: single prize stored under key = digit_type
-                setWinningAmounts({
-                    [String(dt)]: wAmts[String(dt)] !== undefined
-                        ? String(wAmts[String(dt)])
-                        : ''
-                });
-            } else {
-                // Manual: multiple levels
-                const wa = {};
-                for (let i = 1; i <= dt; i++) {
-                    wa[String(i)] = wAmts[String(i)] !== undefined
-                        ? String(wAmts[String(i)])
-                        : '';
-                }
-                setWinningAmounts(wa);
-            }
+            // Index-based: single prize under key = digit_type; manual: one per level
+            const wa = {};
+            getPrizeLevels({ index_type: idxType, box: product.box, digit_type: dt }).forEach(level => {
+                wa[String(level)] = wAmts[String(level)] !== undefined
+                    ? String(wAmts[String(level)])
+                    : '';
+            });
+            setWinningAmounts(wa);
         } else {
             setWinningAmounts({});
         }
+        const positionTables = parsePositionWinningAmounts(product);
+        const pwa = {};
+        if (dt) {
+            EXTRA_PRIZE_POSITIONS.forEach(({ key }) => {
+                const table = positionTables[key];
+                if (!table) return;
+                pwa[key] = {};
+                getPrizeLevels({ index_type: idxType, box: product.box, digit_type: dt }).forEach(level => {
+                    pwa[key][String(level)] = table[String(level)] !== undefined && table[String(level)] !== null
+                        ? String(table[String(level)])
+                        : '';
+                });
+            });
+        }
+        setPositionWinningAmounts(pwa);
+        setPrizePosition(DRAW_POSITION.FIRST);
+        setMaxQtyPerNumber(product.max_qty_per_number ? String(product.max_qty_per_number) : '');
+        setMaxLiabilityPerNumber(product.max_liability_per_number ? String(product.max_liability_per_number) : '');
+        setLimitAction(product.limit_action === LIMIT_ACTION.BLOCK ? LIMIT_ACTION.BLOCK : LIMIT_ACTION.WARN);
         setEditingProduct(product);
         setIsCodeAutoSynced(false);
         setShowAddModal(true);
@@ -345,6 +416,11 @@ const ProductScreen = ({ navigation }) => {
         setIndexType(null);
         setDigitType(null);
         setWinningAmounts({});
+        setPositionWinningAmounts({});
+        setPrizePosition(DRAW_POSITION.FIRST);
+        setMaxQtyPerNumber('');
+        setMaxLiabilityPerNumber('');
+        setLimitAction(LIMIT_ACTION.WARN);
         setEditingProduct(null);
         setIsCodeAutoSynced(true);
     };
@@ -378,49 +454,69 @@ const ProductScreen = ({ navigation }) => {
         }
 
         // Validate winning amounts when digit type is selected
+        // (index-based: single prize at key = digitType; manual: levels 1..digitType)
         if (digitType) {
-            if (isIndexBased) {
-                // Index-based: single prize at key = digitType
-                const amt = winningAmounts[String(digitType)];
+            for (const level of prizeLevels) {
+                const amt = winningAmounts[String(level)];
+                const name = isIndexBased ? 'prize amount' : `winning amount for ${level}-Digit Match`;
                 if (amt === undefined || amt === null || String(amt).trim() === '') {
-                    Alert.alert('Validation Error', 'Please enter the prize amount');
+                    Alert.alert('Validation Error', `Please enter the ${name}`);
                     return;
                 }
                 if (isNaN(parseFloat(amt)) || parseFloat(amt) < 0) {
-                    Alert.alert('Validation Error', 'Prize amount must be a valid positive number');
+                    Alert.alert('Validation Error', `${name.charAt(0).toUpperCase()}${name.slice(1)} must be a valid positive number`);
                     return;
                 }
-            } else {
-                // Manual: validate all levels 1..digitType
-                for (let i = 1; i <= digitType; i++) {
-                    const amt = winningAmounts[String(i)];
-                    if (amt === undefined || amt === null || String(amt).trim() === '') {
-                        Alert.alert('Validation Error', `Please enter winning amount for ${i}-Digit Match`);
-                        return;
-                    }
+            }
+
+            // Other draw positions are optional; blank levels pay nothing
+            for (const { key, label } of EXTRA_PRIZE_POSITIONS) {
+                for (const level of prizeLevels) {
+                    const amt = positionWinningAmounts[key]?.[String(level)];
+                    if (amt === undefined || amt === null || String(amt).trim() === '') continue;
                     if (isNaN(parseFloat(amt)) || parseFloat(amt) < 0) {
-                        Alert.alert('Validation Error', `Winning amount for ${i}-Digit Match must be a valid positive number`);
+                        Alert.alert('Validation Error', `${label} amount for ${level}-Digit must be a valid positive number`);
                         return;
                     }
                 }
             }
         }
 
+        if (maxQtyPerNumber && (isNaN(parseInt(maxQtyPerNumber, 10)) || parseInt(maxQtyPerNumber, 10) < 1)) {
+            Alert.alert('Validation Error', 'Max qty per number must be at least 1');
+            return;
+        }
+        if (maxLiabilityPerNumber && (isNaN(parseFloat(maxLiabilityPerNumber)) || parseFloat(maxLiabilityPerNumber) <= 0)) {
+            Alert.alert('Validation Error', 'Max payout per number must be a valid positive number');
+            return;
+        }
+
         setIsSubmitting(true);
         try {
             // Build winning amounts payload (only numbers)
             let parsedWinningAmounts = null;
             if (digitType) {
                 parsedWinningAmounts = {};
-                if (isIndexBased) {
-                    // Index-based: store single prize at key = digitType
-                    parsedWinningAmounts[String(digitType)] = parseFloat(winningAmounts[String(digitType)]);
-                } else {
-                    // Manual: store all levels
-                    for (let i = 1; i <= digitType; i++) {
-                        parsedWinningAmounts[String(i)] = parseFloat(winningAmounts[String(i)]);
+                prizeLevels.forEach(level => {
+                    parsedWinningAmounts[String(level)] = parseFloat(winningAmounts[String(level)]);
+                });
+            }
+
+            // Only positions with at least one amount are sent
+            let parsedPositionAmounts = null;
+            if (digitType) {
+                EXTRA_PRIZE_POSITIONS.forEach(({ key }) => {
+                    const table = {};
+                    prizeLevels.forEach(level => {
+                        const amt = positionWinningAmounts[key]?.[String(level)];
+                        if (amt !== undefined && amt !== null && String(amt).trim() !== '') {
+                            table[String(level)] = parseFloat(amt);
+                        }
+                    });
+                    if (Object.keys(table).length > 0) {
+                        parsedPositionAmounts = { ...(parsedPositionAmounts || {}), [key]: table };
                     }
-                }
+                });
             }
 
             const productData = {
@@ -431,7 +527,11 @@ const ProductScreen = ({ navigation }) => {
                 box: box,
                 index_type: indexType,
                 digit_type: digitType,
-                winning_amounts: parsedWinningAmounts
+                winning_amounts: parsedWinningAmounts,
+                position_winning_amounts: parsedPositionAmounts,
+                max_qty_per_number: maxQtyPerNumber ? parseInt(maxQtyPerNumber, 10) : null,
+                max_liability_per_number: maxLiabilityPerNumber ? parseFloat(maxLiabilityPerNumber) : null,
+                limit_action: limitAction
             };
 
             if (editingProduct) {
@@ -653,17 +753,42 @@ const ProductScreen = ({ navigation }) => {
                             </View>
                         )}
 
+                        {/* Draw Position — each position has its own prize table */}
+                        {digitType !== null && (
+                            <View style={styles.inputGroup}>
+                                <Text style={styles.label}>Prize Table</Text>
+                                <View style={styles.positionTabs}>
+                                    {DRAW_POSITIONS.map(({ key, shortLabel }) => (
+                                        <TouchableOpacity
+                                            key={key}
+                                            style={[styles.positionTab, prizePosition === key && styles.positionTabActive]}
+                                            onPress={() => setPrizePosition(key)}
+                                        >
+                                            <Text style={[styles.positionTabText, prizePosition === key && styles.positionTabTextActive]}>
+                                                {shortLabel}
+                                            </Text>
+                                        </TouchableOpacity>
+                                    ))}
+                                </View>
+                                {prizePosition !== DRAW_POSITION.FIRST && (
+                                    <Text style={styles.positionHint}>
+                                        Optional — leave blank if this product pays nothing on the {getDrawPosition(prizePosition).label.toLowerCase()} number
+                                    </Text>
+                                )}
+                            </View>
+                        )}
+
                         {/* Prize Amount Input — index-based: single input */}
                         {isIndexBased && digitType !== null && (
                             <View style={styles.inputGroup}>
-                                <Text style={styles.label}>Prize Amount (₹) *</Text>
+                                <Text style={styles.label}>
+                                    Prize Amount (₹){prizePosition === DRAW_POSITION.FIRST ? ' *' : ''}
+                                </Text>
                                 <TextInput
                                     style={styles.input}
                                     placeholder={`Enter ${digitType}-Digit match prize`}
-                                    value={winningAmounts[String(digitType)] || ''}
-                                    onChangeText={(text) => {
-                                        setWinningAmounts({ [String(digitType)]: text });
-                                    }}
+                                    value={shownWinningAmounts[String(digitType)] || ''}
+                                    onChangeText={(text) => handlePrizeAmountChange(digitType, text)}
                                     placeholderTextColor="#999"
                                     keyboardType="numeric"
                                 />
@@ -673,10 +798,11 @@ const ProductScreen = ({ navigation }) => {
                         {/* Prize Amount Inputs — manual: multiple inputs per level */}
                         {!isIndexBased && digitType !== null && (
                             <View style={styles.winningAmountsContainer}>
-                                <Text style={styles.label}>Prize Amounts (₹) *</Text>
+                                <Text style={styles.label}>
+                                    Prize Amounts (₹){prizePosition === DRAW_POSITION.FIRST ? ' *' : ''}
+                                </Text>
                                 {/* Render from highest to lowest: digitType down to 1 */}
-                                {Array.from({ length: digitType }, (_, idx) => {
-                                    const level = digitType - idx; // e.g. 4, 3, 2, 1
+                                {[...prizeLevels].reverse().map(level => {
                                     return (
                                         <View key={level} style={styles.winningAmountRow}>
                                             <View style={styles.winningLevelBadge}>
@@ -687,13 +813,8 @@ const ProductScreen = ({ navigation }) => {
                                             <TextInput
                                                 style={styles.winningAmountInput}
                                                 placeholder="Enter amount"
-                                                value={winningAmounts[String(level)] || ''}
-                                                onChangeText={(text) => {
-                                                    setWinningAmounts(prev => ({
-                                                        ...prev,
-                                                        [String(level)]: text
-                                                    }));
-                                                }}
+                                                value={shownWinningAmounts[String(level)] || ''}
+                                                onChangeText={(text) => handlePrizeAmountChange(level, text)}
                                                 placeholderTextColor="#999"
                                                 keyboardType="numeric"
                                             />
@@ -703,6 +824,42 @@ const ProductScreen = ({ navigation }) => {
                             </View>
                         )}
 
+                        {/* Exposure Limits — per number, per draw */}
+                        <View style={styles.inputGroup}>
+                            <Text style={styles.label}>Max Qty per Number (per draw)</Text>
+                            <TextInput
+                                style={styles.input}
+                                placeholder="No limit"
+                                value={maxQtyPerNumber}
+                                onChangeText={(text) => setMaxQtyPerNumber(text.replace(/[^0-9]/g, ''))}
+                                placeholderTextColor="#999"
+                                keyboardType="numeric"
+                            />
+                        </View>
+                        <View style={styles.inputGroup}>
+                            <Text style={styles.label}>Max Payout per Number (₹, per draw)</Text>
+                            <TextInput
+                                style={styles.input}
+                                placeholder="No limit"
+                                value={maxLiabilityPerNumber}
+                                onChangeText={setMaxLiabilityPerNumber}
+                                placeholderTextColor="#999"
+                                keyboardType="numeric"
+                            />
+                        </View>
+                        {(maxQtyPerNumber !== '' || maxLiabilityPerNumber !== '') && (
+                            <TouchableOpacity
+                                style={styles.checkboxContainer}
+                                onPress={() => setLimitAction(limitAction === LIMIT_ACTION.BLOCK ? LIMIT_ACTION.WARN : LIMIT_ACTION.BLOCK)}
+                                activeOpacity={0.7}
+                            >
+                                <View style={[styles.checkbox, limitAction === LIMIT_ACTION.BLOCK && styles.checkboxSelected]}>
+                                    {limitAction === LIMIT_ACTION.BLOCK && <MaterialCommunityIcons name="check" size={18} color="#fff" />}
+                                </View>
+                                <Text style={styles.checkboxLabel}>Block sale when over limit (otherwise warn)</Text>
+                            </TouchableOpacity>
+                        )}
+
                         {/* Submit Button */}
                         <TouchableOpacity
                             style={[styles.submitButton, isSubmitting && styles.submitButtonDisabled]}
@@ -918,6 +1075,34 @@ const styles = StyleSheet.create({
     },
 
     // ── Winning Amounts ──
+    positionTabs: {
+        flexDirection: 'row',
+        backgroundColor: '#F0F1FF',
+        borderRadius: 12,
+        padding: 4,
+    },
+    positionTab: {
+        flex: 1,
+        paddingVertical: 8,
+        borderRadius: 10,
+        alignItems: 'center',
+    },
+    positionTabActive: {
+        backgroundColor: '#3a48c2',
+    },
+    positionTabText: {
+        fontSize: 13,
+        fontWeight: '600',
+        color: '#3a48c2',
+    },
+    positionTabTextActive: {
+        color: '#fff',
+    },
+    positionHint: {
+        fontSize: 12,
+        color: '#666',
+        marginTop: 8,
+    },
     winningAmountsContainer: {
         marginBottom: 20,
     },
@@ -1052,6 +1237,14 @@ const styles = StyleSheet.create({
         color: '#7c3aed',
         fontWeight: 'bold',
     },
+    limitBadge: {
+        backgroundColor: '#FEE2E2',
+    },
+    limitText: {
+        fontSize: 12,
+        color: '#b91c1c',
+        fontWeight: 'bold',
+    },
     // ── Toggle Details Button ──
     expandToggle: {
         flexDirection: 'row',
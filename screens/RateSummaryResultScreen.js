@@ -17,6 +17,7 @@ import { formatRateSummaryReportReceipt } from '../printer/cpclReceiptFormatter'
 import { ToastAndroid } from 'react-native';
 import RNHTMLtoPDF from 'react-native-html-to-pdf';
 import Share from 'react-native-share';
+import { shareWorkbook, summarySheet } from '../utils/excelExport';
 
 const RateSummaryResultScreen = ({ navigation, route }) => {
     const { filters } = route.params || {};
@@ -25,6 +26,7 @@ const RateSummaryResultScreen = ({ navigation, route }) => {
     const [summary, setSummary] = useState(null);
     const [isPrinting, setIsPrinting] = useState(false);
     const [isSharing, setIsSharing] = useState(false);
+    const [isExporting, setIsExporting] = useState(false);
 
     const fetchReport = useCallback(async () => {
         setIsLoading(true);
@@ -117,6 +119,49 @@ const RateSummaryResultScreen = ({ navigation, route }) => {
         ? isSameDay ? formatDisplayDate(filters.start_date) : `${formatDisplayDate(filters.start_date)} — ${formatDisplayDate(filters.end_date)}`
         : formatDisplayDate(new Date().toISOString());
 
+    // Workbook with the rate-wise totals and the overall summary
+    const handleExcelExport = async () => {
+        if (reportData.length === 0) {
+            Alert.alert('No Data', 'No data to export.');
+            return;
+        }
+
+        setIsExporting(true);
+        try {
+            await shareWorkbook({
+                fileName: 'Rate_Summary',
+                title: 'Rate Summary Report',
+                sheets: [
+                    {
+                        name: 'Rates',
+                        columns: [
+                            { header: 'Rate', value: item => item.rate, type: 'number', width: 10 },
+                            { header: 'Qty', value: item => item.total_quantity, type: 'number', width: 10 },
+                            { header: 'Amount', value: item => item.total_amount, type: 'number', width: 14 },
+                        ],
+                        rows: reportData,
+                    },
+                    summarySheet([
+                        { label: 'From', value: filters?.start_date || '' },
+                        { label: 'To', value: filters?.end_date || '' },
+                        { label: 'User', value: route.params?.userName || 'All' },
+                        { label: 'Total Qty', value: Number(summary?.total_quantity) || 0 },
+                        { label: 'Total Amount', value: Number(summary?.total_amount) || 0 },
+                    ]),
+                ],
+            });
+        } catch (error) {
+            if (error?.message !== 'User did not share' && !error?.message?.includes('dismiss')) {
+                console.error('[Excel Export] Error:', error);
+                if (Platform.OS === 'android') {
+                    ToastAndroid.show('Failed to export report', ToastAndroid.SHORT);
+                }
+            }
+        } finally {
+            setIsExporting(false);
+        }
+    };
+
     // Generate A4 PDF and share via WhatsApp
     const handleWhatsAppShare = async () => {
         if (reportData.length === 0) {
@@ -309,6 +354,20 @@ const RateSummaryResultScreen = ({ navigation, route }) => {
                 />
             )}
 
+            {/* Excel Export Floating Action Button */}
+            <TouchableOpacity
+                style={styles.excelFab}
+                onPress={handleExcelExport}
+                activeOpacity={0.8}
+                disabled={isExporting || isLoading || reportData.length === 0}
+            >
+                {isExporting ? (
+                    <ActivityIndicator size="small" color="#fff" />
+                ) : (
+                    <MaterialCommunityIcons name="microsoft-excel" size={26} color="#fff" />
+                )}
+            </TouchableOpacity>
+
             {/* WhatsApp Floating Action Button */}
             <TouchableOpacity
                 style={styles.whatsappFab}
@@ -527,6 +586,23 @@ const styles = StyleSheet.create({
         shadowRadius: 4,
         zIndex: 999,
     },
+    excelFab: {
+        position: 'absolute',
+        bottom: 92,
+        right: 20,
+        width: 56,
+        height: 56,
+        borderRadius: 28,
+        backgroundColor: '#1D6F42',
+        justifyContent: 'center',
+        alignItems: 'center',
+        elevation: 6,
+        shadowColor: '#000',
+        shadowOffset: { width: 0, height: 3 },
+        shadowOpacity: 0.3,
+        shadowRadius: 4,
+        zIndex: 999,
+    },
 });
 
 export default RateSummaryResultScreen;
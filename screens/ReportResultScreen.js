@@ -1,4 +1,4 @@
-import React, { useState, useEffect, useCallback, memo } from 'react';
+import React, { useState, useEffect, useCallback, useRef, memo } from 'react';
 import { useFocusEffect } from '@react-navigation/native';
 import {
     View,
@@ -15,14 +15,21 @@ import {
 import MaterialCommunityIcons from 'react-native-vector-icons/MaterialCommunityIcons';
 import LinearGradient from 'react-native-linear-gradient';
 import { reportService } from '../services/reportService';
+import { confirmReportComplete } from '../utils/reportPages';
+import { authService } from '../services';
 import PrinterService from '../printer/PrinterService';
-import { formatSalesReportReceipt } from '../printer/cpclReceiptFormatter';
+import { formatSalesReportReceipt, formatVoidSlip } from '../printer/cpclReceiptFormatter';
+import VoidInvoiceModal from '../components/VoidInvoiceModal';
+import { shareTemplateService } from '../services/shareTemplateService';
+import { formatShareReport } from '../utils/shareTemplates';
 import RNHTMLtoPDF from 'react-native-html-to-pdf';
 import Share from 'react-native-share';
+import { shareWorkbook, SALE_COLUMNS, INVOICE_COLUMNS, groupInvoices, summarySheet } from '../utils/excelExport';
 
 // Memoized Report Item for FlatList performance
-const ReportItem = memo(({ item, formatDateTime, navigation }) => {
+const ReportItem = memo(({ item, formatDateTime, navigation, onVoid }) => {
     const [expanded, setExpanded] = useState(false);
+    const isVoid = !!item.voided_at;
 
     const handleEditSingle = (saleItem) => {
         navigation.navigate('SaleEdit', {
@@ -40,6 +47,14 @@ const ReportItem = memo(({ item, formatDateTime, navigation }) => {
         });
     };
 
+    // Load this invoice's numbers into the Sales cart for the open draw
+    const handleResell = () => {
+        navigation.navigate('Home', {
+            screen: 'Sales',
+            params: { resell: { invoiceNumber: item.invoice_number, items: item.items } },
+        });
+    };
+
     if (item.isGroup) {
         return (
             <TouchableOpacity
@@ -63,10 +78,15 @@ const ReportItem = memo(({ item, formatDateTime, navigation }) => {
                         )}
                     </View>
                     <View style={{ alignItems: 'flex-end' }}>
-                        <Text style={styles.totalAmount}>₹{Math.round(item.total)}</Text>
+                        <Text style={[styles.totalAmount, isVoid && styles.voidAmount]}>₹{Math.round(item.total)}</Text>
+                        {isVoid && <Text style={styles.voidBadge}>VOID</Text>}
                     </View>
                 </View>
 
+                {isVoid && (
+                    <Text style={styles.voidReason}>Void: {item.void_reason || 'no reason recorded'}</Text>
+                )}
+
                 {expanded && (
                     <View style={styles.groupDetails}>
                         <View style={styles.divider} />
@@ -130,6 +150,18 @@ const ReportItem = memo(({ item, formatDateTime, navigation }) => {
                             <MaterialCommunityIcons name="pencil-outline" size={18} color="#3a48c2" />
                         </TouchableOpacity> */}
 
+                        {!isVoid && (
+                            <TouchableOpacity onPress={() => onVoid(item.invoice_number)} style={styles.editIconButton}>
+                                <MaterialCommunityIcons name="file-cancel-outline" size={18} color="#dc2626" />
+                                <Text style={[styles.editAllText, { color: '#dc2626' }]}>Void</Text>
+                            </TouchableOpacity>
+                        )}
+
+                        <TouchableOpacity onPress={handleResell} style={styles.editIconButton}>
+                            <MaterialCommunityIcons name="repeat" size={18} color="#3a48c2" />
+                            <Text style={styles.editAllText}>Re-sell</Text>
+                        </TouchableOpacity>
+
                         <View style={{ flexDirection: 'row', alignItems: 'center' }}>
                             <Text style={{ fontSize: 12, color: '#3a48c2', marginRight: 4 }}>
                                 {expanded ? 'Hide Details' : 'View Details'}
@@ -172,7 +204,8 @@ const ReportItem = memo(({ item, formatDateTime, navigation }) => {
                     </View>
                 </View>
                 <View style={{ alignItems: 'flex-end' }}>
-                    <Text style={styles.totalAmount}>₹{Math.round(parseFloat(item.total))}</Text>
+                    <Text style={[styles.totalAmount, isVoid && styles.voidAmount]}>₹{Math.round(parseFloat(item.total))}</Text>
+                    {isVoid && <Text style={styles.voidBadge}>VOID</Text>}
                 </View>
             </View>
 
@@ -194,6 +227,10 @@ const ReportItem = memo(({ item, formatDateTime, navigation }) => {
                     </View>
                 </View>
 
+                {isVoid && (
+                    <Text style={styles.voidReason}>Void: {item.void_reason || 'no reason recorded'}</Text>
+                )}
+
                 {item.desc && (
                     <View style={styles.descContainer}>
                         <Text style={styles.descLabel}>Lottery Number:</Text>
@@ -213,11 +250,85 @@ const ReportItem = memo(({ item, formatDateTime, navigation }) => {
                 >
                     <MaterialCommunityIcons name="pencil-outline" size={18} color="#3a48c2" />
                 </TouchableOpacity> */}
+                <View style={{ flexDirection: 'row', alignItems: 'center', gap: 12 }}>
+                    {!isVoid && item.invoice_number && (
+                        <TouchableOpacity onPress={() => onVoid(item.invoice_number)} style={styles.editIconButton}>
+                            <MaterialCommunityIcons name="file-cancel-outline" size={18} color="#dc2626" />
+                            <Text style={[styles.editAllText, { color: '#dc2626' }]}>Void</Text>
+                        </TouchableOpacity>
+                    )}
+                    <TouchableOpacity onPress={handleResell} style={styles.editIconButton}>
+                        <MaterialCommunityIcons name="repeat" size={18} color="#3a48c2" />
+                        <Text style={styles.editAllText}>Re-sell</Text>
+                    </TouchableOpacity>
+                </View>
             </View>
         </View>
     );
 });
 
+// Group transactions by invoice number
+const groupTransactions = (transactions) => {
+    if (!transactions || transactions.length === 0) return [];
+
+    const invoiceGroups = {};
+    const noInvoiceItems = [];
+
+    transactions.forEach(item => {
+        if (item.invoice_number) {
+            if (!invoiceGroups[item.invoice_number]) {
+                invoiceGroups[item.invoice_number] = {
+                    invoice_number: item.invoice_number,
+                    created_at: item.created_at,
+                    created_by: item.created_by,
+                    items: [],
+                    total: 0,
+                    isGroup: false,
+                    id: `invoice-${item.invoice_number}`,
+                    category_name: item.category_name
+                };
+            }
+            invoiceGroups[item.invoice_number].items.push(item);
+            invoiceGroups[item.invoice_number].total += parseFloat(item.total || 0);
+        } else {
+            noInvoiceItems.push({
+                ...item,
+                created_by: item.created_by,
+                isGroup: false,
+                items: [item],
+                total: parseFloat(item.total || 0),
+                id: item.id
+            });
+        }
+    });
+
+    // Mark groups with multiple items
+    Object.values(invoiceGroups).forEach(group => {
+        if (group.items.length > 1) {
+            group.isGroup = true;
+            group.id = `group-${group.invoice_number}`;
+            // If grouped, take the category from the first item if not already set
+            if (!group.category_name && group.items[0]) {
+                group.category_name = group.items[0].category_name;
+            }
+            // A void covers the whole invoice
+            if (group.items.every(sub => sub.voided_at)) {
+                group.voided_at = group.items[0].voided_at;
+                group.void_reason = group.items[0].void_reason;
+            }
+        } else {
+            const singleItem = group.items[0];
+            Object.assign(group, singleItem);
+            group.total = parseFloat(singleItem.total);
+        }
+    });
+
+    const allGroups = [...Object.values(invoiceGroups), ...noInvoiceItems];
+    allGroups.sort((a, b) => new Date(b.created_at) - new Date(a.created_at));
+
+    return allGroups;
+};
+
 const ReportResultScreen = ({ navigation, route }) => {
     const { filters } = route.params || {};
     const [isLoading, setIsLoading] = useState(true);
@@ -226,83 +337,35 @@ const ReportResultScreen = ({ navigation, route }) => {
     const [summary, setSummary] = useState(null);
     const [isPrinting, setIsPrinting] = useState(false);
     const [isSharing, setIsSharing] = useState(false);
+    const [isExporting, setIsExporting] = useState(false);
+    const [voidInvoiceNo, setVoidInvoiceNo] = useState(null);
+    const [hasMore, setHasMore] = useState(false);
+    const [isLoadingMore, setIsLoadingMore] = useState(false);
+    // { loaded, expected } while every page is fetched for a print / share / export
+    const [loadProgress, setLoadProgress] = useState(null);
+    const loadedPagesRef = useRef(0);
 
+    // Apply loaded pages: flat rows for printing, grouped rows for the list
+    const applyReport = (data) => {
+        const sales = data.report || [];
+        setRawSalesData(sales);
+        setReportData(groupTransactions(sales));
+        setSummary(data.summary || null);
+        setHasMore(!!data.has_more);
+        loadedPagesRef.current = data.page || 1;
+    };
+
+    // (Re)load the pages already shown, so a refresh keeps the scroll depth
     const fetchReport = useCallback(async () => {
         // Only show loading on initial load or empty data
-        if (reportData.length === 0) setIsLoading(true);
+        if (loadedPagesRef.current === 0) setIsLoading(true);
 
         try {
-            const response = await reportService.getSalesReport({
-                ...filters,
-                limit: 100 // Get more records to allow grouping
+            const response = await reportService.getAllSalesReport(filters, {
+                maxPages: Math.max(1, loadedPagesRef.current)
             });
-
             if (response && response.data) {
-                const { report, summary: apiSummary } = response.data;
-                const sales = report || [];
-
-                // Store raw flat sales data for printing
-                setRawSalesData(sales);
-
-                // Group transactions by invoice number
-                const groupTransactions = (transactions) => {
-                    if (!transactions || transactions.length === 0) return [];
-
-                    const invoiceGroups = {};
-                    const noInvoiceItems = [];
-
-                    transactions.forEach(item => {
-                        if (item.invoice_number) {
-                            if (!invoiceGroups[item.invoice_number]) {
-                                invoiceGroups[item.invoice_number] = {
-                                    invoice_number: item.invoice_number,
-                                    created_at: item.created_at,
-                                    created_by: item.created_by,
-                                    items: [],
-                                    total: 0,
-                                    isGroup: false,
-                                    id: `invoice-${item.invoice_number}`,
-                                    category_name: item.category_name
-                                };
-                            }
-                            invoiceGroups[item.invoice_number].items.push(item);
-                            invoiceGroups[item.invoice_number].total += parseFloat(item.total || 0);
-                        } else {
-                            noInvoiceItems.push({
-                                ...item,
-                                created_by: item.created_by,
-                                isGroup: false,
-                                items: [item],
-                                total: parseFloat(item.total || 0),
-                                id: item.id
-                            });
-                        }
-                    });
-
-                    // Mark groups with multiple items
-                    Object.values(invoiceGroups).forEach(group => {
-                        if (group.items.length > 1) {
-                            group.isGroup = true;
-                            group.id = `group-${group.invoice_number}`;
-                            // If grouped, take the category from the first item if not already set
-                            if (!group.category_name && group.items[0]) {
-                                group.category_name = group.items[0].category_name;
-                            }
-                        } else {
-                            const singleItem = group.items[0];
-                            Object.assign(group, singleItem);
-                            group.total = parseFloat(singleItem.total);
-                        }
-                    });
-
-                    const allGroups = [...Object.values(invoiceGroups), ...noInvoiceItems];
-                    allGroups.sort((a, b) => new Date(b.created_at) - new Date(a.created_at));
-
-                    return allGroups;
-                };
-
-                setReportData(groupTransactions(report));
-                setSummary(response.data.summary || null);
+                applyReport(response.data);
             }
         } catch (error) {
             console.error('Fetch report error:', error);
@@ -312,6 +375,61 @@ const ReportResultScreen = ({ navigation, route }) => {
         }
     }, [filters]);
 
+    const currentPages = () => ({
+        report: rawSalesData,
+        summary,
+        page: loadedPagesRef.current,
+        has_more: hasMore,
+    });
+
+    // Infinite scroll: next page appended to the list
+    const loadMore = async () => {
+        if (!hasMore || isLoadingMore || isLoading || loadProgress) return;
+        setIsLoadingMore(true);
+        try {
+            const response = await reportService.getAllSalesReport(filters, {
+                initial: currentPages(),
+                maxPages: loadedPagesRef.current + 1
+            });
+            applyReport(response.data);
+        } catch (error) {
+            console.error('Load more report error:', error);
+            if (Platform.OS === 'android') {
+                ToastAndroid.show('Failed to load more sales', ToastAndroid.SHORT);
+            }
+        } finally {
+            setIsLoadingMore(false);
+        }
+    };
+
+    /**
+     * Load every remaining page before a print / share / export, then warn
+     * when the row count still differs from summary.total_records.
+     * @returns {Promise<{ report: Array, summary: Object }|null>} null = cancelled or failed
+     */
+    const loadFullReport = async () => {
+        let data = { ...currentPages(), expected: Number(summary?.total_records) || rawSalesData.length };
+        if (hasMore) {
+            setLoadProgress({ loaded: rawSalesData.length, expected: data.expected });
+            try {
+                const response = await reportService.getAllSalesReport(filters, {
+                    initial: currentPages(),
+                    onProgress: (loaded, expected) => setLoadProgress({ loaded, expected })
+                });
+                data = response.data;
+                applyReport(data);
+            } catch (error) {
+                console.error('Load full report error:', error);
+                Alert.alert('Error', 'Failed to load all report pages');
+                return null;
+            } finally {
+                setLoadProgress(null);
+            }
+        }
+        if (!(await confirmReportComplete(data.report.length, data.expected))) return null;
+        return { report: data.report, summary: data.summary };
+    };
+
     // Auto-refresh when screen comes into focus (after editing a sale)
     useFocusEffect(
         useCallback(() => {
@@ -320,14 +438,14 @@ const ReportResultScreen = ({ navigation, route }) => {
     );
 
     // Process the actual printing
-    const processPrintReport = async () => {
+    const processPrintReport = async ({ report, summary: reportSummary }) => {
         setIsPrinting(true);
         try {
             const receiptBytes = formatSalesReportReceipt({
                 fromDate: filters?.start_date || null,
                 toDate: filters?.end_date || null,
-                salesItems: rawSalesData,
-                summary: summary,
+                salesItems: report,
+                summary: reportSummary,
             }, '80');
 
             await PrinterService.printWithPersistentConnection(receiptBytes);
@@ -357,32 +475,84 @@ const ReportResultScreen = ({ navigation, route }) => {
     };
 
     // Print the full sales report with confirmation
-    const handlePrintReport = () => {
+    const handlePrintReport = async () => {
         if (rawSalesData.length === 0) {
             Alert.alert('No Data', 'No sales data to print.');
             return;
         }
 
+        const fullReport = await loadFullReport();
+        if (!fullReport) return;
+
         Alert.alert(
             'Print Report',
-            `Are you sure you want to print the full report?\n(${rawSalesData.length} items)`,
+            `Are you sure you want to print the full report?\n(${fullReport.report.length} items)`,
             [
                 { text: 'Cancel', style: 'cancel' },
                 {
                     text: 'Print',
-                    onPress: processPrintReport
+                    onPress: () => processPrintReport(fullReport)
                 }
             ]
         );
     };
 
-    // Generate A4 PDF and share via WhatsApp
+    // Share as a PDF table or as text in the seller's share template
     const handleWhatsAppShare = async () => {
         if (rawSalesData.length === 0) {
             Alert.alert('No Data', 'No sales data to share.');
             return;
         }
 
+        const fullReport = await loadFullReport();
+        if (!fullReport) return;
+
+        Alert.alert(
+            'Share Report',
+            'Share the report as a PDF table or as text in your share format?',
+            [
+                { text: 'Cancel', style: 'cancel' },
+                { text: 'Text', onPress: () => handleTextShare(fullReport.report) },
+                { text: 'PDF', onPress: () => handlePdfShare(fullReport.report) }
+            ]
+        );
+    };
+
+    // Share every invoice as text in the default share template (voided invoices left out)
+    const handleTextShare = async (salesRows) => {
+        setIsSharing(true);
+        try {
+            const templateId = await shareTemplateService.getDefaultTemplateId();
+            const invoices = {};
+            salesRows.filter(item => !item.voided_at).forEach(item => {
+                const key = item.invoice_number || '';
+                if (!invoices[key]) invoices[key] = { invoiceNo: item.invoice_number, items: [] };
+                invoices[key].items.push(item);
+            });
+            const sales = Object.values(invoices);
+            if (sales.length === 0) {
+                Alert.alert('No Data', 'Every invoice in this report is void.');
+                return;
+            }
+
+            await Share.open({
+                message: formatShareReport(templateId, sales),
+                title: 'Sales Report',
+            });
+        } catch (error) {
+            if (error?.message !== 'User did not share' && !error?.message?.includes('dismiss')) {
+                console.error('[Text Share] Error:', error);
+                if (Platform.OS === 'android') {
+                    ToastAndroid.show('Failed to share report', ToastAndroid.SHORT);
+                }
+            }
+        } finally {
+            setIsSharing(false);
+        }
+    };
+
+    // Generate A4 PDF and share via WhatsApp
+    const handlePdfShare = async (salesRows) => {
         setIsSharing(true);
         try {
             // Format lottery numbers: one per line
@@ -391,9 +561,9 @@ const ReportResultScreen = ({ navigation, route }) => {
                 return desc.split(',').map(n => n.trim()).filter(Boolean).join('<br>');
             };
 
-            // Build table rows from rawSalesData
-            const tableRows = rawSalesData.map((item, index) => {
-                const productName = item.product_name || item.product_code || '-';
+            // Build table rows from the flat sale lines
+            const tableRows = salesRows.map((item, index) => {
+                const productName = `${item.product_name || item.product_code || '-'}${item.voided_at ? ' (VOID)' : ''}`;
                 const lotteryDisplay = formatLotteryNumbers(item.desc);
                 const qty = item.qty || 0;
                 const bgColor = index % 2 === 0 ? '#ffffff' : '#f8f9fd';
@@ -407,8 +577,8 @@ const ReportResultScreen = ({ navigation, route }) => {
                 `;
             }).join('');
 
-            const totalQty = rawSalesData.reduce((sum, item) => sum + (parseInt(item.qty) || 0), 0);
-            const totalEntries = rawSalesData.length;
+            const totalQty = salesRows.reduce((sum, item) => sum + (parseInt(item.qty, 10) || 0), 0);
+            const totalEntries = salesRows.length;
 
             const dateRange = filters?.start_date && filters?.end_date
                 ? `${new Date(filters.start_date).toLocaleDateString('en-IN', { day: '2-digit', month: 'short', year: 'numeric' })} — ${new Date(filters.end_date).toLocaleDateString('en-IN', { day: '2-digit', month: 'short', year: 'numeric' })}`
@@ -493,6 +663,46 @@ const ReportResultScreen = ({ navigation, route }) => {
         }
     };
 
+    // Workbook with the raw sale lines, one row per invoice and the totals
+    const handleExcelExport = async () => {
+        if (rawSalesData.length === 0) {
+            Alert.alert('No Data', 'No sales data to export.');
+            return;
+        }
+
+        const fullReport = await loadFullReport();
+        if (!fullReport) return;
+        const { report, summary: reportSummary } = fullReport;
+
+        setIsExporting(true);
+        try {
+            await shareWorkbook({
+                fileName: 'Sales_Report',
+                title: 'Sales Report',
+                sheets: [
+                    { name: 'Sales', columns: SALE_COLUMNS, rows: report },
+                    { name: 'Invoices', columns: INVOICE_COLUMNS, rows: groupInvoices(report) },
+                    summarySheet([
+                        { label: 'From', value: filters?.start_date || '' },
+                        { label: 'To', value: filters?.end_date || '' },
+                        { label: 'Total Sales', value: Number(reportSummary?.total_records) || report.length },
+                        { label: 'Total Qty', value: Number(reportSummary?.total_quantity) || 0 },
+                        { label: 'Total Amount', value: Number(reportSummary?.total_amount) || 0 },
+                    ]),
+                ],
+            });
+        } catch (error) {
+            if (error?.message !== 'User did not share' && !error?.message?.includes('dismiss')) {
+                console.error('[Excel Export] Error:', error);
+                if (Platform.OS === 'android') {
+                    ToastAndroid.show('Failed to export report', ToastAndroid.SHORT);
+                }
+            }
+        } finally {
+            setIsExporting(false);
+        }
+    };
+
     const formatDateTime = (dateString) => {
         const date = new Date(dateString);
         return date.toLocaleDateString('en-IN', {
@@ -535,8 +745,50 @@ const ReportResultScreen = ({ navigation, route }) => {
         );
     };
 
+    // Stable so VoidInvoiceModal does not reload the invoice on every render
+    const closeVoidModal = useCallback(() => setVoidInvoiceNo(null), []);
+
+    // Print the VOID slip for an invoice voided from the sheet, then reload
+    const handleVoided = async ({ invoice, reason, voidedAt, voidedBy }) => {
+        setVoidInvoiceNo(null);
+        fetchReport();
+        try {
+            const { user: userData } = await authService.getAuthData();
+            const receiptBytes = formatVoidSlip({
+                username: voidedBy || userData?.name || userData?.username || 'User',
+                invoiceNo: invoice.invoice_number,
+                reason,
+                voidedAt,
+                soldAt: invoice.items[0]?.created_at,
+                categoryName: invoice.category_name,
+                items: invoice.items,
+            }, '80');
+            await PrinterService.printWithPersistentConnection(receiptBytes);
+
+            if (Platform.OS === 'android') {
+                ToastAndroid.show('Invoice voided. Slip printed.', ToastAndroid.SHORT);
+            }
+        } catch (error) {
+            console.error('[Print Void] Error:', error);
+            const msg = error.message || 'Failed to print void slip';
+
+            if (msg.includes('No printer configured')) {
+                Alert.alert(
+                    'Invoice Voided',
+                    'No printer configured, so the VOID slip was not printed. Would you like to set up a printer?',
+                    [
+                        { text: 'Later', style: 'cancel' },
+                        { text: 'Setup', onPress: () => navigation.navigate('PrinterSettings') }
+                    ]
+                );
+            } else if (Platform.OS === 'android') {
+                ToastAndroid.show(`Print: ${msg}`, ToastAndroid.LONG);
+            }
+        }
+    };
+
     const renderItem = useCallback(({ item }) => (
-        <ReportItem item={item} formatDateTime={formatDateTime} navigation={navigation} />
+        <ReportItem item={item} formatDateTime={formatDateTime} navigation={navigation} onVoid={setVoidInvoiceNo} />
     ), [navigation]);
 
     return (
@@ -560,7 +812,7 @@ const ReportResultScreen = ({ navigation, route }) => {
                     <TouchableOpacity
                         onPress={handlePrintReport}
                         style={styles.printButton}
-                        disabled={isPrinting || isLoading || rawSalesData.length === 0}
+                        disabled={isPrinting || isLoading || !!loadProgress || rawSalesData.length === 0}
                     >
                         {isPrinting ? (
                             <ActivityIndicator size="small" color="#fff" />
@@ -571,6 +823,15 @@ const ReportResultScreen = ({ navigation, route }) => {
                 </View>
             </LinearGradient>
 
+            {loadProgress && (
+                <View style={styles.progressBanner}>
+                    <ActivityIndicator size="small" color="#3a48c2" />
+                    <Text style={styles.progressText}>
+                        Loading all sales... {loadProgress.loaded} / {loadProgress.expected}
+                    </Text>
+                </View>
+            )}
+
             {isLoading ? (
                 <View style={styles.loadingContainer}>
                     <ActivityIndicator size="large" color="#3a48c2" />
@@ -583,6 +844,17 @@ const ReportResultScreen = ({ navigation, route }) => {
                     keyExtractor={item => item.id.toString()}
                     contentContainerStyle={styles.listContainer}
                     ListHeaderComponent={renderSummary}
+                    onEndReached={loadMore}
+                    onEndReachedThreshold={0.5}
+                    ListFooterComponent={
+                        isLoadingMore ? (
+                            <ActivityIndicator style={styles.loadMoreIndicator} size="small" color="#3a48c2" />
+                        ) : hasMore ? (
+                            <Text style={styles.loadMoreText}>
+                                Showing {rawSalesData.length} of {summary?.total_records || '-'} sales
+                            </Text>
+                        ) : null
+                    }
                     ListEmptyComponent={
                         <View style={styles.emptyState}>
                             <MaterialCommunityIcons name="file-alert-outline" size={60} color="#ddd" />
@@ -593,12 +865,26 @@ const ReportResultScreen = ({ navigation, route }) => {
                 />
             )}
 
+            {/* Excel Export Floating Action Button */}
+            <TouchableOpacity
+                style={styles.excelFab}
+                onPress={handleExcelExport}
+                activeOpacity={0.8}
+                disabled={isExporting || isLoading || !!loadProgress || rawSalesData.length === 0}
+            >
+                {isExporting ? (
+                    <ActivityIndicator size="small" color="#fff" />
+                ) : (
+                    <MaterialCommunityIcons name="microsoft-excel" size={26} color="#fff" />
+                )}
+            </TouchableOpacity>
+
             {/* WhatsApp Floating Action Button */}
             <TouchableOpacity
                 style={styles.whatsappFab}
                 onPress={handleWhatsAppShare}
                 activeOpacity={0.8}
-                disabled={isSharing || isLoading || rawSalesData.length === 0}
+                disabled={isSharing || isLoading || !!loadProgress || rawSalesData.length === 0}
             >
                 {isSharing ? (
                     <ActivityIndicator size="small" color="#fff" />
@@ -606,6 +892,13 @@ const ReportResultScreen = ({ navigation, route }) => {
                     <MaterialCommunityIcons name="whatsapp" size={28} color="#fff" />
                 )}
             </TouchableOpacity>
+
+            <VoidInvoiceModal
+                visible={!!voidInvoiceNo}
+                invoiceNumber={voidInvoiceNo}
+                onClose={closeVoidModal}
+                onVoided={handleVoided}
+            />
         </View>
     );
 };
@@ -797,6 +1090,27 @@ const styles = StyleSheet.create({
         fontWeight: 'bold',
         color: '#15803d',
     },
+    voidAmount: {
+        color: '#999',
+        textDecorationLine: 'line-through',
+    },
+    voidBadge: {
+        marginTop: 4,
+        backgroundColor: '#dc2626',
+        color: '#fff',
+        fontSize: 10,
+        fontWeight: 'bold',
+        paddingHorizontal: 6,
+        paddingVertical: 2,
+        borderRadius: 4,
+        overflow: 'hidden',
+    },
+    voidReason: {
+        marginTop: 8,
+        fontSize: 12,
+        color: '#dc2626',
+        fontWeight: '600',
+    },
     divider: {
         height: 1,
         backgroundColor: '#f0f0f0',
@@ -948,6 +1262,48 @@ const styles = StyleSheet.create({
         shadowRadius: 6,
         zIndex: 999,
     },
+    progressBanner: {
+        flexDirection: 'row',
+        alignItems: 'center',
+        gap: 10,
+        backgroundColor: '#F0F1FF',
+        marginHorizontal: 16,
+        marginTop: 12,
+        borderRadius: 12,
+        paddingHorizontal: 14,
+        paddingVertical: 10,
+    },
+    progressText: {
+        fontSize: 13,
+        fontWeight: '600',
+        color: '#3a48c2',
+    },
+    loadMoreIndicator: {
+        marginVertical: 16,
+    },
+    loadMoreText: {
+        textAlign: 'center',
+        fontSize: 12,
+        color: '#888',
+        marginVertical: 16,
+    },
+    excelFab: {
+        position: 'absolute',
+        bottom: 92,
+        right: 20,
+        width: 56,
+        height: 56,
+        borderRadius: 28,
+        backgroundColor: '#1D6F42',
+        justifyContent: 'center',
+        alignItems: 'center',
+        elevation: 6,
+        shadowColor: '#1D6F42',
+        shadowOffset: { width: 0, height: 3 },
+        shadowOpacity: 0.4,
+        shadowRadius: 6,
+        zIndex: 999,
+    },
 });
 
 export default ReportResultScreen;
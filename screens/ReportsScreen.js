@@ -69,7 +69,7 @@ const ReportsScreen = ({ navigation }) => {
         init();
     }, []);
 
-    const handleGenerateReport = async () => {
+    const buildFilters = () => {
         const params = {
             start_date: formatDateForAPI(startDate),
             end_date: formatDateForAPI(endDate)
@@ -80,8 +80,19 @@ const ReportsScreen = ({ navigation }) => {
             params.user_id = selectedUser.id;
         }
 
+        return params;
+    };
+
+    const handleGenerateReport = async () => {
         // Navigate to result screen with filters
-        navigation.navigate('ReportResult', { filters: params });
+        navigation.navigate('ReportResult', { filters: buildFilters() });
+    };
+
+    const handleBreakdown = () => {
+        navigation.navigate('BreakdownReport', {
+            filters: buildFilters(),
+            userName: selectedUser?.name !== 'All' ? selectedUser?.name : null,
+        });
     };
 
     return (
@@ -217,6 +228,13 @@ const ReportsScreen = ({ navigation }) => {
                                 </Text>
                             </>
                         </TouchableOpacity>
+                        <TouchableOpacity
+                            style={[styles.actionBtn, styles.breakdownBtn]}
+                            onPress={handleBreakdown}
+                        >
+                            <MaterialCommunityIcons name="chart-bar" size={20} color="#3a48c2" />
+                            <Text style={styles.breakdownBtnText}>Breakdown</Text>
+                        </TouchableOpacity>
                     </View>
                 </View>
             </ScrollView>
@@ -352,6 +370,14 @@ const styles = StyleSheet.create({
         fontWeight: 'bold',
         color: '#fff',
     },
+    breakdownBtn: {
+        backgroundColor: '#F0F1FF',
+    },
+    breakdownBtnText: {
+        fontSize: 15,
+        fontWeight: 'bold',
+        color: '#3a48c2',
+    },
     // User Filter Styles
     userFilterContainer: {
         marginBottom: 15,
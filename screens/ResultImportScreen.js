@@ -0,0 +1,654 @@
+import React, { useState, useEffect } from 'react';
+import {
+    View,
+    Text,
+    StyleSheet,
+    ScrollView,
+    TouchableOpacity,
+    Alert,
+    ActivityIndicator,
+    Platform,
+    ToastAndroid
+} from 'react-native';
+import MaterialCommunityIcons from 'react-native-vector-icons/MaterialCommunityIcons';
+import LinearGradient from 'react-native-linear-gradient';
+import DocumentPicker from 'react-native-document-picker';
+import RNFS from 'react-native-fs';
+import * as XLSX from 'xlsx';
+import { categoryService } from '../services/categoryService';
+import { winningService } from '../services/winningService';
+import { productService } from '../services/productService';
+import { authService } from '../services';
+import { DRAW_POSITION, getDrawPosition, summarizeDrawResult, toRoundsData } from '../utils/drawPositions';
+import { computeWinnings, compareWinnings } from '../utils/winningEngine';
+import { parseResultSheet, validateResultRows, groupResultBatches } from '../utils/resultImport';
+
+const ROW_STATUS = {
+    READY: 'ready',
+    INVALID: 'invalid',
+    RUNNING: 'running',
+    DONE: 'done',
+    FAILED: 'failed',
+};
+
+const STATUS_STYLE = {
+    [ROW_STATUS.READY]: { icon: 'circle-outline', color: '#3a48c2' },
+    [ROW_STATUS.INVALID]: { icon: 'alert-circle', color: '#dc2626' },
+    [ROW_STATUS.RUNNING]: { icon: 'progress-clock', color: '#b45309' },
+    [ROW_STATUS.DONE]: { icon: 'check-circle', color: '#059669' },
+    [ROW_STATUS.FAILED]: { icon: 'close-circle', color: '#dc2626' },
+};
+
+const formatDate = (date) => date.toLocaleDateString('en-IN', { day: '2-digit', month: 'short', year: 'numeric' });
+
+const formatAmount = (value) => `₹${Math.round(parseFloat(value) || 0).toLocaleString('en-IN')}`;
+
+/**
+ * Read the first sheet of a picked CSV / XLSX file as rows of cells.
+ * CSV is read as plain text so numbers keep their leading zeros; XLSX date
+ * cells come through as Date values (parseResultDate).
+ */
+const readSheetRows = async (file) => {
+    const path = decodeURIComponent((file.fileCopyUri || file.uri).replace('file://', ''));
+    const isCsv = /\.(csv|txt)$/i.test(file.name || path);
+    const workbook = isCsv
+        ? XLSX.read(await RNFS.readFile(path, 'utf8'), { type: 'string', raw: true })
+        : XLSX.read(await RNFS.readFile(path, 'base64'), { type: 'base64', cellDates: true });
+    const sheet = workbook.Sheets[workbook.SheetNames[0]];
+    if (!sheet || !sheet['!ref']) return [];
+    const rows = XLSX.utils.sheet_to_json(sheet, { header: 1, raw: false, defval: '', blankrows: true });
+
+    // Formatted text of a date cell follows the file's own format ("10/18/26"), so keep the Date
+    const range = XLSX.utils.decode_range(sheet['!ref']);
+    Object.keys(sheet).forEach(address => {
+        if (address[0] === '!' || sheet[address].t !== 'd') return;
+        const { r, c } = XLSX.utils.decode_cell(address);
+        const cells = rows[r - range.s.r];
+        if (cells) cells[c - range.s.c] = sheet[address].v;
+    });
+    return rows;
+};
+
+/**
+ * Import published results for several categories from a CSV / XLSX file
+ * (utils/resultImport). Rows are reviewed first, then every draw is checked,
+ * cross-checked on the device and submitted in one batch, with a result
+ * per row.
+ */
+const ResultImportScreen = ({ navigation }) => {
+    const [categories, setCategories] = useState([]);
+    const [canImport, setCanImport] = useState(false);
+    const [isLoading, setIsLoading] = useState(true);
+
+    const [fileName, setFileName] = useState(null);
+    const [rows, setRows] = useState([]);
+    const [isReading, setIsReading] = useState(false);
+    const [isRunning, setIsRunning] = useState(false);
+    const [isFinished, setIsFinished] = useState(false);
+
+    useEffect(() => {
+        const load = async () => {
+            try {
+                const [perms, response] = await Promise.all([
+                    authService.getPermissions(),
+                    categoryService.getActiveCategories()
+                ]);
+                setCanImport(perms['winning']?.add || false);
+                setCategories(response?.data?.categories || []);
+            } catch (error) {
+                console.error('Load import setup error:', error);
+                Alert.alert('Error', 'Failed to load categories');
+            } finally {
+                setIsLoading(false);
+            }
+        };
+        load();
+    }, []);
+
+    const resetImport = () => {
+        setFileName(null);
+        setRows([]);
+        setIsFinished(false);
+    };
+
+    const handlePickFile = async () => {
+        let file;
+        try {
+            file = await DocumentPicker.pickSingle({
+                type: [DocumentPicker.types.csv, DocumentPicker.types.xlsx, DocumentPicker.types.xls, DocumentPicker.types.plainText],
+                copyTo: 'cachesDirectory',
+            });
+        } catch (error) {
+            if (!DocumentPicker.isCancel(error)) {
+                console.error('Pick results file error:', error);
+                Alert.alert('Error', 'Could not open the file');
+            }
+            return;
+        }
+
+        setIsReading(true);
+        resetImport();
+        try {
+            const parsed = parseResultSheet(await readSheetRows(file));
+            if (parsed.error) {
+                Alert.alert('Import Results', parsed.error);
+                return;
+            }
+            const checked = validateResultRows(parsed.rows, categories);
+            const batchErrors = {};
+            groupResultBatches(checked).forEach(batch => {
+                if (batch.error) batch.rows.forEach(row => { batchErrors[row.line] = batch.error; });
+            });
+            setFileName(file.name);
+            setRows(checked.map(row => {
+                const errors = batchErrors[row.line] ? [...row.errors, batchErrors[row.line]] : row.errors;
+                return {
+                    ...row,
+                    errors,
+                    status: errors.length > 0 ? ROW_STATUS.INVALID : ROW_STATUS.READY,
+                    message: errors.join(' · '),
+                };
+            }));
+        } catch (error) {
+            console.error('Read results file error:', error);
+            Alert.alert('Error', 'The file could not be read as CSV or Excel');
+        } finally {
+            setIsReading(false);
+        }
+    };
+
+    const updateRows = (lines, status, message = '') => {
+        setRows(prev => prev.map(row => (lines.includes(row.line) ? { ...row, status, message } : row)));
+    };
+
+    /**
+     * Check, cross-check and submit one draw. Throws with the reason the
+     * draw was not submitted.
+     */
+    const runBatch = async (batch, products) => {
+        const windowStart = batch.window.start.toISOString();
+        const windowEnd = batch.window.end.toISOString();
+
+        const existing = await winningService.getEntryForWindow(batch.category_id, windowStart, windowEnd);
+        if (existing?.data) {
+            throw new Error(`Already submitted (${existing.data.lottery_number})`);
+        }
+
+        const checked = await Promise.all(batch.rows.map(async (row) => {
+            const response = await winningService.checkWinning({
+                category_id: batch.category_id,
+                lottery_number: row.lottery_number,
+                prize_position: row.position,
+                window_start: windowStart,
+                window_end: windowEnd,
+            });
+            if (!response?.data) throw new Error(`No result for ${row.lottery_number}`);
+            return { position: row.position, lottery_number: row.lottery_number, result: response.data };
+        }));
+
+        // Same on-device cross-check as the Winning / Draw Result screens; a
+        // draw that differs is left for review instead of being submitted
+        const first = checked[0].result;
+        const drawWindow = first.window || { start: windowStart, end: windowEnd };
+        const salesRes = await winningService.getWindowSales(batch.category_id, drawWindow.start, drawWindow.end);
+        const sales = salesRes?.data?.sales || [];
+        checked.forEach(entry => {
+            const expected = computeWinnings({
+                winningNumber: entry.lottery_number,
+                sales,
+                products,
+                position: entry.position,
+            });
+            const diff = compareWinnings(expected, entry.result);
+            if (!diff.ok) {
+                throw new Error(`${getDrawPosition(entry.position).label} ${entry.lottery_number} differs from the on-device check — review it on the Draw Result screen`);
+            }
+        });
+
+        if (checked.length === 1 && checked[0].position === DRAW_POSITION.FIRST) {
+            await winningService.submitWinning({
+                category_id: batch.category_id,
+                lottery_number: first.lottery_number,
+                time_slot: first.time_slot,
+                window_start: drawWindow.start,
+                window_end: drawWindow.end,
+                total_winners: first.total_winners || 0,
+                grand_total_winning_amount: first.grand_total_winning_amount || 0,
+                rounds_data: toRoundsData(first.rounds),
+            });
+            return first.grand_total_winning_amount || 0;
+        }
+
+        const summary = summarizeDrawResult(checked);
+        await winningService.submitDrawResult({
+            category_id: batch.category_id,
+            time_slot: first.time_slot,
+            window_start: drawWindow.start,
+            window_end: drawWindow.end,
+            positions: summary.positions.map(p => ({
+                position: p.position,
+                lottery_number: p.lottery_number,
+                total_winners: p.total_winners,
+                total_winning_amount: p.total_winning_amount,
+                rounds_data: toRoundsData(p.rounds),
+            })),
+            total_winners: summary.total_winners,
+            grand_total_winning_amount: summary.grand_total_winning_amount,
+        });
+        return summary.grand_total_winning_amount;
+    };
+
+    const runImport = async () => {
+        const batches = groupResultBatches(rows.filter(row => row.status === ROW_STATUS.READY));
+        setIsRunning(true);
+        let submitted = 0;
+        try {
+            const productsRes = await productService.getAllProducts();
+            const products = productsRes?.data?.products || [];
+
+            // One draw at a time so the report fills in as it goes
+            for (const batch of batches) {
+                const lines = batch.rows.map(row => row.line);
+                updateRows(lines, ROW_STATUS.RUNNING);
+                try {
+                    const payout = await runBatch(batch, products);
+                    updateRows(lines, ROW_STATUS.DONE, `Submitted · ${formatAmount(payout)} payout`);
+                    submitted += 1;
+                } catch (error) {
+                    console.error('Import draw error:', error);
+                    updateRows(lines, ROW_STATUS.FAILED, error.response?.data?.message || error.message || 'Failed to submit');
+                }
+            }
+        } catch (error) {
+            console.error('Import results error:', error);
+            Alert.alert('Error', error.response?.data?.message || error.message || 'Failed to load products');
+        } finally {
+            setIsRunning(false);
+            setIsFinished(true);
+        }
+
+        if (Platform.OS === 'android') {
+            ToastAndroid.show(`${submitted} of ${batches.length} draw(s) submitted`, ToastAndroid.SHORT);
+        }
+    };
+
+    const handleImport = () => {
+        const readyRows = rows.filter(row => row.status === ROW_STATUS.READY);
+        if (readyRows.length === 0) {
+            Alert.alert('Import Results', 'There are no valid rows to import');
+            return;
+        }
+        const batches = groupResultBatches(readyRows);
+        const invalid = rows.length - readyRows.length;
+        Alert.alert(
+            'Check & Submit',
+            `Check and submit ${batches.length} draw(s) from ${readyRows.length} row(s)?` +
+                (invalid > 0 ? ` ${invalid} invalid row(s) will be skipped.` : ''),
+            [
+                { text: 'Cancel', style: 'cancel' },
+                { text: 'Submit', onPress: runImport }
+            ]
+        );
+    };
+
+    const renderRow = (row) => {
+        const statusStyle = STATUS_STYLE[row.status];
+        const date = row.window ? formatDate(row.window.end) : row.date || '-';
+        return (
+            <View key={row.line} style={styles.row}>
+                <View style={styles.rowStatus}>
+                    {row.status === ROW_STATUS.RUNNING ? (
+                        <ActivityIndicator size="small" color={statusStyle.color} />
+                    ) : (
+                        <MaterialCommunityIcons name={statusStyle.icon} size={18} color={statusStyle.color} />
+                    )}
+                </View>
+                <View style={{ flex: 1 }}>
+                    <View style={styles.rowTop}>
+                        <Text style={styles.rowNumber}>{row.lottery_number || '-'}</Text>
+                        <Text style={styles.rowPosition}>{row.position ? getDrawPosition(row.position).shortLabel : '-'}</Text>
+                        <Text style={styles.rowLine}>Row {row.line}</Text>
+                    </View>
+                    <Text style={styles.rowMeta} numberOfLines={1}>
+                        {row.category_name || '-'} · {date} · {row.time_slot || '-'}
+                    </Text>
+                    {!!row.message && (
+                        <Text style={[styles.rowMessage, { color: statusStyle.color }]}>{row.message}</Text>
+                    )}
+                </View>
+            </View>
+        );
+    };
+
+    const counts = rows.reduce((acc, row) => ({ ...acc, [row.status]: (acc[row.status] || 0) + 1 }), {});
+    const drawCount = groupResultBatches(rows.filter(row => row.status !== ROW_STATUS.INVALID)).length;
+
+    if (isLoading) {
+        return (
+            <View style={styles.loadingContainer}>
+                <ActivityIndicator size="large" color="#3a48c2" />
+            </View>
+        );
+    }
+
+    return (
+        <View style={styles.container}>
+            {/* Header */}
+            <LinearGradient
+                colors={['#3a48c2', '#2a38a0', '#192f6a']}
+                style={styles.headerBackground}
+                start={{ x: 0, y: 0 }}
+                end={{ x: 1, y: 1 }}
+            >
+                <View style={styles.decorativeCircle1} />
+                <View style={styles.decorativeCircle2} />
+
+                <View style={styles.headerContent}>
+                    <TouchableOpacity onPress={() => navigation.openDrawer()} style={styles.menuButton}>
+                        <MaterialCommunityIcons name="menu" size={24} color="#fff" />
+                    </TouchableOpacity>
+                    <Text style={styles.headerTitle}>Import Results</Text>
+                    <View style={styles.placeholder} />
+                </View>
+            </LinearGradient>
+
+            <ScrollView style={styles.scrollView} contentContainerStyle={styles.scrollContent}>
+                {!canImport ? (
+                    <View style={styles.noPermissionContainer}>
+                        <MaterialCommunityIcons name="lock-outline" size={80} color="#ddd" />
+                        <Text style={styles.noPermissionTitle}>No Permission</Text>
+                        <Text style={styles.noPermissionText}>
+                            You don't have permission to submit winning results.{'\n'}
+                            Please contact your administrator.
+                        </Text>
+                    </View>
+                ) : (
+                    <>
+                        <View style={styles.card}>
+                            <Text style={styles.cardTitle}>Results file</Text>
+                            <Text style={styles.hint}>
+                                CSV or Excel with the columns Category, Date, Time Slot, Position and Number.
+                                Date as YYYY-MM-DD or DD-MM-YYYY; Position 1st, 2nd, 3rd or Consolation
+                                (empty = 1st).
+                            </Text>
+                            <TouchableOpacity
+                                style={[styles.pickButton, (isReading || isRunning) && styles.buttonDisabled]}
+                                onPress={handlePickFile}
+                                disabled={isReading || isRunning}
+                            >
+                                {isReading ? (
+                                    <ActivityIndicator color="#3a48c2" />
+                                ) : (
+                                    <>
+                                        <MaterialCommunityIcons name="file-upload-outline" size={20} color="#3a48c2" />
+                                        <Text style={styles.pickButtonText}>{fileName || 'Choose File'}</Text>
+                                    </>
+                                )}
+                            </TouchableOpacity>
+                        </View>
+
+                        {rows.length > 0 && (
+                            <>
+                                <View style={styles.summaryRow}>
+                                    <Text style={styles.summaryText}>
+                                        {rows.length} row(s) · {drawCount} draw(s)
+                                    </Text>
+                                    {!!counts[ROW_STATUS.INVALID] && (
+                                        <Text style={[styles.summaryText, { color: '#dc2626' }]}>
+                                            {counts[ROW_STATUS.INVALID]} invalid
+                                        </Text>
+                                    )}
+                                    {!!counts[ROW_STATUS.DONE] && (
+                                        <Text style={[styles.summaryText, { color: '#059669' }]}>
+                                            {counts[ROW_STATUS.DONE]} submitted
+                                        </Text>
+                                    )}
+                                    {!!counts[ROW_STATUS.FAILED] && (
+                                        <Text style={[styles.summaryText, { color: '#dc2626' }]}>
+                                            {counts[ROW_STATUS.FAILED]} failed
+                                        </Text>
+                                    )}
+                                </View>
+
+                                <View style={styles.card}>
+                                    {rows.map(renderRow)}
+                                </View>
+
+                                {isFinished ? (
+                                    <TouchableOpacity style={styles.submitButton} onPress={resetImport}>
+                                        <MaterialCommunityIcons name="file-import-outline" size={20} color="#fff" />
+                                        <Text style={styles.submitButtonText}>Import Another File</Text>
+                                    </TouchableOpacity>
+                                ) : (
+                                    <TouchableOpacity
+                                        style={[styles.submitButton, (isRunning || !counts[ROW_STATUS.READY]) && styles.buttonDisabled]}
+                                        onPress={handleImport}
+                                        disabled={isRunning || !counts[ROW_STATUS.READY]}
+                                    >
+                                        {isRunning ? (
+                                            <ActivityIndicator color="#fff" />
+                                        ) : (
+                                            <>
+                                                <MaterialCommunityIcons name="check-circle-outline" size={20} color="#fff" />
+                                                <Text style={styles.submitButtonText}>Check & Submit All</Text>
+                                            </>
+                                        )}
+                                    </TouchableOpacity>
+                                )}
+                            </>
+                        )}
+                    </>
+                )}
+            </ScrollView>
+        </View>
+    );
+};
+
+const styles = StyleSheet.create({
+    container: {
+        flex: 1,
+        backgroundColor: '#F8F9FD',
+    },
+    loadingContainer: {
+        flex: 1,
+        justifyContent: 'center',
+        alignItems: 'center',
+        backgroundColor: '#F8F9FD',
+    },
+    headerBackground: {
+        paddingTop: Platform.OS === 'android' ? 20 : 20,
+        paddingBottom: 26,
+        paddingHorizontal: 20,
+        borderBottomLeftRadius: 30,
+        borderBottomRightRadius: 30,
+        marginBottom: 12,
+        position: 'relative',
+        overflow: 'hidden',
+        zIndex: 1,
+    },
+    decorativeCircle1: {
+        position: 'absolute',
+        width: 200,
+        height: 200,
+        borderRadius: 100,
+        backgroundColor: 'rgba(255, 255, 255, 0.05)',
+        top: -50,
+        right: -50,
+    },
+    decorativeCircle2: {
+        position: 'absolute',
+        width: 150,
+        height: 150,
+        borderRadius: 75,
+        backgroundColor: 'rgba(255, 255, 255, 0.05)',
+        bottom: -40,
+        left: -30,
+    },
+    headerContent: {
+        flexDirection: 'row',
+        alignItems: 'center',
+        justifyContent: 'space-between',
+    },
+    menuButton: {
+        width: 40,
+        height: 40,
+        borderRadius: 12,
+        backgroundColor: 'rgba(255, 255, 255, 0.15)',
+        justifyContent: 'center',
+        alignItems: 'center',
+    },
+    headerTitle: {
+        fontSize: 20,
+        fontWeight: 'bold',
+        color: '#fff',
+    },
+    placeholder: {
+        width: 40,
+    },
+    scrollView: {
+        flex: 1,
+    },
+    scrollContent: {
+        paddingHorizontal: 20,
+        paddingBottom: 30,
+    },
+    noPermissionContainer: {
+        flex: 1,
+        justifyContent: 'center',
+        alignItems: 'center',
+        paddingVertical: 100,
+        paddingHorizontal: 40,
+    },
+    noPermissionTitle: {
+        fontSize: 24,
+        fontWeight: 'bold',
+        color: '#666',
+        marginTop: 20,
+        marginBottom: 10,
+    },
+    noPermissionText: {
+        fontSize: 16,
+        color: '#999',
+        textAlign: 'center',
+        lineHeight: 24,
+    },
+    card: {
+        backgroundColor: '#fff',
+        borderRadius: 16,
+        padding: 16,
+        marginBottom: 12,
+        shadowColor: '#000',
+        shadowOffset: { width: 0, height: 2 },
+        shadowOpacity: 0.05,
+        shadowRadius: 8,
+        elevation: 2,
+    },
+    cardTitle: {
+        fontSize: 16,
+        fontWeight: 'bold',
+        color: '#1a1a1a',
+    },
+    hint: {
+        fontSize: 13,
+        color: '#666',
+        marginTop: 6,
+        lineHeight: 19,
+    },
+    pickButton: {
+        flexDirection: 'row',
+        alignItems: 'center',
+        justifyContent: 'center',
+        gap: 8,
+        borderWidth: 1,
+        borderStyle: 'dashed',
+        borderColor: '#3a48c2',
+        borderRadius: 12,
+        paddingVertical: 14,
+        marginTop: 14,
+        backgroundColor: '#F0F1FF',
+    },
+    pickButtonText: {
+        color: '#3a48c2',
+        fontSize: 15,
+        fontWeight: 'bold',
+    },
+    buttonDisabled: {
+        opacity: 0.6,
+    },
+    summaryRow: {
+        flexDirection: 'row',
+        flexWrap: 'wrap',
+        gap: 12,
+        marginBottom: 8,
+        paddingHorizontal: 4,
+    },
+    summaryText: {
+        fontSize: 13,
+        fontWeight: '700',
+        color: '#3a48c2',
+    },
+    row: {
+        flexDirection: 'row',
+        alignItems: 'flex-start',
+        paddingVertical: 9,
+        borderBottomWidth: 1,
+        borderBottomColor: '#F3F4F6',
+    },
+    rowStatus: {
+        width: 26,
+        paddingTop: 2,
+    },
+    rowTop: {
+        flexDirection: 'row',
+        alignItems: 'center',
+        gap: 8,
+    },
+    rowNumber: {
+        fontSize: 16,
+        fontWeight: '800',
+        color: '#1a1a1a',
+        letterSpacing: 1,
+    },
+    rowPosition: {
+        fontSize: 11,
+        fontWeight: '700',
+        color: '#3a48c2',
+        backgroundColor: '#F0F1FF',
+        borderRadius: 6,
+        paddingHorizontal: 6,
+        paddingVertical: 2,
+        overflow: 'hidden',
+    },
+    rowLine: {
+        marginLeft: 'auto',
+        fontSize: 11,
+        color: '#9CA3AF',
+    },
+    rowMeta: {
+        fontSize: 12,
+        color: '#6B7280',
+        marginTop: 2,
+    },
+    rowMessage: {
+        fontSize: 12,
+        fontWeight: '600',
+        marginTop: 3,
+    },
+    submitButton: {
+        flexDirection: 'row',
+        alignItems: 'center',
+        justifyContent: 'center',
+        gap: 8,
+        backgroundColor: '#059669',
+        borderRadius: 16,
+        padding: 16,
+        marginTop: 4,
+    },
+    submitButtonText: {
+        color: '#fff',
+        fontSize: 16,
+        fontWeight: '800',
+    },
+});
+
+export default ResultImportScreen;
@@ -0,0 +1,787 @@
+import React, { useState, useEffect, useCallback, useRef } from 'react';
+import { useFocusEffect } from '@react-navigation/native';
+import {
+    View,
+    Text,
+    StyleSheet,
+    ScrollView,
+    TouchableOpacity,
+    Alert,
+    ActivityIndicator,
+    Platform,
+    ToastAndroid
+} from 'react-native';
+import MaterialCommunityIcons from 'react-native-vector-icons/MaterialCommunityIcons';
+import LinearGradient from 'react-native-linear-gradient';
+import RNHTMLtoPDF from 'react-native-html-to-pdf';
+import Share from 'react-native-share';
+import { categoryService } from '../services/categoryService';
+import { winningService } from '../services/winningService';
+import { productService } from '../services/productService';
+import { authService } from '../services';
+import { serverClock } from '../services/serverClock';
+import { getDrawWindow } from '../utils/timeSlots';
+import { simulateRisk } from '../utils/riskSimulation';
+import ClockSkewBanner from '../components/ClockSkewBanner';
+
+const TOP_N_OPTIONS = [10, 20, 50];
+
+const formatAmount = (value) => `₹${Math.round(parseFloat(value) || 0).toLocaleString('en-IN')}`;
+
+const formatWindowDate = (date) => date.toLocaleString('en-IN', {
+    day: '2-digit', month: 'short', year: 'numeric',
+    hour: '2-digit', minute: '2-digit', hour12: true
+});
+
+/**
+ * Window of the category's next draw: today's, or tomorrow's once
+ * today's slot has passed
+ */
+const getUpcomingWindow = (category) => {
+    const now = serverClock.now();
+    const drawWindow = getDrawWindow(category, now);
+    if (!drawWindow || drawWindow.end > now) return drawWindow;
+    const tomorrow = new Date(now);
+    tomorrow.setDate(tomorrow.getDate() + 1);
+    return getDrawWindow(category, tomorrow);
+};
+
+/**
+ * Pre-draw payout risk: what each possible result of a category's upcoming
+ * draw would pay on the sales so far (utils/riskSimulation), riskiest first,
+ * with the net position against the window's sales.
+ */
+const RiskScreen = ({ navigation }) => {
+    const [categories, setCategories] = useState([]);
+    const [isLoading, setIsLoading] = useState(true);
+    const [selectedCategory, setSelectedCategory] = useState(null);
+    const [showDropdown, setShowDropdown] = useState(false);
+    const [topN, setTopN] = useState(TOP_N_OPTIONS[1]);
+
+    // { window, risk: simulateRisk result, simulatedAt }
+    const [simulation, setSimulation] = useState(null);
+    const [isSimulating, setIsSimulating] = useState(false);
+    const [isSharing, setIsSharing] = useState(false);
+    // Only the latest run may update the screen
+    const runIdRef = useRef(0);
+
+    const [canView, setCanView] = useState(false);
+
+    useEffect(() => {
+        const loadPermissions = async () => {
+            try {
+                const perms = await authService.getPermissions();
+                setCanView(perms['winning']?.view || false);
+            } catch (error) {
+                console.error('Error loading permissions:', error);
+            }
+        };
+        loadPermissions();
+    }, []);
+
+    const fetchCategories = useCallback(async () => {
+        try {
+            const response = await categoryService.getActiveCategories();
+            if (response && response.data) {
+                setCategories(response.data.categories || []);
+            }
+        } catch (error) {
+            console.error('Fetch categories error:', error);
+            Alert.alert('Error', 'Failed to load categories');
+        } finally {
+            setIsLoading(false);
+        }
+    }, []);
+
+    useFocusEffect(
+        useCallback(() => {
+            fetchCategories();
+        }, [fetchCategories])
+    );
+
+    const handleCategorySelect = (category) => {
+        runIdRef.current += 1;
+        setSelectedCategory(category);
+        setShowDropdown(false);
+        setSimulation(null);
+        setIsSimulating(false);
+    };
+
+    const handleSimulate = async () => {
+        if (!selectedCategory) {
+            Alert.alert('Validation Error', 'Please select a category');
+            return;
+        }
+        const drawWindow = getUpcomingWindow(selectedCategory);
+        if (!drawWindow) {
+            Alert.alert('No Draw', `${selectedCategory.category_name} has no time slot`);
+            return;
+        }
+
+        const runId = ++runIdRef.current;
+        setIsSimulating(true);
+        try {
+            const [salesRes, productsRes] = await Promise.all([
+                winningService.getWindowSales(selectedCategory.id, drawWindow.start.toISOString(), drawWindow.end.toISOString()),
+                productService.getAllProducts(),
+            ]);
+            if (runId !== runIdRef.current) return;
+            const risk = simulateRisk({
+                sales: salesRes?.data?.sales || [],
+                products: productsRes?.data?.products || [],
+                topN,
+            });
+            setSimulation({ window: drawWindow, risk, simulatedAt: serverClock.now() });
+        } catch (error) {
+            console.error('Risk simulation error:', error);
+            if (runId === runIdRef.current) {
+                Alert.alert('Error', error.response?.data?.message || error.message || 'Could not load the window sales');
+            }
+        } finally {
+            if (runId === runIdRef.current) setIsSimulating(false);
+        }
+    };
+
+    // Export the top-N table as an A4 PDF
+    const handleExport = async () => {
+        if (!simulation) return;
+        const { risk, window: drawWindow, simulatedAt } = simulation;
+        const windowText = `${formatWindowDate(drawWindow.start)} → ${formatWindowDate(drawWindow.end)}`;
+
+        setIsSharing(true);
+        try {
+            const rows = risk.candidates.map((c, index) => `
+                <tr style="background-color: ${index % 2 === 0 ? '#ffffff' : '#f8f9fd'};">
+                    <td style="padding: 8px 12px; border-bottom: 1px solid #eee; font-size: 13px; color: #555;">${index + 1}</td>
+                    <td style="padding: 8px 12px; border-bottom: 1px solid #eee; font-size: 14px; font-weight: 700; letter-spacing: 1px;">${c.number}</td>
+                    <td style="padding: 8px 12px; border-bottom: 1px solid #eee; font-size: 13px; text-align: center;">${Math.round(c.tickets * 100) / 100}</td>
+                    <td style="padding: 8px 12px; border-bottom: 1px solid #eee; font-size: 13px; text-align: right; color: #dc2626; font-weight: 700;">${Math.round(c.payout)}</td>
+                    <td style="padding: 8px 12px; border-bottom: 1px solid #eee; font-size: 13px; text-align: right; font-weight: 700; color: ${c.net < 0 ? '#dc2626' : '#189b39'};">${Math.round(c.net)}</td>
+                </tr>
+            `).join('');
+
+            const htmlContent = `
+                <html>
+                <head>
+                    <meta charset="utf-8">
+                    <style>
+                        @page { size: A4; margin: 15mm; }
+                        body { font-family: 'Helvetica Neue', Helvetica, Arial, sans-serif; color: #222; margin: 0; padding: 0; }
+                    </style>
+                </head>
+                <body>
+                    <div style="background: linear-gradient(135deg, #3a48c2, #192f6a); color: #fff; padding: 20px 24px; border-radius: 12px; margin-bottom: 20px;">
+                        <h1 style="margin: 0 0 6px 0; font-size: 22px; font-weight: 700;">Payout Risk — ${selectedCategory.category_name}</h1>
+                        <p style="margin: 0; font-size: 14px; opacity: 0.85;">${windowText}</p>
+                        <p style="margin: 4px 0 0 0; font-size: 12px; opacity: 0.75;">Sales as of ${formatWindowDate(simulatedAt)}</p>
+                    </div>
+                    <div style="display: flex; justify-content: space-between; border: 1px solid #f0f0f5; border-radius: 10px; padding: 16px 20px; margin-bottom: 20px; font-size: 15px;">
+                        <span>Total Sales: <strong style="color: #189b39;">${Math.round(risk.totalSales)}</strong></span>
+                        <span>Worst Case: <strong style="color: #dc2626;">${Math.round(risk.candidates[0]?.payout || 0)}</strong></span>
+                        <span>Results Tried: <strong style="color: #3a48c2;">${risk.candidateCount}</strong></span>
+                    </div>
+                    <table style="width: 100%; border-collapse: collapse; border: 1px solid #eee;">
+                        <thead>
+                            <tr style="background: #f0f2ff;">
+                                <th style="padding: 10px 12px; font-size: 12px; color: #3a48c2; text-align: left;">#</th>
+                                <th style="padding: 10px 12px; font-size: 12px; color: #3a48c2; text-align: left;">RESULT</th>
+                                <th style="padding: 10px 12px; font-size: 12px; color: #3a48c2; text-align: center;">TICKETS</th>
+                                <th style="padding: 10px 12px; font-size: 12px; color: #3a48c2; text-align: right;">PAYOUT</th>
+                                <th style="padding: 10px 12px; font-size: 12px; color: #3a48c2; text-align: right;">NET</th>
+                            </tr>
+                        </thead>
+                        <tbody>${rows}</tbody>
+                    </table>
+                </body>
+                </html>
+            `;
+
+            const pdf = await RNHTMLtoPDF.convert({
+                html: htmlContent,
+                fileName: `Payout_Risk_${Date.now()}`,
+                directory: 'Documents',
+                base64: false,
+                height: 842,
+                width: 595,
+            });
+
+            if (pdf.filePath) {
+                await Share.open({
+                    url: `file://${pdf.filePath}`,
+                    type: 'application/pdf',
+                    title: 'Payout Risk',
+                    message: `Payout Risk — ${selectedCategory.category_name} (${windowText})`,
+                });
+            }
+        } catch (error) {
+            if (error?.message !== 'User did not share' && !error?.message?.includes('dismiss')) {
+                console.error('[Risk Export] Error:', error);
+                if (Platform.OS === 'android') {
+                    ToastAndroid.show('Failed to export risk report', ToastAndroid.SHORT);
+                }
+            }
+        } finally {
+            setIsSharing(false);
+        }
+    };
+
+    const renderResults = () => {
+        const { risk, window: drawWindow, simulatedAt } = simulation;
+        const worst = risk.candidates[0];
+
+        return (
+            <View style={styles.resultsContainer}>
+                <View style={styles.summaryCard}>
+                    <View style={styles.summaryRow}>
+                        <View style={styles.summaryBox}>
+                            <Text style={styles.summaryLabel}>Total Sales</Text>
+                            <Text style={[styles.summaryValue, { color: '#059669' }]}>{formatAmount(risk.totalSales)}</Text>
+                        </View>
+                        <View style={styles.summaryBox}>
+                            <Text style={styles.summaryLabel}>Worst Case</Text>
+                            <Text style={[styles.summaryValue, { color: '#dc2626' }]}>{formatAmount(worst?.payout)}</Text>
+                        </View>
+                    </View>
+                    <Text style={styles.summaryMeta}>
+                        {risk.candidateCount > 0
+                            ? `${risk.candidateCount.toLocaleString('en-IN')} possible ${risk.digits}-digit results tried`
+                            : 'No prized sales in this window yet'}
+                        {' · '}sales as of {formatWindowDate(simulatedAt)}
+                    </Text>
+                    <Text style={styles.summaryMeta}>
+                        {formatWindowDate(drawWindow.start)}  →  {formatWindowDate(drawWindow.end)}
+                    </Text>
+                </View>
+
+                {risk.candidates.length > 0 && (
+                    <View style={styles.tableCard}>
+                        <View style={styles.tableHeader}>
+                            <Text style={[styles.tableHeaderText, { width: 28 }]}>#</Text>
+                            <Text style={[styles.tableHeaderText, { flex: 1 }]}>Result</Text>
+                            <Text style={[styles.tableHeaderText, styles.colTickets]}>Tickets</Text>
+                            <Text style={[styles.tableHeaderText, styles.colAmount]}>Payout</Text>
+                            <Text style={[styles.tableHeaderText, styles.colAmount]}>Net</Text>
+                        </View>
+                        {risk.candidates.map((candidate, index) => (
+                            <View key={candidate.number} style={styles.tableRow}>
+                                <Text style={[styles.rankText, { width: 28 }]}>{index + 1}</Text>
+                                <Text style={styles.numberText}>{candidate.number}</Text>
+                                <Text style={[styles.cellText, styles.colTickets]}>
+                                    {Math.round(candidate.tickets * 100) / 100}
+                                </Text>
+                                <Text style={[styles.cellText, styles.colAmount, { color: '#dc2626' }]}>
+                                    {formatAmount(candidate.payout)}
+                                </Text>
+                                <Text style={[styles.cellText, styles.colAmount, { color: candidate.net < 0 ? '#dc2626' : '#059669' }]}>
+                                    {formatAmount(candidate.net)}
+                                </Text>
+                            </View>
+                        ))}
+                        <Text style={styles.tableHint}>
+                            A result ending in these digits pays this much on the sales so far.
+                        </Text>
+                    </View>
+                )}
+
+                {risk.candidates.length > 0 && (
+                    <TouchableOpacity
+                        style={[styles.exportButton, isSharing && styles.buttonDisabled]}
+                        onPress={handleExport}
+                        disabled={isSharing}
+                    >
+                        {isSharing ? (
+                            <ActivityIndicator color="#3a48c2" />
+                        ) : (
+                            <>
+                                <MaterialCommunityIcons name="file-pdf-box" size={20} color="#3a48c2" />
+                                <Text style={styles.exportButtonText}>Export PDF</Text>
+                            </>
+                        )}
+                    </TouchableOpacity>
+                )}
+            </View>
+        );
+    };
+
+    if (isLoading) {
+        return (
+            <View style={styles.loadingContainer}>
+                <ActivityIndicator size="large" color="#3a48c2" />
+            </View>
+        );
+    }
+
+    const drawWindow = selectedCategory ? getUpcomingWindow(selectedCategory) : null;
+
+    return (
+        <View style={styles.container}>
+            {/* Header */}
+            <LinearGradient
+                colors={['#3a48c2', '#2a38a0', '#192f6a']}
+                style={styles.headerBackground}
+                start={{ x: 0, y: 0 }}
+                end={{ x: 1, y: 1 }}
+            >
+                <View style={styles.decorativeCircle1} />
+                <View style={styles.decorativeCircle2} />
+
+                <View style={styles.headerContent}>
+                    <TouchableOpacity onPress={() => navigation.openDrawer()} style={styles.menuButton}>
+                        <MaterialCommunityIcons name="menu" size={24} color="#fff" />
+                    </TouchableOpacity>
+                    <Text style={styles.headerTitle}>Payout Risk</Text>
+                    <View style={styles.placeholder} />
+                </View>
+            </LinearGradient>
+
+            <ClockSkewBanner />
+
+            <ScrollView style={styles.scrollView} keyboardShouldPersistTaps="handled">
+                {!canView ? (
+                    <View style={styles.noPermissionContainer}>
+                        <MaterialCommunityIcons name="lock-outline" size={80} color="#ddd" />
+                        <Text style={styles.noPermissionTitle}>No Permission</Text>
+                        <Text style={styles.noPermissionText}>
+                            You don't have permission to access Payout Risk.{'\n'}
+                            Please contact your administrator.
+                        </Text>
+                    </View>
+                ) : (
+                    <>
+                        <View style={styles.formContainer}>
+                            {/* Category Dropdown */}
+                            <View style={styles.inputGroup}>
+                                <Text style={styles.label}>Category *</Text>
+                                <TouchableOpacity
+                                    style={styles.dropdownButton}
+                                    onPress={() => setShowDropdown(!showDropdown)}
+                                >
+                                    <Text style={selectedCategory ? styles.dropdownTextSelected : styles.dropdownText}>
+                                        {selectedCategory ? selectedCategory.category_name : 'Select a category'}
+                                    </Text>
+                                    <MaterialCommunityIcons
+                                        name={showDropdown ? 'chevron-up' : 'chevron-down'}
+                                        size={24}
+                                        color="#666"
+                                    />
+                                </TouchableOpacity>
+
+                                {showDropdown && (
+                                    <View style={styles.dropdownList}>
+                                        {categories.length === 0 ? (
+                                            <Text style={styles.dropdownEmptyText}>No categories available</Text>
+                                        ) : (
+                                            categories.map((category) => (
+                                                <TouchableOpacity
+                                                    key={category.id}
+                                                    style={[
+                                                        styles.dropdownItem,
+                                                        selectedCategory?.id === category.id && styles.dropdownItemSelected
+                                                    ]}
+                                                    onPress={() => handleCategorySelect(category)}
+                                                >
+                                                    <Text style={[
+                                                        styles.dropdownItemText,
+                                                        selectedCategory?.id === category.id && styles.dropdownItemTextSelected
+                                                    ]}>
+                                                        {category.category_name}
+                                                    </Text>
+                                                    {selectedCategory?.id === category.id && (
+                                                        <MaterialCommunityIcons name="check" size={20} color="#3a48c2" />
+                                                    )}
+                                                </TouchableOpacity>
+                                            ))
+                                        )}
+                                    </View>
+                                )}
+                            </View>
+
+                            {/* Draw Window */}
+                            {selectedCategory && (
+                                <View style={styles.windowInfo}>
+                                    <MaterialCommunityIcons name="clock-outline" size={18} color="#3a48c2" />
+                                    <Text style={styles.windowText}>
+                                        {drawWindow
+                                            ? `${formatWindowDate(drawWindow.start)}  →  ${formatWindowDate(drawWindow.end)}`
+                                            : 'No time slot'}
+                                    </Text>
+                                </View>
+                            )}
+
+                            {/* Top N */}
+                            <View style={styles.inputGroup}>
+                                <Text style={styles.label}>Show riskiest</Text>
+                                <View style={styles.chips}>
+                                    {TOP_N_OPTIONS.map(option => (
+                                        <TouchableOpacity
+                                            key={option}
+                                            style={[styles.chip, topN === option && styles.chipActive]}
+                                            onPress={() => setTopN(option)}
+                                        >
+                                            <Text style={[styles.chipText, topN === option && styles.chipTextActive]}>
+                                                Top {option}
+                                            </Text>
+                                        </TouchableOpacity>
+                                    ))}
+                                </View>
+                            </View>
+
+                            <TouchableOpacity
+                                style={[styles.simulateButton, isSimulating && styles.buttonDisabled]}
+                                onPress={handleSimulate}
+                                disabled={isSimulating}
+                            >
+                                {isSimulating ? (
+                                    <ActivityIndicator color="#fff" />
+                                ) : (
+                                    <>
+                                        <MaterialCommunityIcons name="chart-bell-curve" size={20} color="#fff" />
+                                        <Text style={styles.simulateButtonText}>
+                                            {simulation ? 'Refresh' : 'Simulate'}
+                                        </Text>
+                                    </>
+                                )}
+                            </TouchableOpacity>
+                        </View>
+
+                        {simulation && renderResults()}
+                    </>
+                )}
+            </ScrollView>
+        </View>
+    );
+};
+
+const styles = StyleSheet.create({
+    container: {
+        flex: 1,
+        backgroundColor: '#F8F9FD',
+    },
+    loadingContainer: {
+        flex: 1,
+        justifyContent: 'center',
+        alignItems: 'center',
+        backgroundColor: '#F8F9FD',
+    },
+    headerBackground: {
+        paddingTop: Platform.OS === 'android' ? 20 : 20,
+        paddingBottom: 26,
+        paddingHorizontal: 20,
+        borderBottomLeftRadius: 30,
+        borderBottomRightRadius: 30,
+        marginBottom: 12,
+        position: 'relative',
+        overflow: 'hidden',
+        zIndex: 1,
+    },
+    decorativeCircle1: {
+        position: 'absolute',
+        width: 200,
+        height: 200,
+        borderRadius: 100,
+        backgroundColor: 'rgba(255, 255, 255, 0.05)',
+        top: -50,
+        right: -50,
+    },
+    decorativeCircle2: {
+        position: 'absolute',
+        width: 150,
+        height: 150,
+        borderRadius: 75,
+        backgroundColor: 'rgba(255, 255, 255, 0.05)',
+        bottom: -40,
+        left: -30,
+    },
+    headerContent: {
+        flexDirection: 'row',
+        alignItems: 'center',
+        justifyContent: 'space-between',
+    },
+    menuButton: {
+        width: 40,
+        height: 40,
+        borderRadius: 12,
+        backgroundColor: 'rgba(255, 255, 255, 0.15)',
+        justifyContent: 'center',
+        alignItems: 'center',
+    },
+    headerTitle: {
+        fontSize: 20,
+        fontWeight: 'bold',
+        color: '#fff',
+    },
+    placeholder: {
+        width: 40,
+    },
+    scrollView: {
+        flex: 1,
+    },
+    noPermissionContainer: {
+        flex: 1,
+        justifyContent: 'center',
+        alignItems: 'center',
+        paddingVertical: 100,
+        paddingHorizontal: 40,
+    },
+    noPermissionTitle: {
+        fontSize: 24,
+        fontWeight: 'bold',
+        color: '#666',
+        marginTop: 20,
+        marginBottom: 10,
+    },
+    noPermissionText: {
+        fontSize: 16,
+        color: '#999',
+        textAlign: 'center',
+        lineHeight: 24,
+    },
+    formContainer: {
+        backgroundColor: '#fff',
+        marginHorizontal: 20,
+        padding: 20,
+        borderRadius: 20,
+        shadowColor: '#000',
+        shadowOffset: { width: 0, height: 4 },
+        shadowOpacity: 0.08,
+        shadowRadius: 12,
+        elevation: 4,
+    },
+    inputGroup: {
+        marginBottom: 18,
+    },
+    label: {
+        fontSize: 14,
+        fontWeight: '600',
+        color: '#333',
+        marginBottom: 8,
+    },
+    dropdownButton: {
+        flexDirection: 'row',
+        justifyContent: 'space-between',
+        alignItems: 'center',
+        backgroundColor: '#F5F7FA',
+        borderRadius: 12,
+        paddingHorizontal: 16,
+        paddingVertical: 14,
+        borderWidth: 1,
+        borderColor: '#E0E0E0',
+    },
+    dropdownText: {
+        fontSize: 16,
+        color: '#999',
+    },
+    dropdownTextSelected: {
+        fontSize: 16,
+        color: '#1a1a1a',
+        fontWeight: '500',
+    },
+    dropdownList: {
+        marginTop: 8,
+        backgroundColor: '#fff',
+        borderRadius: 12,
+        borderWidth: 1,
+        borderColor: '#E0E0E0',
+        overflow: 'hidden',
+    },
+    dropdownEmptyText: {
+        padding: 16,
+        color: '#999',
+        textAlign: 'center',
+    },
+    dropdownItem: {
+        flexDirection: 'row',
+        justifyContent: 'space-between',
+        alignItems: 'center',
+        paddingHorizontal: 16,
+        paddingVertical: 14,
+        borderBottomWidth: 1,
+        borderBottomColor: '#F0F0F0',
+    },
+    dropdownItemSelected: {
+        backgroundColor: '#F0F1FF',
+    },
+    dropdownItemText: {
+        fontSize: 15,
+        color: '#333',
+    },
+    dropdownItemTextSelected: {
+        color: '#3a48c2',
+        fontWeight: '600',
+    },
+    windowInfo: {
+        flexDirection: 'row',
+        alignItems: 'center',
+        gap: 8,
+        backgroundColor: '#F0F1FF',
+        borderRadius: 12,
+        padding: 12,
+        marginBottom: 18,
+    },
+    windowText: {
+        flex: 1,
+        fontSize: 13,
+        fontWeight: '600',
+        color: '#3a48c2',
+    },
+    chips: {
+        flexDirection: 'row',
+        flexWrap: 'wrap',
+        gap: 8,
+    },
+    chip: {
+        backgroundColor: '#F0F1FF',
+        borderRadius: 16,
+        paddingHorizontal: 14,
+        paddingVertical: 7,
+    },
+    chipActive: {
+        backgroundColor: '#3a48c2',
+    },
+    chipText: {
+        fontSize: 13,
+        fontWeight: '600',
+        color: '#3a48c2',
+    },
+    chipTextActive: {
+        color: '#fff',
+    },
+    simulateButton: {
+        flexDirection: 'row',
+        alignItems: 'center',
+        justifyContent: 'center',
+        gap: 8,
+        backgroundColor: '#3a48c2',
+        borderRadius: 12,
+        paddingVertical: 14,
+    },
+    buttonDisabled: {
+        opacity: 0.6,
+    },
+    simulateButtonText: {
+        color: '#fff',
+        fontSize: 16,
+        fontWeight: 'bold',
+    },
+    resultsContainer: {
+        padding: 20,
+    },
+    summaryCard: {
+        backgroundColor: '#fff',
+        borderRadius: 16,
+        padding: 16,
+        marginBottom: 14,
+        shadowColor: '#000',
+        shadowOffset: { width: 0, height: 2 },
+        shadowOpacity: 0.05,
+        shadowRadius: 8,
+        elevation: 2,
+    },
+    summaryRow: {
+        flexDirection: 'row',
+        gap: 8,
+    },
+    summaryBox: {
+        flex: 1,
+        alignItems: 'center',
+        backgroundColor: '#F8F9FD',
+        borderRadius: 12,
+        paddingVertical: 10,
+    },
+    summaryLabel: {
+        fontSize: 12,
+        color: '#666',
+        fontWeight: '600',
+    },
+    summaryValue: {
+        fontSize: 18,
+        fontWeight: 'bold',
+        marginTop: 4,
+    },
+    summaryMeta: {
+        fontSize: 12,
+        color: '#6B7280',
+        marginTop: 8,
+        textAlign: 'center',
+    },
+    tableCard: {
+        backgroundColor: '#fff',
+        borderRadius: 16,
+        padding: 12,
+        marginBottom: 14,
+        shadowColor: '#000',
+        shadowOffset: { width: 0, height: 2 },
+        shadowOpacity: 0.05,
+        shadowRadius: 8,
+        elevation: 2,
+    },
+    tableHeader: {
+        flexDirection: 'row',
+        backgroundColor: '#F0F1FF',
+        borderRadius: 8,
+        paddingHorizontal: 8,
+        paddingVertical: 8,
+    },
+    tableHeaderText: {
+        fontSize: 12,
+        fontWeight: '700',
+        color: '#3a48c2',
+    },
+    tableRow: {
+        flexDirection: 'row',
+        alignItems: 'center',
+        paddingHorizontal: 8,
+        paddingVertical: 9,
+        borderBottomWidth: 1,
+        borderBottomColor: '#F3F4F6',
+    },
+    rankText: {
+        fontSize: 12,
+        color: '#9CA3AF',
+        fontWeight: '600',
+    },
+    numberText: {
+        flex: 1,
+        fontSize: 16,
+        fontWeight: '800',
+        color: '#1a1a1a',
+        letterSpacing: 1,
+    },
+    cellText: {
+        fontSize: 13,
+        fontWeight: '700',
+        color: '#111827',
+    },
+    colTickets: {
+        width: 56,
+        textAlign: 'center',
+    },
+    colAmount: {
+        width: 80,
+        textAlign: 'right',
+    },
+    tableHint: {
+        fontSize: 12,
+        color: '#888',
+        marginTop: 8,
+        paddingHorizontal: 8,
+    },
+    exportButton: {
+        flexDirection: 'row',
+        alignItems: 'center',
+        justifyContent: 'center',
+        gap: 8,
+        borderWidth: 1,
+        borderColor: '#3a48c2',
+        borderRadius: 12,
+        paddingVertical: 12,
+        backgroundColor: '#fff',
+    },
+    exportButtonText: {
+        color: '#3a48c2',
+        fontSize: 15,
+        fontWeight: 'bold',
+    },
+});
+
+export default RiskScreen;
@@ -1,4 +1,4 @@
-import React, { useState, useCallback, memo, useEffect, useRef } from 'react';
+import React, { useState, useCallback, memo, useEffect, useRef, useMemo } from 'react';
 import {
     View,
     Text,
@@ -27,13 +27,41 @@ import { getImageUrl, authService } from '../services';
 import { invoiceSeriesService } from '../services/invoiceSeriesService';
 import PrinterService from '../printer/PrinterService';
 import { formatSalesReceipt } from '../printer/cpclReceiptFormatter';
+import { offlineSalesQueue, isNetworkError, QUEUE_STATUS } from '../services/offlineSalesQueue';
+import { cartDraftService } from '../services/cartDraftService';
+import { customerService } from '../services/customerService';
+import { isCategoryVisible, getDrawWindow, getCategoryCutoff, getNextSalesOpen, getCutoffWarningMinutes } from '../utils/timeSlots';
+import { generateClientId } from '../utils/ids';
+import { createCartRow, assignProduct, applyLotteryNumber, applyBoxVariant } from '../utils/cartRows';
+import { getInputLength, isBoxBet, getBetLabel, getBoxExpansion, BOX_VARIANT } from '../utils/betTypes';
+import { buildResellRows } from '../utils/resell';
+import { buildSaleReceiptQr } from '../utils/receiptQr';
+import {
+    LIMIT_ACTION,
+    hasExposureLimits,
+    getCartNumberTotals,
+    findExposureViolations,
+    describeViolation
+} from '../utils/exposure';
+import BulkEntryModal from '../components/BulkEntryModal';
+import ClockSkewBanner from '../components/ClockSkewBanner';
+import CountdownBadge from '../components/CountdownBadge';
+import SeriesBuilderModal from '../components/SeriesBuilderModal';
+import BoxVariantModal from '../components/BoxVariantModal';
+import CustomerFields from '../components/CustomerFields';
 
 const { width: SCREEN_WIDTH } = Dimensions.get('window');
 
+// Re-open countdown of a held cart has no warning thresholds
+const NO_WARNINGS = [];
+
+const EMPTY_CUSTOMER = { name: '', phone: '' };
+
 // Memoized Category Card for better performance
-const CategoryCard = memo(({ category, index, isSelected, onPress, disabled }) => {
+const CategoryCard = memo(({ category, index, isSelected, onPress, disabled, onCutoff }) => {
     const [imageLoading, setImageLoading] = useState(true);
     const [imageError, setImageError] = useState(false);
+    const warningMinutes = useMemo(() => getCutoffWarningMinutes(category), [category]);
 
     const getCategoryIcon = (categoryName) => {
         const name = categoryName?.toLowerCase() || '';
@@ -106,6 +134,12 @@ const CategoryCard = memo(({ category, index, isSelected, onPress, disabled }) =
                     </Text>
                 </View>
             )}
+            <CountdownBadge
+                target={getCategoryCutoff(category)}
+                thresholds={warningMinutes}
+                onExpire={onCutoff}
+                style={styles.categoryCountdown}
+            />
             {isSelected && (
                 <View style={styles.selectedBadge}>
                     <MaterialCommunityIcons name="check" size={14} color="#fff" />
@@ -150,39 +184,33 @@ const ProductItem = memo(({ product, onSelect }) => {
 });
 
 // Cart Item Component
-const CartItem = memo(({ item, index, onSelectProduct, onRemove, onLotteryNoChange, onQtyChange }) => {
-    // Calculate required max length for the lottery input based on digits/index type
-    const getReqLen = () => {
-        const idx = item.index_type?.toUpperCase();
-        if (idx) {
-            if (['A', 'B', 'C'].includes(idx)) return 1;
-            if (['AB', 'BC', 'AC'].includes(idx)) return 2;
-        }
-        return item.digit_type || 0;
-    };
-    const maxLen = getReqLen();
+const CartItem = memo(({ item, index, onSelectProduct, onRemove, onLotteryNoChange, onQtyChange, onOpenSeries, onOpenBoxVariant, exposureIssues, locked, cutoff, warningMinutes }) => {
+    // Required length of the lottery input for the row's bet type
+    const maxLen = getInputLength(item);
+    const isBox = isBoxBet(item);
+    const betLabel = getBetLabel(item);
 
     // Warning condition: length > 0 and length < required max length
     const showWarning = maxLen > 0 && typeof item.lotteryNo === 'string' && item.lotteryNo.length > 0 && item.lotteryNo.length < maxLen;
 
     return (
-        <View style={styles.cartRowContainer}>
+        <View style={[styles.cartRowContainer, locked && styles.cartRowLocked]}>
             <View style={styles.cartRowTop}>
-                <TouchableOpacity style={styles.cartRowProduct} onPress={() => onSelectProduct(index)}>
+                <TouchableOpacity style={styles.cartRowProduct} onPress={() => onSelectProduct(index)} disabled={locked}>
                     <Text style={item.product_name ? styles.cartRowProductText : styles.cartRowProductTextPlaceholder} numberOfLines={1}>
                         {item.product_name || 'Products'}
                     </Text>
-                    {item.box === 1 && !item.index_type && <MaterialCommunityIcons name="cube-outline" size={12} color="#7c3aed" style={{ marginLeft: 4 }} />}
-                    {item.index_type && <Text style={{ color: '#7c3aed', fontSize: 10, marginLeft: 4, fontWeight: 'bold' }}>[{item.index_type}]</Text>}
+                    {isBox && <MaterialCommunityIcons name="cube-outline" size={12} color="#7c3aed" style={{ marginLeft: 4 }} />}
+                    {!isBox && !!betLabel && <Text style={{ color: '#7c3aed', fontSize: 10, marginLeft: 4, fontWeight: 'bold' }}>{betLabel}</Text>}
                 </TouchableOpacity>
 
                 <TextInput
-                    style={[styles.cartRowInputQty, (item.box === 1 && !item.index_type) && { backgroundColor: '#E8E8E8' }]}
+                    style={[styles.cartRowInputQty, isBox && { backgroundColor: '#E8E8E8' }]}
                     placeholder="Qty"
                     value={String(item.qty || '')}
                     onChangeText={(text) => onQtyChange(text, index)}
                     keyboardType="numeric"
-                    editable={!!item.product_id && !(item.box === 1 && !item.index_type)}
+                    editable={!locked && !!item.product_id && !isBox}
                 />
 
                 <View style={styles.cartRowAmount}>
@@ -206,7 +234,7 @@ const CartItem = memo(({ item, index, onSelectProduct, onRemove, onLotteryNoChan
                         value={item.lotteryNo || ''}
                         onChangeText={(text) => onLotteryNoChange(text, index)}
                         keyboardType="numeric"
-                        editable={!!item.product_id}
+                        editable={!locked && !!item.product_id}
                         maxLength={maxLen > 0 ? maxLen : undefined}
                     />
                     {showWarning && (
@@ -215,14 +243,54 @@ const CartItem = memo(({ item, index, onSelectProduct, onRemove, onLotteryNoChan
                         </Text>
                     )}
                 </View>
+                {!!item.product_id && !locked && (
+                    <TouchableOpacity style={styles.seriesButton} onPress={() => onOpenSeries(index)}>
+                        <MaterialCommunityIcons name="format-list-numbered" size={22} color="#3a48c2" />
+                    </TouchableOpacity>
+                )}
             </View>
 
+            {locked ? (
+                <View style={styles.cartRowLockedNote}>
+                    <MaterialCommunityIcons name="lock-clock" size={12} color="#666" />
+                    <Text style={styles.cartRowLockedText}>
+                        {item.held_for_next_draw ? 'Held for the next draw' : 'Draw closed'}
+                    </Text>
+                </View>
+            ) : !!item.product_id && (
+                // Warnings and the cutoff prompt come from the cart countdown; this one only shows the time
+                <CountdownBadge
+                    target={cutoff}
+                    thresholds={warningMinutes}
+                    label="Closes in"
+                    expiredLabel="Draw closed"
+                    style={styles.cartRowCountdown}
+                />
+            )}
+
+            {/* Per-number limit problems from the last submit attempt */}
+            {exposureIssues && exposureIssues.map((issue, idx) => (
+                <Text key={idx} style={styles.exposureIssueText}>
+                    <MaterialCommunityIcons name="alert-octagon-outline" size={12} /> {issue}
+                </Text>
+            ))}
+
             {/* Box Permutations Display */}
-            {item.box === 1 && !item.index_type && item.permutations && item.permutations.length > 0 && (
+            {isBox && item.permutations && item.permutations.length > 0 && (
                 <View style={{ marginTop: 2, padding: 8, backgroundColor: '#F0F1FF', borderRadius: 8, borderWidth: 1, borderColor: '#D0D4FF' }}>
-                    <Text style={{ fontSize: 10, fontWeight: 'bold', color: '#3a48c2', marginBottom: 4 }}>
-                        Possibilities ({item.permutations.length}):
-                    </Text>
+                    <View style={styles.boxVariantRow}>
+                        <Text style={{ fontSize: 10, fontWeight: 'bold', color: '#3a48c2' }}>
+                            Possibilities ({item.permutations.length}):
+                        </Text>
+                        <TouchableOpacity
+                            style={styles.boxVariantButton}
+                            onPress={() => onOpenBoxVariant(index)}
+                            disabled={locked}
+                        >
+                            <Text style={styles.boxVariantButtonText}>{getBoxExpansion(item.box_variant).label}</Text>
+                            <MaterialCommunityIcons name="chevron-down" size={14} color="#fff" />
+                        </TouchableOpacity>
+                    </View>
                     <View style={{ flexDirection: 'row', flexWrap: 'wrap', gap: 4 }}>
                         {item.permutations.map((perm, idx) => (
                             <View key={idx} style={{ backgroundColor: '#fff', paddingHorizontal: 6, paddingVertical: 2, borderRadius: 4, borderWidth: 1, borderColor: '#3a48c2' }}>
@@ -236,89 +304,7 @@ const CartItem = memo(({ item, index, onSelectProduct, onRemove, onLotteryNoChan
     );
 });
 
-/**
- * Parse a time slot string (e.g. "1:00 PM", "10:30 AM", "15:00")
- * into total minutes from midnight.
- * Returns null if format is invalid.
- */
-const parseTimeSlotToMinutes = (timeSlot) => {
-    if (!timeSlot || typeof timeSlot !== 'string') return null;
-    const trimmed = timeSlot.trim();
-
-    // 12-hour format: "1:00 PM", "10:30 AM"
-    const match12h = trimmed.match(/^(\d{1,2}):(\d{2})\s*(AM|PM)$/i);
-    if (match12h) {
-        let hours = parseInt(match12h[1], 10);
-        const minutes = parseInt(match12h[2], 10);
-        const meridiem = match12h[3].toUpperCase();
-        if (meridiem === 'AM') {
-            if (hours === 12) hours = 0;
-        } else {
-            if (hours !== 12) hours += 12;
-        }
-        if (hours >= 0 && hours <= 23 && minutes >= 0 && minutes <= 59) {
-            return hours * 60 + minutes;
-        }
-        return null;
-    }
-
-    // 24-hour format: "15:00", "09:30"
-    const match24h = trimmed.match(/^(\d{1,2}):(\d{2})$/);
-    if (match24h) {
-        const hours = parseInt(match24h[1], 10);
-        const minutes = parseInt(match24h[2], 10);
-        if (hours >= 0 && hours <= 23 && minutes >= 0 && minutes <= 59) {
-            return hours * 60 + minutes;
-        }
-    }
-    return null;
-};
-
-/**
- * Check if a category should be visible based on its first time slot.
- *
- * Rule:
- *   Hidden from (timeSlot − 2 minutes) until next day 12:01 AM.
- *   Visible from 12:01 AM until (timeSlot − 2 minutes).
- *
- * Example (timeSlot = 1:00 PM = 780 min):
- *   hideStart = 778 min (12:58 PM)
- *   Hidden:  12:58 PM  →  11:59 PM  (same day)
- *            12:00 AM  →  12:00 AM  (next day, 1 minute window)
- *   Visible: 12:01 AM  →  12:57 PM
- */
-const isCategoryVisible = (category) => {
-    if (!category.time_slots || category.time_slots.length === 0) return true;
-
-    const slotMinutes = parseTimeSlotToMinutes(category.time_slots[0]);
-    if (slotMinutes === null) return true; // can't parse → keep visible
-
-    const now = new Date();
-    const currentMinutes = now.getHours() * 60 + now.getMinutes();
-
-    // Hide starts 2 minutes before the slot
-    let hideStart = slotMinutes - 2;
-
-    if (hideStart < 0) {
-        // Slot is at 00:00 or 00:01 — hideStart wraps to previous day
-        hideStart += 24 * 60; // e.g. -2 → 1438 (23:58)
-    }
-
-    // hideEnd = 12:01 AM = minute 1 of the day
-    const hideEnd = 1; // 00:01
-
-    // The hidden window crosses midnight:
-    //   hideStart (e.g. 778) → 1439 (end of day) AND 0 → hideEnd (1)
-    // So category is HIDDEN when:
-    //   currentMinutes >= hideStart  OR  currentMinutes < hideEnd
-    if (currentMinutes >= hideStart || currentMinutes < hideEnd) {
-        return false; // hidden
-    }
-
-    return true; // visible
-};
-
-const SalesScreen = ({ navigation }) => {
+const SalesScreen = ({ navigation, route }) => {
     const [categories, setCategories] = useState([]);
     const [products, setProducts] = useState([]);
     const [selectedCategory, setSelectedCategory] = useState(null);
@@ -341,9 +327,31 @@ const SalesScreen = ({ navigation }) => {
     const [cartItems, setCartItems] = useState([]);
     const [isSubmitting, setIsSubmitting] = useState(false);
 
+    // Optional customer for the invoice
+    const [customer, setCustomer] = useState(EMPTY_CUSTOMER);
+
     // Product selection modal
     const [showProductModal, setShowProductModal] = useState(false);
 
+    // Paste-and-parse bulk entry modal
+    const [showBulkModal, setShowBulkModal] = useState(false);
+
+    // Number series builder — index of the row it was opened from
+    const [seriesRowIndex, setSeriesRowIndex] = useState(null);
+
+    // Box permutation picker — index of the row it was opened from
+    const [boxVariantRowIndex, setBoxVariantRowIndex] = useState(null);
+
+    // Invoice waiting for the seller to pick an open category (re-sell)
+    const [pendingResell, setPendingResell] = useState(null);
+
+    // Per-number limit problems by row id, from the last submit attempt
+    const [exposureIssues, setExposureIssues] = useState({});
+
+    // Cutoff warning / sales re-opened notice shown in the cart
+    // ({ categoryId, type: 'warning' | 'reopen', text }); Android also toasts it
+    const [cartNotice, setCartNotice] = useState(null);
+
     // Quantity modal for adding to cart
     const [showQtyModal, setShowQtyModal] = useState(false);
     const [selectedProduct, setSelectedProduct] = useState(null);
@@ -358,6 +366,24 @@ const SalesScreen = ({ navigation }) => {
     const [showAllCategories, setShowAllCategories] = useState(false);
     const [nextInvoiceNumber, setNextInvoiceNumber] = useState(null);
 
+    // Offline outbox — batches saved while the server was unreachable
+    const [pendingSales, setPendingSales] = useState([]);
+    const [showPendingModal, setShowPendingModal] = useState(false);
+    const [isSyncing, setIsSyncing] = useState(false);
+
+    // Idempotency key for the cart being submitted: { key, payload }.
+    // Kept until the server gives a definitive answer so a retry after a lost
+    // response returns the original invoice instead of creating a duplicate.
+    const submitKeyRef = useRef(null);
+
+    // Cart draft is only saved after the saved one was restored or discarded,
+    // otherwise the empty initial cart would wipe it
+    const draftCheckedRef = useRef(false);
+
+    // Re-sell request already handled; the effect re-runs while the cart
+    // changes, before navigation.setParams has cleared route.params.resell
+    const handledResellRef = useRef(null);
+
     // Timer to re-check category visibility every 30 seconds
     useEffect(() => {
         const interval = setInterval(() => {
@@ -367,7 +393,7 @@ const SalesScreen = ({ navigation }) => {
     }, []);
 
     // Filter categories by time-slot visibility, then apply expansion limit
-    const visibleCategories = categories.filter(isCategoryVisible);
+    const visibleCategories = categories.filter(category => isCategoryVisible(category));
     const displayedCategories = showAllCategories ? visibleCategories : visibleCategories.slice(0, 6);
 
     // Calculate total
@@ -434,14 +460,143 @@ const SalesScreen = ({ navigation }) => {
         }
     };
 
+    const loadPendingSales = useCallback(async () => {
+        const entries = await offlineSalesQueue.getAll();
+        setPendingSales(entries);
+    }, []);
+
+    // Replay queued offline batches. `manual` = seller pressed Sync Now.
+    const syncPendingSales = useCallback(async (manual = false) => {
+        const queued = await offlineSalesQueue.getAll();
+        if (!queued.some(e => e.status === QUEUE_STATUS.PENDING)) {
+            setPendingSales(queued);
+            return;
+        }
+
+        setIsSyncing(true);
+        try {
+            const result = await offlineSalesQueue.flush();
+            await loadPendingSales();
+
+            if (result.synced.length > 0) {
+                fetchNextInvoiceNumber();
+                const lines = result.synced
+                    .map(({ entry, invoiceNumber, recovered }) => `${entry.provisional_id} → ${invoiceNumber}${recovered ? ' (recovered)' : ''}`)
+                    .join('\n');
+                Alert.alert('Offline Sales Synced', lines);
+            } else if (manual) {
+                if (result.offline) {
+                    Alert.alert('Still Offline', 'Server is not available right now. Pending sales will be sent automatically.');
+                } else if (result.expired > 0 || result.failed > 0) {
+                    Alert.alert('Sync', 'Some pending sales could not be sent. Check the list for details.');
+                }
+            }
+        } finally {
+            setIsSyncing(false);
+        }
+    }, [loadPendingSales, fetchNextInvoiceNumber]);
+
+    const restoreDraft = useCallback((draft) => {
+        setCartItems(draft.cart_items);
+        setCustomer(draft.customer || EMPTY_CUSTOMER);
+        if (draft.category?.id) {
+            setSelectedCategory(draft.category);
+            fetchProductsByCategory(draft.category.id);
+        }
+    }, []);
+
+    // Offer the saved cart back when the screen mounts
+    useEffect(() => {
+        const checkDraft = async () => {
+            const draft = await cartDraftService.load();
+            if (!draft) {
+                draftCheckedRef.current = true;
+                return;
+            }
+
+            if (!cartDraftService.isDrawClosed(draft)) {
+                restoreDraft(draft);
+                draftCheckedRef.current = true;
+                if (Platform.OS === 'android') {
+                    ToastAndroid.show('Unsaved cart restored', ToastAndroid.SHORT);
+                }
+                return;
+            }
+
+            Alert.alert(
+                'Restore Draft?',
+                `You have an unsubmitted cart (${draft.cart_items.length} row(s)) for ${draft.category?.category_name || 'a category'} from ${new Date(draft.saved_at).toLocaleString()}.\n\nThat draw is now closed. Restore it anyway?`,
+                [
+                    {
+                        text: 'Discard',
+                        style: 'destructive',
+                        onPress: () => {
+                            draftCheckedRef.current = true;
+                            cartDraftService.clear();
+                        }
+                    },
+                    {
+                        text: 'Restore',
+                        onPress: () => {
+                            draftCheckedRef.current = true;
+                            restoreDraft(draft);
+                        }
+                    }
+                ],
+                { cancelable: false }
+            );
+        };
+        checkDraft();
+    }, [restoreDraft]);
+
+    // Limit problems are stale once the cart changes
+    useEffect(() => {
+        setExposureIssues({});
+    }, [cartItems]);
+
+    // Save the cart locally on every change (debounced)
+    useEffect(() => {
+        if (!draftCheckedRef.current) return;
+        const timer = setTimeout(() => {
+            if (cartItems.length === 0) {
+                cartDraftService.clear();
+                return;
+            }
+            const first = cartItems[0];
+            cartDraftService.save({
+                cartItems,
+                category: {
+                    id: first.category_id,
+                    category_name: first.category_name,
+                    time_slots: first.time_slots
+                },
+                customer
+            });
+        }, 500);
+        return () => clearTimeout(timer);
+    }, [cartItems, customer]);
+
+    // The customer belongs to the cart — an emptied cart starts a new one
+    useEffect(() => {
+        if (cartItems.length === 0) setCustomer(EMPTY_CUSTOMER);
+    }, [cartItems.length]);
+
     // Refetch categories every time the screen gains focus
     useFocusEffect(
         useCallback(() => {
             fetchCategories();
             fetchNextInvoiceNumber();
-        }, [fetchCategories, fetchNextInvoiceNumber])
+            syncPendingSales();
+        }, [fetchCategories, fetchNextInvoiceNumber, syncPendingSales])
     );
 
+    // Retry the outbox on the same 30s tick used for category visibility
+    useEffect(() => {
+        if (visibilityTick > 0) {
+            syncPendingSales();
+        }
+    }, [visibilityTick, syncPendingSales]);
+
     const onRefresh = useCallback(() => {
         setRefreshing(true);
         setSelectedCategory(null);
@@ -449,87 +604,91 @@ const SalesScreen = ({ navigation }) => {
         fetchCategories();
     }, [fetchCategories]);
 
-    const handleCategoryPress = useCallback((category) => {
+    // Load an earlier invoice's items into the cart for `category`
+    const applyResell = useCallback(async (resell, category) => {
         setSelectedCategory(category);
-        fetchProductsByCategory(category.id);
+        setIsLoadingProducts(true);
+        try {
+            const response = await productService.getProductsByCategory(category.id, { status: 1 });
+            const categoryProducts = response?.data?.products || [];
+            setProducts(categoryProducts);
 
-        if (cartItems.length === 0) {
-            setCartItems([{
-                id: Date.now().toString(),
-                category_id: category.id,
-                category_name: category.category_name,
-                time_slots: category.time_slots,
-                product_id: null,
-                product_name: '',
-                price: 0,
-                qty: '',
-                desc: '',
-                lotteryNo: '',
-                box: 0,
-                index_type: null,
-                digit_type: null,
-                permutations: []
-            }]);
-        }
-    }, [cartItems]);
+            const closedNames = new Set(categories.filter(c => !isCategoryVisible(c)).map(c => c.category_name));
+            const { rows, flagged } = buildResellRows(resell.items, category, categoryProducts, closedNames);
 
-    // Generate all permutations of an array
-    const generatePermutations = (arr) => {
-        if (arr.length <= 1) return [arr];
-        const result = [];
-        for (let i = 0; i < arr.length; i++) {
-            const rest = [...arr.slice(0, i), ...arr.slice(i + 1)];
-            const perms = generatePermutations(rest);
-            for (const perm of perms) {
-                result.push([arr[i], ...perm]);
+            if (rows.length > 0) {
+                setCartItems(prev => [...prev.filter(item => item.product_id !== null), ...rows]);
+            } else {
+                setCartItems(prev => (prev.length === 0 ? [createCartRow(category)] : prev));
             }
+
+            const skipped = flagged.filter(f => f.skipped).length;
+            const lines = [
+                `Invoice ${resell.invoiceNumber || ''}: ${rows.length} of ${resell.items.length} item(s) added to ${category.category_name}.`,
+                ...(skipped > 0 ? [`\n${skipped} item(s) not added:`] : []),
+                ...flagged.filter(f => f.skipped).map(f => `• ${f.reason}`),
+                ...flagged.filter(f => !f.skipped).map(f => `• ${f.reason}`)
+            ];
+            Alert.alert(flagged.length > 0 ? 'Re-sell — Check Items' : 'Re-sell', lines.join('\n'));
+        } catch (error) {
+            console.error('Re-sell error:', error);
+            Alert.alert('Error', 'Failed to load products for re-sell');
+        } finally {
+            setIsLoadingProducts(false);
         }
-        return result;
-    };
+    }, [categories]);
 
-    const handleRowLotteryNoChange = useCallback((text, index) => {
-        const item = cartItems[index];
+    // Re-sell request from ReportResult / Dashboard
+    useEffect(() => {
+        const resell = route?.params?.resell;
+        if (!resell || isLoading || !permissions.add || handledResellRef.current === resell) return;
+        handledResellRef.current = resell;
+        navigation.setParams({ resell: undefined });
+
+        // The cart is locked to one category; use it while it is open
+        const cartCategory = cartItems.length > 0
+            ? categories.find(c => c.id === cartItems[0].category_id)
+            : null;
+        const invoiceCategoryName = resell.items[0]?.category_name;
+        const invoiceCategory = categories.find(c => c.category_name === invoiceCategoryName);
+
+        let target = null;
+        if (cartCategory) {
+            target = isCategoryVisible(cartCategory) ? cartCategory : null;
+        } else if (invoiceCategory && isCategoryVisible(invoiceCategory)) {
+            target = invoiceCategory;
+        }
 
-        const getReqLen = () => {
-            const idx = item.index_type?.toUpperCase();
-            if (idx) {
-                if (['A', 'B', 'C'].includes(idx)) return 1;
-                if (['AB', 'BC', 'AC'].includes(idx)) return 2;
-            }
-            return item.digit_type || 0;
-        };
+        if (target) {
+            applyResell(resell, target);
+            return;
+        }
 
-        const maxLen = getReqLen();
-        const digitsOnly = text.replace(/[^0-9]/g, '');
-        const finalDigits = maxLen > 0 ? digitsOnly.slice(0, maxLen) : digitsOnly;
-
-        let newQty = item.qty;
-        let newDesc = finalDigits;
-        let perms = [];
-
-        if (item.box === 1 && !item.index_type && finalDigits.length >= 3) {
-            const digits = finalDigits.split('');
-            const p = generatePermutations(digits);
-            perms = [...new Set(p.map(x => x.join('')))];
-            newQty = perms.length.toString();
-            newDesc = perms.join(', ');
-        } else if (item.index_type) {
-            newDesc = finalDigits;
-        } else {
-            newDesc = finalDigits;
-            if (item.box === 1 && !item.index_type) {
-                newQty = '';
-            }
+        setPendingResell(resell);
+        Alert.alert(
+            'Select Category',
+            `${cartCategory?.category_name || invoiceCategoryName || 'The invoice category'} is closed or not available.\n\nTap an open category to load invoice ${resell.invoiceNumber || ''} into it.`
+        );
+    }, [route?.params?.resell, isLoading, permissions.add, applyResell, cartItems, categories, navigation]);
+
+    const handleCategoryPress = useCallback((category) => {
+        if (pendingResell) {
+            setPendingResell(null);
+            applyResell(pendingResell, category);
+            return;
         }
 
+        setSelectedCategory(category);
+        fetchProductsByCategory(category.id);
+
+        if (cartItems.length === 0) {
+            setCartItems([createCartRow(category)]);
+        }
+    }, [cartItems, pendingResell, applyResell]);
+
+    const handleRowLotteryNoChange = useCallback((text, index) => {
         const newCart = [...cartItems];
-        newCart[index] = {
-            ...item,
-            lotteryNo: finalDigits,
-            desc: newDesc,
-            qty: newQty,
-            permutations: perms
-        };
+        newCart[index] = applyLotteryNumber(cartItems[index], text);
         setCartItems(newCart);
     }, [cartItems]);
 
@@ -542,20 +701,7 @@ const SalesScreen = ({ navigation }) => {
     const handleProductSelect = useCallback((product) => {
         if (activeRowIndex !== null) {
             const newCart = [...cartItems];
-            newCart[activeRowIndex] = {
-                ...newCart[activeRowIndex],
-                product_id: product.id,
-                product_name: product.product_name,
-                product_code: product.product_code,
-                price: product.price,
-                box: product.box,
-                index_type: product.index_type,
-                digit_type: product.digit_type || 0,
-                qty: '',
-                desc: '',
-                lotteryNo: '',
-                permutations: []
-            };
+            newCart[activeRowIndex] = assignProduct(newCart[activeRowIndex], product);
             setCartItems(newCart);
             setActiveRowIndex(null);
         }
@@ -564,24 +710,124 @@ const SalesScreen = ({ navigation }) => {
 
     const handleAddRow = useCallback(() => {
         if (!selectedCategory) return;
-        setCartItems([...cartItems, {
-            id: Date.now().toString() + Math.random(),
-            category_id: selectedCategory.id,
-            category_name: selectedCategory.category_name,
-            time_slots: selectedCategory.time_slots,
-            product_id: null,
-            product_name: '',
-            price: 0,
-            qty: '',
-            desc: '',
-            lotteryNo: '',
-            box: 0,
-            index_type: null,
-            digit_type: null,
-            permutations: []
-        }]);
+        setCartItems([...cartItems, createCartRow(selectedCategory)]);
     }, [cartItems, selectedCategory]);
 
+    // Category of the cart (the product modal may have cleared selectedCategory)
+    const getCartCategory = () => {
+        if (selectedCategory) return selectedCategory;
+        const first = cartItems[0];
+        return first ? { id: first.category_id, category_name: first.category_name, time_slots: first.time_slots } : null;
+    };
+
+    // ─── Draw cutoff ───
+    // Rows are locked while the cart's category is closed; the seller either
+    // removes them or holds them for the next draw of the same category,
+    // which unlocks them when sales re-open at 12:01 AM.
+    const cartCategory = cartItems.length > 0 ? getCartCategory() : null;
+    const isCartLocked = !!cartCategory && !isCategoryVisible(cartCategory);
+    const cartCutoff = cartCategory ? getCategoryCutoff(cartCategory) : null;
+    // Looked up by id: the cart category may be rebuilt from the rows on every render
+    const cartCategoryId = cartCategory?.id;
+    const cartWarningMinutes = useMemo(
+        () => getCutoffWarningMinutes(categories.find(c => c.id === cartCategoryId)),
+        [categories, cartCategoryId]
+    );
+    const isCartHeld = isCartLocked && cartItems.every(item => item.held_for_next_draw);
+
+    // Notices belong to the cart they were shown for
+    useEffect(() => {
+        if (cartItems.length === 0) setCartNotice(null);
+    }, [cartItems.length]);
+
+    const describeDraw = (category) =>
+        `${category.category_name}${category.time_slots?.[0] ? ` (${category.time_slots[0]})` : ''}`;
+
+    const showCartNotice = (type, text) => {
+        setCartNotice({ categoryId: cartCategory.id, type, text });
+        if (Platform.OS === 'android') {
+            ToastAndroid.show(text, ToastAndroid.LONG);
+        }
+    };
+
+    const handleCutoffWarning = (minutes) => {
+        if (!cartCategory) return;
+        showCartNotice('warning', `${describeDraw(cartCategory)} closes in ${minutes} min — submit the cart now`);
+    };
+
+    const holdCartForNextDraw = () => {
+        setCartItems(items => items.map(item => ({ ...item, held_for_next_draw: true })));
+        setExposureIssues({});
+    };
+
+    const promptCartDrawClosed = () => {
+        if (!cartCategory) return;
+        Alert.alert(
+            'Draw Closed',
+            `Sales for ${describeDraw(cartCategory)} have closed. The ${cartItems.length} row(s) in the cart are locked.\n\nMove them to the next ${cartCategory.category_name} draw? They unlock when sales open at 12:01 AM.`,
+            [
+                { text: 'Remove Rows', style: 'destructive', onPress: () => setCartItems([]) },
+                { text: 'Move to Next Draw', onPress: holdCartForNextDraw }
+            ]
+        );
+    };
+
+    const handleCartCutoff = () => {
+        setVisibilityTick(t => t + 1);
+        setCartNotice(null);
+        promptCartDrawClosed();
+    };
+
+    const handleSalesReopen = () => {
+        setVisibilityTick(t => t + 1);
+        setCartItems(items => items.map(({ held_for_next_draw, ...item }) => item));
+        if (cartCategory) {
+            showCartNotice('reopen', `Sales open for ${describeDraw(cartCategory)} — held rows unlocked`);
+        }
+    };
+
+    const openBulkEntry = () => {
+        const category = getCartCategory();
+        if (!category) return;
+        if (products.length === 0 && !isLoadingProducts) {
+            fetchProductsByCategory(category.id);
+        }
+        setShowBulkModal(true);
+    };
+
+    // Rows from bulk entry replace empty rows and go after the existing ones
+    const handleBulkAddRows = (parsedRows) => {
+        const category = getCartCategory();
+        const newRows = parsedRows.map(({ product, lotteryNo: number, qty: rowQty }) => {
+            const row = applyLotteryNumber(assignProduct(createCartRow(category), product), number);
+            return isBoxBet(row) ? row : { ...row, qty: String(rowQty) };
+        });
+        setCartItems([...cartItems.filter(item => item.product_id !== null), ...newRows]);
+        setShowBulkModal(false);
+    };
+
+    // Series rows take the place of the row the builder was opened from
+    const handleSeriesAddNumbers = (numbers, seriesQty) => {
+        const source = cartItems[seriesRowIndex];
+        const newRows = numbers.map(number => {
+            const row = applyLotteryNumber({ ...source, id: Date.now().toString() + Math.random() }, number);
+            return isBoxBet(row) ? row : { ...row, qty: String(seriesQty) };
+        });
+        setCartItems([
+            ...cartItems.slice(0, seriesRowIndex),
+            ...newRows,
+            ...cartItems.slice(seriesRowIndex + 1)
+        ]);
+        setSeriesRowIndex(null);
+    };
+
+    const handleApplyBoxVariant = (variant, picked) => {
+        const newCart = [...cartItems];
+        newCart[boxVariantRowIndex] = applyBoxVariant(cartItems[boxVariantRowIndex], variant, picked);
+        setCartItems(newCart);
+        setBoxVariantRowIndex(null);
+    };
+
     const handleRemoveFromCart = (index) => {
         if (!cartItems[index].product_id) {
             const updatedItems = cartItems.filter((_, i) => i !== index);
@@ -608,12 +854,7 @@ const SalesScreen = ({ navigation }) => {
 
     const getRequiredLotteryLength = useCallback(() => {
         if (!selectedProduct) return 0;
-        const idx = selectedProduct.index_type?.toUpperCase();
-        if (idx) {
-            if (['A', 'B', 'C'].includes(idx)) return 1;
-            if (['AB', 'BC', 'AC'].includes(idx)) return 2;
-        }
-        return selectedProduct.digit_type || 0;
+        return getInputLength(selectedProduct);
     }, [selectedProduct]);
 
     const handleClearCart = () => {
@@ -628,13 +869,17 @@ const SalesScreen = ({ navigation }) => {
     };
 
     // Print receipt via Bluetooth (uses persistent connection for speed)
-    const handlePrintReceipt = async (invoiceNo, items, username) => {
+    // extras: { statusLabel, customer, qrPayload }
+    const handlePrintReceipt = async (invoiceNo, items, username, extras = {}) => {
         try {
             // Format receipt
             const receiptBytes = formatSalesReceipt({
                 username: username,
                 invoiceNo: invoiceNo,
                 cartItems: items,
+                statusLabel: extras.statusLabel || null,
+                customer: extras.customer || null,
+                qrPayload: extras.qrPayload || null,
             }, '80');
 
             // Print using persistent connection (stays connected for next print)
@@ -663,6 +908,75 @@ const SalesScreen = ({ navigation }) => {
         }
     };
 
+    // Reuse the key while the payload is unchanged; an edited cart is a new request
+    const getSubmitKey = (items, saleCustomer) => {
+        const payload = JSON.stringify({ items, customer: saleCustomer });
+        if (!submitKeyRef.current || submitKeyRef.current.payload !== payload) {
+            submitKeyRef.current = { key: generateClientId('S'), payload };
+        }
+        return submitKeyRef.current.key;
+    };
+
+    const confirmAsync = (title, message, confirmText) => new Promise(resolve => {
+        Alert.alert(
+            title,
+            message,
+            [
+                { text: 'Cancel', style: 'cancel', onPress: () => resolve(false) },
+                { text: confirmText, onPress: () => resolve(true) }
+            ],
+            { cancelable: false }
+        );
+    });
+
+    // Check the cart against per-number caps for the draw window.
+    // Resolves true when the sale may go ahead.
+    const checkExposureLimits = async (validItems, category) => {
+        if (!category || !validItems.some(hasExposureLimits)) return true;
+        const drawWindow = getDrawWindow(category);
+        if (!drawWindow) return true;
+
+        let sold;
+        try {
+            const response = await salesService.getNumberExposure({
+                category_id: category.id,
+                window_start: drawWindow.start.toISOString(),
+                window_end: drawWindow.end.toISOString(),
+                numbers: getCartNumberTotals(validItems).map(({ product_id, number }) => ({ product_id, number }))
+            });
+            sold = response.data?.exposure || [];
+        } catch (error) {
+            // Offline: the sale goes to the outbox and the server enforces limits on replay
+            if (isNetworkError(error)) return true;
+            console.error('Exposure check error:', error);
+            return confirmAsync('Limits Not Checked', 'Could not check per-number limits for this draw. Submit anyway?', 'Submit Anyway');
+        }
+
+        const violations = findExposureViolations(validItems, sold);
+        if (violations.length === 0) return true;
+
+        const issues = {};
+        violations.forEach(v => v.rowIds.forEach(id => {
+            issues[id] = [...(issues[id] || []), describeViolation(v)];
+        }));
+        setExposureIssues(issues);
+
+        const blocked = violations.filter(v => v.action === LIMIT_ACTION.BLOCK);
+        if (blocked.length > 0) {
+            Alert.alert(
+                'Limit Exceeded',
+                `These numbers are over the limit for this draw:\n\n${blocked.map(describeViolation).join('\n')}\n\nReduce the quantity or remove them.`
+            );
+            return false;
+        }
+
+        return confirmAsync(
+            'Limit Warning',
+            `These numbers are over the limit for this draw:\n\n${violations.map(describeViolation).join('\n')}\n\nSubmit anyway?`,
+            'Submit Anyway'
+        );
+    };
+
     const handleSubmitSales = async () => {
         const validItems = cartItems.filter(item => item.product_id !== null);
 
@@ -682,19 +996,10 @@ const SalesScreen = ({ navigation }) => {
                 return;
             }
 
-            const getReqLen = () => {
-                const idx = item.index_type?.toUpperCase();
-                if (idx) {
-                    if (['A', 'B', 'C'].includes(idx)) return 1;
-                    if (['AB', 'BC', 'AC'].includes(idx)) return 2;
-                }
-                return item.digit_type || 0;
-            };
-            const reqLen = getReqLen();
+            const reqLen = getInputLength(item);
             if (reqLen > 0) {
-                const currentLotteryNo = (item.index_type || (item.box === 1 && !item.index_type))
-                    ? item.lotteryNo
-                    : item.desc;
+                // desc lists the permutations of a box row — check the typed number
+                const currentLotteryNo = item.lotteryNo || item.desc;
 
                 if (currentLotteryNo.length !== reqLen) {
                     Alert.alert('Validation Error', `Please enter a valid ${reqLen}-digit lottery number for ${item.product_name}.`);
@@ -703,20 +1008,44 @@ const SalesScreen = ({ navigation }) => {
             }
         }
 
+        // Submit all items as a batch with single invoice
+        const items = validItems.map(item => ({
+            product_id: item.product_id,
+            qty: item.qty,
+            desc: item.desc || null,
+            ...(isBoxBet(item) && { box_variant: item.box_variant || BOX_VARIANT.FULL })
+        }));
+        const saleCustomer = customerService.normalize(customer);
+        const requestKey = getSubmitKey(items, saleCustomer);
+
         setIsSubmitting(true);
-        try {
-            // Submit all items as a batch with single invoice
-            const items = validItems.map(item => ({
-                product_id: item.product_id,
-                qty: item.qty,
-                desc: item.desc || null
-            }));
 
-            const response = await salesService.createBatchSales(items);
+        const submitCategory = categories.find(c => c.id === validItems[0].category_id) || getCartCategory();
+        const withinLimits = await checkExposureLimits(validItems, submitCategory);
+        if (!withinLimits) {
+            setIsSubmitting(false);
+            return;
+        }
+
+        // Last cutoff check on server time, right before sending
+        if (submitCategory && !isCategoryVisible(submitCategory)) {
+            setIsSubmitting(false);
+            Alert.alert(
+                'Draw Closed',
+                `Sales for ${submitCategory.category_name}${submitCategory.time_slots?.[0] ? ` (${submitCategory.time_slots[0]})` : ''} are closed. This cart cannot be submitted for that draw.`
+            );
+            return;
+        }
+
+        try {
+            const response = await salesService.createBatchSales(items, requestKey, saleCustomer);
+            submitKeyRef.current = null;
+            customerService.remember(saleCustomer);
 
             // Extract invoice number from response
             const invoiceNumber = response.data?.invoice_number || 'N/A';
             const itemsCount = response.data?.items_count || validItems.length;
+            const recovered = response.data?.replayed === true;
 
             // Get username for receipt
             const { user: userData } = await authService.getAuthData();
@@ -724,6 +1053,12 @@ const SalesScreen = ({ navigation }) => {
 
             // Keep a copy of cart items for printing
             const itemsToPrint = [...validItems];
+            const qrPayload = buildSaleReceiptQr({
+                invoiceNo: invoiceNumber,
+                items,
+                category: submitCategory,
+                receipt: response.data?.receipt
+            });
 
             // Clear cart first
             setCartItems([]);
@@ -731,8 +1066,8 @@ const SalesScreen = ({ navigation }) => {
 
             // Show success with print option
             Alert.alert(
-                '✓ Sale Complete',
-                `Invoice: ${invoiceNumber}\nItems: ${itemsCount}\nGrand Total: ₹${Math.round(grandTotal)}`,
+                recovered ? '✓ Sale Recovered' : '✓ Sale Complete',
+                `${recovered ? 'This sale was already saved by an earlier attempt.\n\n' : ''}Invoice: ${invoiceNumber}\nItems: ${itemsCount}\nGrand Total: ₹${Math.round(grandTotal)}`,
                 [
                     { text: 'Done', style: 'cancel' },
                     {
@@ -740,7 +1075,7 @@ const SalesScreen = ({ navigation }) => {
                         onPress: async () => {
                             // Print first, then share — running them simultaneously
                             // causes Share.open() to interfere with the BLE connection
-                            await handlePrintReceipt(invoiceNumber, itemsToPrint, username);
+                            await handlePrintReceipt(invoiceNumber, itemsToPrint, username, { customer: saleCustomer, qrPayload });
                             salesService.shareSalesData(invoiceNumber, itemsToPrint);
                         }
                     }
@@ -748,6 +1083,21 @@ const SalesScreen = ({ navigation }) => {
             );
         } catch (error) {
             console.error('Submit sales error:', error);
+
+            // A 4xx is a definitive rejection — the next attempt is a new request.
+            // No response or 5xx: the server may have saved it, keep the key.
+            if (error.response && error.response.status < 500) {
+                submitKeyRef.current = null;
+            }
+
+            // No response at all → keep the sale in the offline outbox,
+            // but only while its draw is still open
+            const category = selectedCategory || categories.find(c => c.id === validItems[0].category_id);
+            if (isNetworkError(error) && category && isCategoryVisible(category)) {
+                await handleQueueOffline(items, validItems, category, requestKey, saleCustomer);
+                return;
+            }
+
             const msg = error.response?.data?.message || 'Failed to create sales';
             Alert.alert('Error', msg);
         } finally {
@@ -755,6 +1105,67 @@ const SalesScreen = ({ navigation }) => {
         }
     };
 
+    const handleQueueOffline = async (items, validItems, category, requestKey, saleCustomer) => {
+        try {
+            // The queue now owns the key and replays with it
+            const entry = await offlineSalesQueue.enqueue({ items, cartItems: validItems, category, requestKey, customer: saleCustomer });
+            submitKeyRef.current = null;
+            customerService.remember(saleCustomer);
+
+            const { user: userData } = await authService.getAuthData();
+            const username = userData?.name || userData?.username || 'User';
+            const itemsToPrint = [...validItems];
+            // Unsigned until the server has the sale
+            const qrPayload = buildSaleReceiptQr({ invoiceNo: entry.provisional_id, items, category });
+
+            setCartItems([]);
+            await loadPendingSales();
+
+            Alert.alert(
+                'Saved Offline',
+                `Server is not reachable. The sale was saved and will be sent automatically.\n\nProvisional No: ${entry.provisional_id}\nItems: ${validItems.length}\nGrand Total: ₹${Math.round(grandTotal)}`,
+                [
+                    { text: 'Done', style: 'cancel' },
+                    {
+                        text: 'Print Receipt',
+                        onPress: () => handlePrintReceipt(entry.provisional_id, itemsToPrint, username, {
+                            statusLabel: 'PENDING',
+                            customer: saleCustomer,
+                            qrPayload
+                        })
+                    }
+                ]
+            );
+        } catch (error) {
+            console.error('Queue offline sale error:', error);
+            Alert.alert('Error', 'Failed to save the sale offline');
+        }
+    };
+
+    const handleDiscardPending = (entry) => {
+        Alert.alert(
+            'Discard Sale',
+            `Remove ${entry.provisional_id} from the pending list? It will not be sent to the server.`,
+            [
+                { text: 'Cancel', style: 'cancel' },
+                {
+                    text: 'Discard',
+                    style: 'destructive',
+                    onPress: async () => {
+                        await offlineSalesQueue.remove(entry.provisional_id);
+                        loadPendingSales();
+                    }
+                }
+            ]
+        );
+    };
+
+    const getPendingStatusColor = (status) => {
+        if (status === QUEUE_STATUS.EXPIRED) return '#c2410c';
+        if (status === QUEUE_STATUS.FAILED) return '#dc2626';
+        return '#3a48c2';
+    };
+
     if (isLoading) {
         return (
             <View style={styles.loadingContainer}>
@@ -781,10 +1192,21 @@ const SalesScreen = ({ navigation }) => {
                         <MaterialCommunityIcons name="menu" size={24} color="#fff" />
                     </TouchableOpacity>
                     <Text style={styles.headerTitle}>New Sale</Text>
-                    <View style={styles.addButtonPlaceholder} />
+                    {pendingSales.length > 0 ? (
+                        <TouchableOpacity style={[styles.menuButton, styles.cartBadgeContainer]} onPress={() => setShowPendingModal(true)}>
+                            <MaterialCommunityIcons name="cloud-upload-outline" size={24} color="#fff" />
+                            <View style={styles.cartBadge}>
+                                <Text style={styles.cartBadgeText}>{pendingSales.length}</Text>
+                            </View>
+                        </TouchableOpacity>
+                    ) : (
+                        <View style={styles.addButtonPlaceholder} />
+                    )}
                 </View>
             </LinearGradient>
 
+            <ClockSkewBanner />
+
             <ScrollView
                 style={styles.scrollView}
                 contentContainerStyle={styles.scrollContent}
@@ -807,6 +1229,17 @@ const SalesScreen = ({ navigation }) => {
                         <View style={styles.section}>
                             <Text style={styles.sectionTitle}>Select Category</Text>
                             <Text style={styles.sectionSubtitle}>Tap a category to view and select products</Text>
+                            {pendingResell && (
+                                <View style={styles.resellBanner}>
+                                    <MaterialCommunityIcons name="repeat" size={18} color="#3a48c2" />
+                                    <Text style={styles.resellBannerText}>
+                                        Tap an open category to re-sell invoice {pendingResell.invoiceNumber || ''}
+                                    </Text>
+                                    <TouchableOpacity onPress={() => setPendingResell(null)}>
+                                        <MaterialCommunityIcons name="close" size={18} color="#666" />
+                                    </TouchableOpacity>
+                                </View>
+                            )}
                             <View style={styles.categoryGrid}>
                                 {displayedCategories.map((category, index) => {
                                     const isCartActive = cartItems.length > 0;
@@ -819,6 +1252,7 @@ const SalesScreen = ({ navigation }) => {
                                             isSelected={isCartActive && cartItems[0].category_id === category.id}
                                             disabled={isDisabled}
                                             onPress={() => handleCategoryPress(category)}
+                                            onCutoff={() => setVisibilityTick(t => t + 1)}
                                         />
                                     );
                                 })}
@@ -862,6 +1296,57 @@ const SalesScreen = ({ navigation }) => {
                                     </TouchableOpacity>
                                 </View>
 
+                                {cartCategory && (isCartLocked ? (
+                                    <View style={styles.cartLockedBanner}>
+                                        <MaterialCommunityIcons name="lock-clock" size={18} color="#dc2626" />
+                                        <View style={{ flex: 1 }}>
+                                            <Text style={styles.cartLockedTitle}>
+                                                {isCartHeld ? `Held for the next ${cartCategory.category_name} draw` : `${describeDraw(cartCategory)} is closed`}
+                                            </Text>
+                                            {isCartHeld ? (
+                                                <CountdownBadge
+                                                    target={getNextSalesOpen(cartCategory)}
+                                                    thresholds={NO_WARNINGS}
+                                                    label="Opens in"
+                                                    expiredLabel="Opening"
+                                                    onExpire={handleSalesReopen}
+                                                    style={{ alignSelf: 'flex-start', marginTop: 4 }}
+                                                />
+                                            ) : (
+                                                <TouchableOpacity onPress={promptCartDrawClosed}>
+                                                    <Text style={styles.cartLockedAction}>Move to next draw or remove rows</Text>
+                                                </TouchableOpacity>
+                                            )}
+                                        </View>
+                                    </View>
+                                ) : cartCutoff && (
+                                    <View style={styles.cartCutoffRow}>
+                                        <Text style={styles.cartCutoffText}>{describeDraw(cartCategory)} closes in</Text>
+                                        <CountdownBadge
+                                            target={cartCutoff}
+                                            thresholds={cartWarningMinutes}
+                                            onThreshold={handleCutoffWarning}
+                                            onExpire={handleCartCutoff}
+                                        />
+                                    </View>
+                                ))}
+
+                                {!isCartLocked && cartNotice && cartNotice.categoryId === cartCategory?.id && (
+                                    <View style={[styles.cartNotice, cartNotice.type === 'reopen' && styles.cartNoticeReopen]}>
+                                        <MaterialCommunityIcons
+                                            name={cartNotice.type === 'reopen' ? 'lock-open-variant-outline' : 'alert-outline'}
+                                            size={18}
+                                            color={cartNotice.type === 'reopen' ? '#15803d' : '#b45309'}
+                                        />
+                                        <Text style={[styles.cartNoticeText, cartNotice.type === 'reopen' && { color: '#15803d' }]}>
+                                            {cartNotice.text}
+                                        </Text>
+                                        <TouchableOpacity onPress={() => setCartNotice(null)}>
+                                            <MaterialCommunityIcons name="close" size={16} color="#888" />
+                                        </TouchableOpacity>
+                                    </View>
+                                )}
+
                                 {/* Cart Header Row */}
                                 <View style={styles.cartTableHeader}>
                                     <Text style={[styles.cartTableHeaderText, { flex: 1, paddingLeft: 8 }]}>Products</Text>
@@ -882,13 +1367,34 @@ const SalesScreen = ({ navigation }) => {
                                         onRemove={handleRemoveFromCart}
                                         onLotteryNoChange={handleRowLotteryNoChange}
                                         onQtyChange={handleRowQtyChange}
+                                        onOpenSeries={setSeriesRowIndex}
+                                        onOpenBoxVariant={setBoxVariantRowIndex}
+                                        exposureIssues={exposureIssues[item.id]}
+                                        locked={isCartLocked}
+                                        cutoff={cartCutoff}
+                                        warningMinutes={cartWarningMinutes}
                                     />
                                 ))}
 
-                                <TouchableOpacity style={styles.addRowButton} onPress={handleAddRow}>
-                                    <MaterialCommunityIcons name="plus-circle" size={25} color="#289b24ff" />
-                                    <Text style={styles.addRowButtonText}>Add Products</Text>
-                                </TouchableOpacity>
+                                {!isCartLocked && (
+                                    <View style={styles.addRowActions}>
+                                        <TouchableOpacity style={[styles.addRowButton, styles.bulkEntryButton]} onPress={openBulkEntry}>
+                                            <MaterialCommunityIcons name="clipboard-text-outline" size={22} color="#3a48c2" />
+                                            <Text style={[styles.addRowButtonText, { color: '#3a48c2' }]}>Paste Order</Text>
+                                        </TouchableOpacity>
+                                        <TouchableOpacity style={styles.addRowButton} onPress={handleAddRow}>
+                                            <MaterialCommunityIcons name="plus-circle" size={25} color="#289b24ff" />
+                                            <Text style={styles.addRowButtonText}>Add Products</Text>
+                                        </TouchableOpacity>
+                                    </View>
+                                )}
+
+                                <CustomerFields
+                                    value={customer}
+                                    onChange={setCustomer}
+                                    editable={!isCartLocked}
+                                    onOpenHistory={(c) => navigation.navigate('Customers', { customer: c })}
+                                />
 
                                 {/* Grand Total */}
                                 <View style={styles.grandTotalContainer}>
@@ -901,9 +1407,9 @@ const SalesScreen = ({ navigation }) => {
 
                                 {permissions.add && (
                                     <TouchableOpacity
-                                        style={[styles.submitButton, isSubmitting && styles.submitButtonDisabled, { marginTop: 16, justifyContent: 'center' }]}
+                                        style={[styles.submitButton, (isSubmitting || isCartLocked) && styles.submitButtonDisabled, { marginTop: 16, justifyContent: 'center' }]}
                                         onPress={handleSubmitSales}
-                                        disabled={isSubmitting}
+                                        disabled={isSubmitting || isCartLocked}
                                     >
                                         {isSubmitting ? (
                                             <ActivityIndicator color="#fff" size="small" />
@@ -1192,6 +1698,108 @@ const SalesScreen = ({ navigation }) => {
                 </KeyboardAvoidingView>
             </Modal>
 
+            {/* Bulk Entry Modal */}
+            <BulkEntryModal
+                visible={showBulkModal}
+                onClose={() => setShowBulkModal(false)}
+                products={products}
+                isLoadingProducts={isLoadingProducts}
+                categoryName={getCartCategory()?.category_name}
+                onAddRows={handleBulkAddRows}
+            />
+
+            {/* Number Series Modal */}
+            <SeriesBuilderModal
+                visible={seriesRowIndex !== null}
+                row={seriesRowIndex !== null ? cartItems[seriesRowIndex] : null}
+                onClose={() => setSeriesRowIndex(null)}
+                onAddNumbers={handleSeriesAddNumbers}
+            />
+
+            {/* Box Permutation Picker */}
+            <BoxVariantModal
+                visible={boxVariantRowIndex !== null}
+                row={boxVariantRowIndex !== null ? cartItems[boxVariantRowIndex] : null}
+                onClose={() => setBoxVariantRowIndex(null)}
+                onApply={handleApplyBoxVariant}
+            />
+
+            {/* Pending (offline) Sales Modal */}
+            <Modal
+                visible={showPendingModal}
+                animationType="slide"
+                transparent={true}
+                onRequestClose={() => setShowPendingModal(false)}
+            >
+                <View style={styles.modalOverlay}>
+                    <View style={styles.productModalContent}>
+                        <View style={styles.modalHeader}>
+                            <View>
+                                <Text style={styles.modalTitle}>Pending Sales</Text>
+                                <Text style={styles.modalSubtitle}>Saved offline, not yet on the server</Text>
+                            </View>
+                            <TouchableOpacity style={styles.modalCloseBtn} onPress={() => setShowPendingModal(false)}>
+                                <MaterialCommunityIcons name="close" size={24} color="#666" />
+                            </TouchableOpacity>
+                        </View>
+
+                        <FlatList
+                            data={pendingSales}
+                            keyExtractor={(entry) => entry.provisional_id}
+                            showsVerticalScrollIndicator={false}
+                            contentContainerStyle={styles.productList}
+                            ListEmptyComponent={
+                                <View style={styles.emptyState}>
+                                    <MaterialCommunityIcons name="cloud-check-outline" size={60} color="#ddd" />
+                                    <Text style={styles.emptyText}>No pending sales</Text>
+                                </View>
+                            }
+                            renderItem={({ item: entry }) => {
+                                const total = (entry.cart_items || []).reduce((sum, i) => sum + ((i.price || 0) * (parseInt(i.qty, 10) || 0)), 0);
+                                return (
+                                    <View style={styles.pendingItem}>
+                                        <View style={{ flex: 1 }}>
+                                            <Text style={styles.pendingItemId}>{entry.provisional_id}</Text>
+                                            <Text style={styles.pendingItemMeta}>
+                                                {entry.category_name} • {entry.items.length} item(s) • ₹{Math.round(total)}
+                                            </Text>
+                                            <Text style={styles.pendingItemMeta}>
+                                                Queued {new Date(entry.queued_at).toLocaleTimeString()}
+                                            </Text>
+                                            <Text style={[styles.pendingItemStatus, { color: getPendingStatusColor(entry.status) }]}>
+                                                {entry.status.toUpperCase()}
+                                                {entry.status === QUEUE_STATUS.EXPIRED ? ' — draw closed before sync' : ''}
+                                                {entry.last_error ? ` — ${entry.last_error}` : ''}
+                                            </Text>
+                                        </View>
+                                        <TouchableOpacity onPress={() => handleDiscardPending(entry)} style={{ padding: 6 }}>
+                                            <MaterialCommunityIcons name="delete-outline" size={22} color="#dc2626" />
+                                        </TouchableOpacity>
+                                    </View>
+                                );
+                            }}
+                        />
+
+                        {pendingSales.some(e => e.status === QUEUE_STATUS.PENDING) && (
+                            <TouchableOpacity
+                                style={[styles.submitButton, isSyncing && styles.submitButtonDisabled, { justifyContent: 'center' }]}
+                                onPress={() => syncPendingSales(true)}
+                                disabled={isSyncing}
+                            >
+                                {isSyncing ? (
+                                    <ActivityIndicator color="#fff" size="small" />
+                                ) : (
+                                    <>
+                                        <MaterialCommunityIcons name="cloud-sync" size={22} color="#fff" />
+                                        <Text style={styles.submitButtonText}>Sync Now</Text>
+                                    </>
+                                )}
+                            </TouchableOpacity>
+                        )}
+                    </View>
+                </View>
+            </Modal>
+
         </View>
     );
 };
@@ -1400,6 +2008,9 @@ const styles = StyleSheet.create({
         color: '#666',
         fontWeight: '500',
     },
+    categoryCountdown: {
+        marginTop: 4,
+    },
     selectedBadge: {
         position: 'absolute',
         top: 8,
@@ -1559,6 +2170,133 @@ const styles = StyleSheet.create({
         alignItems: 'center',
         justifyContent: 'center',
     },
+    resellBanner: {
+        flexDirection: 'row',
+        alignItems: 'center',
+        gap: 8,
+        backgroundColor: '#F0F1FF',
+        borderRadius: 10,
+        padding: 10,
+        marginTop: 10,
+    },
+    resellBannerText: {
+        flex: 1,
+        fontSize: 13,
+        color: '#3a48c2',
+        fontWeight: '600',
+    },
+    exposureIssueText: {
+        color: '#b91c1c',
+        fontSize: 11,
+        fontWeight: '600',
+        marginTop: 4,
+    },
+    cartCutoffRow: {
+        flexDirection: 'row',
+        alignItems: 'center',
+        justifyContent: 'flex-end',
+        gap: 6,
+        marginTop: -8,
+        marginBottom: 12,
+    },
+    cartCutoffText: {
+        fontSize: 12,
+        color: '#666',
+        fontWeight: '500',
+    },
+    cartNotice: {
+        flexDirection: 'row',
+        alignItems: 'center',
+        gap: 8,
+        backgroundColor: '#FEF3C7',
+        borderRadius: 10,
+        paddingHorizontal: 10,
+        paddingVertical: 8,
+        marginBottom: 12,
+    },
+    cartNoticeReopen: {
+        backgroundColor: '#DCFCE7',
+    },
+    cartNoticeText: {
+        flex: 1,
+        fontSize: 12,
+        fontWeight: '600',
+        color: '#b45309',
+    },
+    cartLockedBanner: {
+        flexDirection: 'row',
+        alignItems: 'flex-start',
+        gap: 8,
+        backgroundColor: '#FEF2F2',
+        borderColor: '#FCA5A5',
+        borderWidth: 1,
+        borderRadius: 10,
+        padding: 10,
+        marginBottom: 12,
+    },
+    cartLockedTitle: {
+        fontSize: 13,
+        fontWeight: '700',
+        color: '#b91c1c',
+    },
+    cartLockedAction: {
+        fontSize: 12,
+        fontWeight: '600',
+        color: '#3a48c2',
+        marginTop: 4,
+        textDecorationLine: 'underline',
+    },
+    cartRowLocked: {
+        opacity: 0.6,
+    },
+    cartRowLockedNote: {
+        flexDirection: 'row',
+        alignItems: 'center',
+        gap: 4,
+    },
+    cartRowCountdown: {
+        alignSelf: 'flex-start',
+    },
+    cartRowLockedText: {
+        fontSize: 11,
+        color: '#666',
+        fontWeight: '600',
+    },
+    boxVariantRow: {
+        flexDirection: 'row',
+        justifyContent: 'space-between',
+        alignItems: 'center',
+        marginBottom: 6,
+    },
+    boxVariantButton: {
+        flexDirection: 'row',
+        alignItems: 'center',
+        gap: 2,
+        backgroundColor: '#3a48c2',
+        borderRadius: 10,
+        paddingHorizontal: 8,
+        paddingVertical: 3,
+    },
+    boxVariantButtonText: {
+        fontSize: 10,
+        fontWeight: 'bold',
+        color: '#fff',
+    },
+    seriesButton: {
+        marginLeft: 6,
+        marginTop: 8,
+        padding: 8,
+        borderRadius: 8,
+        backgroundColor: '#F0F1FF',
+    },
+    addRowActions: {
+        flexDirection: 'row',
+        justifyContent: 'flex-end',
+        gap: 10,
+    },
+    bulkEntryButton: {
+        backgroundColor: '#F0F1FF',
+    },
     addRowButton: {
         flexDirection: 'row',
         alignItems: 'center',
@@ -1838,6 +2576,30 @@ const styles = StyleSheet.create({
         color: '#666',
         fontSize: 14,
     },
+    // Pending Sales Modal
+    pendingItem: {
+        flexDirection: 'row',
+        alignItems: 'center',
+        backgroundColor: '#F8F9FD',
+        borderRadius: 12,
+        padding: 12,
+        marginBottom: 10,
+    },
+    pendingItemId: {
+        fontSize: 15,
+        fontWeight: 'bold',
+        color: '#1a1a1a',
+    },
+    pendingItemMeta: {
+        fontSize: 12,
+        color: '#666',
+        marginTop: 2,
+    },
+    pendingItemStatus: {
+        fontSize: 12,
+        fontWeight: '700',
+        marginTop: 4,
+    },
     // Quantity Modal
     qtyModalContent: {
         backgroundColor: '#fff',
@@ -0,0 +1,248 @@
+import React, { useState, useEffect } from 'react';
+import {
+    View,
+    Text,
+    StyleSheet,
+    ScrollView,
+    TouchableOpacity,
+    Platform,
+    ToastAndroid,
+} from 'react-native';
+import MaterialCommunityIcons from 'react-native-vector-icons/MaterialCommunityIcons';
+import LinearGradient from 'react-native-linear-gradient';
+import { shareTemplateService } from '../services/shareTemplateService';
+import { SHARE_TEMPLATES, SAMPLE_SHARE_SALE, DEFAULT_SHARE_TEMPLATE_ID, formatShareText } from '../utils/shareTemplates';
+
+const ShareSettingsScreen = ({ navigation }) => {
+    const [defaultId, setDefaultId] = useState(DEFAULT_SHARE_TEMPLATE_ID);
+    const [previewId, setPreviewId] = useState(DEFAULT_SHARE_TEMPLATE_ID);
+
+    useEffect(() => {
+        shareTemplateService.getDefaultTemplateId().then(id => {
+            setDefaultId(id);
+            setPreviewId(id);
+        });
+    }, []);
+
+    const handleSetDefault = async (id) => {
+        await shareTemplateService.setDefaultTemplateId(id);
+        setDefaultId(id);
+        setPreviewId(id);
+        if (Platform.OS === 'android') {
+            ToastAndroid.show('Default share format saved', ToastAndroid.SHORT);
+        }
+    };
+
+    return (
+        <View style={styles.container}>
+            {/* Header */}
+            <LinearGradient
+                colors={['#3a48c2', '#2a38a0', '#192f6a']}
+                style={styles.headerBackground}
+                start={{ x: 0, y: 0 }}
+                end={{ x: 1, y: 1 }}
+            >
+                <View style={styles.decorativeCircle1} />
+                <View style={styles.decorativeCircle2} />
+
+                <View style={styles.headerContent}>
+                    <TouchableOpacity onPress={() => navigation.goBack()} style={styles.backButton}>
+                        <MaterialCommunityIcons name="arrow-left" size={24} color="#fff" />
+                    </TouchableOpacity>
+                    <Text style={styles.headerTitle}>Share Format</Text>
+                    <View style={styles.placeholder} />
+                </View>
+            </LinearGradient>
+
+            <ScrollView style={styles.scrollView} contentContainerStyle={styles.scrollContent}>
+                <View style={styles.section}>
+                    <Text style={styles.sectionTitle}>Templates</Text>
+                    <Text style={styles.sectionHint}>
+                        Used when sharing a sale after printing and for text shares from reports.
+                    </Text>
+                    {SHARE_TEMPLATES.map(template => {
+                        const isDefault = template.id === defaultId;
+                        const isPreview = template.id === previewId;
+                        return (
+                            <TouchableOpacity
+                                key={template.id}
+                                style={[styles.templateCard, isPreview && styles.templateCardActive]}
+                                onPress={() => setPreviewId(template.id)}
+                                activeOpacity={0.8}
+                            >
+                                <MaterialCommunityIcons
+                                    name={isDefault ? 'radiobox-marked' : 'radiobox-blank'}
+                                    size={22}
+                                    color={isDefault ? '#3a48c2' : '#999'}
+                                />
+                                <View style={styles.templateInfo}>
+                                    <Text style={styles.templateLabel}>{template.label}</Text>
+                                    <Text style={styles.templateDescription}>{template.description}</Text>
+                                </View>
+                                {isDefault ? (
+                                    <Text style={styles.defaultBadge}>DEFAULT</Text>
+                                ) : (
+                                    <TouchableOpacity onPress={() => handleSetDefault(template.id)} style={styles.useButton}>
+                                        <Text style={styles.useButtonText}>Use</Text>
+                                    </TouchableOpacity>
+                                )}
+                            </TouchableOpacity>
+                        );
+                    })}
+                </View>
+
+                <View style={styles.section}>
+                    <Text style={styles.sectionTitle}>Preview</Text>
+                    <View style={styles.previewBubble}>
+                        <Text style={styles.previewText}>{formatShareText(previewId, SAMPLE_SHARE_SALE)}</Text>
+                    </View>
+                </View>
+            </ScrollView>
+        </View>
+    );
+};
+
+const styles = StyleSheet.create({
+    container: {
+        flex: 1,
+        backgroundColor: '#F8F9FD',
+    },
+    headerBackground: {
+        paddingTop: Platform.OS === 'android' ? 20 : 20,
+        paddingBottom: 26,
+        paddingHorizontal: 20,
+        borderBottomLeftRadius: 30,
+        borderBottomRightRadius: 30,
+        marginBottom: 12,
+        position: 'relative',
+        overflow: 'hidden',
+        zIndex: 1,
+    },
+    decorativeCircle1: {
+        position: 'absolute',
+        width: 200,
+        height: 200,
+        borderRadius: 100,
+        backgroundColor: 'rgba(255, 255, 255, 0.05)',
+        top: -50,
+        right: -50,
+    },
+    decorativeCircle2: {
+        position: 'absolute',
+        width: 150,
+        height: 150,
+        borderRadius: 75,
+        backgroundColor: 'rgba(255, 255, 255, 0.05)',
+        bottom: -40,
+        left: -30,
+    },
+    headerContent: {
+        flexDirection: 'row',
+        alignItems: 'center',
+        justifyContent: 'space-between',
+    },
+    backButton: {
+        width: 40,
+        height: 40,
+        borderRadius: 12,
+        backgroundColor: 'rgba(255, 255, 255, 0.15)',
+        justifyContent: 'center',
+        alignItems: 'center',
+    },
+    headerTitle: {
+        fontSize: 20,
+        fontWeight: 'bold',
+        color: '#fff',
+    },
+    placeholder: {
+        width: 40,
+    },
+    scrollView: {
+        flex: 1,
+    },
+    scrollContent: {
+        paddingHorizontal: 20,
+        paddingBottom: 30,
+    },
+    section: {
+        marginBottom: 24,
+    },
+    sectionTitle: {
+        fontSize: 18,
+        fontWeight: '700',
+        color: '#1a1a1a',
+        marginBottom: 12,
+    },
+    sectionHint: {
+        fontSize: 13,
+        color: '#666',
+        marginTop: -6,
+        marginBottom: 12,
+    },
+    templateCard: {
+        flexDirection: 'row',
+        alignItems: 'center',
+        backgroundColor: '#fff',
+        borderRadius: 16,
+        padding: 16,
+        marginBottom: 10,
+        borderWidth: 2,
+        borderColor: 'transparent',
+        shadowColor: '#000',
+        shadowOffset: { width: 0, height: 2 },
+        shadowOpacity: 0.05,
+        shadowRadius: 8,
+        elevation: 2,
+    },
+    templateCardActive: {
+        borderColor: '#3a48c2',
+    },
+    templateInfo: {
+        flex: 1,
+        marginLeft: 12,
+    },
+    templateLabel: {
+        fontSize: 15,
+        fontWeight: '600',
+        color: '#1a1a1a',
+    },
+    templateDescription: {
+        fontSize: 12,
+        color: '#666',
+        marginTop: 2,
+    },
+    defaultBadge: {
+        fontSize: 10,
+        fontWeight: 'bold',
+        color: '#3a48c2',
+        backgroundColor: '#F0F1FF',
+        paddingHorizontal: 8,
+        paddingVertical: 4,
+        borderRadius: 6,
+        overflow: 'hidden',
+    },
+    useButton: {
+        paddingHorizontal: 14,
+        paddingVertical: 6,
+        borderRadius: 8,
+        borderWidth: 1,
+        borderColor: '#3a48c2',
+    },
+    useButtonText: {
+        fontSize: 13,
+        fontWeight: '600',
+        color: '#3a48c2',
+    },
+    previewBubble: {
+        backgroundColor: '#DCF8C6',
+        borderRadius: 12,
+        padding: 14,
+    },
+    previewText: {
+        fontFamily: Platform.OS === 'ios' ? 'Menlo' : 'monospace',
+        fontSize: 12,
+        color: '#1a1a1a',
+    },
+});
+
+export default ShareSettingsScreen;
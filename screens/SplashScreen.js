@@ -11,7 +11,8 @@ import {
 } from 'react-native';
 import MaterialCommunityIcons from 'react-native-vector-icons/MaterialCommunityIcons';
 import LinearGradient from 'react-native-linear-gradient';
-import { authService } from '../services';
+import { authService, timeService } from '../services';
+import { serverClock } from '../services/serverClock';
 import { permissionService } from '../services/permissionService';
 import { reportService } from '../services/reportService';
 import AsyncStorage from '@react-native-async-storage/async-storage';
@@ -80,6 +81,10 @@ const SplashScreen = ({ navigation }) => {
             try {
                 const startTime = Date.now();
 
+                // Last known clock offset first, then a fresh one from the server
+                await serverClock.init();
+                timeService.sync().catch(error => console.warn('Splash: Server time sync failed', error?.message));
+
                 // Fetch auth data and validate session
                 // We do this while the user is wowed by the animation
                 const { token, user } = await authService.getAuthData();
@@ -92,7 +97,7 @@ const SplashScreen = ({ navigation }) => {
                         // Use allSettled so one failure doesn't kill the other
                         const [permResult, dashboardResult] = await Promise.allSettled([
                             permissionService.getMyPermissions(),
-                            reportService.getSalesReport({ limit: 100 })
+                            reportService.getSalesReportPage({}, 1)
                         ]);
 
                         // Check for auth errors (401) in either result
@@ -0,0 +1,682 @@
+import React, { useState, useRef, useCallback } from 'react';
+import {
+    View,
+    Text,
+    StyleSheet,
+    ScrollView,
+    TouchableOpacity,
+    TextInput,
+    Platform,
+    ActivityIndicator,
+    Alert,
+    Linking
+} from 'react-native';
+import MaterialCommunityIcons from 'react-native-vector-icons/MaterialCommunityIcons';
+import LinearGradient from 'react-native-linear-gradient';
+import { useIsFocused } from '@react-navigation/native';
+import {
+    Camera,
+    useCameraDevice,
+    useCameraPermission,
+    useCodeScanner
+} from 'react-native-vision-camera';
+import { receiptVerifier, TICKET_STATUS } from '../services/receiptVerifier';
+import { getBetLabel } from '../utils/betTypes';
+import { getOutstanding, getPaidAmount } from '../utils/payouts';
+import PayWinnerModal from '../components/PayWinnerModal';
+
+const MODE = {
+    SCAN: 'scan',
+    MANUAL: 'manual',
+};
+
+// Receipt QR plus the common 1D codes a printed invoice number may use
+const CODE_TYPES = ['qr', 'code-128', 'code-39', 'ean-13'];
+
+const STATUS_STYLE = {
+    [TICKET_STATUS.VALID]: { label: 'Valid', icon: 'check-decagram', fg: '#15803d', bg: '#DCFCE7' },
+    [TICKET_STATUS.EDITED]: { label: 'Edited', icon: 'pencil-alert', fg: '#c2410c', bg: '#FFEDD5' },
+    [TICKET_STATUS.DELETED]: { label: 'Deleted', icon: 'delete-alert', fg: '#dc2626', bg: '#FEE2E2' },
+    [TICKET_STATUS.VOIDED]: { label: 'Void', icon: 'file-cancel-outline', fg: '#dc2626', bg: '#FEE2E2' },
+    [TICKET_STATUS.PAID]: { label: 'Already Paid', icon: 'cash-check', fg: '#7c3aed', bg: '#EDE9FE' },
+    [TICKET_STATUS.NOT_FOUND]: { label: 'Not Found', icon: 'help-circle', fg: '#666', bg: '#E8E8E8' },
+};
+
+const VerifyTicketScreen = ({ navigation }) => {
+    const isFocused = useIsFocused();
+    const device = useCameraDevice('back');
+    const { hasPermission, requestPermission } = useCameraPermission();
+
+    const [mode, setMode] = useState(MODE.SCAN);
+    const [invoiceInput, setInvoiceInput] = useState('');
+    const [result, setResult] = useState(null);
+    const [loading, setLoading] = useState(false);
+    const [payingItem, setPayingItem] = useState(null);
+
+    // The scanner reports the same code many times a second — take the first
+    const scanLockRef = useRef(false);
+    // Last scanned / typed input, re-checked after a payout
+    const lastInputRef = useRef('');
+
+    const formatDateTime = (value) => {
+        if (!value) return '-';
+        return new Date(value).toLocaleString('en-IN', {
+            day: '2-digit',
+            month: 'short',
+            year: 'numeric',
+            hour: '2-digit',
+            minute: '2-digit',
+            hour12: true
+        });
+    };
+
+    const checkTicket = useCallback(async (input) => {
+        if (!String(input || '').trim()) {
+            Alert.alert('Verify Ticket', 'Enter an invoice number');
+            scanLockRef.current = false;
+            return;
+        }
+
+        lastInputRef.current = input;
+        setLoading(true);
+        setResult(null);
+        try {
+            const ticket = await receiptVerifier.checkTicket(input);
+            setResult(ticket);
+        } catch (error) {
+            console.error('Verify ticket error:', error);
+            const msg = error.response?.data?.message || error.message || 'Failed to verify ticket';
+            Alert.alert('Error', msg);
+            scanLockRef.current = false;
+        } finally {
+            setLoading(false);
+        }
+    }, []);
+
+    const codeScanner = useCodeScanner({
+        codeTypes: CODE_TYPES,
+        onCodeScanned: (codes) => {
+            const value = codes[0]?.value;
+            if (!value || scanLockRef.current) return;
+            scanLockRef.current = true;
+            checkTicket(value);
+        }
+    });
+
+    const handleScanAnother = () => {
+        setResult(null);
+        setInvoiceInput('');
+        scanLockRef.current = false;
+    };
+
+    // A winning row as the payout PayWinnerModal records
+    const toPayout = (item) => ({
+        ...item,
+        sale_id: item.id,
+        invoice_number: result.invoiceNo,
+        category_name: result.invoice?.category_name,
+        winning_number: result.winningEntry?.lottery_number,
+        lottery_number: item.desc,
+        paid_amount: getPaidAmount(item),
+    });
+
+    const handlePaid = () => {
+        setPayingItem(null);
+        checkTicket(lastInputRef.current);
+    };
+
+    const handleAllowCamera = async () => {
+        const granted = await requestPermission();
+        if (!granted) {
+            Alert.alert(
+                'Camera Permission',
+                'Camera access is needed to scan receipts. You can enter the invoice number instead.',
+                [
+                    { text: 'Enter Manually', onPress: () => setMode(MODE.MANUAL) },
+                    { text: 'Open Settings', onPress: () => Linking.openSettings() }
+                ]
+            );
+        }
+    };
+
+    const renderScanner = () => {
+        if (!hasPermission) {
+            return (
+                <View style={styles.cameraPlaceholder}>
+                    <MaterialCommunityIcons name="camera-off-outline" size={48} color="#999" />
+                    <Text style={styles.placeholderText}>Camera access is needed to scan receipts</Text>
+                    <TouchableOpacity style={styles.secondaryBtn} onPress={handleAllowCamera}>
+                        <Text style={styles.secondaryBtnText}>Allow Camera</Text>
+                    </TouchableOpacity>
+                </View>
+            );
+        }
+        if (!device) {
+            return (
+                <View style={styles.cameraPlaceholder}>
+                    <MaterialCommunityIcons name="camera-off-outline" size={48} color="#999" />
+                    <Text style={styles.placeholderText}>No camera found on this device</Text>
+                </View>
+            );
+        }
+        return (
+            <View style={styles.cameraBox}>
+                <Camera
+                    style={StyleSheet.absoluteFill}
+                    device={device}
+                    isActive={isFocused && mode === MODE.SCAN && !result && !loading}
+                    codeScanner={codeScanner}
+                />
+                <View style={styles.scanFrame} />
+                <Text style={styles.scanHint}>Point at the QR code on the receipt</Text>
+            </View>
+        );
+    };
+
+    const renderResult = () => {
+        const statusStyle = STATUS_STYLE[result.status];
+        const items = result.invoice?.items || [];
+        const winningIds = new Set(result.winningItems.map(item => item.id));
+        const totalWinning = result.winningItems.reduce((sum, item) => sum + parseFloat(item.total_winning_amount || 0), 0);
+        // Edited, deleted and voided tickets are not paid out
+        const canPay = result.status === TICKET_STATUS.VALID && !!result.winningEntry;
+
+        return (
+            <View style={styles.card}>
+                <View style={[styles.statusBanner, { backgroundColor: statusStyle.bg }]}>
+                    <MaterialCommunityIcons name={statusStyle.icon} size={28} color={statusStyle.fg} />
+                    <View style={{ flex: 1 }}>
+                        <Text style={[styles.statusLabel, { color: statusStyle.fg }]}>{statusStyle.label}</Text>
+                        <Text style={styles.statusInvoice}>Invoice #{result.invoiceNo}</Text>
+                    </View>
+                </View>
+
+                {result.reasons.length > 0 && (
+                    <View style={styles.reasons}>
+                        {result.reasons.map(reason => (
+                            <View key={reason} style={styles.reasonRow}>
+                                <MaterialCommunityIcons name="alert-circle-outline" size={14} color="#c2410c" />
+                                <Text style={styles.reasonText}>{reason}</Text>
+                            </View>
+                        ))}
+                    </View>
+                )}
+
+                {result.invoice && (
+                    <>
+                        {/* Draw */}
+                        <View style={styles.detailRow}>
+                            <Text style={styles.detailLabel}>Category</Text>
+                            <Text style={styles.detailValue}>{result.invoice.category_name || '-'}</Text>
+                        </View>
+                        <View style={styles.detailRow}>
+                            <Text style={styles.detailLabel}>Draw</Text>
+                            <Text style={styles.detailValue}>
+                                {result.invoice.window_end ? formatDateTime(result.invoice.window_end) : '-'}
+                            </Text>
+                        </View>
+                        <View style={styles.detailRow}>
+                            <Text style={styles.detailLabel}>Sold</Text>
+                            <Text style={styles.detailValue}>
+                                {formatDateTime(items[0]?.created_at)}{items[0]?.created_by ? ` • ${items[0].created_by}` : ''}
+                            </Text>
+                        </View>
+
+                        {/* Result of the draw */}
+                        <View style={[styles.winningBox, result.winningItems.length > 0 && styles.winningBoxWon]}>
+                            <MaterialCommunityIcons
+                                name={result.winningItems.length > 0 ? 'trophy' : 'trophy-outline'}
+                                size={20}
+                                color={result.winningItems.length > 0 ? '#15803d' : '#888'}
+                            />
+                            <Text style={styles.winningText}>
+                                {result.winningLookupFailed
+                                    ? 'Winning result could not be checked — try again'
+                                    : !result.winningEntry
+                                        ? 'Result not submitted for this draw yet'
+                                        : result.winningItems.length > 0
+                                            ? `Winning No ${result.winningEntry.lottery_number} • ${result.winningItems.length} row(s) won ₹${Math.round(totalWinning)}`
+                                            : `Winning No ${result.winningEntry.lottery_number} • no matching rows`}
+                            </Text>
+                        </View>
+
+                        {/* Items */}
+                        <Text style={styles.sectionTitle}>Items</Text>
+                        {items.map((item, index) => {
+                            const deleted = !!item.deleted_at;
+                            const won = winningIds.has(item.id);
+                            const betLabel = getBetLabel(item);
+                            return (
+                                <View key={item.id || index} style={[styles.itemRow, won && styles.itemRowWon]}>
+                                    <View style={{ flex: 1 }}>
+                                        <Text style={[styles.itemName, deleted && styles.struck]} numberOfLines={1}>
+                                            {item.product_name}{betLabel ? ` ${betLabel}` : ''}
+                                        </Text>
+                                        <Text style={[styles.itemDesc, deleted && styles.struck]} numberOfLines={2}>
+                                            {item.desc || '-'}
+                                        </Text>
+                                    </View>
+                                    <View style={{ alignItems: 'flex-end' }}>
+                                        <Text style={[styles.itemAmount, deleted && styles.struck]}>
+                                            x{item.qty} • ₹{Math.round(parseFloat(item.total || 0))}
+                                        </Text>
+                                        {deleted && <Text style={[styles.itemTag, { color: '#dc2626' }]}>DELETED</Text>}
+                                        {!deleted && item.voided_at && <Text style={[styles.itemTag, { color: '#dc2626' }]}>VOID</Text>}
+                                        {won && (
+                                            <Text style={[styles.itemTag, { color: '#15803d' }]}>
+                                                WON ₹{Math.round(parseFloat(item.total_winning_amount || 0))}
+                                                {getPaidAmount(item) > 0
+                                                    ? getOutstanding(item) > 0
+                                                        ? ` • PAID ₹${Math.round(getPaidAmount(item))}`
+                                                        : ' • PAID'
+                                                    : ''}
+                                            </Text>
+                                        )}
+                                        {won && canPay && getOutstanding(item) > 0 && (
+                                            <TouchableOpacity style={styles.payBtn} onPress={() => setPayingItem(toPayout(item))}>
+                                                <MaterialCommunityIcons name="cash-fast" size={14} color="#fff" />
+                                                <Text style={styles.payBtnText}>Pay ₹{Math.round(getOutstanding(item))}</Text>
+                                            </TouchableOpacity>
+                                        )}
+                                    </View>
+                                </View>
+                            );
+                        })}
+                    </>
+                )}
+
+                <TouchableOpacity style={[styles.primaryBtn, { marginTop: 16 }]} onPress={handleScanAnother}>
+                    <MaterialCommunityIcons name={mode === MODE.SCAN ? 'qrcode-scan' : 'magnify'} size={20} color="#fff" />
+                    <Text style={styles.primaryBtnText}>{mode === MODE.SCAN ? 'Scan Another' : 'Check Another'}</Text>
+                </TouchableOpacity>
+            </View>
+        );
+    };
+
+    return (
+        <View style={styles.container}>
+            {/* Header */}
+            <LinearGradient
+                colors={['#3a48c2', '#2a38a0', '#192f6a']}
+                style={styles.headerBackground}
+                start={{ x: 0, y: 0 }}
+                end={{ x: 1, y: 1 }}
+            >
+                {/* Decorative Elements */}
+                <View style={styles.decorativeCircle1} />
+                <View style={styles.decorativeCircle2} />
+
+                <View style={styles.headerContent}>
+                    <TouchableOpacity onPress={() => navigation.openDrawer()} style={styles.menuButton}>
+                        <MaterialCommunityIcons name="menu" size={24} color="#fff" />
+                    </TouchableOpacity>
+                    <Text style={styles.headerTitle}>Verify Ticket</Text>
+                    <View style={styles.addButtonPlaceholder} />
+                </View>
+            </LinearGradient>
+
+            <ScrollView style={styles.scrollView} keyboardShouldPersistTaps="handled">
+                <View style={styles.tabs}>
+                    {[
+                        { key: MODE.SCAN, label: 'Scan Receipt', icon: 'qrcode-scan' },
+                        { key: MODE.MANUAL, label: 'Enter Invoice', icon: 'keyboard-outline' }
+                    ].map(tab => (
+                        <TouchableOpacity
+                            key={tab.key}
+                            style={[styles.tab, mode === tab.key && styles.tabActive]}
+                            onPress={() => {
+                                setMode(tab.key);
+                                handleScanAnother();
+                            }}
+                        >
+                            <MaterialCommunityIcons name={tab.icon} size={16} color={mode === tab.key ? '#fff' : '#3a48c2'} />
+                            <Text style={[styles.tabText, mode === tab.key && styles.tabTextActive]}>{tab.label}</Text>
+                        </TouchableOpacity>
+                    ))}
+                </View>
+
+                {!result && !loading && (
+                    <View style={styles.card}>
+                        {mode === MODE.SCAN ? renderScanner() : (
+                            <>
+                                <Text style={styles.label}>Invoice Number</Text>
+                                <TextInput
+                                    style={styles.input}
+                                    placeholder="e.g. 1024"
+                                    value={invoiceInput}
+                                    onChangeText={setInvoiceInput}
+                                    autoCapitalize="characters"
+                                    returnKeyType="search"
+                                    onSubmitEditing={() => checkTicket(invoiceInput)}
+                                />
+                                <TouchableOpacity style={styles.primaryBtn} onPress={() => checkTicket(invoiceInput)}>
+                                    <MaterialCommunityIcons name="magnify" size={20} color="#fff" />
+                                    <Text style={styles.primaryBtnText}>Verify</Text>
+                                </TouchableOpacity>
+                            </>
+                        )}
+                    </View>
+                )}
+
+                {loading && (
+                    <View style={[styles.card, { alignItems: 'center', paddingVertical: 40 }]}>
+                        <ActivityIndicator size="large" color="#3a48c2" />
+                        <Text style={[styles.placeholderText, { marginTop: 12 }]}>Checking ticket...</Text>
+                    </View>
+                )}
+
+                {result && renderResult()}
+            </ScrollView>
+
+            <PayWinnerModal
+                visible={!!payingItem}
+                payout={payingItem}
+                navigation={navigation}
+                onClose={() => setPayingItem(null)}
+                onPaid={handlePaid}
+            />
+        </View>
+    );
+};
+
+const styles = StyleSheet.create({
+    container: {
+        flex: 1,
+        backgroundColor: '#F8F9FD',
+    },
+    headerBackground: {
+        paddingTop: Platform.OS === 'android' ? 20 : 20,
+        paddingBottom: 26,
+        paddingHorizontal: 20,
+        borderBottomLeftRadius: 30,
+        borderBottomRightRadius: 30,
+        marginBottom: 12,
+        position: 'relative',
+        overflow: 'hidden',
+        zIndex: 1,
+    },
+    decorativeCircle1: {
+        position: 'absolute',
+        width: 200,
+        height: 200,
+        borderRadius: 100,
+        backgroundColor: 'rgba(255, 255, 255, 0.05)',
+        top: -50,
+        right: -50,
+    },
+    decorativeCircle2: {
+        position: 'absolute',
+        width: 150,
+        height: 150,
+        borderRadius: 75,
+        backgroundColor: 'rgba(255, 255, 255, 0.05)',
+        top: 40,
+        left: -40,
+    },
+    headerContent: {
+        flexDirection: 'row',
+        justifyContent: 'space-between',
+        alignItems: 'center',
+        marginTop: 10,
+    },
+    menuButton: {
+        backgroundColor: 'rgba(255, 255, 255, 0.08)',
+        padding: 10,
+        borderRadius: 52,
+        borderWidth: 1,
+        borderColor: 'rgba(255, 255, 255, 0.1)',
+    },
+    headerTitle: {
+        fontSize: 20,
+        fontWeight: 'bold',
+        color: '#fff',
+        letterSpacing: 0.5,
+    },
+    addButtonPlaceholder: {
+        width: 44,
+        height: 44,
+    },
+    scrollView: {
+        flex: 1,
+    },
+    tabs: {
+        flexDirection: 'row',
+        backgroundColor: '#F0F1FF',
+        borderRadius: 10,
+        padding: 4,
+        marginHorizontal: 20,
+        marginTop: 8,
+    },
+    tab: {
+        flex: 1,
+        flexDirection: 'row',
+        justifyContent: 'center',
+        alignItems: 'center',
+        gap: 6,
+        paddingVertical: 8,
+        borderRadius: 8,
+    },
+    tabActive: {
+        backgroundColor: '#3a48c2',
+    },
+    tabText: {
+        fontSize: 14,
+        fontWeight: '600',
+        color: '#3a48c2',
+    },
+    tabTextActive: {
+        color: '#fff',
+    },
+    card: {
+        backgroundColor: '#fff',
+        margin: 20,
+        padding: 20,
+        borderRadius: 20,
+        elevation: 4,
+        shadowColor: '#000',
+        shadowOffset: { width: 0, height: 2 },
+        shadowOpacity: 0.1,
+        shadowRadius: 8,
+    },
+    cameraBox: {
+        height: 300,
+        borderRadius: 16,
+        overflow: 'hidden',
+        backgroundColor: '#000',
+        alignItems: 'center',
+        justifyContent: 'center',
+    },
+    scanFrame: {
+        width: 200,
+        height: 200,
+        borderWidth: 3,
+        borderColor: '#fff',
+        borderRadius: 16,
+    },
+    scanHint: {
+        position: 'absolute',
+        bottom: 12,
+        color: '#fff',
+        fontSize: 13,
+        fontWeight: '600',
+    },
+    cameraPlaceholder: {
+        alignItems: 'center',
+        paddingVertical: 40,
+        gap: 12,
+    },
+    placeholderText: {
+        fontSize: 14,
+        color: '#666',
+        textAlign: 'center',
+    },
+    label: {
+        fontSize: 13,
+        fontWeight: '600',
+        color: '#333',
+        marginBottom: 6,
+    },
+    input: {
+        backgroundColor: '#F5F7FA',
+        borderRadius: 10,
+        padding: 12,
+        borderWidth: 1,
+        borderColor: '#E0E0E0',
+        fontSize: 16,
+        color: '#1a1a1a',
+        marginBottom: 15,
+    },
+    primaryBtn: {
+        flexDirection: 'row',
+        alignItems: 'center',
+        justifyContent: 'center',
+        paddingVertical: 14,
+        borderRadius: 12,
+        gap: 8,
+        backgroundColor: '#3a48c2',
+    },
+    primaryBtnText: {
+        fontSize: 15,
+        fontWeight: 'bold',
+        color: '#fff',
+    },
+    secondaryBtn: {
+        paddingHorizontal: 20,
+        paddingVertical: 10,
+        borderRadius: 10,
+        backgroundColor: '#F0F1FF',
+    },
+    secondaryBtnText: {
+        fontSize: 14,
+        fontWeight: 'bold',
+        color: '#3a48c2',
+    },
+    statusBanner: {
+        flexDirection: 'row',
+        alignItems: 'center',
+        gap: 12,
+        padding: 14,
+        borderRadius: 14,
+    },
+    statusLabel: {
+        fontSize: 20,
+        fontWeight: 'bold',
+    },
+    statusInvoice: {
+        fontSize: 13,
+        color: '#444',
+        marginTop: 2,
+    },
+    reasons: {
+        marginTop: 10,
+        gap: 4,
+    },
+    reasonRow: {
+        flexDirection: 'row',
+        alignItems: 'center',
+        gap: 6,
+    },
+    reasonText: {
+        flex: 1,
+        fontSize: 13,
+        color: '#c2410c',
+        fontWeight: '600',
+    },
+    detailRow: {
+        flexDirection: 'row',
+        justifyContent: 'space-between',
+        paddingVertical: 8,
+        borderBottomWidth: 1,
+        borderBottomColor: '#f0f0f0',
+    },
+    detailLabel: {
+        fontSize: 13,
+        color: '#888',
+    },
+    detailValue: {
+        flex: 1,
+        textAlign: 'right',
+        marginLeft: 12,
+        fontSize: 13,
+        fontWeight: '600',
+        color: '#1a1a1a',
+    },
+    winningBox: {
+        flexDirection: 'row',
+        alignItems: 'center',
+        gap: 8,
+        marginTop: 14,
+        padding: 12,
+        borderRadius: 12,
+        backgroundColor: '#F5F7FA',
+    },
+    winningBoxWon: {
+        backgroundColor: '#DCFCE7',
+    },
+    winningText: {
+        flex: 1,
+        fontSize: 13,
+        fontWeight: '600',
+        color: '#1a1a1a',
+    },
+    sectionTitle: {
+        fontSize: 16,
+        fontWeight: 'bold',
+        color: '#1a1a1a',
+        marginTop: 16,
+        marginBottom: 6,
+    },
+    itemRow: {
+        flexDirection: 'row',
+        alignItems: 'center',
+        gap: 8,
+        marginTop: 6,
+        padding: 10,
+        borderRadius: 10,
+        backgroundColor: '#F5F7FA',
+    },
+    itemRowWon: {
+        backgroundColor: '#DCFCE7',
+    },
+    itemName: {
+        fontSize: 14,
+        fontWeight: '600',
+        color: '#1a1a1a',
+    },
+    itemDesc: {
+        fontSize: 13,
+        color: '#444',
+        marginTop: 2,
+    },
+    itemAmount: {
+        fontSize: 13,
+        fontWeight: 'bold',
+        color: '#3a48c2',
+    },
+    itemTag: {
+        fontSize: 11,
+        fontWeight: 'bold',
+        marginTop: 2,
+    },
+    payBtn: {
+        flexDirection: 'row',
+        alignItems: 'center',
+        gap: 4,
+        backgroundColor: '#059669',
+        borderRadius: 8,
+        paddingHorizontal: 10,
+        paddingVertical: 5,
+        marginTop: 6,
+    },
+    payBtnText: {
+        color: '#fff',
+        fontSize: 12,
+        fontWeight: 'bold',
+    },
+    struck: {
+        textDecorationLine: 'line-through',
+        color: '#999',
+    },
+});
+
+export default VerifyTicketScreen;
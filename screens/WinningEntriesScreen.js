@@ -0,0 +1,792 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { useFocusEffect } from '@react-navigation/native';
+import {
+    View,
+    Text,
+    StyleSheet,
+    ScrollView,
+    TouchableOpacity,
+    Platform,
+    ActivityIndicator,
+    RefreshControl,
+    ToastAndroid
+} from 'react-native';
+import MaterialCommunityIcons from 'react-native-vector-icons/MaterialCommunityIcons';
+import LinearGradient from 'react-native-linear-gradient';
+import DateTimePicker from '@react-native-community/datetimepicker';
+import { categoryService } from '../services/categoryService';
+import { winningService } from '../services/winningService';
+import { authService } from '../services';
+import { serverClock } from '../services/serverClock';
+import { getDrawPosition } from '../utils/drawPositions';
+import { summarizePayouts } from '../utils/payouts';
+import CancelWinningModal from '../components/CancelWinningModal';
+import PayWinnerModal from '../components/PayWinnerModal';
+import PayoutRow from '../components/PayoutRow';
+
+// rounds_data / positions may arrive JSON-encoded
+const parseList = (value) => {
+    let list = value;
+    while (typeof list === 'string') {
+        try { list = JSON.parse(list); } catch (e) { return []; }
+    }
+    return Array.isArray(list) ? list : [];
+};
+
+const formatCurrency = (amount) => '₹' + Math.round(parseFloat(amount) || 0).toLocaleString('en-IN');
+
+const formatDateForAPI = (date) => {
+    const year = date.getFullYear();
+    const month = String(date.getMonth() + 1).padStart(2, '0');
+    const day = String(date.getDate()).padStart(2, '0');
+    return `${year}-${month}-${day}`;
+};
+
+const formatDateTime = (dateStr) => {
+    if (!dateStr) return '-';
+    return new Date(dateStr).toLocaleString('en-IN', {
+        day: '2-digit', month: 'short', hour: '2-digit', minute: '2-digit', hour12: true
+    });
+};
+
+const getRoundLabel = (round) => {
+    if (round.label) return round.label;
+    if (round.digit_count === 0) return 'Index Match';
+    return round.digit_count === 1 ? 'Last Digit' : `Last ${round.digit_count} Digits`;
+};
+
+/**
+ * Submitted winning entries for a date, per category. Admins can cancel a
+ * wrong entry with a reason and re-check the draw on the Winning screen.
+ * An expanded entry lists its winners with their payout status, and
+ * winners still owed can be paid from here.
+ */
+const WinningEntriesScreen = ({ navigation }) => {
+    const [date, setDate] = useState(serverClock.now());
+    const [showDatePicker, setShowDatePicker] = useState(false);
+    const [categories, setCategories] = useState([]);
+    const [selectedCategoryId, setSelectedCategoryId] = useState(null); // null = All
+
+    const [entries, setEntries] = useState([]);
+    const [isLoading, setIsLoading] = useState(true);
+    const [isRefreshing, setIsRefreshing] = useState(false);
+    const [error, setError] = useState(null);
+    const [expandedId, setExpandedId] = useState(null);
+
+    const [isAdmin, setIsAdmin] = useState(false);
+    const [cancelTarget, setCancelTarget] = useState(null);
+
+    // Payout rows per entry id, loaded when the entry is expanded
+    const [payoutsByEntry, setPayoutsByEntry] = useState({});
+    const [loadingPayoutsId, setLoadingPayoutsId] = useState(null);
+    const [payTarget, setPayTarget] = useState(null);
+
+    useEffect(() => {
+        const load = async () => {
+            try {
+                const [adminCheck, response] = await Promise.all([
+                    authService.isAdmin(),
+                    categoryService.getActiveCategories()
+                ]);
+                setIsAdmin(adminCheck);
+                setCategories(response?.data?.categories || []);
+            } catch (err) {
+                console.error('Failed to load categories:', err);
+            }
+        };
+        load();
+    }, []);
+
+    const fetchEntries = useCallback(async (showLoader = true) => {
+        if (showLoader) setIsLoading(true);
+        setError(null);
+        try {
+            const response = await winningService.getWinningEntries(formatDateForAPI(date), selectedCategoryId);
+            setEntries(response?.data?.entries || []);
+        } catch (err) {
+            console.error('Fetch winning entries error:', err);
+            setError(err.response?.data?.message || err.message || 'Failed to load winning entries');
+        } finally {
+            setIsLoading(false);
+            setIsRefreshing(false);
+        }
+    }, [date, selectedCategoryId]);
+
+    // Refetch when returning from a re-check
+    useFocusEffect(
+        useCallback(() => {
+            fetchEntries();
+        }, [fetchEntries])
+    );
+
+    const loadPayouts = async (entryId) => {
+        setLoadingPayoutsId(entryId);
+        try {
+            const response = await winningService.getPayouts({ entryId });
+            setPayoutsByEntry(prev => ({ ...prev, [entryId]: response?.data?.payouts || [] }));
+        } catch (err) {
+            console.error('Fetch entry payouts error:', err);
+            if (Platform.OS === 'android') {
+                ToastAndroid.show('Failed to load payouts', ToastAndroid.SHORT);
+            }
+        } finally {
+            setLoadingPayoutsId(prev => (prev === entryId ? null : prev));
+        }
+    };
+
+    const toggleEntry = (entry) => {
+        const isExpanded = expandedId === entry.id;
+        setExpandedId(isExpanded ? null : entry.id);
+        if (!isExpanded && !entry.cancelled_at) loadPayouts(entry.id);
+    };
+
+    const handlePaid = (row) => {
+        setPayTarget(null);
+        setPayoutsByEntry(prev => ({
+            ...prev,
+            [row.entry_id]: (prev[row.entry_id] || []).map(p => (p.sale_id === row.sale_id ? row : p)),
+        }));
+    };
+
+    const shiftDate = (days) => {
+        const next = new Date(date);
+        next.setDate(next.getDate() + days);
+        setDate(next);
+    };
+
+    const handleCancelled = ({ entry }) => {
+        setCancelTarget(null);
+        if (Platform.OS === 'android') {
+            ToastAndroid.show(`Entry for ${entry.lottery_number} cancelled`, ToastAndroid.SHORT);
+        }
+        fetchEntries(false);
+    };
+
+    // Open the entry's draw again with its number and window filled in
+    const handleRecheck = (entry) => {
+        const recheck = {
+            category_id: entry.category_id,
+            lottery_number: entry.lottery_number,
+            window_start: entry.window_start,
+            window_end: entry.window_end,
+        };
+        const positions = parseList(entry.positions);
+        if (positions.length > 0) {
+            navigation.navigate('Draw Result', {
+                recheck: { ...recheck, positions: positions.map(p => ({ position: p.position, lottery_number: p.lottery_number })) }
+            });
+        } else {
+            navigation.navigate('Winning', { recheck });
+        }
+    };
+
+    const renderRounds = (rounds) => rounds.filter(r => r.count > 0).map((round, idx) => (
+        <View key={`${round.digit_count}-${idx}`} style={styles.roundRow}>
+            <Text style={styles.roundLabel}>
+                {getRoundLabel(round)}
+                {round.suffix ? <Text style={{ color: '#9CA3AF' }}> ({round.suffix})</Text> : null}
+            </Text>
+            <Text style={styles.roundCount}>{round.count}</Text>
+            <Text style={styles.roundAmount}>{formatCurrency(round.total_winning_amount)}</Text>
+        </View>
+    ));
+
+    const renderPayouts = (entry) => {
+        const payouts = payoutsByEntry[entry.id];
+        if (loadingPayoutsId === entry.id && !payouts) {
+            return <ActivityIndicator size="small" color="#3a48c2" style={{ marginTop: 10 }} />;
+        }
+        if (!payouts || payouts.length === 0) return null;
+        const summary = summarizePayouts(payouts);
+
+        return (
+            <View style={styles.payoutsBlock}>
+                <View style={styles.positionHeader}>
+                    <Text style={styles.positionLabel}>Payouts</Text>
+                    <Text style={styles.payoutsOutstanding}>
+                        {summary.outstanding > 0 ? `${formatCurrency(summary.outstanding)} due` : 'All paid'}
+                    </Text>
+                </View>
+                {payouts.map(payout => (
+                    <PayoutRow
+                        key={payout.sale_id}
+                        payout={payout}
+                        onPay={setPayTarget}
+                    />
+                ))}
+            </View>
+        );
+    };
+
+    const renderEntry = (entry) => {
+        const isCancelled = !!entry.cancelled_at;
+        const isExpanded = expandedId === entry.id;
+        const positions = parseList(entry.positions);
+        const rounds = parseList(entry.rounds_data);
+
+        return (
+            <View key={entry.id} style={[styles.entryCard, isCancelled && styles.entryCardCancelled]}>
+                <TouchableOpacity
+                    style={styles.entryHeader}
+                    onPress={() => toggleEntry(entry)}
+                    activeOpacity={0.7}
+                >
+                    <View style={{ flex: 1 }}>
+                        <View style={styles.entryTitleRow}>
+                            <Text style={styles.entryCategory}>{entry.category_name || 'Category'}</Text>
+                            <Text style={styles.entrySlot}>{entry.time_slot || ''}</Text>
+                            {isCancelled && (
+                                <View style={styles.cancelledBadge}>
+                                    <Text style={styles.cancelledBadgeText}>CANCELLED</Text>
+                                </View>
+                            )}
+                        </View>
+                        <Text style={[styles.entryNumber, isCancelled && styles.strikeThrough]}>
+                            {positions.length > 0
+                                ? positions.map(p => p.lottery_number).join(' · ')
+                                : entry.lottery_number}
+                        </Text>
+                    </View>
+                    <View style={{ alignItems: 'flex-end' }}>
+                        <Text style={[styles.entryAmount, isCancelled && styles.strikeThrough]}>
+                            {formatCurrency(entry.grand_total_winning_amount)}
+                        </Text>
+                        <Text style={styles.entryMeta}>{entry.total_winners || 0} winner(s)</Text>
+                    </View>
+                    <MaterialCommunityIcons
+                        name={isExpanded ? 'chevron-up' : 'chevron-down'}
+                        size={22}
+                        color="#666"
+                        style={{ marginLeft: 6 }}
+                    />
+                </TouchableOpacity>
+
+                {isExpanded && (
+                    <View style={styles.entryBody}>
+                        {positions.length > 0 ? positions.map(p => (
+                            <View key={`${p.position}-${p.lottery_number}`} style={styles.positionBlock}>
+                                <View style={styles.positionHeader}>
+                                    <Text style={styles.positionLabel}>
+                                        {getDrawPosition(p.position).label} · {p.lottery_number}
+                                    </Text>
+                                    <Text style={styles.positionAmount}>{formatCurrency(p.total_winning_amount)}</Text>
+                                </View>
+                                {renderRounds(parseList(p.rounds_data))}
+                            </View>
+                        )) : rounds.length > 0 ? renderRounds(rounds) : (
+                            <Text style={styles.noRoundsText}>No winners in this draw</Text>
+                        )}
+                        {!isCancelled && renderPayouts(entry)}
+                    </View>
+                )}
+
+                <View style={styles.entryFooter}>
+                    <Text style={styles.entryMeta}>
+                        By {entry.submitted_by || '-'} · {formatDateTime(entry.created_at)}
+                    </Text>
+                    {isAdmin && !isCancelled && (
+                        <TouchableOpacity style={styles.cancelButton} onPress={() => setCancelTarget(entry)}>
+                            <MaterialCommunityIcons name="trophy-broken" size={16} color="#dc2626" />
+                            <Text style={styles.cancelButtonText}>Cancel</Text>
+                        </TouchableOpacity>
+                    )}
+                    {isAdmin && isCancelled && (
+                        <TouchableOpacity style={styles.recheckButton} onPress={() => handleRecheck(entry)}>
+                            <MaterialCommunityIcons name="refresh" size={16} color="#3a48c2" />
+                            <Text style={styles.recheckButtonText}>Re-check</Text>
+                        </TouchableOpacity>
+                    )}
+                </View>
+
+                {isCancelled && (
+                    <Text style={styles.cancelReason}>
+                        Cancelled by {entry.cancelled_by || '-'} · {formatDateTime(entry.cancelled_at)}
+                        {entry.cancel_reason ? ` — ${entry.cancel_reason}` : ''}
+                    </Text>
+                )}
+            </View>
+        );
+    };
+
+    const activeEntries = entries.filter(e => !e.cancelled_at);
+    const totalPayout = activeEntries.reduce((sum, e) => sum + (parseFloat(e.grand_total_winning_amount) || 0), 0);
+
+    return (
+        <View style={styles.container}>
+            {/* Header */}
+            <LinearGradient
+                colors={['#3a48c2', '#2a38a0', '#192f6a']}
+                style={styles.headerBackground}
+                start={{ x: 0, y: 0 }}
+                end={{ x: 1, y: 1 }}
+            >
+                <View style={styles.decorativeCircle1} />
+                <View style={styles.decorativeCircle2} />
+
+                <View style={styles.headerContent}>
+                    <TouchableOpacity onPress={() => navigation.openDrawer()} style={styles.menuButton}>
+                        <MaterialCommunityIcons name="menu" size={24} color="#fff" />
+                    </TouchableOpacity>
+                    <Text style={styles.headerTitle}>Winning Entries</Text>
+                    <View style={styles.placeholder} />
+                </View>
+
+                {/* Date Selector */}
+                <View style={styles.dateRow}>
+                    <TouchableOpacity style={styles.dateArrow} onPress={() => shiftDate(-1)}>
+                        <MaterialCommunityIcons name="chevron-left" size={24} color="#fff" />
+                    </TouchableOpacity>
+                    <TouchableOpacity style={styles.dateButton} onPress={() => setShowDatePicker(true)}>
+                        <MaterialCommunityIcons name="calendar" size={18} color="#fff" />
+                        <Text style={styles.dateText}>
+                            {date.toLocaleDateString('en-IN', { day: '2-digit', month: 'short', year: 'numeric' })}
+                        </Text>
+                    </TouchableOpacity>
+                    <TouchableOpacity style={styles.dateArrow} onPress={() => shiftDate(1)}>
+                        <MaterialCommunityIcons name="chevron-right" size={24} color="#fff" />
+                    </TouchableOpacity>
+                </View>
+            </LinearGradient>
+
+            {showDatePicker && (
+                <DateTimePicker
+                    value={date}
+                    mode="date"
+                    display="default"
+                    onChange={(event, selectedDate) => {
+                        setShowDatePicker(false);
+                        if (selectedDate) setDate(selectedDate);
+                    }}
+                />
+            )}
+
+            {/* Category Filter */}
+            <View>
+                <ScrollView
+                    horizontal
+                    showsHorizontalScrollIndicator={false}
+                    contentContainerStyle={styles.categoryChips}
+                >
+                    {[{ id: null, category_name: 'All' }, ...categories].map(category => {
+                        const isSelected = selectedCategoryId === category.id;
+                        return (
+                            <TouchableOpacity
+                                key={category.id ?? 'all'}
+                                style={[styles.categoryChip, isSelected && styles.categoryChipActive]}
+                                onPress={() => setSelectedCategoryId(category.id)}
+                            >
+                                <Text style={[styles.categoryChipText, isSelected && styles.categoryChipTextActive]}>
+                                    {category.category_name}
+                                </Text>
+                            </TouchableOpacity>
+                        );
+                    })}
+                </ScrollView>
+            </View>
+
+            <ScrollView
+                style={styles.scrollView}
+                contentContainerStyle={styles.scrollContent}
+                refreshControl={
+                    <RefreshControl
+                        refreshing={isRefreshing}
+                        onRefresh={() => { setIsRefreshing(true); fetchEntries(false); }}
+                        colors={['#3a48c2']}
+                    />
+                }
+            >
+                {isLoading ? (
+                    <View style={styles.centerContainer}>
+                        <ActivityIndicator size="large" color="#3a48c2" />
+                    </View>
+                ) : error ? (
+                    <View style={styles.centerContainer}>
+                        <MaterialCommunityIcons name="alert-circle-outline" size={40} color="#dc2626" />
+                        <Text style={styles.errorText}>{error}</Text>
+                        <TouchableOpacity style={styles.retryButton} onPress={() => fetchEntries()}>
+                            <Text style={styles.retryButtonText}>Retry</Text>
+                        </TouchableOpacity>
+                    </View>
+                ) : entries.length === 0 ? (
+                    <View style={styles.centerContainer}>
+                        <MaterialCommunityIcons name="trophy-broken" size={60} color="#D1D5DB" />
+                        <Text style={styles.emptyText}>No winning entries submitted for this date</Text>
+                    </View>
+                ) : (
+                    <>
+                        <View style={styles.totalsCard}>
+                            <View>
+                                <Text style={styles.totalsLabel}>{activeEntries.length} active entr{activeEntries.length === 1 ? 'y' : 'ies'}</Text>
+                                {entries.length > activeEntries.length && (
+                                    <Text style={styles.totalsMeta}>{entries.length - activeEntries.length} cancelled</Text>
+                                )}
+                            </View>
+                            <Text style={styles.totalsAmount}>{formatCurrency(totalPayout)}</Text>
+                        </View>
+                        {entries.map(renderEntry)}
+                    </>
+                )}
+            </ScrollView>
+
+            <CancelWinningModal
+                visible={!!cancelTarget}
+                entry={cancelTarget}
+                onClose={() => setCancelTarget(null)}
+                onCancelled={handleCancelled}
+            />
+
+            <PayWinnerModal
+                visible={!!payTarget}
+                payout={payTarget}
+                navigation={navigation}
+                onClose={() => setPayTarget(null)}
+                onPaid={handlePaid}
+            />
+        </View>
+    );
+};
+
+const styles = StyleSheet.create({
+    container: {
+        flex: 1,
+        backgroundColor: '#F8F9FD',
+    },
+    headerBackground: {
+        paddingTop: Platform.OS === 'android' ? 20 : 20,
+        paddingBottom: 20,
+        paddingHorizontal: 20,
+        borderBottomLeftRadius: 30,
+        borderBottomRightRadius: 30,
+        marginBottom: 12,
+        position: 'relative',
+        overflow: 'hidden',
+        zIndex: 1,
+    },
+    decorativeCircle1: {
+        position: 'absolute',
+        width: 200,
+        height: 200,
+        borderRadius: 100,
+        backgroundColor: 'rgba(255, 255, 255, 0.05)',
+        top: -50,
+        right: -50,
+    },
+    decorativeCircle2: {
+        position: 'absolute',
+        width: 150,
+        height: 150,
+        borderRadius: 75,
+        backgroundColor: 'rgba(255, 255, 255, 0.05)',
+        bottom: -40,
+        left: -30,
+    },
+    headerContent: {
+        flexDirection: 'row',
+        alignItems: 'center',
+        justifyContent: 'space-between',
+    },
+    menuButton: {
+        width: 40,
+        height: 40,
+        borderRadius: 12,
+        backgroundColor: 'rgba(255, 255, 255, 0.15)',
+        justifyContent: 'center',
+        alignItems: 'center',
+    },
+    headerTitle: {
+        fontSize: 20,
+        fontWeight: 'bold',
+        color: '#fff',
+    },
+    placeholder: {
+        width: 40,
+    },
+    dateRow: {
+        flexDirection: 'row',
+        alignItems: 'center',
+        justifyContent: 'center',
+        marginTop: 16,
+        gap: 10,
+    },
+    dateArrow: {
+        width: 36,
+        height: 36,
+        borderRadius: 10,
+        backgroundColor: 'rgba(255, 255, 255, 0.15)',
+        justifyContent: 'center',
+        alignItems: 'center',
+    },
+    dateButton: {
+        flexDirection: 'row',
+        alignItems: 'center',
+        gap: 8,
+        backgroundColor: 'rgba(255, 255, 255, 0.15)',
+        borderRadius: 10,
+        paddingHorizontal: 16,
+        paddingVertical: 8,
+    },
+    dateText: {
+        fontSize: 15,
+        fontWeight: '600',
+        color: '#fff',
+    },
+    categoryChips: {
+        paddingHorizontal: 20,
+        paddingBottom: 8,
+        gap: 8,
+    },
+    categoryChip: {
+        backgroundColor: '#F0F1FF',
+        borderRadius: 16,
+        paddingHorizontal: 14,
+        paddingVertical: 7,
+    },
+    categoryChipActive: {
+        backgroundColor: '#3a48c2',
+    },
+    categoryChipText: {
+        fontSize: 13,
+        fontWeight: '600',
+        color: '#3a48c2',
+    },
+    categoryChipTextActive: {
+        color: '#fff',
+    },
+    scrollView: {
+        flex: 1,
+    },
+    scrollContent: {
+        paddingHorizontal: 20,
+        paddingBottom: 30,
+    },
+    centerContainer: {
+        alignItems: 'center',
+        paddingVertical: 60,
+    },
+    errorText: {
+        fontSize: 14,
+        color: '#dc2626',
+        textAlign: 'center',
+        marginTop: 10,
+    },
+    retryButton: {
+        marginTop: 14,
+        backgroundColor: '#3a48c2',
+        borderRadius: 10,
+        paddingHorizontal: 20,
+        paddingVertical: 10,
+    },
+    retryButtonText: {
+        color: '#fff',
+        fontWeight: '600',
+    },
+    emptyText: {
+        fontSize: 15,
+        color: '#999',
+        marginTop: 12,
+        textAlign: 'center',
+    },
+    totalsCard: {
+        flexDirection: 'row',
+        justifyContent: 'space-between',
+        alignItems: 'center',
+        backgroundColor: '#ECFDF5',
+        borderRadius: 16,
+        padding: 16,
+        marginTop: 4,
+        marginBottom: 14,
+        borderWidth: 1,
+        borderColor: '#A7F3D0',
+    },
+    totalsLabel: {
+        fontSize: 15,
+        fontWeight: '700',
+        color: '#065F46',
+    },
+    totalsMeta: {
+        fontSize: 12,
+        color: '#047857',
+        marginTop: 2,
+    },
+    totalsAmount: {
+        fontSize: 20,
+        fontWeight: '900',
+        color: '#059669',
+    },
+    entryCard: {
+        backgroundColor: '#fff',
+        borderRadius: 16,
+        padding: 16,
+        marginBottom: 12,
+        shadowColor: '#000',
+        shadowOffset: { width: 0, height: 2 },
+        shadowOpacity: 0.05,
+        shadowRadius: 8,
+        elevation: 2,
+    },
+    entryCardCancelled: {
+        backgroundColor: '#FAFAFA',
+        borderWidth: 1,
+        borderColor: '#FECACA',
+    },
+    entryHeader: {
+        flexDirection: 'row',
+        alignItems: 'center',
+    },
+    entryTitleRow: {
+        flexDirection: 'row',
+        alignItems: 'center',
+        gap: 8,
+    },
+    entryCategory: {
+        fontSize: 13,
+        fontWeight: '700',
+        color: '#3a48c2',
+    },
+    entrySlot: {
+        fontSize: 12,
+        color: '#666',
+    },
+    cancelledBadge: {
+        backgroundColor: '#FEE2E2',
+        borderRadius: 6,
+        paddingHorizontal: 6,
+        paddingVertical: 2,
+    },
+    cancelledBadgeText: {
+        fontSize: 10,
+        fontWeight: 'bold',
+        color: '#dc2626',
+    },
+    entryNumber: {
+        fontSize: 20,
+        fontWeight: '800',
+        color: '#1a1a1a',
+        letterSpacing: 1,
+        marginTop: 2,
+    },
+    entryAmount: {
+        fontSize: 17,
+        fontWeight: '800',
+        color: '#059669',
+    },
+    entryMeta: {
+        fontSize: 12,
+        color: '#666',
+        marginTop: 2,
+    },
+    strikeThrough: {
+        textDecorationLine: 'line-through',
+        color: '#9CA3AF',
+    },
+    entryBody: {
+        marginTop: 10,
+    },
+    positionBlock: {
+        marginBottom: 8,
+    },
+    positionHeader: {
+        flexDirection: 'row',
+        justifyContent: 'space-between',
+        backgroundColor: '#F0F1FF',
+        borderRadius: 8,
+        paddingHorizontal: 8,
+        paddingVertical: 6,
+    },
+    positionLabel: {
+        fontSize: 13,
+        fontWeight: '700',
+        color: '#3a48c2',
+    },
+    positionAmount: {
+        fontSize: 13,
+        fontWeight: '700',
+        color: '#059669',
+    },
+    roundRow: {
+        flexDirection: 'row',
+        alignItems: 'center',
+        paddingVertical: 7,
+        paddingHorizontal: 6,
+        borderBottomWidth: 1,
+        borderBottomColor: '#F3F4F6',
+    },
+    roundLabel: {
+        flex: 1,
+        fontSize: 13,
+        fontWeight: '600',
+        color: '#374151',
+    },
+    roundCount: {
+        width: 40,
+        textAlign: 'center',
+        fontSize: 13,
+        fontWeight: '700',
+        color: '#3a48c2',
+    },
+    roundAmount: {
+        width: 90,
+        textAlign: 'right',
+        fontSize: 13,
+        fontWeight: '700',
+        color: '#111827',
+    },
+    payoutsBlock: {
+        marginTop: 8,
+    },
+    payoutsOutstanding: {
+        fontSize: 13,
+        fontWeight: '700',
+        color: '#c2410c',
+    },
+    noRoundsText: {
+        fontSize: 13,
+        color: '#999',
+    },
+    entryFooter: {
+        flexDirection: 'row',
+        alignItems: 'center',
+        justifyContent: 'space-between',
+        marginTop: 10,
+        paddingTop: 10,
+        borderTopWidth: 1,
+        borderTopColor: '#F3F4F6',
+    },
+    cancelButton: {
+        flexDirection: 'row',
+        alignItems: 'center',
+        gap: 4,
+        borderWidth: 1,
+        borderColor: '#FECACA',
+        borderRadius: 8,
+        paddingHorizontal: 10,
+        paddingVertical: 5,
+    },
+    cancelButtonText: {
+        fontSize: 13,
+        fontWeight: '600',
+        color: '#dc2626',
+    },
+    recheckButton: {
+        flexDirection: 'row',
+        alignItems: 'center',
+        gap: 4,
+        borderWidth: 1,
+        borderColor: '#3a48c2',
+        borderRadius: 8,
+        paddingHorizontal: 10,
+        paddingVertical: 5,
+    },
+    recheckButtonText: {
+        fontSize: 13,
+        fontWeight: '600',
+        color: '#3a48c2',
+    },
+    cancelReason: {
+        fontSize: 12,
+        color: '#b91c1c',
+        marginTop: 8,
+    },
+});
+
+export default WinningEntriesScreen;
@@ -1,4 +1,4 @@
-import React, { useState, useEffect, useCallback } from 'react';
+import React, { useState, useEffect, useCallback, useRef } from 'react';
 import { useFocusEffect } from '@react-navigation/native';
 import {
     View,
@@ -17,9 +17,35 @@ import MaterialCommunityIcons from 'react-native-vector-icons/MaterialCommunityI
 import LinearGradient from 'react-native-linear-gradient';
 import { categoryService } from '../services/categoryService';
 import { winningService } from '../services/winningService';
+import { productService } from '../services/productService';
 import { authService } from '../services';
+import { serverClock } from '../services/serverClock';
+import { getIndexPositions, getBetLabel } from '../utils/betTypes';
+import { computeWinnings, compareWinnings, getMatchKey } from '../utils/winningEngine';
+import { toRoundsData } from '../utils/drawPositions';
+import ClockSkewBanner from '../components/ClockSkewBanner';
+import PrinterService from '../printer/PrinterService';
+import { formatWinningResultReceipt } from '../printer/cpclReceiptFormatter';
+import RNHTMLtoPDF from 'react-native-html-to-pdf';
+import Share from 'react-native-share';
 
-const WinningScreen = ({ navigation }) => {
+// rounds_data of a saved entry may arrive JSON-encoded
+const parseRoundsData = (value) => {
+    let rounds = value;
+    while (typeof rounds === 'string') {
+        try { rounds = JSON.parse(rounds); } catch (e) { return []; }
+    }
+    return Array.isArray(rounds) ? rounds : [];
+};
+
+// Match type label of a round: index, exact (full length) or last N digits
+const getRoundLabel = (digitCount, inputLength) => {
+    if (digitCount === 0) return 'Index Match';
+    if (digitCount === inputLength) return 'Exact Match';
+    return digitCount === 1 ? 'Last Digit' : `Last ${digitCount} Digits`;
+};
+
+const WinningScreen = ({ navigation, route }) => {
     const [categories, setCategories] = useState([]);
     const [isLoading, setIsLoading] = useState(true);
     const [isSubmitting, setIsSubmitting] = useState(false);
@@ -35,9 +61,27 @@ const WinningScreen = ({ navigation }) => {
 
     // Submission state
     const [isSubmittingEntry, setIsSubmittingEntry] = useState(false);
+    const [isPrinting, setIsPrinting] = useState(false);
+    const [isSharing, setIsSharing] = useState(false);
+
+    // On-device cross-check of the server result:
+    // { status: 'checking' | 'ok' | 'mismatch' | 'error', expected, diff, message }
+    const [audit, setAudit] = useState(null);
+    // Only the latest cross-check may update the screen
+    const auditIdRef = useRef(0);
+
+    const clearAudit = () => {
+        auditIdRef.current += 1;
+        setAudit(null);
+    };
 
-    // Existing submitted winning entry for the selected category/slot
+    // Existing submitted winning entry for the selected category/slot —
+    // while one exists the window is read-only
     const [existingEntry, setExistingEntry] = useState(null);
+    const [isEntryLoading, setIsEntryLoading] = useState(false);
+
+    // Past draw window being re-checked (from Winning Entries); null = current window
+    const [recheckWindow, setRecheckWindow] = useState(null);
 
     // Permission state
     const [permissions, setPermissions] = useState({
@@ -87,12 +131,32 @@ const WinningScreen = ({ navigation }) => {
         }, [fetchCategories, handleReset])
     );
 
+    // Re-check of a cancelled entry: fill in its category, number and window
+    const recheck = route?.params?.recheck;
+    useEffect(() => {
+        if (!recheck || categories.length === 0) return;
+        const category = categories.find(c => c.id === recheck.category_id);
+        if (category) {
+            setSelectedCategory(category);
+            setLotteryNumber(recheck.lottery_number || '');
+            setRecheckWindow(recheck.window_start && recheck.window_end
+                ? { start: new Date(recheck.window_start), end: new Date(recheck.window_end) }
+                : null);
+            setResults(null);
+            setShowResults(false);
+            clearAudit();
+        }
+        navigation.setParams({ recheck: undefined });
+    }, [recheck, categories, navigation]);
+
     const handleCategorySelect = (category) => {
         setSelectedCategory(category);
         setShowDropdown(false);
+        setRecheckWindow(null);
         // Clear previous results when category changes
         setResults(null);
         setShowResults(false);
+        clearAudit();
     };
 
     const getTimeSlotDisplay = () => {
@@ -131,7 +195,7 @@ const WinningScreen = ({ navigation }) => {
             return null;
         }
 
-        const now = new Date();
+        const now = serverClock.now();
         const windowEnd = new Date(now.getFullYear(), now.getMonth(), now.getDate(), hours, minutes, 0, 0);
         const windowStart = new Date(windowEnd);
         windowStart.setDate(windowStart.getDate() - 1);
@@ -139,12 +203,46 @@ const WinningScreen = ({ navigation }) => {
         return { start: windowStart, end: windowEnd };
     };
 
+    // Window being worked on: the re-checked one or the category's current one
+    const getWindowDates = () => recheckWindow || calculateWindowDates(selectedCategory);
+
+    /**
+     * Look up an entry already submitted for the selected window
+     */
+    const loadExistingEntry = useCallback(async (category, windowDates, isStale = () => false) => {
+        if (!category || !windowDates) {
+            setExistingEntry(null);
+            return;
+        }
+        setIsEntryLoading(true);
+        try {
+            const response = await winningService.getEntryForWindow(
+                category.id,
+                windowDates.start.toISOString(),
+                windowDates.end.toISOString()
+            );
+            const entry = response?.data || null;
+            if (!isStale()) setExistingEntry(entry && !entry.cancelled_at ? entry : null);
+        } catch (error) {
+            console.error('Load winning entry error:', error);
+            if (!isStale()) setExistingEntry(null);
+        } finally {
+            if (!isStale()) setIsEntryLoading(false);
+        }
+    }, []);
+
+    useEffect(() => {
+        let stale = false;
+        loadExistingEntry(selectedCategory, recheckWindow || calculateWindowDates(selectedCategory), () => stale);
+        return () => { stale = true; };
+    }, [selectedCategory, recheckWindow, loadExistingEntry]);
+
     /**
      * Calculate the display-friendly time window on the frontend
      * so users can see the range BEFORE submitting
      */
     const getTimeWindowPreview = () => {
-        const windowDates = calculateWindowDates(selectedCategory);
+        const windowDates = getWindowDates();
         if (!windowDates) return null;
 
         return {
@@ -165,6 +263,11 @@ const WinningScreen = ({ navigation }) => {
             return;
         }
 
+        if (existingEntry) {
+            Alert.alert('Already Submitted', 'This draw already has a winning entry. Cancel it from Winning Entries to check again.');
+            return;
+        }
+
         if (!lotteryNumber.trim()) {
             Alert.alert('Validation Error', 'Please enter lottery number');
             return;
@@ -173,18 +276,24 @@ const WinningScreen = ({ navigation }) => {
         setIsSubmitting(true);
         setResults(null);
         setShowResults(false);
+        clearAudit();
 
         try {
             const payload = {
                 category_id: selectedCategory.id,
                 lottery_number: lotteryNumber.trim()
             };
+            if (recheckWindow) {
+                payload.window_start = recheckWindow.start.toISOString();
+                payload.window_end = recheckWindow.end.toISOString();
+            }
 
             const response = await winningService.checkWinning(payload);
 
             if (response && response.data) {
                 setResults(response.data);
                 setShowResults(true);
+                runAudit(response.data);
             }
         } catch (error) {
             console.error('Check winning error:', error);
@@ -194,40 +303,84 @@ const WinningScreen = ({ navigation }) => {
         }
     };
 
+    /**
+     * Recompute the result from the window's sales and compare it with the
+     * server's (utils/winningEngine). Differences are shown before submitting.
+     */
+    const runAudit = async (serverResult) => {
+        if (!serverResult?.window) {
+            setAudit({ status: 'error', message: 'Server result has no draw window' });
+            return;
+        }
+        const auditId = ++auditIdRef.current;
+        setAudit({ status: 'checking' });
+        try {
+            const [salesRes, productsRes] = await Promise.all([
+                winningService.getWindowSales(serverResult.category_id, serverResult.window.start, serverResult.window.end),
+                productService.getAllProducts(),
+            ]);
+            const expected = computeWinnings({
+                winningNumber: serverResult.lottery_number,
+                sales: salesRes?.data?.sales || [],
+                products: productsRes?.data?.products || [],
+            });
+            const diff = compareWinnings(expected, serverResult);
+            if (auditId !== auditIdRef.current) return;
+            setAudit({ status: diff.ok ? 'ok' : 'mismatch', expected, diff });
+        } catch (error) {
+            console.error('Winning cross-check error:', error);
+            if (auditId !== auditIdRef.current) return;
+            setAudit({ status: 'error', message: error.response?.data?.message || error.message || 'Could not load the window sales' });
+        }
+    };
+
     const handleReset = useCallback(() => {
         setSelectedCategory(null);
+        setRecheckWindow(null);
+        setExistingEntry(null);
         setLotteryNumber('');
         setResults(null);
         setShowResults(false);
+        clearAudit();
     }, []);
 
     /**
-     * Submit the winning entry — saves checked results to the database.
+     * Submit the winning entry once the cross-check has run.
+     * A mismatch or a failed cross-check needs an explicit confirmation.
      */
-    const handleSubmitWinning = async () => {
+    const handleSubmitWinning = () => {
         if (!results) {
             Alert.alert('Error', 'Please check a winning number first.');
             return;
         }
+        if (!audit || audit.status === 'checking') {
+            Alert.alert('Please Wait', 'The result is still being cross-checked.');
+            return;
+        }
+        if (audit.status === 'ok') {
+            submitWinningEntry();
+            return;
+        }
 
+        const message = audit.status === 'mismatch'
+            ? `The server result differs from the on-device check in ${audit.diff.problems.length} place(s). Submit the server result anyway?`
+            : `The result could not be cross-checked (${audit.message}). Submit the server result anyway?`;
+        Alert.alert(
+            'Result Not Verified',
+            message,
+            [
+                { text: 'Cancel', style: 'cancel' },
+                { text: 'Submit Anyway', style: 'destructive', onPress: submitWinningEntry }
+            ]
+        );
+    };
+
+    /**
+     * Save the checked results to the database.
+     */
+    const submitWinningEntry = async () => {
         setIsSubmittingEntry(true);
         try {
-            const roundsSummary = results.rounds
-                ?.filter(r => r.count > 0)
-                .map(r => ({
-                    digit_count: r.digit_count,
-                    label: r.label,
-                    suffix: r.suffix,
-                    count: r.count,
-                    total_winning_amount: r.total_winning_amount,
-                    matches: (r.matches || []).map(m => ({
-                        sold_by: m.sold_by || '-',
-                        total_winning_amount: m.total_winning_amount || 0,
-                        lottery_number: m.lottery_number || '',
-                        qty: m.qty || 1,
-                    }))
-                })) || [];
-
             const payload = {
                 category_id: results.category_id,
                 lottery_number: results.lottery_number,
@@ -236,7 +389,7 @@ const WinningScreen = ({ navigation }) => {
                 window_end: results.window.end,
                 total_winners: results.total_winners || 0,
                 grand_total_winning_amount: results.grand_total_winning_amount || 0,
-                rounds_data: roundsSummary
+                rounds_data: toRoundsData(results.rounds)
             };
 
             const response = await winningService.submitWinning(payload);
@@ -246,6 +399,10 @@ const WinningScreen = ({ navigation }) => {
                     ToastAndroid.show('Winning entry submitted successfully!', ToastAndroid.SHORT);
                 }
                 Alert.alert('Success', 'Winning entry submitted successfully.');
+                setResults(null);
+                setShowResults(false);
+                clearAudit();
+                loadExistingEntry(selectedCategory, getWindowDates());
             }
         } catch (error) {
             console.error('Submit winning error:', error);
@@ -256,6 +413,190 @@ const WinningScreen = ({ navigation }) => {
         }
     };
 
+    // Rounds with matches, labelled the way the summary table shows them
+    const getPrintableRounds = () => {
+        const inputLength = results.input_length || results.lottery_number.length;
+        return (results.rounds || [])
+            .filter(round => round.count > 0)
+            .map(round => ({
+                ...round,
+                label: getRoundLabel(round.digit_count, inputLength),
+                suffix: round.digit_count === 0 ? '' : round.suffix,
+            }));
+    };
+
+    // Print the checked result slip
+    const handlePrintResult = () => {
+        if (!results) {
+            Alert.alert('No Data', 'Check a number first to print its result.');
+            return;
+        }
+
+        Alert.alert(
+            'Print Result',
+            'Are you sure you want to print the winning result?',
+            [
+                { text: 'Cancel', style: 'cancel' },
+                {
+                    text: 'Print',
+                    onPress: async () => {
+                        setIsPrinting(true);
+                        try {
+                            const { user: userData } = await authService.getAuthData();
+                            const receiptBytes = formatWinningResultReceipt({
+                                username: userData?.name || userData?.username || 'User',
+                                categoryName: selectedCategory?.category_name,
+                                timeSlot: results.time_slot,
+                                drawDate: results.window?.end,
+                                winningNumber: results.lottery_number,
+                                rounds: getPrintableRounds(),
+                                totalWinners: results.total_winners || 0,
+                                grandTotal: results.grand_total_winning_amount || 0,
+                            }, '80');
+
+                            await PrinterService.printWithPersistentConnection(receiptBytes);
+
+                            if (Platform.OS === 'android') {
+                                ToastAndroid.show('Result printed successfully!', ToastAndroid.SHORT);
+                            }
+                        } catch (error) {
+                            console.error('[Print Result] Error:', error);
+                            const msg = error.message || 'Failed to print result';
+
+                            if (msg.includes('No printer configured')) {
+                                Alert.alert(
+                                    'No Printer',
+                                    'No printer configured. Would you like to set up a printer?',
+                                    [
+                                        { text: 'Later', style: 'cancel' },
+                                        { text: 'Setup', onPress: () => navigation.navigate('PrinterSettings') }
+                                    ]
+                                );
+                            } else if (Platform.OS === 'android') {
+                                ToastAndroid.show(`Print: ${msg}`, ToastAndroid.LONG);
+                            }
+                        } finally {
+                            setIsPrinting(false);
+                        }
+                    }
+                }
+            ]
+        );
+    };
+
+    // Generate A4 PDF of the checked result and share via WhatsApp
+    const handleWhatsAppShare = async () => {
+        if (!results) {
+            Alert.alert('No Data', 'Check a number first to share its result.');
+            return;
+        }
+
+        setIsSharing(true);
+        try {
+            const categoryName = selectedCategory?.category_name || '';
+            const drawLabel = results.window?.end
+                ? new Date(results.window.end).toLocaleDateString('en-IN', { day: '2-digit', month: 'short', year: 'numeric' })
+                : '';
+
+            const roundSections = getPrintableRounds().map(round => {
+                const matchRows = (round.matches || []).map((match, index) => {
+                    const bgColor = index % 2 === 0 ? '#ffffff' : '#f8f9fd';
+                    const betLabel = getBetLabel(match);
+                    return `
+                        <tr style="background-color: ${bgColor};">
+                            <td style="padding: 8px 12px; border-bottom: 1px solid #eee; font-size: 13px; color: #555;">${index + 1}</td>
+                            <td style="padding: 8px 12px; border-bottom: 1px solid #eee; font-size: 13px; color: #555;">${match.invoice_number || '-'}</td>
+                            <td style="padding: 8px 12px; border-bottom: 1px solid #eee; font-size: 14px; color: #1a1a1a; font-weight: 600;">${match.lottery_number || '-'}</td>
+                            <td style="padding: 8px 12px; border-bottom: 1px solid #eee; font-size: 13px; color: #555;">${match.product_name || '-'}${betLabel ? ` ${betLabel}` : ''}</td>
+                            <td style="padding: 8px 12px; border-bottom: 1px solid #eee; font-size: 13px; color: #555;">${match.sold_by || '-'}</td>
+                            <td style="padding: 8px 12px; border-bottom: 1px solid #eee; font-size: 13px; color: #555; text-align: right;">${match.qty || 0}</td>
+                            <td style="padding: 8px 12px; border-bottom: 1px solid #eee; font-size: 13px; color: #189b39; text-align: right; font-weight: 700;">${Math.round(match.total_winning_amount || 0).toLocaleString('en-IN')}</td>
+                        </tr>
+                    `;
+                }).join('');
+
+                return `
+                    <div style="margin-bottom: 24px;">
+                        <div style="background: #3a48c2; padding: 12px 18px; border-radius: 8px 8px 0 0; display: flex; justify-content: space-between;">
+                            <span style="font-size: 15px; font-weight: 700; color: #fff;">${round.label}${round.suffix ? ` (${round.suffix})` : ''}</span>
+                            <span style="font-size: 14px; font-weight: 700; color: #fff;">${round.count} | ₹${Math.round(round.total_winning_amount || 0).toLocaleString('en-IN')}</span>
+                        </div>
+                        <table style="width: 100%; border-collapse: collapse; box-shadow: 0 1px 4px rgba(0,0,0,0.06); border-radius: 0 0 8px 8px; overflow: hidden; border: 1px solid #eee;">
+                            <thead>
+                                <tr style="background: #f0f2ff;">
+                                    <th style="padding: 8px 12px; font-size: 12px; font-weight: 700; color: #3a48c2; text-transform: uppercase; text-align: left;">#</th>
+                                    <th style="padding: 8px 12px; font-size: 12px; font-weight: 700; color: #3a48c2; text-transform: uppercase; text-align: left;">Invoice</th>
+                                    <th style="padding: 8px 12px; font-size: 12px; font-weight: 700; color: #3a48c2; text-transform: uppercase; text-align: left;">Number</th>
+                                    <th style="padding: 8px 12px; font-size: 12px; font-weight: 700; color: #3a48c2; text-transform: uppercase; text-align: left;">Product</th>
+                                    <th style="padding: 8px 12px; font-size: 12px; font-weight: 700; color: #3a48c2; text-transform: uppercase; text-align: left;">Seller</th>
+                                    <th style="padding: 8px 12px; font-size: 12px; font-weight: 700; color: #3a48c2; text-transform: uppercase; text-align: right;">Qty</th>
+                                    <th style="padding: 8px 12px; font-size: 12px; font-weight: 700; color: #3a48c2; text-transform: uppercase; text-align: right;">Amount</th>
+                                </tr>
+                            </thead>
+                            <tbody>${matchRows}</tbody>
+                        </table>
+                    </div>
+                `;
+            }).join('');
+
+            const htmlContent = `
+                <html>
+                <head>
+                    <meta charset="utf-8">
+                    <style>
+                        @page { size: A4; margin: 15mm; }
+                        body { font-family: 'Helvetica Neue', Helvetica, Arial, sans-serif; color: #222; margin: 0; padding: 0; }
+                    </style>
+                </head>
+                <body>
+                    <div style="background: linear-gradient(135deg, #3a48c2, #192f6a); color: #fff; padding: 20px 24px; border-radius: 12px; margin-bottom: 20px;">
+                        <h1 style="margin: 0 0 6px 0; font-size: 22px; font-weight: 700;">Winning Result</h1>
+                        <p style="margin: 0; font-size: 14px; opacity: 0.85;">${categoryName} | ${results.time_slot || ''}${drawLabel ? ` | ${drawLabel}` : ''}</p>
+                    </div>
+
+                    <div style="display: flex; justify-content: space-between; background: #fff; border: 1px solid #f0f0f5; box-shadow: 0 2px 8px rgba(0,0,0,0.05); border-radius: 10px; padding: 16px 20px; margin-bottom: 24px; font-size: 15px;">
+                        <span>Winning No: <strong style="color: #3a48c2;">${results.lottery_number}</strong></span>
+                        <span>Winners: <strong style="color: #3a48c2;">${results.total_winners || 0}</strong></span>
+                        <span>Grand Total: <strong style="color: #189b39;">₹${Math.round(results.grand_total_winning_amount || 0).toLocaleString('en-IN')}</strong></span>
+                    </div>
+
+                    ${roundSections || '<p style="font-size: 14px; color: #666;">No sales match this lottery number in the draw window.</p>'}
+                </body>
+                </html>
+            `;
+
+            const pdfOptions = {
+                html: htmlContent,
+                fileName: `Winning_Result_${Date.now()}`,
+                directory: 'Documents',
+                base64: false,
+                height: 842,
+                width: 595,
+            };
+
+            const pdf = await RNHTMLtoPDF.convert(pdfOptions);
+
+            if (pdf.filePath) {
+                await Share.open({
+                    url: `file://${pdf.filePath}`,
+                    type: 'application/pdf',
+                    social: Share.Social.WHATSAPP,
+                    title: 'Winning Result',
+                    message: `Winning Result ${categoryName} ${results.time_slot || ''} - ${results.lottery_number}`,
+                });
+            }
+        } catch (error) {
+            if (error?.message !== 'User did not share' && !error?.message?.includes('dismiss')) {
+                console.error('[WhatsApp Share] Error:', error);
+                if (Platform.OS === 'android') {
+                    ToastAndroid.show('Failed to share report', ToastAndroid.SHORT);
+                }
+            }
+        } finally {
+            setIsSharing(false);
+        }
+    };
+
     const formatDateTime = (dateStr) => {
         if (!dateStr) return '-';
         const d = new Date(dateStr);
@@ -321,8 +662,10 @@ const WinningScreen = ({ navigation }) => {
             matchedPart = lotteryNum.slice(prefixLength);
         }
 
+        const isMismatch = audit?.diff?.matchKeys.has(getMatchKey(item));
+
         return (
-            <View style={styles.saleItem}>
+            <View style={[styles.saleItem, isMismatch && styles.mismatchBorder]}>
                 <View style={styles.saleItemHeader}>
                     <View style={styles.saleIndexBadge}>
                         <Text style={styles.saleIndexText}>{index + 1}</Text>
@@ -354,12 +697,7 @@ const WinningScreen = ({ navigation }) => {
                             {isIndexMatch ? (
                                 (() => {
                                     const winningNum = results?.lottery_number || '';
-                                    const type = item.index_type?.toUpperCase() || '';
-                                    const len = winningNum.length;
-                                    const highlightedIndices = [];
-                                    if (type.includes('A') && len >= 3) highlightedIndices.push(len - 3);
-                                    if (type.includes('B') && len >= 2) highlightedIndices.push(len - 2);
-                                    if (type.includes('C') && len >= 1) highlightedIndices.push(len - 1);
+                                    const highlightedIndices = getIndexPositions(item.index_type, winningNum.length);
 
                                     return (
                                         <>
@@ -422,6 +760,51 @@ const WinningScreen = ({ navigation }) => {
         );
     };
 
+    const renderAuditBanner = () => {
+        if (audit.status === 'checking') {
+            return (
+                <View style={[styles.auditBanner, { backgroundColor: '#F0F1FF' }]}>
+                    <ActivityIndicator size="small" color="#3a48c2" />
+                    <Text style={[styles.auditTitle, { color: '#3a48c2' }]}>Cross-checking on this device...</Text>
+                </View>
+            );
+        }
+        if (audit.status === 'ok') {
+            return (
+                <View style={[styles.auditBanner, { backgroundColor: '#ECFDF5' }]}>
+                    <MaterialCommunityIcons name="shield-check" size={22} color="#059669" />
+                    <Text style={[styles.auditTitle, { color: '#059669' }]}>
+                        Cross-check matches: {audit.expected.total_winners} winner(s), ₹{Math.round(audit.expected.grand_total_winning_amount).toLocaleString('en-IN')}
+                    </Text>
+                </View>
+            );
+        }
+        if (audit.status === 'error') {
+            return (
+                <View style={[styles.auditBanner, { backgroundColor: '#FFF7ED' }]}>
+                    <MaterialCommunityIcons name="shield-alert-outline" size={22} color="#c2410c" />
+                    <Text style={[styles.auditTitle, { color: '#c2410c' }]}>Cross-check not run: {audit.message}</Text>
+                </View>
+            );
+        }
+        return (
+            <View style={[styles.auditBanner, styles.auditBannerMismatch]}>
+                <View style={{ flexDirection: 'row', alignItems: 'center', gap: 8 }}>
+                    <MaterialCommunityIcons name="shield-alert" size={22} color="#dc2626" />
+                    <Text style={[styles.auditTitle, { color: '#dc2626' }]}>
+                        Server result differs from the on-device check
+                    </Text>
+                </View>
+                <Text style={styles.auditExpected}>
+                    Expected: {audit.expected.total_winners} winner(s), ₹{Math.round(audit.expected.grand_total_winning_amount).toLocaleString('en-IN')}
+                </Text>
+                {audit.diff.problems.map((problem, idx) => (
+                    <Text key={idx} style={styles.auditProblem}>• {problem}</Text>
+                ))}
+            </View>
+        );
+    };
+
     if (isLoading) {
         return (
             <View style={styles.loadingContainer}>
@@ -452,6 +835,8 @@ const WinningScreen = ({ navigation }) => {
                 </View>
             </LinearGradient>
 
+            <ClockSkewBanner />
+
             <ScrollView style={styles.scrollView} keyboardShouldPersistTaps="handled">
                 {!permissions.view ? (
                     <View style={styles.noPermissionContainer}>
@@ -544,7 +929,19 @@ const WinningScreen = ({ navigation }) => {
                                 </View>
                             )}
 
-                            {/* Existing Entry Banner */}
+                            {/* Re-check Notice */}
+                            {recheckWindow && (
+                                <View style={styles.recheckNotice}>
+                                    <MaterialCommunityIcons name="history" size={18} color="#b45309" />
+                                    <Text style={styles.recheckNoticeText}>Re-checking a past draw window</Text>
+                                </View>
+                            )}
+
+                            {isEntryLoading && (
+                                <ActivityIndicator size="small" color="#3a48c2" style={{ marginBottom: 15 }} />
+                            )}
+
+                            {/* Existing Entry Banner — the window is read-only */}
                             {existingEntry && (
                                 <View style={styles.existingEntryBanner}>
                                     <View style={{ flexDirection: 'row', alignItems: 'center', marginBottom: 6 }}>
@@ -562,53 +959,80 @@ const WinningScreen = ({ navigation }) => {
                                             Payout: ₹{parseFloat(existingEntry.grand_total_winning_amount || 0).toLocaleString('en-IN')}
                                         </Text>
                                     </View>
+                                    {parseRoundsData(existingEntry.rounds_data).filter(r => r.count > 0).map((round, idx) => (
+                                        <View key={`${round.digit_count}-${idx}`} style={styles.existingEntryRound}>
+                                            <Text style={styles.existingEntryRoundLabel}>
+                                                {round.label || (round.digit_count === 0 ? 'Index Match' : `Last ${round.digit_count} Digits`)}
+                                                {round.suffix ? ` (${round.suffix})` : ''}
+                                            </Text>
+                                            <Text style={styles.existingEntryRoundCount}>{round.count}</Text>
+                                            <Text style={styles.existingEntryRoundAmount}>
+                                                ₹{(parseFloat(round.total_winning_amount) || 0).toLocaleString('en-IN')}
+                                            </Text>
+                                        </View>
+                                    ))}
+                                    <TouchableOpacity
+                                        style={styles.existingEntryLink}
+                                        onPress={() => navigation.navigate('Winning Entries')}
+                                    >
+                                        <Text style={styles.existingEntryLinkText}>View in Winning Entries</Text>
+                                        <MaterialCommunityIcons name="chevron-right" size={18} color="#059669" />
+                                    </TouchableOpacity>
                                 </View>
                             )}
 
-                            {/* Lottery Number Input */}
-                            <View style={styles.inputGroup}>
-                                <Text style={styles.label}>Lottery Number *</Text>
-                                <TextInput
-                                    style={styles.input}
-                                    placeholder="Enter lottery number"
-                                    value={lotteryNumber}
-                                    onChangeText={(text) => {
-                                        setLotteryNumber(text);
-                                        // Clear results when number changes
-                                        if (showResults) {
-                                            setResults(null);
-                                            setShowResults(false);
-                                        }
-                                    }}
-                                    placeholderTextColor="#999"
-                                    keyboardType="default"
-                                />
-                            </View>
+                            {/* Lottery Number Input — hidden once the window has an entry */}
+                            {!existingEntry && (
+                                <>
+                                    <View style={styles.inputGroup}>
+                                        <Text style={styles.label}>Lottery Number *</Text>
+                                        <TextInput
+                                            style={styles.input}
+                                            placeholder="Enter lottery number"
+                                            value={lotteryNumber}
+                                            onChangeText={(text) => {
+                                                setLotteryNumber(text);
+                                                // Clear results when number changes
+                                                if (showResults) {
+                                                    setResults(null);
+                                                    setShowResults(false);
+                                                    clearAudit();
+                                                }
+                                            }}
+                                            placeholderTextColor="#999"
+                                            keyboardType="default"
+                                        />
+                                    </View>
 
-                            {/* Action Buttons */}
-                            <View style={styles.buttonRow}>
-                                <TouchableOpacity
-                                    style={[styles.submitButton, isSubmitting && styles.submitButtonDisabled]}
-                                    onPress={handleSubmit}
-                                    disabled={isSubmitting}
-                                >
-                                    {isSubmitting ? (
-                                        <ActivityIndicator color="#fff" />
-                                    ) : (
-                                        <>
-                                            <MaterialCommunityIcons name="magnify" size={20} color="#fff" />
-                                            <Text style={styles.submitButtonText}>Check</Text>
-                                        </>
-                                    )}
-                                </TouchableOpacity>
+                                    {/* Action Buttons */}
+                                    <View style={styles.buttonRow}>
+                                        <TouchableOpacity
+                                            style={[styles.submitButton, isSubmitting && styles.submitButtonDisabled]}
+                                            onPress={handleSubmit}
+                                            disabled={isSubmitting}
+                                        >
+                                            {isSubmitting ? (
+                                                <ActivityIndicator color="#fff" />
+                                            ) : (
+                                                <>
+                                                    <MaterialCommunityIcons name="magnify" size={20} color="#fff" />
+                                                    <Text style={styles.submitButtonText}>Check</Text>
+                                                </>
+                                            )}
+                                        </TouchableOpacity>
 
-                            </View>
+                                    </View>
+                                </>
+                            )}
                         </View>
 
                         {/* Results Section */}
                         {showResults && results && (
                             <View style={styles.resultsContainer}>
 
+                                {/* Cross-check Banner */}
+                                {audit && renderAuditBanner()}
+
                                 {/* No Match Banner */}
                                 {!results.is_winner && (
                                     <LinearGradient
@@ -655,16 +1079,16 @@ const WinningScreen = ({ navigation }) => {
                                             const color = getRoundColor(round.digit_count, isExact);
                                             const bgColor = getRoundBgColor(round.digit_count, isExact);
                                             const isIndexRound = round.digit_count === 0;
-                                            const displayLabel = isIndexRound
-                                                ? 'Index Match'
-                                                : isExact
-                                                    ? 'Exact Match'
-                                                    : (round.digit_count === 1 ? 'Last Digit' : `Last ${round.digit_count} Digits`);
+                                            const displayLabel = getRoundLabel(round.digit_count, inputLength);
                                             const suffixDisplay = isIndexRound ? '' : ` (${round.suffix})`;
                                             return (
                                                 <View
                                                     key={`summary-${round.digit_count}`}
-                                                    style={[styles.summaryTableRow, rIdx % 2 === 0 && { backgroundColor: '#FAFBFF' }]}
+                                                    style={[
+                                                        styles.summaryTableRow,
+                                                        rIdx % 2 === 0 && { backgroundColor: '#FAFBFF' },
+                                                        audit?.diff?.rounds.has(round.digit_count) && styles.mismatchRow
+                                                    ]}
                                                 >
                                                     <View style={{ flexDirection: 'row', alignItems: 'center', flex: 1 }}>
                                                         <View style={[styles.summaryRoundDot, { backgroundColor: color }]} />
@@ -728,6 +1152,38 @@ const WinningScreen = ({ navigation }) => {
                                     );
                                 })}
 
+                                {/* Print / Share */}
+                                <View style={styles.resultActionsRow}>
+                                    <TouchableOpacity
+                                        style={[styles.resultActionButton, isPrinting && { opacity: 0.6 }]}
+                                        onPress={handlePrintResult}
+                                        disabled={isPrinting}
+                                    >
+                                        {isPrinting ? (
+                                            <ActivityIndicator size="small" color="#3a48c2" />
+                                        ) : (
+                                            <>
+                                                <MaterialCommunityIcons name="printer" size={20} color="#3a48c2" />
+                                                <Text style={styles.resultActionText}>Print</Text>
+                                            </>
+                                        )}
+                                    </TouchableOpacity>
+                                    <TouchableOpacity
+                                        style={[styles.resultActionButton, styles.resultShareButton, isSharing && { opacity: 0.6 }]}
+                                        onPress={handleWhatsAppShare}
+                                        disabled={isSharing}
+                                    >
+                                        {isSharing ? (
+                                            <ActivityIndicator size="small" color="#fff" />
+                                        ) : (
+                                            <>
+                                                <MaterialCommunityIcons name="whatsapp" size={20} color="#fff" />
+                                                <Text style={[styles.resultActionText, { color: '#fff' }]}>Share</Text>
+                                            </>
+                                        )}
+                                    </TouchableOpacity>
+                                </View>
+
                                 {/* Submit Winning Button */}
                                 {permissions.add && (
                                     <TouchableOpacity
@@ -1050,6 +1506,43 @@ const styles = StyleSheet.create({
         marginHorizontal: 20,
         marginBottom: 30,
     },
+    auditBanner: {
+        flexDirection: 'row',
+        alignItems: 'center',
+        gap: 8,
+        borderRadius: 16,
+        padding: 14,
+        marginBottom: 12,
+    },
+    auditBannerMismatch: {
+        flexDirection: 'column',
+        alignItems: 'stretch',
+        backgroundColor: '#FEF2F2',
+        borderWidth: 1,
+        borderColor: '#FCA5A5',
+    },
+    auditTitle: {
+        flex: 1,
+        fontSize: 14,
+        fontWeight: '700',
+    },
+    auditExpected: {
+        fontSize: 13,
+        fontWeight: '600',
+        color: '#333',
+    },
+    auditProblem: {
+        fontSize: 12,
+        color: '#991B1B',
+        marginTop: 2,
+    },
+    mismatchRow: {
+        backgroundColor: '#FEF2F2',
+    },
+    mismatchBorder: {
+        borderColor: '#dc2626',
+        borderWidth: 2,
+    },
     resultBanner: {
         borderRadius: 20,
         padding: 24,
@@ -1363,6 +1856,60 @@ const styles = StyleSheet.create({
         fontSize: 12,
         color: '#6B7280',
     },
+    existingEntryRound: {
+        flexDirection: 'row',
+        alignItems: 'center',
+        paddingVertical: 6,
+        borderTopWidth: 1,
+        borderTopColor: '#D1FAE5',
+        marginTop: 6,
+    },
+    existingEntryRoundLabel: {
+        flex: 1,
+        fontSize: 13,
+        fontWeight: '600',
+        color: '#065F46',
+    },
+    existingEntryRoundCount: {
+        width: 40,
+        textAlign: 'center',
+        fontSize: 13,
+        fontWeight: '700',
+        color: '#065F46',
+    },
+    existingEntryRoundAmount: {
+        width: 90,
+        textAlign: 'right',
+        fontSize: 13,
+        fontWeight: '700',
+        color: '#059669',
+    },
+    existingEntryLink: {
+        flexDirection: 'row',
+        alignItems: 'center',
+        justifyContent: 'flex-end',
+        marginTop: 8,
+    },
+    existingEntryLinkText: {
+        fontSize: 13,
+        fontWeight: '600',
+        color: '#059669',
+    },
+    recheckNotice: {
+        flexDirection: 'row',
+        alignItems: 'center',
+        gap: 8,
+        backgroundColor: '#FFF7ED',
+        borderRadius: 10,
+        padding: 10,
+        marginBottom: 15,
+    },
+    recheckNoticeText: {
+        flex: 1,
+        fontSize: 13,
+        fontWeight: '600',
+        color: '#b45309',
+    },
     // ── Submit Winning Button ────────────────────────────────────
     submitWinningButton: {
         backgroundColor: '#059669',
@@ -1386,6 +1933,29 @@ const styles = StyleSheet.create({
         fontWeight: '800',
         letterSpacing: 0.5,
     },
+    resultActionsRow: {
+        flexDirection: 'row',
+        gap: 12,
+        marginTop: 15,
+    },
+    resultActionButton: {
+        flex: 1,
+        flexDirection: 'row',
+        alignItems: 'center',
+        justifyContent: 'center',
+        gap: 8,
+        backgroundColor: '#F0F1FF',
+        borderRadius: 16,
+        paddingVertical: 14,
+    },
+    resultShareButton: {
+        backgroundColor: '#25D366',
+    },
+    resultActionText: {
+        color: '#3a48c2',
+        fontSize: 15,
+        fontWeight: '700',
+    },
 });
 
 export default WinningScreen;
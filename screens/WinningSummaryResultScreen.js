@@ -18,6 +18,7 @@ import PrinterService from '../printer/PrinterService';
 import { formatWinningSummaryReceipt } from '../printer/cpclReceiptFormatter';
 import RNHTMLtoPDF from 'react-native-html-to-pdf';
 import Share from 'react-native-share';
+import { shareWorkbook, summarySheet } from '../utils/excelExport';
 
 const WinningSummaryResultScreen = ({ navigation, route }) => {
     // Get filter params from navigation (same pattern as ReportResultScreen)
@@ -34,6 +35,7 @@ const WinningSummaryResultScreen = ({ navigation, route }) => {
     const [error, setError] = useState(null);
     const [isPrinting, setIsPrinting] = useState(false);
     const [isSharing, setIsSharing] = useState(false);
+    const [isExporting, setIsExporting] = useState(false);
 
 
     const formatDisplayDate = (dateStr) => {
@@ -138,6 +140,68 @@ const WinningSummaryResultScreen = ({ navigation, route }) => {
         );
     };
 
+    // Workbook with the user-wise split, the submitted entries and the totals
+    const handleExcelExport = async () => {
+        if (!summary || (summary.total_entries === 0 && (summary.total_sales_amount || 0) === 0)) {
+            Alert.alert('No Data', 'No summary data to export.');
+            return;
+        }
+
+        setIsExporting(true);
+        try {
+            const sheets = [
+                {
+                    name: 'Users',
+                    columns: [
+                        { header: 'User', value: user => user.user_name, width: 18 },
+                        { header: 'Sales', value: user => user.total_sales, type: 'number', width: 14 },
+                        { header: 'Winning', value: user => user.total_winning, type: 'number', width: 14 },
+                        { header: 'Balance', value: user => user.balance, type: 'number', width: 14 },
+                    ],
+                    rows: summary.user_wise || [],
+                },
+            ];
+            if (Array.isArray(summary.entries) && summary.entries.length > 0) {
+                sheets.push({
+                    name: 'Entries',
+                    columns: [
+                        { header: 'Category', value: entry => entry.category_name, width: 16 },
+                        { header: 'Time Slot', value: entry => entry.time_slot, width: 12 },
+                        { header: 'Draw', value: entry => entry.window_end, type: 'date', width: 18 },
+                        { header: 'Winning No', value: entry => entry.lottery_number, width: 12 },
+                        { header: 'Winners', value: entry => entry.total_winners, type: 'number', width: 10 },
+                        { header: 'Winning', value: entry => entry.grand_total_winning_amount, type: 'number', width: 14 },
+                    ],
+                    rows: summary.entries,
+                });
+            }
+            sheets.push(summarySheet([
+                { label: 'From', value: startDate },
+                { label: 'To', value: endDate },
+                { label: 'Category', value: categoryName || 'All Categories' },
+                { label: 'Entries', value: Number(summary.total_entries) || 0 },
+                { label: 'Total Sales', value: Number(summary.total_sales_amount) || 0 },
+                { label: 'Total Winning', value: Number(summary.total_winning_amount) || 0 },
+                { label: 'Balance', value: Number(summary.total_balance) || 0 },
+            ]));
+
+            await shareWorkbook({
+                fileName: 'Winning_Summary',
+                title: 'Winning Summary Report',
+                sheets,
+            });
+        } catch (err) {
+            if (err?.message !== 'User did not share' && !err?.message?.includes('dismiss')) {
+                console.error('[Excel Export] Error:', err);
+                if (Platform.OS === 'android') {
+                    ToastAndroid.show('Failed to export report', ToastAndroid.SHORT);
+                }
+            }
+        } finally {
+            setIsExporting(false);
+        }
+    };
+
     // Generate A4 PDF and share via WhatsApp
     const handleWhatsAppShare = async () => {
         if (!summary || (summary.total_entries === 0 && (summary.total_sales_amount || 0) === 0)) {
@@ -417,6 +481,20 @@ const WinningSummaryResultScreen = ({ navigation, route }) => {
                 <View style={{ height: 30 }} />
             </ScrollView>
 
+            {/* Excel Export Floating Action Button */}
+            <TouchableOpacity
+                style={styles.excelFab}
+                onPress={handleExcelExport}
+                activeOpacity={0.8}
+                disabled={isExporting || isLoading || !summary || (summary.total_entries === 0 && (summary.total_sales_amount || 0) === 0)}
+            >
+                {isExporting ? (
+                    <ActivityIndicator size="small" color="#fff" />
+                ) : (
+                    <MaterialCommunityIcons name="microsoft-excel" size={26} color="#fff" />
+                )}
+            </TouchableOpacity>
+
             {/* WhatsApp Floating Action Button */}
             <TouchableOpacity
                 style={styles.whatsappFab}
@@ -736,6 +814,23 @@ const styles = StyleSheet.create({
         shadowRadius: 4,
         zIndex: 999,
     },
+    excelFab: {
+        position: 'absolute',
+        bottom: 92,
+        right: 20,
+        width: 56,
+        height: 56,
+        borderRadius: 28,
+        backgroundColor: '#1D6F42',
+        justifyContent: 'center',
+        alignItems: 'center',
+        elevation: 6,
+        shadowColor: '#000',
+        shadowOffset: { width: 0, height: 3 },
+        shadowOpacity: 0.3,
+        shadowRadius: 4,
+        zIndex: 999,
+    },
 });
 
 export default WinningSummaryResultScreen;
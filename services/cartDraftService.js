@@ -0,0 +1,75 @@
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import { getCategoryCutoff, getNextSalesOpen } from '../utils/timeSlots';
+import { serverClock } from './serverClock';
+
+/**
+ * Cart Draft Service
+ *
+ * Keeps the in-progress SalesScreen cart on the device so a crash, a phone
+ * call or a detour to another screen does not lose a long ticket.
+ * Only one draft is kept — the cart currently being entered.
+ */
+
+// Storage key for the in-progress cart
+const DRAFT_KEY = '@lottery_cart_draft';
+
+export const cartDraftService = {
+    /**
+     * Save the current cart
+     * @param {Object} draft
+     * @param {Array} draft.cartItems - Cart rows (incl. lotteryNo / permutations)
+     * @param {Object} draft.category - Category the cart belongs to
+     * @param {Object} [draft.customer] - Customer fields entered so far
+     */
+    save: async ({ cartItems, category, customer }) => {
+        try {
+            const now = serverClock.now();
+            // A cart held after its draw closed belongs to the next draw
+            const cutoff = getCategoryCutoff(category, getNextSalesOpen(category, now) || now);
+            await AsyncStorage.setItem(DRAFT_KEY, JSON.stringify({
+                cart_items: cartItems,
+                category,
+                customer: customer || null,
+                saved_at: now.toISOString(),
+                draw_cutoff: cutoff ? cutoff.toISOString() : null,
+            }));
+        } catch (error) {
+            console.error('[CartDraft] Save error:', error);
+        }
+    },
+
+    /**
+     * Load the saved draft
+     * @returns {Promise<Object|null>} { cart_items, category, customer, saved_at, draw_cutoff } or null
+     */
+    load: async () => {
+        try {
+            const data = await AsyncStorage.getItem(DRAFT_KEY);
+            const draft = data ? JSON.parse(data) : null;
+            return draft && Array.isArray(draft.cart_items) && draft.cart_items.length > 0 ? draft : null;
+        } catch (error) {
+            console.error('[CartDraft] Load error:', error);
+            return null;
+        }
+    },
+
+    /**
+     * Remove the saved draft (after submit, clear or discard)
+     */
+    clear: async () => {
+        try {
+            await AsyncStorage.removeItem(DRAFT_KEY);
+        } catch (error) {
+            console.error('[CartDraft] Clear error:', error);
+        }
+    },
+
+    /**
+     * True when the draw the draft was entered for has already closed
+     * @param {Object} draft
+     */
+    isDrawClosed: (draft) => {
+        if (!draft?.draw_cutoff) return false;
+        return serverClock.nowMs() >= new Date(draft.draw_cutoff).getTime();
+    },
+};
@@ -0,0 +1,176 @@
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import { reportService } from './reportService';
+
+/**
+ * Customer Service
+ *
+ * Customers are not a separate record on the server — an invoice carries an
+ * optional customer_name / customer_phone (sent with createBatchSales).
+ * Lookups and history are built on reportService sales report filters:
+ *   customer_search — name or phone contains
+ *   customer_phone / customer_name — exact customer
+ *
+ * Customers used on this device are also kept locally so autocomplete works
+ * offline and without a round trip for regulars.
+ */
+
+// Storage key for customers recently used at checkout
+const RECENT_CUSTOMERS_KEY = '@lottery_recent_customers';
+const MAX_RECENT_CUSTOMERS = 50;
+
+const customerKey = (customer) =>
+    (customer.phone ? `p:${customer.phone}` : `n:${(customer.name || '').trim().toLowerCase()}`);
+
+const matchesQuery = (customer, query) => {
+    const q = query.trim().toLowerCase();
+    return (customer.name || '').toLowerCase().includes(q) || (customer.phone || '').includes(q);
+};
+
+// Unique customers from report rows, most recent first
+const customersFromReport = (rows) => {
+    const map = {};
+    rows.forEach(row => {
+        if (!row.customer_name && !row.customer_phone) return;
+        const customer = { name: row.customer_name || '', phone: row.customer_phone || '' };
+        const key = customerKey(customer);
+        const seenAt = row.created_at || null;
+        if (!map[key] || (seenAt && seenAt > (map[key].last_seen_at || ''))) {
+            map[key] = { ...customer, last_seen_at: seenAt };
+        }
+    });
+    return Object.values(map).sort((a, b) => String(b.last_seen_at || '').localeCompare(String(a.last_seen_at || '')));
+};
+
+export const customerService = {
+    /**
+     * Normalise checkout input; returns null when both fields are empty
+     * @param {{ name: string, phone: string }} customer
+     */
+    normalize: (customer) => {
+        const name = (customer?.name || '').trim();
+        const phone = (customer?.phone || '').replace(/[^0-9+]/g, '');
+        return name || phone ? { name, phone } : null;
+    },
+
+    /**
+     * Customers used on this device, most recent first
+     */
+    getRecent: async () => {
+        try {
+            const data = await AsyncStorage.getItem(RECENT_CUSTOMERS_KEY);
+            return data ? JSON.parse(data) : [];
+        } catch (error) {
+            console.error('[Customer] Load recent error:', error);
+            return [];
+        }
+    },
+
+    /**
+     * Remember a customer after a sale
+     * @param {{ name: string, phone: string }} customer
+     */
+    remember: async (customer) => {
+        const normalized = customerService.normalize(customer);
+        if (!normalized) return;
+        try {
+            const recent = await customerService.getRecent();
+            const key = customerKey(normalized);
+            const next = [
+                { ...normalized, last_seen_at: new Date().toISOString() },
+                ...recent.filter(c => customerKey(c) !== key)
+            ].slice(0, MAX_RECENT_CUSTOMERS);
+            await AsyncStorage.setItem(RECENT_CUSTOMERS_KEY, JSON.stringify(next));
+        } catch (error) {
+            console.error('[Customer] Save recent error:', error);
+        }
+    },
+
+    /**
+     * Autocomplete: local matches first, then customers from past invoices
+     * @param {string} query - Part of a name or phone number
+     * @param {Object} [options]
+     * @param {boolean} [options.remote=true] - Also search past invoices on the server
+     * @returns {Promise<Array<{ name, phone, last_seen_at }>>}
+     */
+    search: async (query, { remote = true } = {}) => {
+        if (!query || query.trim().length < 2) return [];
+
+        const local = (await customerService.getRecent()).filter(c => matchesQuery(c, query));
+        let fromInvoices = [];
+        if (remote) {
+            try {
+                const response = await reportService.getSalesReport({ customer_search: query.trim(), limit: 100 });
+                fromInvoices = customersFromReport(response?.data?.report || []);
+            } catch (error) {
+                // Offline or report not allowed — local suggestions still work
+            }
+        }
+
+        const seen = new Set();
+        return [...local, ...fromInvoices].filter(c => {
+            const key = customerKey(c);
+            if (seen.has(key)) return false;
+            seen.add(key);
+            return true;
+        }).slice(0, 10);
+    },
+
+    /**
+     * Invoices, winnings and outstanding balance of one customer.
+     *
+     * Winnings come from the matched rows of submitted winning entries
+     * (total_winning_amount on the report row); paid winnings from
+     * winning_paid_amount. Outstanding = winnings − paid.
+     *
+     * Every report page is loaded; loaded < expected means the run stopped
+     * short and the totals do not cover the whole period.
+     *
+     * @param {{ name: string, phone: string }} customer
+     * @param {{ start_date: string, end_date: string }} range - YYYY-MM-DD
+     * @returns {Promise<{ invoices: Array, totals: Object, loaded: number, expected: number }>}
+     */
+    getHistory: async (customer, range) => {
+        const params = { ...range };
+        if (customer.phone) params.customer_phone = customer.phone;
+        else params.customer_name = customer.name;
+
+        const response = await reportService.getAllSalesReport(params);
+        const rows = response?.data?.report || [];
+
+        const invoiceMap = {};
+        rows.forEach(row => {
+            const key = row.invoice_number || `sale-${row.id}`;
+            if (!invoiceMap[key]) {
+                invoiceMap[key] = {
+                    invoice_number: row.invoice_number || null,
+                    created_at: row.created_at,
+                    category_name: row.category_name,
+                    items: [],
+                    total: 0,
+                    winnings: 0,
+                    paid: 0,
+                };
+            }
+            const invoice = invoiceMap[key];
+            invoice.items.push(row);
+            invoice.total += parseFloat(row.total || 0);
+            invoice.winnings += parseFloat(row.total_winning_amount || 0);
+            invoice.paid += parseFloat(row.winning_paid_amount || 0);
+        });
+
+        const invoices = Object.values(invoiceMap)
+            .sort((a, b) => String(b.created_at || '').localeCompare(String(a.created_at || '')));
+
+        const totals = invoices.reduce((acc, inv) => ({
+            invoices: acc.invoices + 1,
+            spent: acc.spent + inv.total,
+            winnings: acc.winnings + inv.winnings,
+            paid: acc.paid + inv.paid,
+        }), { invoices: 0, spent: 0, winnings: 0, paid: 0 });
+        totals.outstanding = Math.max(0, totals.winnings - totals.paid);
+
+        return { invoices, totals, loaded: rows.length, expected: response?.data?.expected || rows.length };
+    },
+};
+
+export default customerService;
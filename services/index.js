@@ -1,5 +1,6 @@
 import axios from 'axios';
 import AsyncStorage from '@react-native-async-storage/async-storage';
+import { serverClock } from './serverClock';
 
 // Base config
 // Use 10.0.2.2 for Emulator, or your local machine IP (192.168.1.10) for Physical Device
@@ -34,6 +35,8 @@ apiClient.interceptors.request.use(
         if (token) {
             config.headers.Authorization = `Bearer ${token}`;
         }
+        // Send time, used to correct the server clock offset for latency
+        config.metadata = { sentAt: Date.now() };
         return config;
     },
     (error) => {
@@ -43,8 +46,15 @@ apiClient.interceptors.request.use(
 
 // Response interceptor for error handling
 apiClient.interceptors.response.use(
-    (response) => response.data,
+    (response) => {
+        serverClock.updateFromResponse(response.headers, response.data, response.config?.metadata?.sentAt);
+        return response.data;
+    },
     async (error) => {
+        if (error.response) {
+            serverClock.updateFromResponse(error.response.headers, error.response.data, error.config?.metadata?.sentAt);
+        }
+
         // Handle 401 Unauthorized errors (expired or invalid token)
         if (error.response?.status === 401) {
             console.warn('Unauthorized access detected (401). Clearing session...');
@@ -60,6 +70,13 @@ apiClient.interceptors.response.use(
     }
 );
 
+// Server time — the interceptor above records the clock offset from the response
+export const timeService = {
+    sync: async () => {
+        return apiClient.get('/server-time');
+    }
+};
+
 // Auth Services
 export const authService = {
     login: async (credentials) => {
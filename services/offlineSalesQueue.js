@@ -0,0 +1,197 @@
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import { salesService } from './salesService';
+import { generateClientId } from '../utils/ids';
+import { getCategoryCutoff } from '../utils/timeSlots';
+import { serverClock } from './serverClock';
+
+/**
+ * Offline Sales Queue (outbox)
+ *
+ * When a batch sale cannot reach the server, the validated batch is stored
+ * here with a provisional invoice id and replayed in order once the server
+ * is reachable again.
+ *
+ * Entry status:
+ *   pending — waiting to be sent
+ *   expired — the draw closed before the entry could be sent; it is never
+ *             replayed automatically (it would land in the next draw)
+ *   failed  — the server rejected the batch; kept so the seller can see why
+ */
+
+// Storage key for queued batches
+const OUTBOX_KEY = '@lottery_sales_outbox';
+
+export const QUEUE_STATUS = {
+    PENDING: 'pending',
+    EXPIRED: 'expired',
+    FAILED: 'failed',
+};
+
+// Only one replay at a time, otherwise the same batch could be sent twice
+let isFlushing = false;
+
+/**
+ * True when the request never got a response from the server
+ * (no signal, DNS failure, timeout) — as opposed to the server rejecting it.
+ */
+export const isNetworkError = (error) => !!error && !error.response;
+
+// Responses that mean "not now" rather than "never": request timeout, rate limit
+const RETRYABLE_STATUSES = [408, 429];
+
+/**
+ * True when a replay may succeed later: no response at all, a server error
+ * (5xx) or a 408 / 429. Other 4xx responses are final rejections.
+ */
+export const isRetryableError = (error) => {
+    if (isNetworkError(error)) return true;
+    const status = error?.response?.status;
+    return status >= 500 || RETRYABLE_STATUSES.includes(status);
+};
+
+const readQueue = async () => {
+    try {
+        const data = await AsyncStorage.getItem(OUTBOX_KEY);
+        return data ? JSON.parse(data) : [];
+    } catch (error) {
+        console.error('[OfflineSalesQueue] Read error:', error);
+        return [];
+    }
+};
+
+const writeQueue = async (entries) => {
+    await AsyncStorage.setItem(OUTBOX_KEY, JSON.stringify(entries));
+};
+
+export const offlineSalesQueue = {
+    /**
+     * Get all queued batches, oldest first
+     * @returns {Promise<Array>}
+     */
+    getAll: async () => {
+        return readQueue();
+    },
+
+    /**
+     * Store a validated batch for later submission
+     * @param {Object} batch
+     * @param {Array} batch.items - Batch payload items ({ product_id, qty, desc })
+     * @param {Array} batch.cartItems - Cart rows, kept for receipt printing
+     * @param {Object} batch.category - Category the cart belongs to (needs time_slots)
+     * @param {string} [batch.requestKey] - Idempotency key of the failed attempt, reused on replay
+     * @param {Object} [batch.customer] - Optional { name, phone } for the invoice
+     * @returns {Promise<Object>} The queued entry (with provisional_id)
+     */
+    enqueue: async ({ items, cartItems, category, requestKey, customer }) => {
+        const now = serverClock.now();
+        const cutoff = getCategoryCutoff(category, now);
+
+        const entry = {
+            provisional_id: generateClientId('P'),
+            request_key: requestKey || generateClientId('S'),
+            items,
+            cart_items: cartItems,
+            customer: customer || null,
+            category_id: category?.id || null,
+            category_name: category?.category_name || '',
+            draw_cutoff: cutoff ? cutoff.toISOString() : null,
+            queued_at: now.toISOString(),
+            status: QUEUE_STATUS.PENDING,
+            attempts: 0,
+            last_error: null,
+        };
+
+        const entries = await readQueue();
+        entries.push(entry);
+        await writeQueue(entries);
+        return entry;
+    },
+
+    /**
+     * Remove a queued batch (after sync, or when the seller discards it)
+     * @param {string} provisionalId
+     */
+    remove: async (provisionalId) => {
+        const entries = await readQueue();
+        await writeQueue(entries.filter(e => e.provisional_id !== provisionalId));
+    },
+
+    /**
+     * Replay pending batches in the order they were queued.
+     *
+     * Stops at the first network or retryable server error (isRetryableError)
+     * so later batches never overtake earlier ones. Batches whose draw has
+     * already closed are marked expired instead of being sent.
+     *
+     * @returns {Promise<{ synced: Array, expired: number, failed: number, offline: boolean }>}
+     *   synced — [{ entry, invoiceNumber, recovered }] for each batch the server accepted
+     *            (recovered = the server already had it from an earlier attempt)
+     */
+    flush: async () => {
+        const result = { synced: [], expired: 0, failed: 0, offline: false };
+        if (isFlushing) return result;
+        isFlushing = true;
+
+        try {
+            const entries = await readQueue();
+            const remaining = [];
+
+            for (let i = 0; i < entries.length; i++) {
+                const entry = entries[i];
+
+                if (entry.status !== QUEUE_STATUS.PENDING || result.offline) {
+                    remaining.push(entry);
+                    continue;
+                }
+
+                if (entry.draw_cutoff && serverClock.nowMs() >= new Date(entry.draw_cutoff).getTime()) {
+                    remaining.push({ ...entry, status: QUEUE_STATUS.EXPIRED });
+                    result.expired += 1;
+                    continue;
+                }
+
+                try {
+                    const response = await salesService.createBatchSales(entry.items, entry.request_key, entry.customer);
+                    result.synced.push({
+                        entry,
+                        invoiceNumber: response.data?.invoice_number || 'N/A',
+                        recovered: response.data?.replayed === true,
+                    });
+                } catch (error) {
+                    if (isRetryableError(error)) {
+                        result.offline = true;
+                        remaining.push({
+                            ...entry,
+                            attempts: entry.attempts + 1,
+                            last_error: isNetworkError(error) ? null : error.response?.data?.message || error.message || null,
+                        });
+                    } else {
+                        result.failed += 1;
+                        remaining.push({
+                            ...entry,
+                            status: QUEUE_STATUS.FAILED,
+                            attempts: entry.attempts + 1,
+                            last_error: error.response?.data?.message || error.message || 'Rejected by server',
+                        });
+                    }
+                }
+            }
+
+            // The queue may have changed while we were sending:
+            // keep batches queued meanwhile, drop ones discarded meanwhile
+            const latest = await readQueue();
+            const latestIds = new Set(latest.map(e => e.provisional_id));
+            const knownIds = new Set(entries.map(e => e.provisional_id));
+            await writeQueue([
+                ...remaining.filter(e => latestIds.has(e.provisional_id)),
+                ...latest.filter(e => !knownIds.has(e.provisional_id)),
+            ]);
+        } catch (error) {
+            console.error('[OfflineSalesQueue] Flush error:', error);
+        } finally {
+            isFlushing = false;
+        }
+
+        return result;
+    },
+};
@@ -0,0 +1,213 @@
+import { salesService } from './salesService';
+import { winningService } from './winningService';
+import { isNetworkError } from './offlineSalesQueue';
+import { parseReceiptQr, compareReceiptToRecord } from '../utils/receiptQr';
+import { isVoidedRow } from '../utils/voidRules';
+import { getPayoutStatus, getPaidAmount, getWonAmount, PAYOUT_STATUS } from '../utils/payouts';
+
+/**
+ * Receipt Verifier
+ *
+ * Decodes a scanned receipt QR and checks it against the server record.
+ * The signature is checked by the server (the app never holds the key);
+ * the invoice, draw window and item digest are compared here so the seller
+ * sees which part of a receipt does not match.
+ *
+ * checkTicket() goes one step further for the Verify Ticket screen: it
+ * loads the invoice itself and works out whether the ticket can still be
+ * paid (edited, deleted, voided or already paid) and which rows won.
+ */
+
+export const VERIFY_STATUS = {
+    VALID: 'valid',
+    TAMPERED: 'tampered',     // signature or contents do not match the sale
+    UNSIGNED: 'unsigned',     // printed offline before the server saw the sale
+    NOT_FOUND: 'not_found',   // no sale with this invoice number
+    UNREADABLE: 'unreadable', // not a receipt QR
+    OFFLINE: 'offline',       // server not reachable, nothing checked
+};
+
+export const TICKET_STATUS = {
+    VALID: 'valid',
+    EDITED: 'edited',
+    DELETED: 'deleted',
+    VOIDED: 'voided',
+    PAID: 'paid',
+    NOT_FOUND: 'not_found',
+};
+
+// Rows saved and updated within this gap were never edited
+const EDIT_GRACE_MS = 1000;
+
+const isDeletedRow = (item) => !!item.deleted_at;
+
+const isEditedRow = (item) => !!item.updated_at && !!item.created_at &&
+    new Date(item.updated_at).getTime() - new Date(item.created_at).getTime() > EDIT_GRACE_MS;
+
+const isWinningRow = (item) => getWonAmount(item) > 0;
+
+const isPaidRow = (item) => getPayoutStatus(item) === PAYOUT_STATUS.PAID;
+
+const isPartPaidRow = (item) => getPayoutStatus(item) === PAYOUT_STATUS.PARTIAL;
+
+/**
+ * Status of an invoice, worst first: deleted, voided, edited, already paid, valid.
+ * Already paid means every winning row is paid in full; a part-paid
+ * ticket stays valid so the balance can still be paid.
+ * QR problems (the receipt differs from the record) count as edited.
+ */
+const getTicketStatus = (items, qrProblems) => {
+    if (items.length > 0 && items.every(isDeletedRow)) return TICKET_STATUS.DELETED;
+    if (items.some(isVoidedRow)) return TICKET_STATUS.VOIDED;
+    if (qrProblems.length > 0 || items.some(isDeletedRow) || items.some(isEditedRow)) return TICKET_STATUS.EDITED;
+    const winningRows = items.filter(item => !isDeletedRow(item) && isWinningRow(item));
+    if (winningRows.length > 0 && winningRows.every(isPaidRow)) return TICKET_STATUS.PAID;
+    return TICKET_STATUS.VALID;
+};
+
+export const receiptVerifier = {
+    /**
+     * Verify a scanned QR payload
+     * @param {string} qrText - Raw QR contents
+     * @returns {Promise<{ status: string, problems: Array<string>, receipt: Object|null, sale: Object|null }>}
+     */
+    verify: async (qrText) => {
+        const receipt = parseReceiptQr(qrText);
+        if (!receipt) {
+            return { status: VERIFY_STATUS.UNREADABLE, problems: ['Not a receipt QR code'], receipt: null, sale: null };
+        }
+        if (!receipt.signature) {
+            return {
+                status: VERIFY_STATUS.UNSIGNED,
+                problems: ['Receipt was printed offline — ask for the synced invoice'],
+                receipt,
+                sale: null,
+            };
+        }
+
+        let response;
+        try {
+            response = await salesService.verifyReceipt({
+                invoice_number: receipt.invoiceNo,
+                signed_message: receipt.signedMessage,
+                signature: receipt.signature,
+            });
+        } catch (error) {
+            if (isNetworkError(error)) {
+                return { status: VERIFY_STATUS.OFFLINE, problems: ['Server is not reachable'], receipt, sale: null };
+            }
+            if (error.response?.status === 404) {
+                return { status: VERIFY_STATUS.NOT_FOUND, problems: [`No sale with invoice ${receipt.invoiceNo}`], receipt, sale: null };
+            }
+            throw error;
+        }
+
+        const sale = response.data?.sale || null;
+        if (!sale) {
+            return { status: VERIFY_STATUS.NOT_FOUND, problems: [`No sale with invoice ${receipt.invoiceNo}`], receipt, sale: null };
+        }
+
+        const problems = compareReceiptToRecord(receipt, sale);
+        if (response.data?.signature_valid !== true) {
+            problems.unshift('Signature is not valid');
+        }
+
+        return {
+            status: problems.length === 0 ? VERIFY_STATUS.VALID : VERIFY_STATUS.TAMPERED,
+            problems,
+            receipt,
+            sale,
+        };
+    },
+
+    /**
+     * Look up a ticket from a scanned code or a typed invoice number.
+     * A receipt QR is verified as well; any other code is taken as the
+     * invoice number.
+     * @param {string} input - Scanned QR / barcode contents or invoice number
+     * @returns {Promise<Object>} { invoiceNo, status, reasons, invoice, verification,
+     *   winningEntry, winningLookupFailed, winningItems } — winningLookupFailed is true
+     *   when the draw result could not be loaded (winningEntry null does not mean "not submitted")
+     */
+    checkTicket: async (input) => {
+        const receipt = parseReceiptQr(input);
+        const invoiceNo = receipt ? receipt.invoiceNo : String(input || '').trim();
+
+        let invoice;
+        try {
+            const response = await salesService.getSalesByInvoice(invoiceNo);
+            invoice = response.data || null;
+        } catch (error) {
+            if (error.response?.status !== 404) throw error;
+            invoice = null;
+        }
+
+        const items = invoice?.items || [];
+        if (!invoice || items.length === 0) {
+            return {
+                invoiceNo,
+                status: TICKET_STATUS.NOT_FOUND,
+                reasons: [`No sale with invoice ${invoiceNo}`],
+                invoice: null,
+                verification: null,
+                winningEntry: null,
+                winningLookupFailed: false,
+                winningItems: [],
+            };
+        }
+
+        // Only a signed receipt can be checked; a typed number or barcode has nothing to compare
+        const verification = receipt?.signature ? await receiptVerifier.verify(input) : null;
+        const qrProblems = verification?.status === VERIFY_STATUS.TAMPERED ? verification.problems : [];
+
+        const status = getTicketStatus(items, qrProblems);
+        const reasons = [...qrProblems];
+        if (receipt && !receipt.signature) reasons.push('Receipt was printed offline (not signed)');
+        if (items.some(isDeletedRow)) reasons.push(`${items.filter(isDeletedRow).length} row(s) deleted`);
+        const voidedRow = items.find(isVoidedRow);
+        if (voidedRow) reasons.push(`Invoice voided${voidedRow.void_reason ? `: ${voidedRow.void_reason}` : ''}`);
+        if (items.some(isEditedRow)) reasons.push(`${items.filter(isEditedRow).length} row(s) edited after sale`);
+        if (status === TICKET_STATUS.PAID) reasons.push('Winnings already paid');
+        const partPaid = items.filter(item => !isDeletedRow(item) && isPartPaidRow(item));
+        if (partPaid.length > 0) {
+            const paid = partPaid.reduce((sum, item) => sum + getPaidAmount(item), 0);
+            const won = partPaid.reduce((sum, item) => sum + getWonAmount(item), 0);
+            reasons.push(`Winnings part paid (₹${Math.round(paid)} of ₹${Math.round(won)})`);
+        }
+
+        // Result submitted for the sale's draw, if any
+        let winningEntry = null;
+        let winningLookupFailed = false;
+        const windowStart = invoice.window_start || receipt?.windowStart;
+        const windowEnd = invoice.window_end || receipt?.windowEnd;
+        if (invoice.category_id && windowStart && windowEnd) {
+            try {
+                const response = await winningService.getEntryForWindow(
+                    invoice.category_id,
+                    new Date(windowStart).toISOString(),
+                    new Date(windowEnd).toISOString()
+                );
+                winningEntry = response.data || null;
+            } catch (error) {
+                // 404 = no result for the draw yet; anything else leaves it unknown
+                if (error.response?.status !== 404) {
+                    console.error('[ReceiptVerifier] Winning entry lookup error:', error);
+                    winningLookupFailed = true;
+                }
+            }
+        }
+
+        return {
+            invoiceNo,
+            status,
+            reasons,
+            invoice,
+            verification,
+            winningEntry,
+            winningLookupFailed,
+            winningItems: items.filter(item => !isDeletedRow(item) && !isVoidedRow(item) && isWinningRow(item)),
+        };
+    },
+};
+
+export default receiptVerifier;
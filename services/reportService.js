@@ -1,11 +1,94 @@
 import apiClient from './index';
 
+// Rows per /sales/report page
+export const SALES_REPORT_PAGE_SIZE = 100;
+
+// Stop after this many pages in one go (guards against a server that ignores `page`)
+const MAX_REPORT_PAGES = 500;
+
 export const reportService = {
     // Get general sales report
     getSalesReport: async (params) => {
         return apiClient.get('/sales/report', { params });
     },
 
+    /**
+     * One page (1-based) of the sales report
+     * @returns {Promise} response with data = { report, summary, page, has_more }
+     */
+    getSalesReportPage: async (params, page = 1) => {
+        const response = await apiClient.get('/sales/report', {
+            params: { ...params, page, limit: SALES_REPORT_PAGE_SIZE }
+        });
+        const data = response?.data || {};
+        const report = data.report || [];
+        const expected = Number(data.summary?.total_records);
+        const loaded = (page - 1) * SALES_REPORT_PAGE_SIZE + report.length;
+        return {
+            ...response,
+            data: {
+                ...data,
+                report,
+                page,
+                has_more: report.length === SALES_REPORT_PAGE_SIZE && (!Number.isFinite(expected) || loaded < expected),
+            },
+        };
+    },
+
+    /**
+     * Load sales report pages one after another until the last page (or maxPages).
+     * Rows are de-duplicated by id; a page that adds nothing ends the run.
+     *
+     * @param {Object} params - Report filters
+     * @param {Object} [options]
+     * @param {Object} [options.initial] - Pages already loaded ({ report, summary, page, has_more }); loading continues after them
+     * @param {number} [options.maxPages] - Last page to load
+     * @param {Function} [options.onProgress] - (loaded, expected) after each page
+     * @returns {Promise<{ data: { report, summary, page, has_more, expected } }>}
+     *   expected = summary.total_records (or the loaded count when the server sends none)
+     */
+    getAllSalesReport: async (params, { initial = null, maxPages = MAX_REPORT_PAGES, onProgress } = {}) => {
+        const report = [];
+        const seenIds = new Set();
+        const addRows = (rows) => {
+            let added = 0;
+            (rows || []).forEach(row => {
+                if (row.id !== undefined && row.id !== null) {
+                    if (seenIds.has(row.id)) return;
+                    seenIds.add(row.id);
+                }
+                report.push(row);
+                added += 1;
+            });
+            return added;
+        };
+
+        let summary = initial?.summary || null;
+        let page = initial ? (initial.page || 1) : 0;
+        let hasMore = initial ? !!initial.has_more : true;
+        if (initial) addRows(initial.report);
+
+        while (hasMore && page < maxPages) {
+            const { data } = await reportService.getSalesReportPage(params, page + 1);
+            page = data.page;
+            summary = data.summary || summary;
+            const added = addRows(data.report);
+            hasMore = data.has_more && added > 0;
+            if (onProgress) onProgress(report.length, Number(summary?.total_records) || report.length);
+        }
+
+        const expected = Number(summary?.total_records);
+        return {
+            data: {
+                report,
+                summary,
+                page,
+                has_more: hasMore,
+                expected: Number.isFinite(expected) ? expected : report.length,
+            },
+        };
+    },
+
     // Get sales by category
     getSalesByCategory: async (params) => {
         return apiClient.get('/sales/report/by-category', { params });
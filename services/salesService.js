@@ -1,5 +1,7 @@
 import apiClient from './index';
 import Share from 'react-native-share';
+import { shareTemplateService } from './shareTemplateService';
+import { formatShareText } from '../utils/shareTemplates';
 
 export const salesService = {
     // Get all sales
@@ -17,6 +19,18 @@ export const salesService = {
         return apiClient.get('/sales/my-sales', { params });
     },
 
+    /**
+     * Get all rows of an invoice, including deleted ones
+     * @param {string} invoiceNumber
+     * @returns {Promise} - Response with data = { invoice_number, category_id, category_name,
+     *   window_start, window_end, items: [{ id, product_id, product_name, desc, qty, total,
+     *   created_at, updated_at, deleted_at, voided_at, voided_by, void_reason,
+     *   total_winning_amount, winning_paid_amount }] }
+     */
+    getSalesByInvoice: async (invoiceNumber) => {
+        return apiClient.get(`/sales/invoice/${encodeURIComponent(invoiceNumber)}`);
+    },
+
     // Create single sale
     createSale: async (data) => {
         return apiClient.post('/sales', data);
@@ -28,10 +42,61 @@ export const salesService = {
      * @param {number} items[].product_id - Product ID
      * @param {number} items[].qty - Quantity
      * @param {string} items[].desc - Optional description
-     * @returns {Promise} - Response with invoice_number and all created sales
+     * @param {string} [idempotencyKey] - Client key for this cart. Resending the same key
+     *   returns the invoice created by the earlier attempt instead of a duplicate
+     *   (the response then has data.replayed = true)
+     * @param {Object} [customer] - Optional { name, phone } stored on the invoice
+     * @returns {Promise} - Response with invoice_number and all created sales. data.receipt =
+     *   { window_start, window_end, digest, signature } is printed as the receipt QR (utils/receiptQr)
+     */
+    createBatchSales: async (items, idempotencyKey = null, customer = null) => {
+        const config = idempotencyKey ? { headers: { 'Idempotency-Key': idempotencyKey } } : undefined;
+        const body = { items };
+        if (customer) {
+            body.customer_name = customer.name || null;
+            body.customer_phone = customer.phone || null;
+        }
+        return apiClient.post('/sales/batch', body, config);
+    },
+
+    /**
+     * Get quantities already sold per lottery number in a draw window
+     * Used to check per-number exposure limits before a batch is submitted
+     * @param {Object} payload
+     * @param {number} payload.category_id - Category ID
+     * @param {string} payload.window_start - ISO date string
+     * @param {string} payload.window_end - ISO date string
+     * @param {Array} payload.numbers - [{ product_id, number }]
+     * @returns {Promise} - Response with data.exposure = [{ product_id, number, qty }]
+     */
+    getNumberExposure: async (payload) => {
+        return apiClient.post('/sales/exposure', payload);
+    },
+
+    /**
+     * Check a scanned receipt QR against the server record
+     * @param {Object} payload
+     * @param {string} payload.invoice_number - Invoice number from the QR
+     * @param {string} payload.signed_message - Signed part of the QR (receiptQr.getSignedMessage)
+     * @param {string} payload.signature - Signature from the QR
+     * @returns {Promise} - Response with data.signature_valid and data.sale =
+     *   { invoice_number, window_start, window_end, items: [{ product_id, desc, qty }] }
+     */
+    verifyReceipt: async (payload) => {
+        return apiClient.post('/sales/receipt/verify', payload);
+    },
+
+    /**
+     * Void every row of an invoice. Voided rows stay in reports with voided_at set;
+     * the server refuses after the void window or the draw cutoff (utils/voidRules)
+     * @param {string} invoiceNumber
+     * @param {Object} payload
+     * @param {string} payload.reason - Why the invoice is voided (required)
+     * @returns {Promise} - Response with data = { invoice_number, voided_at, voided_by,
+     *   void_reason, items }
      */
-    createBatchSales: async (items) => {
-        return apiClient.post('/sales/batch', { items });
+    voidInvoice: async (invoiceNumber, payload) => {
+        return apiClient.post(`/sales/invoice/${encodeURIComponent(invoiceNumber)}/void`, payload);
     },
 
     // Update sale
@@ -44,92 +109,20 @@ export const salesService = {
         return apiClient.delete(`/sales/${id}`);
     },
     /**
-     * Share sales data in text format
-     * Format:
+     * Share sales data as text in a share template (utils/shareTemplates).
+     * The default is the layout chosen in Share Format settings:
      *   ── 3PM ──
      *   KL.110 - 1265              = 1
-     *   Pol    - 2569,2596
-     *            2659,2695         = 24
-     *
-     * Showtime appears as a header, product details below.
-     * Items are grouped by their time slot.
+     *   Pol    - 2569
+     *            2596              = 24
+     * @param {string} invoiceNo
+     * @param {Array} items - Cart rows or report rows of the invoice
+     * @param {string} [templateId] - Template to use instead of the saved default
      */
-    shareSalesData: async (invoiceNo, items) => {
+    shareSalesData: async (invoiceNo, items, templateId = null) => {
         try {
-            const MAX_PER_LINE = 1; // lottery numbers per line
-
-            // ── Pre-process all items ──
-            const processed = items.map(item => {
-                const name = item.product_name || item.product_code || 'N/A';
-                const desc = item.desc || 'N/A';
-                const qty = String(item.qty || 0);
-                const showtime = String((item.time_slots && item.time_slots[0]) || '');
-                const numbers = desc.split(',').map(n => n.trim()).filter(Boolean);
-
-                // Group lottery numbers into chunks
-                const chunks = [];
-                for (let i = 0; i < numbers.length; i += MAX_PER_LINE) {
-                    chunks.push(numbers.slice(i, i + MAX_PER_LINE).join(','));
-                }
-                if (chunks.length === 0) chunks.push('N/A');
-
-                return { name, chunks, qty, showtime };
-            });
-
-            // ── Group items by showtime ──
-            const groups = {};
-            for (const item of processed) {
-                const key = item.showtime || '';
-                if (!groups[key]) groups[key] = [];
-                groups[key].push(item);
-            }
-
-            // ── Calculate dynamic column widths (across all items) ──
-            const maxNameLen = Math.max(...processed.map(p => p.name.length), 1);
-            const maxLotteryLen = Math.max(
-                ...processed.flatMap(p => p.chunks.map(c => c.length)),
-                1
-            );
-            const maxQtyLen = Math.max(...processed.map(p => p.qty.length), 1);
-
-            // ── Build formatted lines ──
-            const dash = ' - ';
-            const eq = ' = ';
-            const indentLen = maxNameLen + dash.length;
-            const indent = ' '.repeat(indentLen);
-
-            const lines = [];
-
-            for (const [showtime, groupItems] of Object.entries(groups)) {
-                // Add showtime header if available
-                if (showtime) {
-                    lines.push(`── ${showtime} ──`);
-                }
-
-                for (const { name, chunks, qty } of groupItems) {
-                    const paddedName = name.padEnd(maxNameLen);
-                    const paddedQty = qty.padStart(maxQtyLen);
-
-                    for (let i = 0; i < chunks.length; i++) {
-                        const isFirst = i === 0;
-                        const isLast = i === chunks.length - 1;
-                        const prefix = isFirst ? `${paddedName}${dash}` : indent;
-                        const lottery = isLast
-                            ? chunks[i].padEnd(maxLotteryLen)
-                            : chunks[i];
-
-                        if (isLast) {
-                            lines.push(`${prefix}${lottery}${eq}${paddedQty}`);
-                        } else {
-                            lines.push(`${prefix}${lottery}`);
-                        }
-                    }
-                }
-
-                lines.push(''); // blank line between groups
-            }
-
-            const shareText = lines.join('\n').trim();
+            const id = templateId || await shareTemplateService.getDefaultTemplateId();
+            const shareText = formatShareText(id, { invoiceNo, items });
 
             await Share.open({
                 message: shareText,
@@ -0,0 +1,130 @@
+import AsyncStorage from '@react-native-async-storage/async-storage';
+
+/**
+ * Server Clock
+ *
+ * Keeps the offset between the device clock and the server clock so draw
+ * cutoffs and sales windows do not depend on the phone's time setting.
+ *
+ * The offset is refreshed from every API response (the `Date` header, or
+ * `server_time` in the body when the API sends it) by the interceptor in
+ * services/index.js, and explicitly via timeService.sync() at splash/login.
+ * The last known offset is stored so it survives an offline app restart.
+ */
+
+// Storage key for the last known offset
+const CLOCK_OFFSET_KEY = '@lottery_clock_offset';
+
+// Show a warning when the phone is off by more than this
+export const CLOCK_SKEW_WARNING_MS = 60 * 1000;
+
+let offsetMs = 0;
+let lastSyncedAt = null;
+const listeners = new Set();
+
+const notify = () => {
+    listeners.forEach(listener => {
+        try {
+            listener(offsetMs);
+        } catch (error) {
+            console.error('[ServerClock] Listener error:', error);
+        }
+    });
+};
+
+const parseServerTime = (headers, data) => {
+    const bodyTime = data?.server_time || data?.data?.server_time;
+    if (bodyTime) {
+        const t = new Date(bodyTime).getTime();
+        if (!isNaN(t)) return t;
+    }
+    const headerTime = headers?.date || headers?.Date;
+    if (headerTime) {
+        const t = new Date(headerTime).getTime();
+        if (!isNaN(t)) return t;
+    }
+    return null;
+};
+
+export const serverClock = {
+    /**
+     * Restore the last known offset (call once at startup)
+     */
+    init: async () => {
+        try {
+            const saved = await AsyncStorage.getItem(CLOCK_OFFSET_KEY);
+            if (saved && lastSyncedAt === null) {
+                const parsed = JSON.parse(saved);
+                offsetMs = parsed.offset_ms || 0;
+                lastSyncedAt = parsed.synced_at || null;
+                notify();
+            }
+        } catch (error) {
+            console.error('[ServerClock] Init error:', error);
+        }
+    },
+
+    /**
+     * Update the offset from an API response
+     * @param {Object} headers - Response headers
+     * @param {Object} data - Response body
+     * @param {number} sentAt - Device time (ms) the request was sent
+     */
+    updateFromResponse: (headers, data, sentAt) => {
+        const serverTime = parseServerTime(headers, data);
+        if (serverTime === null) return;
+
+        // Assume the server stamped the response halfway through the round trip
+        const receivedAt = Date.now();
+        const deviceMid = sentAt ? sentAt + (receivedAt - sentAt) / 2 : receivedAt;
+        const nextOffset = Math.round(serverTime - deviceMid);
+
+        // The Date header has 1 second resolution — ignore jitter below that
+        const changed = Math.abs(nextOffset - offsetMs) >= 1000 || lastSyncedAt === null;
+        if (changed) offsetMs = nextOffset;
+        lastSyncedAt = receivedAt;
+
+        if (changed) {
+            AsyncStorage.setItem(CLOCK_OFFSET_KEY, JSON.stringify({ offset_ms: offsetMs, synced_at: lastSyncedAt }))
+                .catch(error => console.error('[ServerClock] Save error:', error));
+            notify();
+        }
+    },
+
+    /**
+     * Current server time as a Date
+     */
+    now: () => new Date(Date.now() + offsetMs),
+
+    /**
+     * Current server time in ms
+     */
+    nowMs: () => Date.now() + offsetMs,
+
+    /**
+     * Server minus device time, in ms
+     */
+    getOffset: () => offsetMs,
+
+    /**
+     * Device time (ms) of the last successful sync, or null
+     */
+    getLastSyncedAt: () => lastSyncedAt,
+
+    /**
+     * True when the phone clock is off by more than the warning threshold
+     */
+    isSkewed: () => Math.abs(offsetMs) > CLOCK_SKEW_WARNING_MS,
+
+    /**
+     * Listen for offset changes
+     * @param {Function} listener - called with the new offset in ms
+     * @returns {Function} unsubscribe
+     */
+    subscribe: (listener) => {
+        listeners.add(listener);
+        return () => listeners.delete(listener);
+    },
+};
+
+export default serverClock;
@@ -0,0 +1,43 @@
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import { DEFAULT_SHARE_TEMPLATE_ID, getShareTemplate } from '../utils/shareTemplates';
+
+/**
+ * Share Template Service
+ *
+ * Remembers the seller's default share layout (utils/shareTemplates) on the
+ * device. Each phone keeps its own choice since different agents' customers
+ * expect different formats.
+ */
+
+// Storage key for the default share template id
+const SHARE_TEMPLATE_KEY = '@lottery_share_template';
+
+export const shareTemplateService = {
+    /**
+     * Id of the default template (falls back to the built-in default)
+     * @returns {Promise<string>}
+     */
+    getDefaultTemplateId: async () => {
+        try {
+            const id = await AsyncStorage.getItem(SHARE_TEMPLATE_KEY);
+            return getShareTemplate(id).id;
+        } catch (error) {
+            console.error('[ShareTemplate] Load error:', error);
+            return DEFAULT_SHARE_TEMPLATE_ID;
+        }
+    },
+
+    /**
+     * Save the default template
+     * @param {string} id - One of SHARE_TEMPLATE
+     */
+    setDefaultTemplateId: async (id) => {
+        try {
+            await AsyncStorage.setItem(SHARE_TEMPLATE_KEY, getShareTemplate(id).id);
+        } catch (error) {
+            console.error('[ShareTemplate] Save error:', error);
+        }
+    },
+};
+
+export default shareTemplateService;
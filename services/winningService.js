@@ -5,14 +5,34 @@ export const winningService = {
      * Check if a lottery number is a winner
      * Sends category_id and lottery_number to the backend
      * Backend handles time-slot window calculation and sales matching
+     * prize_position (utils/drawPositions) picks the prize table; 1st when omitted.
+     * window_start / window_end re-check a past draw window instead of the current one
      * 
-     * @param {{ category_id: number, lottery_number: string }} payload
+     * @param {{ category_id: number, lottery_number: string, prize_position?: string,
+     *   window_start?: string, window_end?: string }} payload
      * @returns {Promise} API response with winning results
      */
     checkWinning: async (payload) => {
         return apiClient.post('/winning/check', payload);
     },
 
+    /**
+     * Get every sale of a category in a draw window — the rows /winning/check
+     * matches against. Used by the on-device cross-check (utils/winningEngine)
+     *
+     * @param {number} categoryId - Category ID
+     * @param {string} windowStart - ISO date string
+     * @param {string} windowEnd - ISO date string
+     * @returns {Promise} API response with data.sales = [{ id, invoice_number, product_id,
+     *   product_name, desc, qty, total, box, index_type, digit_type, winning_amounts,
+     *   created_by, created_at, deleted_at, voided_at }]
+     */
+    getWindowSales: async (categoryId, windowStart, windowEnd) => {
+        return apiClient.get(`/winning/sales/${categoryId}`, {
+            params: { window_start: windowStart, window_end: windowEnd }
+        });
+    },
+
     /**
      * Submit (save) a confirmed winning entry
      * Called after user reviews the check results and clicks "Submit Winning"
@@ -24,6 +44,19 @@ export const winningService = {
         return apiClient.post('/winning/submit', payload);
     },
 
+    /**
+     * Submit a full draw result (every prize position of one category + window)
+     * as one consolidated entry
+     *
+     * @param {Object} payload - { category_id, time_slot, window_start, window_end,
+     *   positions: [{ position, lottery_number, total_winners, total_winning_amount, rounds_data }],
+     *   total_winners, grand_total_winning_amount }
+     * @returns {Promise} API response with saved draw result
+     */
+    submitDrawResult: async (payload) => {
+        return apiClient.post('/winning/draw-result', payload);
+    },
+
     /**
      * Get existing winning entry for a specific category + time window
      * Used to check if an entry was already submitted (to show read-only view)
@@ -62,14 +95,65 @@ export const winningService = {
         return apiClient.get('/winning/summary', { params });
     },
 
+    /**
+     * Get submitted winning entries (cancelled ones included) for a date
+     * Used by the Winning Entries history screen
+     *
+     * @param {string} date - YYYY-MM-DD format (draw date = window end)
+     * @param {number|null} categoryId - Optional category ID to filter by
+     * @returns {Promise} API response with data.entries = [{ id, category_id, category_name,
+     *   lottery_number, time_slot, window_start, window_end, total_winners,
+     *   grand_total_winning_amount, rounds_data, positions, submitted_by, created_at,
+     *   cancelled_at, cancelled_by, cancel_reason }]
+     */
+    getWinningEntries: async (date, categoryId = null) => {
+        const params = { date };
+        if (categoryId) {
+            params.category_id = categoryId;
+        }
+        return apiClient.get('/winning/entries', { params });
+    },
+
     /**
      * Cancel (void) a winning entry
-     * Used when admin needs to correct a wrong submission
+     * Used when admin needs to correct a wrong submission; the window can
+     * then be checked and submitted again
      * 
      * @param {number} entryId - ID of the winning entry to cancel
+     * @param {{ reason: string }} data - Why the entry is cancelled
      * @returns {Promise} API response confirming cancellation
      */
-    cancelWinningEntry: async (entryId) => {
-        return apiClient.put(`/winning/cancel/${entryId}`);
+    cancelWinningEntry: async (entryId, { reason } = {}) => {
+        return apiClient.put(`/winning/cancel/${entryId}`, { reason });
+    },
+
+    /**
+     * Get winner payouts (one row per winning sale of submitted entries)
+     * Used by the Outstanding Payouts report and the Winning Entries history
+     *
+     * @param {{ date?: string, categoryId?: number, entryId?: number, status?: string }} filters -
+     *   date YYYY-MM-DD (draw date); status one of PAYOUT_STATUS (utils/payouts)
+     * @returns {Promise} API response with data.payouts = [{ sale_id, entry_id, invoice_number,
+     *   category_name, lottery_number, winning_number, product_name, qty, total_winning_amount,
+     *   paid_amount, status, paid_by, paid_at, sold_by, window_end }]
+     */
+    getPayouts: async ({ date, categoryId, entryId, status } = {}) => {
+        const params = {};
+        if (date) params.date = date;
+        if (categoryId) params.category_id = categoryId;
+        if (entryId) params.entry_id = entryId;
+        if (status) params.status = status;
+        return apiClient.get('/winning/payouts', { params });
+    },
+
+    /**
+     * Record a payout to a winner; amounts below the outstanding balance
+     * leave the row partially paid. The paying user and time are set by the backend
+     *
+     * @param {{ sale_id: number, amount: number }} payload
+     * @returns {Promise} API response with data = the updated payout row
+     */
+    payWinner: async (payload) => {
+        return apiClient.post('/winning/payouts/pay', payload);
     },
 };
@@ -0,0 +1,241 @@
+/**
+ * Bet-type registry.
+ *
+ * Every product (and every cart row, which carries the product's fields)
+ * resolves to one bet type from its index_type / box / digit_type. The type
+ * decides:
+ *   inputLength   — digits the seller types (0 = no fixed length)
+ *   expand        — the numbers one entry covers (box → permutations)
+ *   qtyFromNumbers — qty is the expanded count instead of typed
+ *   prizeLevels   — winning_amounts keys the product is paid on
+ *   label         — short tag for badges and receipts
+ *
+ * Index types are strings of positions A/B/C, counted from the end of the
+ * winning number (A = 3rd last, B = 2nd last, C = last), so a new index
+ * type such as ABC only needs adding to INDEX_TYPES. Other new bet types
+ * (e.g. two-side) are one more entry in BET_TYPES, above STRAIGHT.
+ */
+
+export const BET_TYPE = {
+    INDEX: 'index',
+    BOX: 'box',
+    STRAIGHT: 'straight',
+};
+
+// Index types offered in product setup
+export const INDEX_TYPES = ['A', 'B', 'C', 'AB', 'BC', 'AC'];
+
+// Offset of each index position from the end of the winning number
+const INDEX_POSITION_OFFSET = { A: 3, B: 2, C: 1 };
+
+// A box entry needs at least this many digits to expand
+export const BOX_MIN_DIGITS = 3;
+
+// Generate all permutations of an array
+export const generatePermutations = (arr) => {
+    if (arr.length <= 1) return [arr];
+    const result = [];
+    for (let i = 0; i < arr.length; i++) {
+        const rest = [...arr.slice(0, i), ...arr.slice(i + 1)];
+        const perms = generatePermutations(rest);
+        for (const perm of perms) {
+            result.push([arr[i], ...perm]);
+        }
+    }
+    return result;
+};
+
+/**
+ * Unique permutations of a digit string, e.g. "112" → ["112", "121", "211"]
+ */
+export const getBoxPermutations = (digits) => {
+    const p = generatePermutations(String(digits).split(''));
+    return [...new Set(p.map(x => x.join('')))];
+};
+
+/**
+ * Digits that occur more than once, e.g. "1123" → ["1"].
+ * Such numbers have fewer distinct permutations (1123 → 12, not 24).
+ */
+export const getRepeatedDigits = (digits) => {
+    const counts = {};
+    String(digits).split('').forEach(d => { counts[d] = (counts[d] || 0) + 1; });
+    return Object.keys(counts).filter(d => counts[d] > 1);
+};
+
+export const BOX_VARIANT = {
+    FULL: 'full',
+    HALF: 'half',
+    CUSTOM: 'custom',
+};
+
+/**
+ * Ways a box entry expands.
+ *   full   — every unique permutation
+ *   half   — permutations of the leading digits, last digit kept in place
+ *   custom — the seller picks from the full set (`picked`)
+ */
+export const BOX_EXPANSIONS = {
+    [BOX_VARIANT.FULL]: {
+        key: BOX_VARIANT.FULL,
+        label: 'Full Box',
+        tag: 'BOX',
+        expand: (digits) => getBoxPermutations(digits),
+    },
+    [BOX_VARIANT.HALF]: {
+        key: BOX_VARIANT.HALF,
+        label: 'Half Box',
+        tag: 'HALF BOX',
+        expand: (digits) => {
+            const last = digits.slice(-1);
+            return getBoxPermutations(digits.slice(0, -1)).map(lead => lead + last);
+        },
+    },
+    [BOX_VARIANT.CUSTOM]: {
+        key: BOX_VARIANT.CUSTOM,
+        label: 'Custom',
+        tag: 'PICK BOX',
+        picked: true,
+        expand: (digits) => getBoxPermutations(digits),
+    },
+};
+
+// Box expansion for a variant key (full when unknown)
+export const getBoxExpansion = (variant) => BOX_EXPANSIONS[variant] || BOX_EXPANSIONS[BOX_VARIANT.FULL];
+
+/**
+ * Normalised index type ("ab" → "AB"), or null when it is not made of A/B/C
+ */
+export const parseIndexType = (indexType) => {
+    const idx = String(indexType || '').trim().toUpperCase();
+    if (!idx || !/^[ABC]+$/.test(idx)) return null;
+    return idx;
+};
+
+// Prize levels 1..digit_type (match the last N digits)
+const levelsUpTo = (digitType) => {
+    const n = parseInt(digitType, 10) || 0;
+    return Array.from({ length: n }, (_, i) => i + 1);
+};
+
+const BET_TYPES = [
+    {
+        key: BET_TYPE.INDEX,
+        matches: (item) => !!parseIndexType(item?.index_type),
+        inputLength: (item) => parseIndexType(item.index_type).length,
+        expand: (digits) => [digits],
+        qtyFromNumbers: false,
+        // Single prize, stored under key = digit_type (= number of positions)
+        prizeLevels: (item) => [parseIndexType(item.index_type).length],
+        label: (item) => `[${parseIndexType(item.index_type)}]`,
+    },
+    {
+        key: BET_TYPE.BOX,
+        matches: (item) => Number(item?.box) === 1,
+        inputLength: (item) => parseInt(item.digit_type, 10) || 0,
+        expand: (digits, variant) => {
+            if (digits.length < BOX_MIN_DIGITS) return [];
+            return getBoxExpansion(variant).expand(digits);
+        },
+        qtyFromNumbers: true,
+        prizeLevels: (item) => levelsUpTo(item.digit_type),
+        label: (item) => getBoxExpansion(item.box_variant).tag,
+    },
+    {
+        key: BET_TYPE.STRAIGHT,
+        matches: () => true,
+        inputLength: (item) => parseInt(item?.digit_type, 10) || 0,
+        expand: (digits) => [digits],
+        qtyFromNumbers: false,
+        prizeLevels: (item) => levelsUpTo(item?.digit_type),
+        label: () => '',
+    },
+];
+
+/**
+ * Bet type of a product or cart row
+ */
+export const getBetType = (item) => BET_TYPES.find(type => type.matches(item));
+
+export const isBoxBet = (item) => getBetType(item).key === BET_TYPE.BOX;
+
+export const isIndexBet = (item) => getBetType(item).key === BET_TYPE.INDEX;
+
+/**
+ * Digits the seller types for a product or row (0 = no fixed length)
+ */
+export const getInputLength = (item) => getBetType(item).inputLength(item);
+
+/**
+ * digit_type implied by an index type (A → 1, AB → 2), or null when the
+ * digit type is picked manually
+ */
+export const getIndexDigitType = (indexType) => {
+    const idx = parseIndexType(indexType);
+    return idx ? idx.length : null;
+};
+
+/**
+ * Numbers one entry covers, e.g. box "123" → six permutations.
+ * Box entries shorter than BOX_MIN_DIGITS cover nothing yet.
+ * @param {Object} item - Product or row
+ * @param {string} digits
+ * @param {string} [variant] - BOX_VARIANT for box rows (custom → the set to pick from)
+ */
+export const expandNumber = (item, digits, variant) => {
+    const text = String(digits || '');
+    if (!text) return [];
+    return getBetType(item).expand(text, variant);
+};
+
+/**
+ * Qty for an entry whose qty follows from its numbers (box), or null when
+ * the seller types it
+ */
+export const deriveQty = (item, numbers) => {
+    if (!getBetType(item).qtyFromNumbers) return null;
+    return numbers.length > 0 ? String(numbers.length) : '';
+};
+
+/**
+ * winning_amounts keys the product is paid on, lowest first
+ */
+export const getPrizeLevels = (item) => getBetType(item).prizeLevels(item);
+
+/**
+ * Full-match prize level (the highest), or null when none
+ */
+export const getTopPrizeLevel = (item) => {
+    const levels = getPrizeLevels(item);
+    return levels.length > 0 ? levels[levels.length - 1] : null;
+};
+
+/**
+ * Positions in the winning number an index type is matched against,
+ * e.g. "AB" on "12345" → [2, 3]. Positions past the start are dropped.
+ */
+export const getIndexPositions = (indexType, winningLength) => {
+    const idx = parseIndexType(indexType);
+    if (!idx) return [];
+    return idx.split('')
+        .map(letter => winningLength - INDEX_POSITION_OFFSET[letter])
+        .filter(pos => pos >= 0)
+        .sort((a, b) => a - b);
+};
+
+/**
+ * Short tag for badges and receipts ("[AB]", "BOX", "HALF BOX", or '' for straight)
+ */
+export const getBetLabel = (item) => getBetType(item).label(item);
+
+/**
+ * Digit group for summaries: the type's input length, or the length of the
+ * first sold number when the item carries no product fields.
+ * Returns 0 when neither is known.
+ */
+export const getDigitGroup = (item) => {
+    const length = getInputLength(item);
+    if (length > 0) return length;
+    const first = String(item?.desc || '').split(',')[0];
+    return first.replace(/\D/g, '').length;
+};
@@ -0,0 +1,108 @@
+/**
+ * Sales breakdown report helpers.
+ *
+ * The by-category / by-product / by-user endpoints return data.report rows
+ * keyed by the dimension (category_id + category_name, product_id +
+ * product_name, user_id + user_name) with quantity, amount and sale-count
+ * totals. Field names differ slightly between endpoints, so rows are read
+ * through normalizeBreakdownRows into one shape:
+ *   { id, name, code, qty, amount, count }
+ */
+
+export const BREAKDOWN_DIMENSION = {
+    CATEGORY: 'category',
+    PRODUCT: 'product',
+    USER: 'user',
+};
+
+export const BREAKDOWN_DIMENSIONS = [
+    { key: BREAKDOWN_DIMENSION.CATEGORY, label: 'Category', icon: 'shape-outline', idField: 'category_id', nameField: 'category_name' },
+    { key: BREAKDOWN_DIMENSION.PRODUCT, label: 'Product', icon: 'package-variant', idField: 'product_id', nameField: 'product_name' },
+    { key: BREAKDOWN_DIMENSION.USER, label: 'User', icon: 'account-outline', idField: 'user_id', nameField: 'user_name' },
+];
+
+export const getBreakdownDimension = (key) =>
+    BREAKDOWN_DIMENSIONS.find(d => d.key === key) || BREAKDOWN_DIMENSIONS[0];
+
+export const BREAKDOWN_SORT = {
+    NAME: 'name',
+    QTY: 'qty',
+    AMOUNT: 'amount',
+};
+
+const toNumber = (value) => {
+    const number = parseFloat(value);
+    return Number.isFinite(number) ? number : 0;
+};
+
+const firstDefined = (row, fields) => {
+    const field = fields.find(f => row[f] !== undefined && row[f] !== null && row[f] !== '');
+    return field ? row[field] : undefined;
+};
+
+/**
+ * Endpoint rows → [{ id, name, code, qty, amount, count }]
+ * @param {Array} rows - data.report of a by-* endpoint
+ * @param {string} dimensionKey - BREAKDOWN_DIMENSION
+ */
+export const normalizeBreakdownRows = (rows, dimensionKey) => {
+    const dimension = getBreakdownDimension(dimensionKey);
+    return (rows || []).map(row => {
+        const id = firstDefined(row, [dimension.idField, 'id']);
+        const name = firstDefined(row, [
+            dimension.nameField,
+            'name',
+            ...(dimension.key === BREAKDOWN_DIMENSION.USER ? ['created_by', 'username'] : []),
+            ...(dimension.key === BREAKDOWN_DIMENSION.PRODUCT ? ['product_code'] : []),
+        ]);
+        return {
+            id: id ?? null,
+            name: name !== undefined ? String(name) : 'Unknown',
+            code: row.product_code || null,
+            qty: toNumber(firstDefined(row, ['total_quantity', 'quantity', 'qty'])),
+            amount: toNumber(firstDefined(row, ['total_amount', 'amount', 'total'])),
+            count: toNumber(firstDefined(row, ['total_records', 'total_sales', 'sales_count', 'count'])),
+        };
+    });
+};
+
+/**
+ * Sorted copy of normalized rows; name sorts A→Z, numbers high→low by default
+ * @param {Array} rows
+ * @param {string} sortKey - BREAKDOWN_SORT
+ * @param {boolean} ascending
+ */
+export const sortBreakdownRows = (rows, sortKey, ascending) => {
+    const direction = ascending ? 1 : -1;
+    return [...rows].sort((a, b) => {
+        if (sortKey === BREAKDOWN_SORT.NAME) {
+            return direction * a.name.localeCompare(b.name);
+        }
+        return direction * ((a[sortKey] || 0) - (b[sortKey] || 0));
+    });
+};
+
+/**
+ * Totals across rows: { qty, amount, count }
+ */
+export const sumBreakdownRows = (rows) => rows.reduce(
+    (totals, row) => ({
+        qty: totals.qty + row.qty,
+        amount: totals.amount + row.amount,
+        count: totals.count + row.count,
+    }),
+    { qty: 0, amount: 0, count: 0 }
+);
+
+/**
+ * Bar chart data for the top rows by amount (react-native-chart-kit shape)
+ * @param {Array} rows - normalized rows
+ * @param {number} limit - bars shown
+ */
+export const toBreakdownChartData = (rows, limit = 6) => {
+    const top = sortBreakdownRows(rows, BREAKDOWN_SORT.AMOUNT, false).slice(0, limit);
+    return {
+        labels: top.map(row => (row.name.length > 8 ? `${row.name.slice(0, 7)}.` : row.name)),
+        datasets: [{ data: top.length > 0 ? top.map(row => Math.round(row.amount)) : [0] }],
+    };
+};
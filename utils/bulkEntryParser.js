@@ -0,0 +1,158 @@
+import { BET_TYPE, getBetType, getInputLength, isBoxBet, parseIndexType } from './betTypes';
+
+/**
+ * Bulk entry parser — turns pasted order text into cart row drafts.
+ *
+ * Accepts free-form orders, separated by commas, semicolons or new lines:
+ *   1234        → 1234, qty 1
+ *   1234-5      → 1234, qty 5   (also 1234x5, 1234*5, 1234=5)
+ *   123 box     → box product for 123
+ *   A 5, AB-12  → index product A / AB
+ *
+ * and the text produced by salesService.shareSalesData:
+ *   ── 1:00 PM ──
+ *   KL.110 - 1265 = 1
+ *   Pol    - 2569
+ *            2596 = 24
+ *
+ * Free-form numbers are mapped to a product of the selected category by
+ * digit length. A plain (non-box, non-index) product with that digit_type
+ * wins; box needs the "box" word and index products need the A/B/C prefix
+ * unless they are the only product of that length.
+ */
+
+// "── 1:00 PM ──" section header in shared text
+const SHARE_HEADER = /^[─-]{2,}.*[─-]{2,}$/;
+// "KL.110 - 1265 = 1" (the name contains at least one letter)
+const SHARE_LINE = /^(.*[A-Za-z].*?)\s+-\s+([\d,\s]+?)(?:\s*=\s*(\d+))?$/;
+// "         2596 = 24" continuation of a shared product block
+const SHARE_CONTINUATION = /^([\d,\s]+?)(?:\s*=\s*(\d+))?$/;
+// "AB 12 box x3"
+const ORDER_TOKEN = /^(?:(AB|BC|AC|A|B|C)\s*[-:]?\s*)?(\d+)\s*(box)?\s*(?:(?:-|x|\*|=)\s*(\d+))?\s*(box)?$/i;
+
+const splitNumbers = (text) => text.split(',').map(n => n.trim()).filter(Boolean);
+
+/**
+ * Find the category product for a free-form number.
+ * @returns {{ product: Object|null, error: string|null }}
+ */
+export const matchProductForNumber = (products, { digits, box = false, indexType = null }) => {
+    const len = digits.length;
+
+    if (indexType) {
+        const product = products.find(p => parseIndexType(p.index_type) === indexType);
+        if (!product) return { product: null, error: `No ${indexType} product` };
+        if (getInputLength(product) !== len) {
+            return { product: null, error: `${indexType} needs ${getInputLength(product)} digit(s)` };
+        }
+        return { product, error: null };
+    }
+
+    if (box) {
+        const boxProducts = products.filter(p => isBoxBet(p) && Number(p.digit_type) === len);
+        if (boxProducts.length === 0) return { product: null, error: `No ${len}-digit box product` };
+        if (boxProducts.length > 1) return { product: null, error: 'More than one box product matches' };
+        return { product: boxProducts[0], error: null };
+    }
+
+    const plain = products.filter(p => getBetType(p).key === BET_TYPE.STRAIGHT && Number(p.digit_type) === len);
+    if (plain.length === 1) return { product: plain[0], error: null };
+    if (plain.length > 1) return { product: null, error: `More than one ${len}-digit product` };
+
+    const indexed = products.filter(p => getBetType(p).key === BET_TYPE.INDEX && getInputLength(p) === len);
+    if (indexed.length === 1) return { product: indexed[0], error: null };
+    if (indexed.length > 1) {
+        return { product: null, error: `Add ${indexed.map(p => p.index_type).join('/')} before the number` };
+    }
+    return { product: null, error: `No ${len}-digit product` };
+};
+
+// Product named in shared text (matched by name, then code)
+const findProductByName = (products, name) => {
+    const key = name.trim().toLowerCase();
+    return products.find(p => p.product_name?.trim().toLowerCase() === key)
+        || products.find(p => p.product_code?.trim().toLowerCase() === key)
+        || null;
+};
+
+const blockToRows = (block, products) => {
+    const product = findProductByName(products, block.name);
+    const qty = block.qty || '1';
+    const source = `${block.name} - ${block.numbers.join(',')} = ${qty}`;
+
+    if (!product) {
+        return [{ source, lotteryNo: block.numbers[0] || '', qty, product: null, error: `Unknown product "${block.name}"` }];
+    }
+    // A box row is shared as its permutation list — one row rebuilds it
+    if (isBoxBet(product)) {
+        return [{ source, lotteryNo: block.numbers[0] || '', qty: '', product, error: null }];
+    }
+    return block.numbers.map(number => ({ source, lotteryNo: number, qty, product, error: null }));
+};
+
+/**
+ * Parse pasted text into row drafts.
+ * @param {string} text
+ * @param {Array} products - Products of the selected category
+ * @returns {Array} [{ key, source, lotteryNo, qty, product, error }]
+ *   product is null (and error set) for rows that could not be mapped
+ */
+export const parseBulkEntry = (text, products = []) => {
+    const rows = [];
+    let block = null; // open shared-text product block (no "= qty" yet)
+
+    const closeBlock = () => {
+        if (block) rows.push(...blockToRows(block, products));
+        block = null;
+    };
+
+    const lines = String(text || '').replace(/\r/g, '').split('\n');
+    for (const rawLine of lines) {
+        const line = rawLine.trim();
+        if (!line || SHARE_HEADER.test(line)) {
+            closeBlock();
+            continue;
+        }
+
+        const shareMatch = line.match(SHARE_LINE);
+        if (shareMatch && !ORDER_TOKEN.test(line)) {
+            closeBlock();
+            block = { name: shareMatch[1], numbers: splitNumbers(shareMatch[2]), qty: shareMatch[3] || null };
+            if (block.qty) closeBlock();
+            continue;
+        }
+
+        const contMatch = block && line.match(SHARE_CONTINUATION);
+        if (contMatch) {
+            block.numbers.push(...splitNumbers(contMatch[1]));
+            if (contMatch[2]) {
+                block.qty = contMatch[2];
+                closeBlock();
+            }
+            continue;
+        }
+        closeBlock();
+
+        for (const token of line.split(/[,;]/).map(t => t.trim()).filter(Boolean)) {
+            const m = token.match(ORDER_TOKEN);
+            if (!m) {
+                rows.push({ source: token, lotteryNo: token.replace(/[^0-9]/g, ''), qty: '1', product: null, error: 'Could not read this entry' });
+                continue;
+            }
+            const indexType = m[1] ? m[1].toUpperCase() : null;
+            const digits = m[2];
+            const box = !!(m[3] || m[5]);
+            const { product, error } = matchProductForNumber(products, { digits, box, indexType });
+            rows.push({
+                source: token,
+                lotteryNo: digits,
+                qty: box ? '' : (m[4] || '1'),
+                product,
+                error
+            });
+        }
+    }
+    closeBlock();
+
+    return rows.map((row, i) => ({ key: `${i}-${row.source}`, ...row }));
+};
@@ -0,0 +1,107 @@
+import { getInputLength, expandNumber, deriveQty, isBoxBet, BOX_VARIANT } from './betTypes';
+
+/**
+ * Cart row helpers shared by SalesScreen and bulk entry.
+ *
+ * A cart row:
+ *   { id, category_id, category_name, time_slots, product_id, product_name,
+ *     product_code, price, qty, desc, lotteryNo, box, index_type, digit_type,
+ *     permutations, box_variant, winning_amounts, max_qty_per_number,
+ *     max_liability_per_number, limit_action }
+ *
+ * Input length, expansion and qty come from the row's bet type
+ * (utils/betTypes): box rows expand a 3+ digit number into its unique
+ * permutations, qty is the permutation count and desc lists them.
+ * box_variant (BOX_VARIANT) picks full, half or a custom subset of them.
+ */
+
+/**
+ * Empty row for a category
+ */
+export const createCartRow = (category) => ({
+    id: Date.now().toString() + Math.random(),
+    category_id: category.id,
+    category_name: category.category_name,
+    time_slots: category.time_slots,
+    product_id: null,
+    product_name: '',
+    price: 0,
+    qty: '',
+    desc: '',
+    lotteryNo: '',
+    box: 0,
+    index_type: null,
+    digit_type: null,
+    permutations: [],
+    box_variant: null
+});
+
+/**
+ * Put a product on a row (clears the number and qty)
+ */
+export const assignProduct = (row, product) => ({
+    ...row,
+    product_id: product.id,
+    product_name: product.product_name,
+    product_code: product.product_code,
+    price: product.price,
+    box: product.box,
+    index_type: product.index_type,
+    digit_type: product.digit_type || 0,
+    winning_amounts: product.winning_amounts || null,
+    max_qty_per_number: product.max_qty_per_number || null,
+    max_liability_per_number: product.max_liability_per_number || null,
+    limit_action: product.limit_action || null,
+    qty: '',
+    desc: '',
+    lotteryNo: '',
+    permutations: [],
+    box_variant: isBoxBet(product) ? BOX_VARIANT.FULL : null
+});
+
+/**
+ * Apply typed lottery digits to a row: trims to the required length and,
+ * for types whose qty follows from the numbers (box), expands them and
+ * derives qty/desc. A custom box pick does not carry over to a new
+ * number — the row goes back to the full box.
+ */
+export const applyLotteryNumber = (row, text) => {
+    const maxLen = getInputLength(row);
+    const digitsOnly = String(text || '').replace(/[^0-9]/g, '');
+    const finalDigits = maxLen > 0 ? digitsOnly.slice(0, maxLen) : digitsOnly;
+
+    const variant = row.box_variant === BOX_VARIANT.CUSTOM ? BOX_VARIANT.FULL : row.box_variant;
+    const numbers = expandNumber(row, finalDigits, variant);
+    const derivedQty = deriveQty(row, numbers);
+    if (derivedQty === null) {
+        return { ...row, lotteryNo: finalDigits, desc: finalDigits, permutations: [] };
+    }
+
+    return {
+        ...row,
+        lotteryNo: finalDigits,
+        desc: numbers.length > 0 ? numbers.join(', ') : finalDigits,
+        qty: derivedQty,
+        permutations: numbers,
+        box_variant: variant || BOX_VARIANT.FULL
+    };
+};
+
+/**
+ * Switch a box row to another variant. For BOX_VARIANT.CUSTOM only the
+ * `picked` permutations are kept (in permutation order).
+ */
+export const applyBoxVariant = (row, variant, picked = []) => {
+    const candidates = expandNumber(row, row.lotteryNo, variant);
+    const numbers = variant === BOX_VARIANT.CUSTOM
+        ? candidates.filter(n => picked.includes(n))
+        : candidates;
+
+    return {
+        ...row,
+        box_variant: variant,
+        desc: numbers.length > 0 ? numbers.join(', ') : row.lotteryNo,
+        qty: deriveQty(row, numbers),
+        permutations: numbers
+    };
+};
@@ -0,0 +1,96 @@
+import { parseWinningAmounts } from './exposure';
+
+/**
+ * Prize positions of a draw result.
+ *
+ * A draw publishes a 1st, 2nd and 3rd prize number plus a set of
+ * consolation numbers. Each position is checked with its own prize table:
+ *   first        — the product's winning_amounts (the table every other
+ *                  screen uses)
+ *   other        — product.position_winning_amounts[position], same
+ *                  { level: amount } shape; a position without a table
+ *                  pays nothing on that product
+ */
+
+export const DRAW_POSITION = {
+    FIRST: 'first',
+    SECOND: 'second',
+    THIRD: 'third',
+    CONSOLATION: 'consolation',
+};
+
+export const DRAW_POSITIONS = [
+    { key: DRAW_POSITION.FIRST, label: '1st Prize', shortLabel: '1st', multiple: false },
+    { key: DRAW_POSITION.SECOND, label: '2nd Prize', shortLabel: '2nd', multiple: false },
+    { key: DRAW_POSITION.THIRD, label: '3rd Prize', shortLabel: '3rd', multiple: false },
+    { key: DRAW_POSITION.CONSOLATION, label: 'Consolation', shortLabel: 'Cons.', multiple: true },
+];
+
+// Positions whose prize table lives in position_winning_amounts
+export const EXTRA_PRIZE_POSITIONS = DRAW_POSITIONS.filter(p => p.key !== DRAW_POSITION.FIRST);
+
+export const getDrawPosition = (key) => DRAW_POSITIONS.find(p => p.key === key) || DRAW_POSITIONS[0];
+
+/**
+ * Per-position prize tables of a product, parsed
+ * @returns {Object} { second: { level: amount }, ... } — empty when none are set
+ */
+export const parsePositionWinningAmounts = (product) =>
+    parseWinningAmounts(product?.position_winning_amounts) || {};
+
+/**
+ * Prize table a product pays for a position
+ * @param {Object} product - Product or sale row (winning_amounts, position_winning_amounts)
+ * @param {string} [position] - One of DRAW_POSITION; defaults to first
+ * @returns {Object|null} { level: amount }
+ */
+export const getPositionWinningAmounts = (product, position = DRAW_POSITION.FIRST) => {
+    if (position === DRAW_POSITION.FIRST) return parseWinningAmounts(product?.winning_amounts);
+    return parseWinningAmounts(parsePositionWinningAmounts(product)[position]) || null;
+};
+
+/**
+ * Rounds of a /winning/check result as saved with a winning entry
+ * (rounds_data of submitWinning and of each submitDrawResult position)
+ */
+export const toRoundsData = (rounds) => (rounds || [])
+    .filter(r => r.count > 0)
+    .map(r => ({
+        digit_count: r.digit_count,
+        label: r.label,
+        suffix: r.suffix,
+        count: r.count,
+        total_winning_amount: r.total_winning_amount,
+        matches: (r.matches || []).map(m => ({
+            sold_by: m.sold_by || '-',
+            total_winning_amount: m.total_winning_amount || 0,
+            lottery_number: m.lottery_number || '',
+            qty: m.qty || 1,
+        }))
+    }));
+
+/**
+ * Draw result totals from the checked positions
+ * @param {Array} entries - [{ position, lottery_number, result }] — result is
+ *   the /winning/check data for that number
+ * @returns {{ positions: Array, total_winners: number, grand_total_winning_amount: number }}
+ *   positions in DRAW_POSITIONS order with their own totals
+ */
+export const summarizeDrawResult = (entries) => {
+    const order = DRAW_POSITIONS.map(p => p.key);
+    const positions = [...entries]
+        .sort((a, b) => order.indexOf(a.position) - order.indexOf(b.position))
+        .map(({ position, lottery_number, result }) => ({
+            position,
+            lottery_number,
+            total_winners: result?.total_winners || 0,
+            total_winning_amount: parseFloat(result?.grand_total_winning_amount) || 0,
+            rounds: result?.rounds || [],
+        }));
+
+    return {
+        positions,
+        total_winners: positions.reduce((sum, p) => sum + p.total_winners, 0),
+        grand_total_winning_amount: positions.reduce((sum, p) => sum + p.total_winning_amount, 0),
+    };
+};
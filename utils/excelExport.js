@@ -0,0 +1,155 @@
+import { Platform } from 'react-native';
+import RNFS from 'react-native-fs';
+import Share from 'react-native-share';
+import * as XLSX from 'xlsx';
+import { getBetLabel } from './betTypes';
+
+/**
+ * Excel (XLSX) export for the report result screens.
+ *
+ * A sheet is { name, columns, rows }. Each column is
+ *   { header, value: (row) => any, type: 'number' | 'date' | 'text', width }
+ * Number columns are written as numeric cells (so sums and pivots work in
+ * Excel) and date columns as date cells. Untyped columns keep JS numbers
+ * numeric and write everything else as text. Missing values stay empty
+ * cells, and a value that does not read as its type is kept as text.
+ */
+
+const XLSX_MIME = 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet';
+
+const DATE_FORMAT = 'dd-mmm-yyyy hh:mm';
+
+const toCell = (value, type) => {
+    if (value === null || value === undefined || value === '') return null;
+    if (type === 'number') {
+        const number = parseFloat(value);
+        return Number.isFinite(number) ? number : String(value);
+    }
+    if (type === 'date') {
+        const date = value instanceof Date ? value : new Date(value);
+        return Number.isNaN(date.getTime()) ? String(value) : date;
+    }
+    return typeof value === 'number' ? value : String(value);
+};
+
+/**
+ * Worksheet from a sheet definition: header row, then one row per item
+ */
+export const buildSheet = ({ columns, rows }) => {
+    const data = [
+        columns.map(col => col.header),
+        ...(rows || []).map(row => columns.map(col => toCell(col.value(row), col.type))),
+    ];
+    const sheet = XLSX.utils.aoa_to_sheet(data, { cellDates: false, dateNF: DATE_FORMAT });
+    sheet['!cols'] = columns.map(col => ({ wch: col.width || Math.max(10, col.header.length + 2) }));
+    return sheet;
+};
+
+/**
+ * Workbook with one worksheet per sheet definition, in order
+ */
+export const buildWorkbook = (sheets) => {
+    const workbook = XLSX.utils.book_new();
+    sheets.forEach(sheet => {
+        // Excel caps sheet names at 31 characters and rejects []:*?/\
+        const name = sheet.name.replace(/[[\]:*?/\\]/g, ' ').slice(0, 31);
+        XLSX.utils.book_append_sheet(workbook, buildSheet(sheet), name);
+    });
+    return workbook;
+};
+
+/**
+ * Write the workbook to a local .xlsx file and open the share sheet.
+ * Throws on failure; a dismissed share sheet rejects like other Share.open calls.
+ * @param {{ sheets: Array, fileName: string, title: string }} options
+ * @returns {Promise<string>} path of the written file
+ */
+export const shareWorkbook = async ({ sheets, fileName, title }) => {
+    const base64 = XLSX.write(buildWorkbook(sheets), { type: 'base64', bookType: 'xlsx' });
+    const directory = Platform.OS === 'android' ? RNFS.ExternalDirectoryPath : RNFS.DocumentDirectoryPath;
+    const path = `${directory}/${fileName}_${Date.now()}.xlsx`;
+    await RNFS.writeFile(path, base64, 'base64');
+
+    await Share.open({
+        url: `file://${path}`,
+        type: XLSX_MIME,
+        title,
+    });
+    return path;
+};
+
+// ─── Shared sheet columns ───
+
+const isVoid = (item) => !!item.voided_at;
+
+/** One row per sale line as returned by the sales report */
+export const SALE_COLUMNS = [
+    { header: 'Invoice', value: item => item.invoice_number, width: 12 },
+    { header: 'Date', value: item => item.created_at, type: 'date', width: 18 },
+    { header: 'Category', value: item => item.category_name, width: 14 },
+    { header: 'Product', value: item => item.product_name || item.product_code, width: 14 },
+    { header: 'Bet', value: item => getBetLabel(item), width: 8 },
+    { header: 'Lottery No', value: item => item.desc, width: 24 },
+    { header: 'Qty', value: item => item.qty, type: 'number', width: 8 },
+    { header: 'Unit Price', value: item => item.unit_price, type: 'number', width: 10 },
+    { header: 'Amount', value: item => item.total, type: 'number', width: 12 },
+    { header: 'Sold By', value: item => item.created_by, width: 14 },
+    { header: 'Void', value: item => (isVoid(item) ? 'VOID' : ''), width: 8 },
+    { header: 'Void Reason', value: item => item.void_reason, width: 24 },
+];
+
+/**
+ * Sale lines grouped per invoice (lines without an invoice stay on their own)
+ * @returns {Array<{ invoice_number, created_at, category_name, created_by, lines, qty, total, voided }>}
+ */
+export const groupInvoices = (sales) => {
+    const groups = {};
+    const loose = [];
+    (sales || []).forEach(item => {
+        const group = item.invoice_number ? groups[item.invoice_number] : null;
+        if (group) {
+            group.lines += 1;
+            group.qty += parseInt(item.qty, 10) || 0;
+            group.total += parseFloat(item.total) || 0;
+            group.voided = group.voided && isVoid(item);
+            return;
+        }
+        const entry = {
+            invoice_number: item.invoice_number || '',
+            created_at: item.created_at,
+            category_name: item.category_name,
+            created_by: item.created_by,
+            lines: 1,
+            qty: parseInt(item.qty, 10) || 0,
+            total: parseFloat(item.total) || 0,
+            voided: isVoid(item),
+        };
+        if (item.invoice_number) groups[item.invoice_number] = entry;
+        else loose.push(entry);
+    });
+    return [...Object.values(groups), ...loose];
+};
+
+export const INVOICE_COLUMNS = [
+    { header: 'Invoice', value: inv => inv.invoice_number, width: 12 },
+    { header: 'Date', value: inv => inv.created_at, type: 'date', width: 18 },
+    { header: 'Category', value: inv => inv.category_name, width: 14 },
+    { header: 'Sold By', value: inv => inv.created_by, width: 14 },
+    { header: 'Lines', value: inv => inv.lines, type: 'number', width: 8 },
+    { header: 'Qty', value: inv => inv.qty, type: 'number', width: 8 },
+    { header: 'Amount', value: inv => inv.total, type: 'number', width: 12 },
+    { header: 'Void', value: inv => (inv.voided ? 'VOID' : ''), width: 8 },
+];
+
+/**
+ * Label / value sheet for report totals; number values stay numeric cells
+ * @param {Array<{ label: string, value: any }>} rows
+ */
+export const summarySheet = (rows) => ({
+    name: 'Summary',
+    columns: [
+        { header: 'Item', value: row => row.label, width: 22 },
+        { header: 'Value', value: row => row.value, width: 24 },
+    ],
+    rows,
+});
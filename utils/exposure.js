@@ -0,0 +1,135 @@
+import { isBoxBet, getTopPrizeLevel } from './betTypes';
+
+/**
+ * Per-number exposure limits.
+ *
+ * A product can cap, per lottery number and per draw:
+ *   max_qty_per_number        — tickets sold for one number
+ *   max_liability_per_number  — payout if that number wins (qty × top prize)
+ *   limit_action              — 'block' refuses the sale, 'warn' asks first
+ *
+ * The top prize is the full-match amount from winning_amounts, at the bet
+ * type's highest prize level (see utils/betTypes).
+ */
+
+export const LIMIT_ACTION = {
+    WARN: 'warn',
+    BLOCK: 'block',
+};
+
+/**
+ * winning_amounts as an object ({ level: amount }); the API may send it
+ * JSON-encoded, sometimes twice. Returns null when it is not set.
+ */
+export const parseWinningAmounts = (value) => {
+    let amounts = value;
+    while (typeof amounts === 'string') {
+        try { amounts = JSON.parse(amounts); } catch (e) { return null; }
+    }
+    return amounts && typeof amounts === 'object' ? amounts : null;
+};
+
+/**
+ * Full-match prize for one ticket of a product (0 when not configured)
+ */
+export const getTopPrize = (product) => {
+    const amounts = parseWinningAmounts(product?.winning_amounts);
+    if (!amounts) return 0;
+    const top = amounts[String(getTopPrizeLevel(product))];
+    if (top !== undefined) return parseFloat(top) || 0;
+    return Math.max(0, ...Object.values(amounts).map(v => parseFloat(v) || 0));
+};
+
+export const hasExposureLimits = (product) =>
+    !!(parseFloat(product?.max_qty_per_number) > 0 || parseFloat(product?.max_liability_per_number) > 0);
+
+const numberKey = (productId, number) => `${productId}|${number}`;
+
+/**
+ * Tickets per (product, number) in the cart.
+ * A box row sells one ticket for each of its permutations.
+ * @returns {Array<{ product_id, number, qty, rowIds: string[] }>}
+ */
+export const getCartNumberTotals = (rows) => {
+    const totals = {};
+    const add = (row, number, qty) => {
+        const key = numberKey(row.product_id, number);
+        if (!totals[key]) totals[key] = { product_id: row.product_id, number, qty: 0, rowIds: [] };
+        totals[key].qty += qty;
+        if (!totals[key].rowIds.includes(row.id)) totals[key].rowIds.push(row.id);
+    };
+
+    rows.forEach(row => {
+        if (!row.product_id) return;
+        if (isBoxBet(row) && row.permutations?.length > 0) {
+            row.permutations.forEach(perm => add(row, perm, 1));
+        } else if (row.lotteryNo) {
+            add(row, row.lotteryNo, parseInt(row.qty, 10) || 0);
+        }
+    });
+
+    return Object.values(totals);
+};
+
+/**
+ * Compare the cart against what is already sold for the draw.
+ *
+ * @param {Array} rows - Cart rows (carry the product's limit fields)
+ * @param {Array} sold - [{ product_id, number, qty }] already sold in the draw window
+ * @returns {Array} Violations:
+ *   [{ product_id, product_name, number, soldQty, cartQty, totalQty, maxQty,
+ *      liability, maxLiability, action, rowIds }]
+ */
+export const findExposureViolations = (rows, sold = []) => {
+    const soldMap = {};
+    sold.forEach(s => {
+        soldMap[numberKey(s.product_id, String(s.number))] = parseInt(s.qty, 10) || 0;
+    });
+
+    const violations = [];
+    getCartNumberTotals(rows).forEach(entry => {
+        const row = rows.find(r => r.id === entry.rowIds[0]);
+        if (!hasExposureLimits(row)) return;
+
+        const soldQty = soldMap[numberKey(entry.product_id, entry.number)] || 0;
+        const totalQty = soldQty + entry.qty;
+        const maxQty = parseFloat(row.max_qty_per_number) || 0;
+        const maxLiability = parseFloat(row.max_liability_per_number) || 0;
+        const liability = totalQty * getTopPrize(row);
+
+        const overQty = maxQty > 0 && totalQty > maxQty;
+        const overLiability = maxLiability > 0 && liability > maxLiability;
+        if (!overQty && !overLiability) return;
+
+        violations.push({
+            product_id: entry.product_id,
+            product_name: row.product_name,
+            number: entry.number,
+            soldQty,
+            cartQty: entry.qty,
+            totalQty,
+            maxQty,
+            liability,
+            maxLiability,
+            action: row.limit_action === LIMIT_ACTION.BLOCK ? LIMIT_ACTION.BLOCK : LIMIT_ACTION.WARN,
+            rowIds: entry.rowIds,
+        });
+    });
+
+    return violations;
+};
+
+/**
+ * One line per violation for alerts, e.g.
+ * "KL.110 1234: 180 sold + 30 = 210 (max 200)"
+ */
+export const describeViolation = (v) => {
+    const parts = [];
+    if (v.maxQty > 0 && v.totalQty > v.maxQty) {
+        parts.push(`${v.soldQty} sold + ${v.cartQty} = ${v.totalQty} (max ${v.maxQty})`);
+    }
+    if (v.maxLiability > 0 && v.liability > v.maxLiability) {
+        parts.push(`payout ₹${Math.round(v.liability)} (max ₹${Math.round(v.maxLiability)})`);
+    }
+    return `${v.product_name} ${v.number}: ${parts.join(', ')}`;
+};
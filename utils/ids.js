@@ -0,0 +1,10 @@
+/**
+ * Generate an id on the device, unique enough to tag a request or a
+ * queued record before the server has seen it.
+ * e.g. generateClientId('P') → "P-lx2k9f3a-4h7q"
+ */
+export const generateClientId = (prefix = '') => {
+    const time = Date.now().toString(36);
+    const random = Math.random().toString(36).slice(2, 6).padEnd(4, '0');
+    return prefix ? `${prefix}-${time}-${random}` : `${time}-${random}`;
+};
@@ -1,2 +1,13 @@
 // Export your utility functions here
 // Example: export { formatDate } from './dateUtils';
+export {
+    CUTOFF_LEAD_MINUTES,
+    DEFAULT_CUTOFF_WARNING_MINUTES,
+    getCutoffWarningMinutes,
+    parseTimeSlotToMinutes,
+    isCategoryVisible,
+    getCategoryCutoff,
+    getDrawWindow,
+    getNextSalesOpen,
+} from './timeSlots';
+export { generateClientId } from './ids';
@@ -0,0 +1,84 @@
+/**
+ * Number series helpers for the SalesScreen series builder.
+ *
+ *   Range   — from/to with an optional step: 1230 → 1239 step 1
+ *   Pattern — fixed digits plus wildcards (* or X): "*7" → 07, 17, … 97
+ *
+ * Every number is zero-padded to `length` (the row's required lottery
+ * length, see getInputLength in betTypes).
+ */
+
+// A series larger than this is almost certainly a typo
+export const MAX_SERIES_SIZE = 1000;
+
+const pad = (n, length) => String(n).padStart(length, '0');
+
+/**
+ * Expand a numeric range.
+ * @param {string|number} from
+ * @param {string|number} to
+ * @param {string|number} step - defaults to 1
+ * @param {number} length - required digit count (0 = no fixed length)
+ * @returns {{ numbers: string[], error: string|null }}
+ */
+export const expandRange = (from, to, step = 1, length = 0) => {
+    const fromStr = String(from ?? '').trim();
+    const toStr = String(to ?? '').trim();
+    if (!/^\d+$/.test(fromStr) || !/^\d+$/.test(toStr)) {
+        return { numbers: [], error: 'Enter both start and end numbers' };
+    }
+
+    const len = length || Math.max(fromStr.length, toStr.length);
+    if (fromStr.length > len || toStr.length > len) {
+        return { numbers: [], error: `Numbers can have at most ${len} digits` };
+    }
+
+    const start = parseInt(fromStr, 10);
+    const end = parseInt(toStr, 10);
+    const stepNum = parseInt(step, 10) || 1;
+    if (stepNum < 1) return { numbers: [], error: 'Step must be at least 1' };
+
+    const lo = Math.min(start, end);
+    const hi = Math.max(start, end);
+    const count = Math.floor((hi - lo) / stepNum) + 1;
+    if (count > MAX_SERIES_SIZE) {
+        return { numbers: [], error: `Series has ${count} numbers (max ${MAX_SERIES_SIZE})` };
+    }
+
+    const numbers = [];
+    for (let n = lo; n <= hi; n += stepNum) {
+        numbers.push(pad(n, len));
+    }
+    return { numbers, error: null };
+};
+
+/**
+ * Expand a digit pattern; '*' or 'X' stands for any digit.
+ * @param {string} pattern - e.g. "12*4", "**7"
+ * @param {number} length - required digit count (0 = pattern length)
+ * @returns {{ numbers: string[], error: string|null }}
+ */
+export const expandPattern = (pattern, length = 0) => {
+    const p = String(pattern || '').trim().toUpperCase().replace(/X/g, '*');
+    if (!p) return { numbers: [], error: 'Enter a pattern' };
+    if (!/^[\d*]+$/.test(p)) return { numbers: [], error: 'Use digits and * only' };
+    if (length && p.length !== length) {
+        return { numbers: [], error: `Pattern must be ${length} characters` };
+    }
+
+    const wildcards = (p.match(/\*/g) || []).length;
+    if (wildcards === 0) return { numbers: [p], error: null };
+
+    const count = Math.pow(10, wildcards);
+    if (count > MAX_SERIES_SIZE) {
+        return { numbers: [], error: `Pattern has ${count} numbers (max ${MAX_SERIES_SIZE})` };
+    }
+
+    const numbers = [];
+    for (let i = 0; i < count; i++) {
+        const fill = pad(i, wildcards).split('');
+        let k = 0;
+        numbers.push(p.replace(/\*/g, () => fill[k++]));
+    }
+    return { numbers, error: null };
+};
@@ -0,0 +1,82 @@
+/**
+ * Winner payouts.
+ *
+ * Every winning sale row carries what it won (total_winning_amount) and
+ * what has been handed over so far (winning_paid_amount / paid_amount).
+ * Payouts can be made in parts; the status follows from the two amounts.
+ */
+
+// Rounding slack when comparing amounts
+const AMOUNT_EPSILON = 0.01;
+
+export const PAYOUT_STATUS = {
+    UNPAID: 'unpaid',
+    PARTIAL: 'partial',
+    PAID: 'paid',
+};
+
+export const PAYOUT_STATUS_LABEL = {
+    [PAYOUT_STATUS.UNPAID]: 'Unpaid',
+    [PAYOUT_STATUS.PARTIAL]: 'Part Paid',
+    [PAYOUT_STATUS.PAID]: 'Paid',
+};
+
+export const getWonAmount = (row) => parseFloat(row?.total_winning_amount) || 0;
+
+export const getPaidAmount = (row) => parseFloat(row?.paid_amount ?? row?.winning_paid_amount) || 0;
+
+export const getOutstanding = (row) => Math.max(0, getWonAmount(row) - getPaidAmount(row));
+
+/**
+ * Payout status of a winning row
+ * @param {Object} row - { total_winning_amount, paid_amount | winning_paid_amount }
+ * @returns {string} One of PAYOUT_STATUS
+ */
+export const getPayoutStatus = (row) => {
+    const paid = getPaidAmount(row);
+    if (paid < AMOUNT_EPSILON) return PAYOUT_STATUS.UNPAID;
+    return getOutstanding(row) < AMOUNT_EPSILON ? PAYOUT_STATUS.PAID : PAYOUT_STATUS.PARTIAL;
+};
+
+/**
+ * Validate an amount about to be paid on a row
+ * @returns {string|null} Why it cannot be paid, or null when it can
+ */
+export const checkPayAmount = (row, amount) => {
+    const value = parseFloat(amount);
+    const outstanding = getOutstanding(row);
+    if (outstanding < AMOUNT_EPSILON) return 'This winner has already been paid in full';
+    if (!Number.isFinite(value) || value <= 0) return 'Enter the amount being paid';
+    if (value - outstanding > AMOUNT_EPSILON) return `Only ₹${Math.round(outstanding)} is left to pay`;
+    return null;
+};
+
+/**
+ * Day-end totals of payout rows, overall and per selling agent
+ * @param {Array} rows - Payout rows ({ sold_by, total_winning_amount, paid_amount })
+ * @returns {{ count: number, won: number, paid: number, outstanding: number,
+ *   byStatus: Object, byAgent: Array<{ agent, count, won, paid, outstanding }> }}
+ */
+export const summarizePayouts = (rows) => {
+    const byStatus = { [PAYOUT_STATUS.UNPAID]: 0, [PAYOUT_STATUS.PARTIAL]: 0, [PAYOUT_STATUS.PAID]: 0 };
+    const agents = {};
+    const totals = { count: 0, won: 0, paid: 0, outstanding: 0 };
+
+    (rows || []).forEach(row => {
+        const agent = row.sold_by || row.created_by || '-';
+        if (!agents[agent]) agents[agent] = { agent, count: 0, won: 0, paid: 0, outstanding: 0 };
+        [totals, agents[agent]].forEach(acc => {
+            acc.count += 1;
+            acc.won += getWonAmount(row);
+            acc.paid += getPaidAmount(row);
+            acc.outstanding += getOutstanding(row);
+        });
+        byStatus[getPayoutStatus(row)] += 1;
+    });
+
+    return {
+        ...totals,
+        byStatus,
+        byAgent: Object.values(agents).sort((a, b) => b.outstanding - a.outstanding),
+    };
+};
@@ -0,0 +1,157 @@
+import { getDrawWindow } from './timeSlots';
+
+/**
+ * Receipt QR payload.
+ *
+ * Every sales receipt carries a QR code so a prize claim can be checked
+ * against the server record instead of the printed text:
+ *
+ *   DK1|<invoice>|<window start>|<window end>|<item digest>|<signature>
+ *
+ * Window times are unix seconds in base 36. The item digest is a 64-bit
+ * FNV-1a hash of the canonical item lines (see getCanonicalItems). The
+ * server signs getSignedMessage() with its receipt key and returns the
+ * signature with the batch sale; the app never holds the key, so only the
+ * server can tell a genuine signature from a forged one.
+ *
+ * Receipts printed before the server saw the sale (offline, PENDING) carry
+ * an empty signature.
+ */
+
+export const RECEIPT_QR_PREFIX = 'DK1';
+
+const FIELD_SEPARATOR = '|';
+
+// 64-bit FNV-1a over char codes, kept in four 16-bit limbs (low first)
+// so it runs without BigInt. prime = 2^40 + 0x1b3
+const fnv1a64 = (text) => {
+    let h0 = 0x2325, h1 = 0x8422, h2 = 0x9ce4, h3 = 0xcbf2;
+    for (let i = 0; i < text.length; i++) {
+        h0 ^= text.charCodeAt(i) & 0xffff;
+        const t0 = h0 * 0x1b3;
+        const t1 = h1 * 0x1b3 + (t0 >>> 16);
+        const t2 = h2 * 0x1b3 + (h0 << 8) + (t1 >>> 16);
+        const t3 = h3 * 0x1b3 + (h1 << 8) + (t2 >>> 16);
+        h0 = t0 & 0xffff;
+        h1 = t1 & 0xffff;
+        h2 = t2 & 0xffff;
+        h3 = t3 & 0xffff;
+    }
+    return [h3, h2, h1, h0].map(h => h.toString(16).padStart(4, '0')).join('');
+};
+
+const toBase36Seconds = (date) => Math.floor(new Date(date).getTime() / 1000).toString(36);
+
+const fromBase36Seconds = (text) => {
+    const seconds = parseInt(text, 36);
+    return Number.isFinite(seconds) ? new Date(seconds * 1000) : null;
+};
+
+// Invoice numbers are printed as-is; only the separator has to go
+const cleanField = (value) => String(value ?? '').split(FIELD_SEPARATOR).join('');
+
+/**
+ * Canonical item lines "product_id:desc:qty", sorted, with whitespace
+ * removed from desc — the same lines the server hashes for its record.
+ * @param {Array} items - Batch items or report rows ({ product_id, desc, qty })
+ */
+export const getCanonicalItems = (items) => (items || [])
+    .map(item => `${item.product_id}:${String(item.desc || '').replace(/\s+/g, '')}:${parseInt(item.qty, 10) || 0}`)
+    .sort();
+
+/**
+ * Digest of the items on a receipt (16 hex chars)
+ */
+export const computeItemDigest = (items) => fnv1a64(getCanonicalItems(items).join('\n'));
+
+/**
+ * The part of the payload the server signs
+ */
+export const getSignedMessage = ({ invoiceNo, windowStart, windowEnd, digest }) => [
+    cleanField(invoiceNo),
+    windowStart ? toBase36Seconds(windowStart) : '',
+    windowEnd ? toBase36Seconds(windowEnd) : '',
+    digest,
+].join(FIELD_SEPARATOR);
+
+/**
+ * Encode a receipt QR payload
+ * @param {Object} receipt
+ * @param {string} receipt.invoiceNo
+ * @param {Date|string} [receipt.windowStart]
+ * @param {Date|string} [receipt.windowEnd]
+ * @param {string} receipt.digest
+ * @param {string} [receipt.signature]
+ */
+export const buildReceiptQr = (receipt) =>
+    [RECEIPT_QR_PREFIX, getSignedMessage(receipt), cleanField(receipt.signature)].join(FIELD_SEPARATOR);
+
+/**
+ * QR payload for a sale. Prefers the window, digest and signature the
+ * server returned (data.receipt of the batch response) and falls back to
+ * local values for receipts printed before the server saw the sale.
+ * @param {Object} sale
+ * @param {string} sale.invoiceNo
+ * @param {Array} sale.items - Batch items as sent ({ product_id, desc, qty })
+ * @param {Object} [sale.category] - Category of the cart (for the draw window)
+ * @param {Object} [sale.receipt] - { window_start, window_end, digest, signature } from the server
+ */
+export const buildSaleReceiptQr = ({ invoiceNo, items, category, receipt }) => {
+    const localWindow = category ? getDrawWindow(category) : null;
+    return buildReceiptQr({
+        invoiceNo,
+        windowStart: receipt?.window_start || localWindow?.start || null,
+        windowEnd: receipt?.window_end || localWindow?.end || null,
+        digest: receipt?.digest || computeItemDigest(items),
+        signature: receipt?.signature || '',
+    });
+};
+
+/**
+ * Decode a scanned payload
+ * @param {string} text
+ * @returns {Object|null} { invoiceNo, windowStart, windowEnd, digest, signature, signedMessage },
+ *   or null when it is not a receipt QR
+ */
+export const parseReceiptQr = (text) => {
+    const fields = String(text || '').trim().split(FIELD_SEPARATOR);
+    if (fields.length !== 6 || fields[0] !== RECEIPT_QR_PREFIX) return null;
+
+    const [, invoiceNo, start, end, digest, signature] = fields;
+    if (!invoiceNo || !/^[0-9a-f]{16}$/.test(digest)) return null;
+
+    return {
+        invoiceNo,
+        windowStart: start ? fromBase36Seconds(start) : null,
+        windowEnd: end ? fromBase36Seconds(end) : null,
+        digest,
+        signature,
+        signedMessage: fields.slice(1, 5).join(FIELD_SEPARATOR),
+    };
+};
+
+const sameSecond = (a, b) => {
+    if (!a && !b) return true;
+    if (!a || !b) return false;
+    return Math.floor(new Date(a).getTime() / 1000) === Math.floor(new Date(b).getTime() / 1000);
+};
+
+/**
+ * Compare a decoded payload with the server record of the invoice.
+ * @param {Object} decoded - From parseReceiptQr
+ * @param {Object} record - { invoice_number, window_start, window_end, items }
+ * @returns {Array<string>} Problems found (empty when the receipt matches)
+ */
+export const compareReceiptToRecord = (decoded, record) => {
+    const problems = [];
+    if (String(record.invoice_number) !== decoded.invoiceNo) {
+        problems.push(`Invoice number differs (server: ${record.invoice_number})`);
+    }
+    if (!sameSecond(decoded.windowStart, record.window_start) || !sameSecond(decoded.windowEnd, record.window_end)) {
+        problems.push('Draw window differs from the sale');
+    }
+    if (computeItemDigest(record.items) !== decoded.digest) {
+        problems.push('Items differ from the sale');
+    }
+    return problems;
+};
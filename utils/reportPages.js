@@ -0,0 +1,25 @@
+import { Alert } from 'react-native';
+
+/**
+ * Ask before printing / sharing a report whose loaded rows fall short of
+ * the server's summary.total_records (a page failed or the server capped
+ * the run). Resolves true right away when every row is there.
+ * @param {number} loaded - Rows fetched
+ * @param {number} expected - summary.total_records
+ * @returns {Promise<boolean>} true to go ahead
+ */
+export const confirmReportComplete = (loaded, expected) => new Promise(resolve => {
+    if (loaded >= expected) {
+        resolve(true);
+        return;
+    }
+    Alert.alert(
+        'Report Incomplete',
+        `Only ${loaded} of ${expected} sales could be loaded. Totals will not match the server summary.`,
+        [
+            { text: 'Cancel', style: 'cancel', onPress: () => resolve(false) },
+            { text: 'Continue', onPress: () => resolve(true) }
+        ],
+        { cancelable: true, onDismiss: () => resolve(false) }
+    );
+});
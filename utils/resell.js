@@ -0,0 +1,51 @@
+import { createCartRow, assignProduct, applyLotteryNumber, applyBoxVariant } from './cartRows';
+import { isBoxBet } from './betTypes';
+
+/**
+ * Re-sell helpers — load the items of an earlier invoice group
+ * (the output of groupTransactions in the report screens) into the cart.
+ */
+
+/**
+ * Build cart rows for `category` from sold invoice items.
+ * Products are matched by product_code among the category's current
+ * products, so prices and product settings are today's, not the old ones.
+ *
+ * @param {Array} invoiceItems - Report items ({ product_code, product_name, desc, qty, box_variant, category_name })
+ * @param {Object} category - Open category the rows are for
+ * @param {Array} products - Active products of that category
+ * @param {Set<string>} closedCategoryNames - Categories whose draw is closed right now
+ * @returns {{ rows: Array, flagged: Array<{ item: Object, reason: string, skipped: boolean }> }}
+ */
+export const buildResellRows = (invoiceItems, category, products, closedCategoryNames = new Set()) => {
+    const rows = [];
+    const flagged = [];
+
+    (invoiceItems || []).forEach(item => {
+        const label = `${item.product_code || item.product_name || 'Item'} (${item.desc || '-'})`;
+        const product = products.find(p => p.product_code && p.product_code === item.product_code);
+
+        if (!product) {
+            flagged.push({ item, skipped: true, reason: `${label}: product no longer available in ${category.category_name}` });
+            return;
+        }
+
+        // Box items are stored as their permutation list — the first one rebuilds
+        // the row, the sold variant (and custom pick) is applied on top
+        const numbers = String(item.desc || '').split(',').map(n => n.trim()).filter(Boolean);
+        const lotteryNo = isBoxBet(product) ? (numbers[0] || '') : numbers.join('');
+
+        const row = applyLotteryNumber(assignProduct(createCartRow(category), product), lotteryNo);
+        if (isBoxBet(row)) {
+            rows.push(item.box_variant ? applyBoxVariant(row, item.box_variant, numbers) : row);
+        } else {
+            rows.push({ ...row, qty: String(item.qty || '') });
+        }
+
+        if (item.category_name && item.category_name !== category.category_name && closedCategoryNames.has(item.category_name)) {
+            flagged.push({ item, skipped: false, reason: `${label}: ${item.category_name} is closed, added to ${category.category_name}` });
+        }
+    });
+
+    return { rows, flagged };
+};
@@ -0,0 +1,248 @@
+import { parseTimeSlotToMinutes, getDrawWindow } from './timeSlots';
+import { DRAW_POSITION, DRAW_POSITIONS, getDrawPosition } from './drawPositions';
+
+/**
+ * Draw result import.
+ *
+ * A results file (CSV or XLSX, first sheet) has one row per published
+ * number:
+ *   Category | Date | Time Slot | Position | Number
+ * Headers are matched loosely (RESULT_COLUMNS); Position may be left empty
+ * for the 1st prize. Rows are checked against the active categories and
+ * their time_slots, then grouped into one draw per category + window:
+ * a draw with only a 1st prize is submitted like WinningScreen, one with
+ * more positions like DrawResultScreen.
+ */
+
+// Column key → accepted header names (lower case, spaces / dots / underscores dropped)
+export const RESULT_COLUMNS = {
+    category: ['category', 'categoryname', 'lottery', 'game'],
+    date: ['date', 'drawdate', 'resultdate'],
+    time_slot: ['timeslot', 'slot', 'time', 'drawtime'],
+    position: ['position', 'prize', 'prizeposition', 'rank'],
+    lottery_number: ['number', 'winningnumber', 'lotterynumber', 'result', 'no'],
+};
+
+const REQUIRED_COLUMNS = ['category', 'date', 'time_slot', 'lottery_number'];
+
+// Position cell → DRAW_POSITION
+const POSITION_ALIASES = {
+    '': DRAW_POSITION.FIRST,
+    '1': DRAW_POSITION.FIRST,
+    '1st': DRAW_POSITION.FIRST,
+    'first': DRAW_POSITION.FIRST,
+    '2': DRAW_POSITION.SECOND,
+    '2nd': DRAW_POSITION.SECOND,
+    'second': DRAW_POSITION.SECOND,
+    '3': DRAW_POSITION.THIRD,
+    '3rd': DRAW_POSITION.THIRD,
+    'third': DRAW_POSITION.THIRD,
+    'c': DRAW_POSITION.CONSOLATION,
+    'cons': DRAW_POSITION.CONSOLATION,
+    'consolation': DRAW_POSITION.CONSOLATION,
+};
+
+const normalizeHeader = (value) => String(value ?? '').toLowerCase().replace(/[\s._-]/g, '');
+
+const cellText = (value) => String(value ?? '').trim();
+
+/**
+ * Prize position from a Position cell ("1st Prize", "2", "Consolation"), or null
+ */
+export const parsePosition = (value) => {
+    const text = cellText(value).toLowerCase().replace(/\s*prize$/, '').trim();
+    return POSITION_ALIASES[text] ?? null;
+};
+
+// Day 0 of Excel date serials (1900 date system, leap-year bug included)
+const EXCEL_EPOCH = { year: 1899, month: 11, day: 30 };
+
+/**
+ * Draw date from a Date cell: YYYY-MM-DD, DD-MM-YYYY or DD/MM/YYYY text,
+ * a Date (XLSX date cell) or an Excel date serial (e.g. 46313).
+ * Returns a local Date at midnight, or null.
+ */
+export const parseResultDate = (value) => {
+    if (value instanceof Date) {
+        if (Number.isNaN(value.getTime())) return null;
+        // XLSX dates can land seconds before midnight (historic time zone offsets)
+        const rounded = new Date(Math.round(value.getTime() / 60000) * 60000);
+        return new Date(rounded.getFullYear(), rounded.getMonth(), rounded.getDate());
+    }
+
+    const text = cellText(value);
+    if (typeof value === 'number' || /^\d{5}(\.\d+)?$/.test(text)) {
+        const serial = Math.floor(Number(text));
+        if (!(serial > 0)) return null;
+        return new Date(EXCEL_EPOCH.year, EXCEL_EPOCH.month, EXCEL_EPOCH.day + serial);
+    }
+
+    let year;
+    let month;
+    let day;
+    let match = text.match(/^(\d{4})[-/.](\d{1,2})[-/.](\d{1,2})$/);
+    if (match) {
+        [, year, month, day] = match.map(Number);
+    } else {
+        match = text.match(/^(\d{1,2})[-/.](\d{1,2})[-/.](\d{4})$/);
+        if (!match) return null;
+        [, day, month, year] = match.map(Number);
+    }
+    const date = new Date(year, month - 1, day);
+    if (date.getFullYear() !== year || date.getMonth() !== month - 1 || date.getDate() !== day) return null;
+    return date;
+};
+
+const pad = (value) => String(value).padStart(2, '0');
+
+/**
+ * Date cell as text; Date and serial cells become YYYY-MM-DD
+ */
+const dateCellText = (value) => {
+    if (!(value instanceof Date) && typeof value !== 'number') return cellText(value);
+    const date = parseResultDate(value);
+    return date ? `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}` : cellText(value);
+};
+
+/**
+ * Result rows from a sheet read as arrays (XLSX sheet_to_json with header: 1).
+ * The first row holding every required column is taken as the header.
+ * @param {Array<Array>} sheetRows
+ * @returns {{ rows: Array<{ line, category, date, time_slot, position, lottery_number }>,
+ *   error: string|null }} line = 1-based row in the file
+ */
+export const parseResultSheet = (sheetRows) => {
+    const lines = sheetRows || [];
+    const headerIndex = lines.findIndex(cells => {
+        const headers = (cells || []).map(normalizeHeader);
+        return REQUIRED_COLUMNS.every(key => RESULT_COLUMNS[key].some(name => headers.includes(name)));
+    });
+    if (headerIndex === -1) {
+        return { rows: [], error: 'No header row with Category, Date, Time Slot and Number columns' };
+    }
+
+    const headers = lines[headerIndex].map(normalizeHeader);
+    const columnIndex = {};
+    Object.entries(RESULT_COLUMNS).forEach(([key, names]) => {
+        columnIndex[key] = headers.findIndex(h => names.includes(h));
+    });
+    const read = (cells, key, toText = cellText) => (columnIndex[key] === -1 ? '' : toText(cells[columnIndex[key]]));
+
+    const rows = [];
+    lines.slice(headerIndex + 1).forEach((cells, i) => {
+        if (!cells || cells.every(cell => cellText(cell) === '')) return;
+        rows.push({
+            line: headerIndex + i + 2,
+            category: read(cells, 'category'),
+            date: read(cells, 'date', dateCellText),
+            time_slot: read(cells, 'time_slot'),
+            position: read(cells, 'position'),
+            lottery_number: read(cells, 'lottery_number').replace(/\s/g, ''),
+        });
+    });
+    return { rows, error: rows.length === 0 ? 'The file has no result rows' : null };
+};
+
+const findCategory = (categories, value) => {
+    const name = value.toLowerCase();
+    return categories.find(c => String(c.category_name || '').trim().toLowerCase() === name) ||
+        categories.find(c => String(c.id) === value) || null;
+};
+
+/**
+ * Check parsed rows against the active categories and their time slots
+ * @param {Array} rows - From parseResultSheet
+ * @param {Array} categories - Active categories ({ id, category_name, time_slots })
+ * @returns {Array} rows with { category_id, category_name, time_slot, position, window,
+ *   batchKey, errors: Array<string> } — valid when errors is empty
+ */
+export const validateResultRows = (rows, categories) => {
+    const checked = rows.map(row => {
+        const errors = [];
+        const category = row.category ? findCategory(categories || [], row.category) : null;
+        if (!row.category) errors.push('Category is missing');
+        else if (!category) errors.push(`No active category "${row.category}"`);
+
+        const date = parseResultDate(row.date);
+        if (!date) errors.push(row.date ? `Date "${row.date}" is not valid (use YYYY-MM-DD)` : 'Date is missing');
+
+        const slotMinutes = parseTimeSlotToMinutes(row.time_slot);
+        let timeSlot = null;
+        if (slotMinutes === null) {
+            errors.push(row.time_slot ? `Time slot "${row.time_slot}" is not valid` : 'Time slot is missing');
+        } else if (category) {
+            timeSlot = (category.time_slots || []).find(slot => parseTimeSlotToMinutes(slot) === slotMinutes) || null;
+            if (!timeSlot) errors.push(`${category.category_name} has no ${row.time_slot} draw`);
+        }
+
+        const position = parsePosition(row.position);
+        if (!position) errors.push(`Position "${row.position}" is not valid (1st, 2nd, 3rd or Consolation)`);
+
+        if (!row.lottery_number) errors.push('Number is missing');
+        else if (!/^\d+$/.test(row.lottery_number)) errors.push(`Number "${row.lottery_number}" must be digits only`);
+
+        const drawWindow = errors.length === 0 ? getDrawWindow({ time_slots: [timeSlot] }, date) : null;
+        return {
+            ...row,
+            category_id: category?.id ?? null,
+            category_name: category?.category_name || row.category,
+            time_slot: timeSlot || row.time_slot,
+            position,
+            window: drawWindow,
+            batchKey: drawWindow ? `${category.id}|${drawWindow.end.toISOString()}` : null,
+            errors,
+        };
+    });
+
+    // Within one draw: one number per single position, and no number twice
+    const seen = {};
+    checked.forEach(row => {
+        if (!row.batchKey) return;
+        const positionKey = `${row.batchKey}|${row.position}`;
+        const numberKey = `${row.batchKey}#${row.lottery_number}`;
+        const drawPosition = getDrawPosition(row.position);
+        if (!drawPosition.multiple && seen[positionKey]) {
+            row.errors.push(`Draw already has a ${drawPosition.label} number (row ${seen[positionKey]})`);
+        } else if (seen[numberKey]) {
+            row.errors.push(`${row.lottery_number} is already in this draw (row ${seen[numberKey]})`);
+        }
+        if (row.errors.length > 0) return;
+        seen[positionKey] = row.line;
+        seen[numberKey] = row.line;
+    });
+
+    checked.forEach(row => { if (row.errors.length > 0) row.batchKey = null; });
+    return checked;
+};
+
+/**
+ * Valid rows grouped into draws (one per category + window), 1st prize first
+ * @returns {Array<{ key, category_id, category_name, time_slot, window, rows, error }>}
+ *   error is set when the draw has no 1st prize
+ */
+export const groupResultBatches = (rows) => {
+    const order = DRAW_POSITIONS.map(p => p.key);
+    const batches = {};
+    rows.filter(row => row.batchKey).forEach(row => {
+        if (!batches[row.batchKey]) {
+            batches[row.batchKey] = {
+                key: row.batchKey,
+                category_id: row.category_id,
+                category_name: row.category_name,
+                time_slot: row.time_slot,
+                window: row.window,
+                rows: [],
+            };
+        }
+        batches[row.batchKey].rows.push(row);
+    });
+
+    return Object.values(batches).map(batch => {
+        const sorted = [...batch.rows].sort((a, b) => order.indexOf(a.position) - order.indexOf(b.position));
+        return {
+            ...batch,
+            rows: sorted,
+            error: sorted[0].position === DRAW_POSITION.FIRST ? null : 'No 1st prize number for this draw',
+        };
+    });
+};
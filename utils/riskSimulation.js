@@ -0,0 +1,174 @@
+import { getBetType, BET_TYPE, getPrizeLevels, getIndexPositions, parseIndexType } from './betTypes';
+import { parseWinningAmounts } from './exposure';
+import { getSoldNumbers, matchNumber } from './winningEngine';
+
+/**
+ * Pre-draw payout risk ("what if this number wins").
+ *
+ * Tries every possible result of the upcoming draw against the window's
+ * sales and ranks them by payout. Each prize comes from
+ * utils/winningEngine (matchNumber), so the number a candidate pays here is
+ * what computeWinnings — and /winning/check — would report if it won.
+ *
+ * Only the last `digits` digits of a result can change a payout, so the
+ * candidates are every number of that length (10^digits of them). Sold
+ * numbers are counted per prize setup by suffix at each prized level (by
+ * number for index bets); tickets whose best match is the same level win
+ * the same prize, so matchNumber prices one of them and the rest follow
+ * from the counts, instead of a pass over every ticket per candidate.
+ */
+
+// Candidates stay within 10^MAX_RISK_DIGITS
+export const MAX_RISK_DIGITS = 5;
+
+// Index positions reach back to the 3rd last digit (A)
+const INDEX_DIGITS = 3;
+
+const toAmount = (value) => parseFloat(value) || 0;
+
+/**
+ * Sale amount of a row: its total, else qty × price
+ */
+const getSaleAmount = (row, product) => {
+    if (row.total != null && row.total !== '') return toAmount(row.total);
+    const price = toAmount(row.unit_price ?? row.price ?? product?.price);
+    return price * (parseInt(row.qty, 10) || 0);
+};
+
+// Rows carry their own prize setup, so one product can hold several
+const getSetupKey = (row, source, amounts) =>
+    [row.product_id, source.box, source.index_type, source.digit_type, JSON.stringify(amounts)].join('|');
+
+const addTo = (map, key, number, qty) => {
+    if (!map[key]) map[key] = { qty: 0, numbers: [] };
+    map[key].numbers.push(number);
+    map[key].qty += qty;
+};
+
+/**
+ * Count the window's sales per prize setup
+ * @returns {{ buckets: Array, digits: number, totalSales: number }}
+ */
+const buildBuckets = (sales, products) => {
+    const productMap = {};
+    (products || []).forEach(p => { productMap[p.id] = p; });
+
+    const buckets = {};
+    let maxLevel = 0;
+    let totalSales = 0;
+
+    (sales || []).forEach(row => {
+        if (row.deleted_at || row.voided_at) return;
+        const source = row.winning_amounts ? row : { ...row, ...productMap[row.product_id] };
+        totalSales += getSaleAmount(row, productMap[row.product_id]);
+
+        const amounts = parseWinningAmounts(source.winning_amounts) || {};
+        const isIndex = getBetType(source).key === BET_TYPE.INDEX;
+        const indexType = isIndex ? parseIndexType(source.index_type) : null;
+        // Index bets win at one level, the number of positions
+        const levels = (isIndex ? [indexType.length] : getPrizeLevels(source))
+            .filter(level => toAmount(amounts[String(level)]) > 0)
+            .sort((x, y) => y - x);
+        if (levels.length === 0) return;
+
+        const setupKey = getSetupKey(row, source, amounts);
+        if (!buckets[setupKey]) {
+            buckets[setupKey] = {
+                // Parsed once so matchNumber does not re-parse per candidate
+                product: { ...source, winning_amounts: amounts },
+                isIndex,
+                indexType,
+                prizes: levels.map(level => ({ level, counts: {} })),
+            };
+        }
+        const bucket = buckets[setupKey];
+
+        getSoldNumbers(row).forEach(({ number, qty }) => {
+            if (isIndex) {
+                if (number.length !== indexType.length) return;
+                addTo(bucket.prizes[0].counts, number, number, qty);
+                maxLevel = Math.max(maxLevel, INDEX_DIGITS);
+                return;
+            }
+            bucket.prizes.forEach(prize => {
+                if (prize.level > number.length) return;
+                addTo(prize.counts, number.slice(-prize.level), number, qty);
+                maxLevel = Math.max(maxLevel, prize.level);
+            });
+        });
+    });
+
+    return {
+        buckets: Object.values(buckets),
+        digits: Math.min(maxLevel, MAX_RISK_DIGITS),
+        totalSales,
+    };
+};
+
+/**
+ * Payout and winning tickets if `candidate` is the result
+ */
+const payoutFor = (buckets, candidate) => {
+    let payout = 0;
+    let tickets = 0;
+
+    buckets.forEach(bucket => {
+        if (bucket.isIndex) {
+            const positions = getIndexPositions(bucket.indexType, candidate.length);
+            if (positions.length !== bucket.indexType.length) return;
+            const group = bucket.prizes[0].counts[positions.map(pos => candidate[pos]).join('')];
+            const match = group && matchNumber(bucket.product, group.numbers[0], candidate);
+            if (!match) return;
+            payout += match.amount * group.qty;
+            tickets += group.qty;
+            return;
+        }
+
+        // A ticket matching at a level also matches every shorter level, so
+        // the tickets whose best level is N are count(N) − count(next longer)
+        let longer = null;
+        bucket.prizes.forEach(prize => {
+            if (prize.level > candidate.length) return;
+            const group = prize.counts[candidate.slice(-prize.level)];
+            const exact = (group?.qty || 0) - (longer?.group?.qty || 0);
+            if (exact > 0) {
+                const suffix = longer && candidate.slice(-longer.level);
+                const number = group.numbers.find(n => !suffix || n.slice(-longer.level) !== suffix);
+                const match = number && matchNumber(bucket.product, number, candidate);
+                if (match) {
+                    payout += match.amount * exact;
+                    tickets += exact;
+                }
+            }
+            longer = { level: prize.level, group };
+        });
+    });
+
+    return { payout, tickets };
+};
+
+/**
+ * Riskiest results of the upcoming draw
+ * @param {Object} params
+ * @param {Array} params.sales - Window sale rows (as for computeWinnings, plus total)
+ * @param {Array} [params.products] - Products; their prize setup is used when a row has none
+ * @param {number} [params.topN] - How many candidates to return
+ * @returns {{ digits: number, totalSales: number, candidateCount: number,
+ *   candidates: Array<{ number: string, payout: number, tickets: number, net: number }> }}
+ *   candidates by payout, highest first; net = totalSales − payout
+ */
+export const simulateRisk = ({ sales, products = [], topN = 20 }) => {
+    const { buckets, digits, totalSales } = buildBuckets(sales, products);
+    if (digits === 0) return { digits, totalSales, candidateCount: 0, candidates: [] };
+
+    const candidateCount = 10 ** digits;
+    const results = [];
+    for (let i = 0; i < candidateCount; i++) {
+        const number = String(i).padStart(digits, '0');
+        const { payout, tickets } = payoutFor(buckets, number);
+        if (payout > 0) results.push({ number, payout, tickets, net: totalSales - payout });
+    }
+    results.sort((a, b) => b.payout - a.payout || a.number.localeCompare(b.number));
+
+    return { digits, totalSales, candidateCount, candidates: results.slice(0, topN) };
+};
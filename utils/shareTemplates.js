@@ -0,0 +1,191 @@
+import { getBetLabel } from './betTypes';
+
+/**
+ * Share templates for sale details (WhatsApp text).
+ *
+ * Each template turns one invoice ({ invoiceNo, items }) into plain text.
+ * Items are cart rows ({ product_name, desc, qty, price, category_name,
+ * time_slots }) or report rows ({ ..., unit_price, total, created_at }).
+ *
+ * The seller's default is stored by services/shareTemplateService and is
+ * used by the post-sale share and the report screens' text share.
+ */
+
+export const SHARE_TEMPLATE = {
+    SHOWTIME: 'showtime',
+    COMPACT: 'compact',
+    CATEGORY: 'category',
+    AMOUNTS: 'amounts',
+    INVOICE: 'invoice',
+};
+
+export const DEFAULT_SHARE_TEMPLATE_ID = SHARE_TEMPLATE.SHOWTIME;
+
+// Sale used for the settings preview
+export const SAMPLE_SHARE_SALE = {
+    invoiceNo: '1024',
+    items: [
+        { product_name: 'KL', product_code: 'KL.110', desc: '1265', qty: 1, price: 12, category_name: 'Kerala', time_slots: ['3:00 PM'] },
+        { product_name: 'KL', product_code: 'KL.110', desc: '4521', qty: 5, price: 12, category_name: 'Kerala', time_slots: ['3:00 PM'] },
+        { product_name: 'Pol', desc: '2569,2596,2659,2695', qty: 24, price: 10, category_name: 'Dear', time_slots: ['8:00 PM'], box: 1 },
+    ],
+};
+
+// ─── Item helpers ───
+
+const getProductName = (item) => item.product_name || item.product_code || 'N/A';
+
+// Product name with its bet tag (e.g. "Pol BOX")
+const getName = (item) => [getProductName(item), getBetLabel(item)].filter(Boolean).join(' ');
+
+const getNumbers = (item) => {
+    const numbers = String(item.desc || '').split(',').map(n => n.trim()).filter(Boolean);
+    return numbers.length > 0 ? numbers : ['N/A'];
+};
+
+const getQty = (item) => parseInt(item.qty, 10) || 0;
+
+const getAmount = (item) => {
+    if (item.total !== undefined && item.total !== null) return parseFloat(item.total) || 0;
+    return (parseFloat(item.price ?? item.unit_price) || 0) * getQty(item);
+};
+
+const getShowtime = (item) => {
+    let slots = item.time_slots;
+    if (typeof slots === 'string') {
+        try { slots = JSON.parse(slots); } catch (e) { slots = [slots]; }
+    }
+    return String((Array.isArray(slots) && slots[0]) || '');
+};
+
+const groupBy = (items, getKey) => {
+    const groups = {};
+    items.forEach(item => {
+        const key = getKey(item);
+        if (!groups[key]) groups[key] = [];
+        groups[key].push(item);
+    });
+    return groups;
+};
+
+const formatDateTime = (date) => new Date(date).toLocaleString('en-IN', {
+    day: '2-digit',
+    month: 'short',
+    year: 'numeric',
+    hour: '2-digit',
+    minute: '2-digit',
+    hour12: true,
+});
+
+/**
+ * Aligned "name - number = qty" lines, one number per line
+ * @param {Array} items - Rows to print
+ * @param {Object} [options]
+ * @param {Function} [options.getLabel] - Name column of a row
+ * @param {Array} [options.widthItems] - Rows the columns are sized to (all groups of a share)
+ */
+const formatAlignedLines = (items, { getLabel = getName, widthItems = items } = {}) => {
+    const toRow = (item) => ({ name: getLabel(item), numbers: getNumbers(item), qty: String(item.qty || 0) });
+    const rows = items.map(toRow);
+    const widthRows = widthItems.map(toRow);
+    const nameWidth = Math.max(...widthRows.map(r => r.name.length), 1);
+    const numberWidth = Math.max(...widthRows.flatMap(r => r.numbers.map(n => n.length)), 1);
+    const qtyWidth = Math.max(...widthRows.map(r => r.qty.length), 1);
+    const indent = ' '.repeat(nameWidth + 3);
+
+    const lines = [];
+    rows.forEach(({ name, numbers, qty }) => {
+        numbers.forEach((number, i) => {
+            const prefix = i === 0 ? `${name.padEnd(nameWidth)} - ` : indent;
+            lines.push(i === numbers.length - 1
+                ? `${prefix}${number.padEnd(numberWidth)} = ${qty.padStart(qtyWidth)}`
+                : `${prefix}${number}`);
+        });
+    });
+    return lines;
+};
+
+// ─── Templates ───
+
+// The default; same text as the share before templates existed: plain
+// product names, columns aligned across every show time
+const formatByShowtime = ({ items }) => {
+    const lines = [];
+    Object.entries(groupBy(items, getShowtime)).forEach(([showtime, groupItems]) => {
+        if (showtime) lines.push(`── ${showtime} ──`);
+        lines.push(...formatAlignedLines(groupItems, { getLabel: getProductName, widthItems: items }), '');
+    });
+    return lines.join('\n').trim();
+};
+
+const formatCompact = ({ items }) => Object.entries(groupBy(items, getName))
+    .map(([name, groupItems]) => `${name}: ${groupItems.map(item => `${getNumbers(item).join(',')}x${getQty(item)}`).join(', ')}`)
+    .join('\n');
+
+const formatByCategory = ({ items }) => {
+    const lines = [];
+    Object.entries(groupBy(items, item => item.category_name || 'Other')).forEach(([category, groupItems]) => {
+        const showtime = getShowtime(groupItems[0]);
+        lines.push(`*${category}${showtime ? ` (${showtime})` : ''}*`);
+        lines.push(...formatAlignedLines(groupItems), '');
+    });
+    return lines.join('\n').trim();
+};
+
+const formatWithAmounts = ({ items }) => {
+    const lines = items.map(item => {
+        const qty = getQty(item);
+        const amount = getAmount(item);
+        const rate = qty > 0 ? amount / qty : 0;
+        return `${getName(item)} - ${getNumbers(item).join(',')}  ${qty} x ₹${Math.round(rate)} = ₹${Math.round(amount)}`;
+    });
+    const totalQty = items.reduce((sum, item) => sum + getQty(item), 0);
+    const totalAmount = items.reduce((sum, item) => sum + getAmount(item), 0);
+    lines.push('', `Total: ${totalQty} tickets = ₹${Math.round(totalAmount)}`);
+    return lines.join('\n');
+};
+
+const formatWithInvoiceHeader = (sale) => {
+    const { invoiceNo, items } = sale;
+    const soldAt = items[0]?.created_at || sale.date || new Date();
+    const totalAmount = items.reduce((sum, item) => sum + getAmount(item), 0);
+    return [
+        `*Invoice ${invoiceNo || 'N/A'}*`,
+        formatDateTime(soldAt),
+        '',
+        formatByShowtime(sale),
+        '',
+        `Total: ₹${Math.round(totalAmount)}`,
+    ].join('\n');
+};
+
+export const SHARE_TEMPLATES = [
+    { id: SHARE_TEMPLATE.SHOWTIME, label: 'By Show Time', description: 'One number per line, grouped by show time', format: formatByShowtime },
+    { id: SHARE_TEMPLATE.COMPACT, label: 'Compact List', description: 'Numbers as a comma list per product', format: formatCompact },
+    { id: SHARE_TEMPLATE.CATEGORY, label: 'By Category', description: 'Grouped under each category and draw time', format: formatByCategory },
+    { id: SHARE_TEMPLATE.AMOUNTS, label: 'With Amounts', description: 'Qty, rate and amount per line with a total', format: formatWithAmounts },
+    { id: SHARE_TEMPLATE.INVOICE, label: 'Invoice Header', description: 'Invoice number, date and total around the numbers', format: formatWithInvoiceHeader },
+];
+
+export const getShareTemplate = (id) =>
+    SHARE_TEMPLATES.find(t => t.id === id) || SHARE_TEMPLATES.find(t => t.id === DEFAULT_SHARE_TEMPLATE_ID);
+
+/**
+ * Share text for one invoice
+ * @param {string} templateId
+ * @param {Object} sale - { invoiceNo, items }
+ */
+export const formatShareText = (templateId, sale) =>
+    getShareTemplate(templateId).format({ ...sale, items: sale.items || [] });
+
+/**
+ * Share text for several invoices (report share), one block per invoice.
+ * Templates without their own header get an "Invoice N" line.
+ * @param {string} templateId
+ * @param {Array} sales - [{ invoiceNo, items }]
+ */
+export const formatShareReport = (templateId, sales) => sales
+    .map(sale => (templateId === SHARE_TEMPLATE.INVOICE
+        ? formatShareText(templateId, sale)
+        : `*Invoice ${sale.invoiceNo || 'N/A'}*\n${formatShareText(templateId, sale)}`))
+    .join('\n\n');
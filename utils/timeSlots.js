@@ -0,0 +1,168 @@
+import { serverClock } from '../services/serverClock';
+
+/**
+ * Time slot helpers shared by sales entry and the offline sales queue.
+ *
+ * A category's draw is described by its first time slot (e.g. "1:00 PM").
+ * Sales for that draw close 2 minutes before the slot and re-open at
+ * 12:01 AM the next day.
+ *
+ * `now` defaults to server time (see services/serverClock) so changing the
+ * phone's clock does not move the cutoff.
+ */
+
+// Sales close this many minutes before the category's time slot
+export const CUTOFF_LEAD_MINUTES = 2;
+
+// Sales re-open at this minute of the day (12:01 AM)
+const REOPEN_MINUTE = 1;
+
+// Countdown warnings fire when this many minutes are left before the cutoff,
+// unless the category sets its own cutoff_warning_minutes
+export const DEFAULT_CUTOFF_WARNING_MINUTES = [10, 5, 1];
+
+/**
+ * Parse a time slot string (e.g. "1:00 PM", "10:30 AM", "15:00")
+ * into total minutes from midnight.
+ * Returns null if format is invalid.
+ */
+export const parseTimeSlotToMinutes = (timeSlot) => {
+    if (!timeSlot || typeof timeSlot !== 'string') return null;
+    const trimmed = timeSlot.trim();
+
+    // 12-hour format: "1:00 PM", "10:30 AM"
+    const match12h = trimmed.match(/^(\d{1,2}):(\d{2})\s*(AM|PM)$/i);
+    if (match12h) {
+        let hours = parseInt(match12h[1], 10);
+        const minutes = parseInt(match12h[2], 10);
+        const meridiem = match12h[3].toUpperCase();
+        if (meridiem === 'AM') {
+            if (hours === 12) hours = 0;
+        } else {
+            if (hours !== 12) hours += 12;
+        }
+        if (hours >= 0 && hours <= 23 && minutes >= 0 && minutes <= 59) {
+            return hours * 60 + minutes;
+        }
+        return null;
+    }
+
+    // 24-hour format: "15:00", "09:30"
+    const match24h = trimmed.match(/^(\d{1,2}):(\d{2})$/);
+    if (match24h) {
+        const hours = parseInt(match24h[1], 10);
+        const minutes = parseInt(match24h[2], 10);
+        if (hours >= 0 && hours <= 23 && minutes >= 0 && minutes <= 59) {
+            return hours * 60 + minutes;
+        }
+    }
+    return null;
+};
+
+/**
+ * Check if a category should be visible based on its first time slot.
+ *
+ * Rule:
+ *   Hidden from (timeSlot − 2 minutes) until next day 12:01 AM.
+ *   Visible from 12:01 AM until (timeSlot − 2 minutes).
+ *
+ * Example (timeSlot = 1:00 PM = 780 min):
+ *   hideStart = 778 min (12:58 PM)
+ *   Hidden:  12:58 PM  →  11:59 PM  (same day)
+ *            12:00 AM  →  12:00 AM  (next day, 1 minute window)
+ *   Visible: 12:01 AM  →  12:57 PM
+ */
+export const isCategoryVisible = (category, now = serverClock.now()) => {
+    if (!category?.time_slots || category.time_slots.length === 0) return true;
+
+    const slotMinutes = parseTimeSlotToMinutes(category.time_slots[0]);
+    if (slotMinutes === null) return true; // can't parse → keep visible
+
+    const currentMinutes = now.getHours() * 60 + now.getMinutes();
+
+    // Hide starts 2 minutes before the slot
+    let hideStart = slotMinutes - CUTOFF_LEAD_MINUTES;
+
+    if (hideStart < 0) {
+        // Slot is at 00:00 or 00:01 — hideStart wraps to previous day
+        hideStart += 24 * 60; // e.g. -2 → 1438 (23:58)
+    }
+
+    // The hidden window crosses midnight:
+    //   hideStart (e.g. 778) → 1439 (end of day) AND 0 → REOPEN_MINUTE (1)
+    // So category is HIDDEN when:
+    //   currentMinutes >= hideStart  OR  currentMinutes < REOPEN_MINUTE
+    if (currentMinutes >= hideStart || currentMinutes < REOPEN_MINUTE) {
+        return false; // hidden
+    }
+
+    return true; // visible
+};
+
+/**
+ * Get the moment sales close for the category's draw on the day of `now`
+ * (time slot minus the cutoff lead).
+ * Returns null when the category has no parseable time slot.
+ */
+export const getCategoryCutoff = (category, now = serverClock.now()) => {
+    const slotMinutes = parseTimeSlotToMinutes(category?.time_slots?.[0]);
+    if (slotMinutes === null) return null;
+
+    const cutoff = new Date(now.getFullYear(), now.getMonth(), now.getDate(), 0, 0, 0, 0);
+    cutoff.setMinutes(slotMinutes - CUTOFF_LEAD_MINUTES);
+    // Slot at 00:00 / 00:01 — the cutoff is late the same evening, not the night before
+    if (slotMinutes - CUTOFF_LEAD_MINUTES < 0) cutoff.setDate(cutoff.getDate() + 1);
+    return cutoff;
+};
+
+/**
+ * Cutoff warning thresholds of a category, largest first.
+ * cutoff_warning_minutes may be an array, its JSON text or "10, 5, 1";
+ * unset or unreadable uses DEFAULT_CUTOFF_WARNING_MINUTES, 0 or [] turns
+ * the warnings off.
+ */
+export const getCutoffWarningMinutes = (category) => {
+    let value = category?.cutoff_warning_minutes;
+    if (value === null || value === undefined || value === '') return DEFAULT_CUTOFF_WARNING_MINUTES;
+
+    if (typeof value === 'string' && value.trim().startsWith('[')) {
+        try {
+            value = JSON.parse(value);
+        } catch (e) {
+            return DEFAULT_CUTOFF_WARNING_MINUTES;
+        }
+    }
+    const parts = Array.isArray(value) ? value : String(value).split(/[\s,]+/).filter(Boolean);
+    const minutes = parts.map(part => parseInt(part, 10));
+    if (minutes.some(min => !Number.isFinite(min) || min < 0)) return DEFAULT_CUTOFF_WARNING_MINUTES;
+
+    return [...new Set(minutes.filter(min => min > 0))].sort((a, b) => b - a);
+};
+
+/**
+ * When sales open for the category's next draw (12:01 AM after the cutoff).
+ * Returns null while sales for the current draw are still open.
+ */
+export const getNextSalesOpen = (category, now = serverClock.now()) => {
+    if (isCategoryVisible(category, now)) return null;
+
+    const open = new Date(now.getFullYear(), now.getMonth(), now.getDate(), 0, REOPEN_MINUTE, 0, 0);
+    if (open.getTime() <= now.getTime()) open.setDate(open.getDate() + 1);
+    return open;
+};
+
+/**
+ * Sales window of the draw at the category's time slot on the day of `now`:
+ * from the same slot on the previous day up to the slot.
+ * Returns null when the category has no parseable time slot.
+ */
+export const getDrawWindow = (category, now = serverClock.now()) => {
+    const slotMinutes = parseTimeSlotToMinutes(category?.time_slots?.[0]);
+    if (slotMinutes === null) return null;
+
+    const end = new Date(now.getFullYear(), now.getMonth(), now.getDate(), 0, 0, 0, 0);
+    end.setMinutes(slotMinutes);
+    const start = new Date(end);
+    start.setDate(start.getDate() - 1);
+    return { start, end };
+};
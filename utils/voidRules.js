@@ -0,0 +1,83 @@
+import { serverClock } from '../services/serverClock';
+import { CUTOFF_LEAD_MINUTES } from './timeSlots';
+
+/**
+ * Invoice void rules.
+ *
+ * A mistaken sale is voided, not deleted: the rows stay on the server with
+ * voided_at / voided_by / void_reason and keep showing in reports.
+ *
+ * An invoice can be voided only
+ *   - within the category's void window (void_window_minutes after the sale,
+ *     DEFAULT_VOID_WINDOW_MINUTES when the category does not set one), and
+ *   - before the draw cutoff (end of the sale's draw window minus the cutoff lead).
+ *
+ * The server applies the same rules; this check only decides whether the
+ * Void action is offered and explains why not.
+ */
+
+export const DEFAULT_VOID_WINDOW_MINUTES = 10;
+
+// Void reasons offered as one-tap chips; any other text can be typed
+export const VOID_REASONS = ['Wrong number', 'Wrong quantity', 'Wrong draw', 'Customer cancelled'];
+
+export const isVoidedRow = (item) => !!item?.voided_at;
+
+/**
+ * Minutes after a sale during which it can be voided (0 disables voiding)
+ */
+export const getVoidWindowMinutes = (category) => {
+    const minutes = parseInt(category?.void_window_minutes, 10);
+    return Number.isFinite(minutes) && minutes >= 0 ? minutes : DEFAULT_VOID_WINDOW_MINUTES;
+};
+
+/**
+ * Last moment an invoice can be voided: the earlier of the void window and
+ * the draw cutoff.
+ * @param {Object} invoice - { items: [{ created_at }], window_end }
+ * @param {Object} [category] - Category of the invoice (void_window_minutes)
+ * @returns {Date|null} null when the sale time is unknown
+ */
+export const getVoidDeadline = (invoice, category) => {
+    const soldAt = Math.min(...(invoice?.items || [])
+        .map(item => new Date(item.created_at).getTime())
+        .filter(Number.isFinite));
+    if (!Number.isFinite(soldAt)) return null;
+
+    let deadline = soldAt + getVoidWindowMinutes(category) * 60 * 1000;
+    if (invoice.window_end) {
+        const cutoff = new Date(invoice.window_end).getTime() - CUTOFF_LEAD_MINUTES * 60 * 1000;
+        if (Number.isFinite(cutoff)) deadline = Math.min(deadline, cutoff);
+    }
+    return new Date(deadline);
+};
+
+/**
+ * Whether an invoice can be voided now
+ * @param {Object} invoice - From salesService.getSalesByInvoice
+ * @param {Object} [category] - Category of the invoice
+ * @param {Date} [now] - Defaults to server time
+ * @returns {{ allowed: boolean, reason: string|null, deadline: Date|null }}
+ */
+export const checkVoidAllowed = (invoice, category, now = serverClock.now()) => {
+    const items = (invoice?.items || []).filter(item => !item.deleted_at);
+    const deadline = getVoidDeadline({ ...invoice, items }, category);
+    const deny = (reason) => ({ allowed: false, reason, deadline });
+
+    if (items.length === 0) return deny('Invoice has no sales');
+    if (items.every(isVoidedRow)) return deny('Invoice is already void');
+    if (items.some(item => parseFloat(item.winning_paid_amount || 0) > 0)) {
+        return deny('Winnings have been paid on this invoice');
+    }
+    if (getVoidWindowMinutes(category) === 0) return deny('Voiding is turned off for this category');
+    if (!deadline) return deny('Sale time is unknown');
+    if (now.getTime() >= deadline.getTime()) {
+        const cutoff = invoice.window_end
+            ? new Date(invoice.window_end).getTime() - CUTOFF_LEAD_MINUTES * 60 * 1000
+            : null;
+        return deny(cutoff !== null && deadline.getTime() >= cutoff
+            ? 'Draw cutoff has passed'
+            : `Void window (${getVoidWindowMinutes(category)} min) has passed`);
+    }
+    return { allowed: true, reason: null, deadline };
+};
@@ -0,0 +1,216 @@
+import { getBetType, BET_TYPE, getPrizeLevels, getIndexPositions, parseIndexType } from './betTypes';
+import { parseWinningAmounts } from './exposure';
+import { DRAW_POSITION, getPositionWinningAmounts } from './drawPositions';
+
+/**
+ * On-device winning cross-check.
+ *
+ * Recomputes what /winning/check should return from the draw window's
+ * sales, so WinningScreen can show where the server result differs before
+ * the entry is submitted.
+ *
+ * Matching per bet type (utils/betTypes):
+ *   straight / box — the highest prize level N whose last N digits of the
+ *                    sold number equal the last N digits of the winning
+ *                    number, among the levels the product has a prize for
+ *                    (box rows list every permutation in desc, one ticket each)
+ *   index          — the digits at the index positions of the winning
+ *                    number equal the sold number; round 0, paid at the
+ *                    level = number of positions
+ *
+ * Payout per match = winning_amounts[level] × tickets on that number.
+ * Other draw positions (utils/drawPositions) use that position's prize table
+ * in place of winning_amounts. Deleted and voided rows are ignored.
+ */
+
+// Rounding slack when comparing amounts
+const AMOUNT_EPSILON = 0.01;
+
+// Round of index matches (no suffix)
+export const INDEX_ROUND = 0;
+
+const toAmount = (value) => parseFloat(value) || 0;
+
+const sameAmount = (a, b) => Math.abs(toAmount(a) - toAmount(b)) < AMOUNT_EPSILON;
+
+const formatAmount = (value) => `₹${Math.round(toAmount(value)).toLocaleString('en-IN')}`;
+
+/**
+ * Numbers a sale row covers with the tickets on each.
+ * A row listing several numbers (box permutations) spreads its qty over them.
+ * @returns {Array<{ number: string, qty: number }>}
+ */
+export const getSoldNumbers = (row) => {
+    const numbers = String(row.desc || '')
+        .split(',')
+        .map(n => n.replace(/\D/g, ''))
+        .filter(Boolean);
+    if (numbers.length === 0) return [];
+    const qty = parseInt(row.qty, 10) || 0;
+    const perNumber = numbers.length > 1 ? qty / numbers.length : qty;
+    return numbers.map(number => ({ number, qty: perNumber }));
+};
+
+/**
+ * How one sold number matches the winning number
+ * @param {Object} product - Product or row fields (box, index_type, digit_type, winning_amounts)
+ * @param {string} soldNumber
+ * @param {string} winningNumber
+ * @returns {{ round: number, level: number, amount: number }|null} null when it does not win
+ */
+export const matchNumber = (product, soldNumber, winningNumber) => {
+    const amounts = parseWinningAmounts(product?.winning_amounts) || {};
+    const prizeFor = (level) => toAmount(amounts[String(level)]);
+    const sold = String(soldNumber || '');
+    const winning = String(winningNumber || '');
+    if (!sold || !winning) return null;
+
+    if (getBetType(product).key === BET_TYPE.INDEX) {
+        const indexType = parseIndexType(product.index_type);
+        const positions = getIndexPositions(indexType, winning.length);
+        if (positions.length !== indexType.length || sold.length !== positions.length) return null;
+        if (positions.map(pos => winning[pos]).join('') !== sold) return null;
+        const amount = prizeFor(indexType.length);
+        return amount > 0 ? { round: INDEX_ROUND, level: indexType.length, amount } : null;
+    }
+
+    const levels = getPrizeLevels(product)
+        .filter(level => level <= sold.length && level <= winning.length && prizeFor(level) > 0)
+        .sort((a, b) => b - a);
+    const level = levels.find(n => sold.slice(-n) === winning.slice(-n));
+    return level ? { round: level, level, amount: prizeFor(level) } : null;
+};
+
+/**
+ * Expected /winning/check result for a winning number
+ * @param {Object} params
+ * @param {string} params.winningNumber
+ * @param {Array} params.sales - Window sale rows ({ id, invoice_number, product_id, product_name,
+ *   desc, qty, box, index_type, digit_type, winning_amounts, created_by, created_at })
+ * @param {Array} [params.products] - Products; their prize setup is used when a row has none
+ * @param {string} [params.position] - Draw position (DRAW_POSITION) whose prize table pays
+ * @returns {Object} { lottery_number, is_winner, total_winners, grand_total_winning_amount,
+ *   rounds: [{ digit_count, suffix, count, total_winning_amount, matches }] }
+ */
+export const computeWinnings = ({ winningNumber, sales, products = [], position = DRAW_POSITION.FIRST }) => {
+    const winning = String(winningNumber || '').trim();
+    const productMap = {};
+    products.forEach(p => { productMap[p.id] = p; });
+
+    const rounds = {};
+    (sales || []).forEach(row => {
+        if (row.deleted_at || row.voided_at) return;
+        const prizeField = position === DRAW_POSITION.FIRST ? 'winning_amounts' : 'position_winning_amounts';
+        const source = row[prizeField] ? row : { ...row, ...productMap[row.product_id] };
+        const product = { ...source, winning_amounts: getPositionWinningAmounts(source, position) };
+
+        getSoldNumbers(row).forEach(({ number, qty }) => {
+            const match = matchNumber(product, number, winning);
+            if (!match) return;
+
+            if (!rounds[match.round]) {
+                rounds[match.round] = {
+                    digit_count: match.round,
+                    suffix: match.round === INDEX_ROUND ? '' : winning.slice(-match.round),
+                    count: 0,
+                    total_winning_amount: 0,
+                    matches: [],
+                };
+            }
+            const round = rounds[match.round];
+            const total = match.amount * qty;
+            round.matches.push({
+                id: row.id,
+                invoice_number: row.invoice_number,
+                product_id: row.product_id,
+                product_name: row.product_name,
+                lottery_number: number,
+                qty,
+                box: row.box,
+                index_type: row.index_type || null,
+                match_round: match.round,
+                winning_amount: match.amount,
+                total_winning_amount: total,
+                sold_by: row.created_by,
+                sold_at: row.created_at,
+            });
+            round.count += 1;
+            round.total_winning_amount += total;
+        });
+    });
+
+    // Longest match first, index matches last — the order /winning/check uses
+    const roundList = Object.values(rounds).sort((a, b) => {
+        if (a.digit_count === INDEX_ROUND) return 1;
+        if (b.digit_count === INDEX_ROUND) return -1;
+        return b.digit_count - a.digit_count;
+    });
+    const totalWinners = roundList.reduce((sum, r) => sum + r.count, 0);
+
+    return {
+        lottery_number: winning,
+        is_winner: totalWinners > 0,
+        total_winners: totalWinners,
+        grand_total_winning_amount: roundList.reduce((sum, r) => sum + r.total_winning_amount, 0),
+        rounds: roundList,
+    };
+};
+
+// Identifies one winning ticket line across both results
+export const getMatchKey = (match) => `${match.id}|${match.lottery_number}`;
+
+/**
+ * Differences between the on-device result and the server's
+ * @param {Object} expected - From computeWinnings
+ * @param {Object} actual - /winning/check response data
+ * @returns {{ ok: boolean, problems: Array<string>, rounds: Set<number>, matchKeys: Set<string> }}
+ *   rounds / matchKeys mark what to highlight (by digit_count / getMatchKey)
+ */
+export const compareWinnings = (expected, actual) => {
+    const problems = [];
+    const rounds = new Set();
+    const matchKeys = new Set();
+
+    if (!sameAmount(expected.grand_total_winning_amount, actual?.grand_total_winning_amount)) {
+        problems.push(`Total payout: server ${formatAmount(actual?.grand_total_winning_amount)}, expected ${formatAmount(expected.grand_total_winning_amount)}`);
+    }
+
+    const actualRounds = (actual?.rounds || []).filter(r => r.count > 0);
+    const digitCounts = new Set([...expected.rounds, ...actualRounds].map(r => r.digit_count));
+
+    digitCounts.forEach(digitCount => {
+        const mine = expected.rounds.find(r => r.digit_count === digitCount);
+        const theirs = actualRounds.find(r => r.digit_count === digitCount);
+        const label = digitCount === INDEX_ROUND ? 'Index match' : `Last ${digitCount} digits`;
+        const myMatches = new Map((mine?.matches || []).map(m => [getMatchKey(m), m]));
+        const theirMatches = new Map((theirs?.matches || []).map(m => [getMatchKey(m), m]));
+        let roundDiffers = false;
+
+        myMatches.forEach((m, key) => {
+            const other = theirMatches.get(key);
+            if (!other) {
+                problems.push(`${label}: ${m.lottery_number} (invoice ${m.invoice_number}) is missing from the server result`);
+                matchKeys.add(key);
+                roundDiffers = true;
+            } else if (!sameAmount(m.total_winning_amount, other.total_winning_amount)) {
+                problems.push(`${label}: ${m.lottery_number} (invoice ${m.invoice_number}) pays ${formatAmount(other.total_winning_amount)}, expected ${formatAmount(m.total_winning_amount)}`);
+                matchKeys.add(key);
+                roundDiffers = true;
+            }
+        });
+        theirMatches.forEach((m, key) => {
+            if (myMatches.has(key)) return;
+            problems.push(`${label}: ${m.lottery_number} (invoice ${m.invoice_number}) should not win here`);
+            matchKeys.add(key);
+            roundDiffers = true;
+        });
+
+        if (!roundDiffers && !sameAmount(mine?.total_winning_amount, theirs?.total_winning_amount)) {
+            problems.push(`${label}: server total ${formatAmount(theirs?.total_winning_amount)}, expected ${formatAmount(mine?.total_winning_amount)}`);
+            roundDiffers = true;
+        }
+        if (roundDiffers) rounds.add(digitCount);
+    });
+
+    return { ok: problems.length === 0 && rounds.size === 0, problems, rounds, matchKeys };
+};